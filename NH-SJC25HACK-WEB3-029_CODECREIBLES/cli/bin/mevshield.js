@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+const { version } = require('../package.json');
+const { parseArgs } = require('../lib/args');
+const { loadConfig } = require('../lib/config');
+const { ApiError, createApiClient } = require('../lib/api');
+const { EXIT_CODES, UsageError } = require('../lib/errors');
+
+// --- mevshield ---
+//
+// Command-line client for a running MEV-Shield server. Every command takes
+// the global options below plus its own; see `mevshield <command> --help`.
+
+const COMMANDS = [
+    require('../lib/commands/simulate'),
+    require('../lib/commands/protect'),
+    require('../lib/commands/feed'),
+    require('../lib/commands/wallet'),
+    require('../lib/commands/stats'),
+];
+
+const GLOBAL_OPTIONS = {
+    'api-url': 'string',
+    'api-key': 'string',
+    config: 'string',
+    'chain-id': 'string',
+    'fail-on-risk': 'string',
+    json: 'boolean',
+    help: 'boolean',
+};
+
+const GLOBAL_HELP = `Global options:
+  --api-url <url>        Server API (MEVSHIELD_API_URL, default http://localhost:3001/api)
+  --api-key <key>        API key sent as X-API-Key (MEVSHIELD_API_KEY)
+  --config <file>        JSON config with apiUrl, apiKey, chainId, failOnRisk (default ~/.mevshield.json)
+  --chain-id <id>        Chain to use (MEVSHIELD_CHAIN_ID, default: the server's default chain)
+  --fail-on-risk <n|off> Exit with code ${EXIT_CODES.HIGH_RISK} when a risk score reaches n (default 70)
+  --json                 Print JSON (JSON lines for feed) instead of tables
+  -h, --help             Show help`;
+
+const usage = () => [
+    `mevshield ${version} - MEV-Shield from the command line`,
+    '',
+    'Usage: mevshield <command> [options]',
+    '',
+    'Commands:',
+    ...COMMANDS.map(command => `  ${command.name.padEnd(10)} ${command.summary}`),
+    '',
+    GLOBAL_HELP,
+    '',
+    `Exit codes: ${Object.entries(EXIT_CODES).map(([name, code]) => `${code} ${name.toLowerCase().replace('_', ' ')}`).join(', ')}.`,
+].join('\n');
+
+const commandUsage = command => [
+    `Usage: ${command.usage}`,
+    '',
+    command.summary,
+    ...(command.help ? ['', command.help] : []),
+    '',
+    GLOBAL_HELP,
+].join('\n');
+
+async function main(argv) {
+    const [name, ...rest] = argv;
+    if (!name || name === 'help' || name === '--help' || name === '-h') {
+        console.log(usage());
+        return EXIT_CODES.OK;
+    }
+    if (name === '--version') {
+        console.log(version);
+        return EXIT_CODES.OK;
+    }
+    const command = COMMANDS.find(candidate => candidate.name === name);
+    if (!command) throw new UsageError(`Unknown command ${name}. Run mevshield --help for the list.`);
+
+    const { positionals, options } = parseArgs(rest, { ...GLOBAL_OPTIONS, ...command.options });
+    if (options.help) {
+        console.log(commandUsage(command));
+        return EXIT_CODES.OK;
+    }
+    const config = loadConfig(options);
+    return command.run({
+        positionals,
+        options,
+        config,
+        api: createApiClient(config),
+        json: Boolean(options.json),
+    });
+}
+
+main(process.argv.slice(2))
+    .then((code) => {
+        process.exitCode = code;
+    })
+    .catch((err) => {
+        if (err instanceof UsageError) {
+            console.error(`Error: ${err.message}`);
+            process.exitCode = err.exitCode;
+        } else if (err instanceof ApiError) {
+            console.error(`Error: ${err.message}${err.code ? ` (${err.code})` : ''}`);
+            process.exitCode = EXIT_CODES.ERROR;
+        } else {
+            console.error(err.stack || err.message);
+            process.exitCode = EXIT_CODES.ERROR;
+        }
+    });
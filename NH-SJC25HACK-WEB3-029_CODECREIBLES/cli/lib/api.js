@@ -0,0 +1,80 @@
+// --- MEV-Shield REST Client ---
+//
+// Thin fetch wrapper for the server's /api routes. The API key goes in
+// X-API-Key. Every route answers { success, ... }; a non-2xx status or
+// success: false becomes an ApiError carrying the server's code and the
+// whole body (a blocked protected trade returns its simulation there).
+
+const DEFAULT_TIMEOUT_MS = 60000;
+
+class ApiError extends Error {
+    /**
+     * @param {string} message
+     * @param {number|null} status - HTTP status, null when the server was not reached.
+     * @param {string|null} code - The server's error code, when it sent one.
+     * @param {object|null} body - Parsed response body.
+     */
+    constructor(message, status = null, code = null, body = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code;
+        this.body = body;
+    }
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.apiUrl - Base URL of the API, e.g. http://localhost:3001/api.
+ * @param {string|null} [options.apiKey]
+ * @param {number} [options.timeoutMs=60000]
+ */
+function createApiClient({ apiUrl, apiKey = null, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    const request = async (method, path, { query, body } = {}) => {
+        const url = new URL(`${apiUrl}${path}`);
+        for (const [key, value] of Object.entries(query || {})) {
+            if (value !== undefined && value !== null && value !== '') url.searchParams.set(key, value);
+        }
+        const headers = { Accept: 'application/json' };
+        if (apiKey) headers['X-API-Key'] = apiKey;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        let response;
+        try {
+            response = await fetch(url, {
+                method,
+                headers,
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal,
+            });
+        } catch (err) {
+            const reason = err.name === 'AbortError' ? `no response after ${timeoutMs / 1000}s` : (err.cause && (err.cause.code || err.cause.message)) || err.message;
+            throw new ApiError(`Could not reach MEV-Shield at ${url.origin}: ${reason}`);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        let data;
+        try {
+            data = await response.json();
+        } catch (err) {
+            throw new ApiError(`Unexpected ${response.status} response from ${url.pathname}.`, response.status);
+        }
+        if (!response.ok || data.success === false) {
+            throw new ApiError(data.message || `Request failed with status ${response.status}.`, response.status, data.code || null, data);
+        }
+        return data;
+    };
+
+    return {
+        get: (path, query) => request('GET', path, { query }),
+        post: (path, body) => request('POST', path, { body }),
+    };
+}
+
+module.exports = {
+    ApiError,
+    createApiClient,
+};
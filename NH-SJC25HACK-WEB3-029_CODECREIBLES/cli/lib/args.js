@@ -0,0 +1,72 @@
+const { UsageError } = require('./errors');
+
+// --- Argument Parsing ---
+//
+// Options are declared per command as { 'option-name': type }, where type is
+// string, number, boolean or list. Values come as `--name value` or
+// `--name=value`; list options split on commas and may be repeated.
+// Parsed options are camelCased: --min-risk becomes options.minRisk.
+
+const camelCase = name => name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+
+const convert = (name, type, raw) => {
+    if (type === 'number') {
+        const number = Number(raw);
+        if (raw === '' || !Number.isFinite(number)) throw new UsageError(`--${name} must be a number.`);
+        return number;
+    }
+    return raw;
+};
+
+/**
+ * @param {string[]} argv - Arguments after the command name.
+ * @param {object} spec - Option name -> type.
+ * @returns {{positionals: string[], options: object}}
+ * @throws {UsageError} - Unknown option, or a value missing or of the wrong type.
+ */
+function parseArgs(argv, spec) {
+    const positionals = [];
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            positionals.push(...argv.slice(i + 1));
+            break;
+        }
+        if (arg === '-h') {
+            options.help = true;
+            continue;
+        }
+        if (!arg.startsWith('--')) {
+            positionals.push(arg);
+            continue;
+        }
+
+        const equals = arg.indexOf('=');
+        const name = arg.slice(2, equals === -1 ? undefined : equals);
+        const type = spec[name];
+        if (!type) throw new UsageError(`Unknown option --${name}.`);
+        const key = camelCase(name);
+        if (type === 'boolean') {
+            if (equals !== -1) throw new UsageError(`--${name} does not take a value.`);
+            options[key] = true;
+            continue;
+        }
+
+        let raw;
+        if (equals !== -1) {
+            raw = arg.slice(equals + 1);
+        } else {
+            if (i + 1 >= argv.length) throw new UsageError(`--${name} needs a value.`);
+            raw = argv[++i];
+        }
+        if (type === 'list') {
+            options[key] = [...(options[key] || []), ...raw.split(',').map(item => item.trim()).filter(Boolean)];
+        } else {
+            options[key] = convert(name, type, raw);
+        }
+    }
+    return { positionals, options };
+}
+
+module.exports = { parseArgs };
@@ -0,0 +1,145 @@
+const { EXIT_CODES, UsageError } = require('../errors');
+const { connectSocket } = require('../socket');
+const { formatRisk, riskScoreOf, shortHash } = require('../format');
+
+// --- mevshield feed ---
+//
+// Streams new_attack events from the server's Socket.io feed, one line per
+// attack (a JSON object per line with --json). Filters travel in the
+// handshake (auth.feed, see the server's lib/attackFeed.js); on a reconnect
+// the handshake carries the last id seen, so missed attacks are replayed
+// before live ones resume.
+
+const MAX_BACKFILL = 100;
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+const options = {
+    types: 'list',
+    'min-risk': 'number',
+    'min-value': 'number',
+    address: 'list',
+    backfill: 'number',
+    count: 'number',
+    timeout: 'number',
+    'exit-on-risk': 'number',
+};
+
+const help = `Options:
+  --types <a,b>          Attack types, e.g. "Sandwich Attack,Front-Run"
+  --min-risk <0-100>     Minimum risk score
+  --min-value <n>        Minimum value at risk, in the chain's native token
+  --address <0x...>      Only attacks involving this attacker, victim or pool (repeatable)
+  --backfill <n>         Replay the last n matching attacks first (default 0, at most ${MAX_BACKFILL})
+  --count <n>            Exit after n attacks
+  --timeout <seconds>    Exit after this long
+  --exit-on-risk <0-100> Exit with code ${EXIT_CODES.HIGH_RISK} on the first attack at or above this risk`;
+
+/**
+ * @returns {object} - Feed filters for the handshake.
+ * @throws {UsageError}
+ */
+function buildFilters(opts, chainId) {
+    const inRange = (value, name, max) => {
+        if (value !== undefined && (value < 0 || value > max)) throw new UsageError(`--${name} must be from 0 to ${max}.`);
+    };
+    inRange(opts.minRisk, 'min-risk', 100);
+    inRange(opts.backfill, 'backfill', MAX_BACKFILL);
+    inRange(opts.exitOnRisk, 'exit-on-risk', 100);
+    if (opts.minValue !== undefined && opts.minValue < 0) throw new UsageError('--min-value must not be negative.');
+    const addresses = opts.address || [];
+    const invalid = addresses.find(address => !ADDRESS_PATTERN.test(address));
+    if (invalid) throw new UsageError(`--address ${invalid} is not a 0x-prefixed address.`);
+    return {
+        chainId: chainId || undefined,
+        types: opts.types || [],
+        minRiskScore: opts.minRisk,
+        minValueEth: opts.minValue,
+        addresses,
+    };
+}
+
+const COLUMNS = [
+    ['Time', 12],
+    ['Id', 7],
+    ['Type', 22],
+    ['Risk', 16],
+    ['Value', 18],
+    ['Tx', 14],
+];
+
+const pad = (text, width) => {
+    const visible = text.replace(/\u001b\[\d+m/g, '').length;
+    return text + ' '.repeat(Math.max(1, width - visible + 1));
+};
+
+const formatAttackLine = attack => [
+    new Date(attack.detectedAt || Date.now()).toLocaleTimeString(),
+    `#${attack.id}`,
+    attack.method,
+    formatRisk(attack.riskScore),
+    attack.value || 'n/a',
+    shortHash(attack.transaction),
+].map((cell, i) => pad(String(cell), COLUMNS[i][1])).join('') + (attack.chainId ? `chain ${attack.chainId}` : '');
+
+async function run({ options: opts, config, json }) {
+    const filters = buildFilters(opts, config.chainId);
+    const backfill = opts.backfill ?? 0;
+    let lastSeenId = null;
+
+    // A reconnect replays everything after the last attack seen
+    const auth = cb => cb({
+        feed: lastSeenId === null
+            ? { ...filters, limit: backfill }
+            : { ...filters, limit: MAX_BACKFILL, sinceId: lastSeenId },
+    });
+    const socket = await connectSocket(config.socketUrl, { auth });
+
+    if (!json) {
+        console.log(COLUMNS.map(([header, width]) => pad(header, width)).join('') + 'Chain');
+        console.error(`Listening for attacks on ${config.socketUrl}${opts.count ? ` (${opts.count} max)` : ''}. Ctrl-C to stop.`);
+    }
+
+    return new Promise((resolve) => {
+        let printed = 0;
+        let timer = null;
+        let done = false;
+        const finish = (code) => {
+            done = true;
+            clearTimeout(timer);
+            process.off('SIGINT', onInterrupt);
+            socket.close();
+            resolve(code);
+        };
+        const onInterrupt = () => finish(EXIT_CODES.OK);
+        process.on('SIGINT', onInterrupt);
+        if (opts.timeout) timer = setTimeout(() => finish(EXIT_CODES.OK), opts.timeout * 1000);
+
+        const print = (attack) => {
+            if (done || (lastSeenId !== null && attack.id <= lastSeenId)) return;
+            lastSeenId = attack.id;
+            console.log(json ? JSON.stringify(attack) : formatAttackLine(attack));
+            printed++;
+            if (opts.exitOnRisk !== undefined && riskScoreOf(attack.riskScore) >= opts.exitOnRisk) {
+                console.error(`Attack #${attack.id} scored ${riskScoreOf(attack.riskScore)}/100, at or above --exit-on-risk ${opts.exitOnRisk}.`);
+                return finish(EXIT_CODES.HIGH_RISK);
+            }
+            if (opts.count && printed >= opts.count) finish(EXIT_CODES.OK);
+        };
+
+        socket.on('attack_backfill', ({ attacks }) => attacks.forEach(print));
+        socket.on('new_attack', print);
+        socket.on('disconnect', (reason) => {
+            if (reason !== 'io client disconnect') console.error(`Disconnected (${reason}); reconnecting...`);
+        });
+        socket.on('connect', () => console.error('Reconnected; replaying missed attacks.'));
+    });
+}
+
+module.exports = {
+    name: 'feed',
+    usage: 'mevshield feed [options]',
+    summary: 'Stream live attacks, optionally filtered, as a table or JSON lines',
+    options,
+    help,
+    run,
+};
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const { ApiError } = require('../api');
+const { EXIT_CODES, UsageError } = require('../errors');
+const { connectSocket } = require('../socket');
+const { keyValues, printJson, shortHash, table } = require('../format');
+
+// --- mevshield protect ---
+//
+// POST /api/protect with a signed raw transaction (hex, a file holding it,
+// or - for stdin), then follows the trade's trade_status events until it is
+// included, failed, dropped or expired. The request carries the CLI's
+// socket id so no status change is missed between the response and
+// track_trade. --simulate-only calls /api/protect/simulate instead.
+
+const TERMINAL_STATUSES = ['included', 'failed', 'dropped', 'expired'];
+const BLOCKED_CODES = ['SIMULATION_REVERTED', 'BALANCE_GUARD_FAILED', 'SIMULATION_FAILED'];
+const DEFAULT_FOLLOW_TIMEOUT_S = 300;
+
+const options = {
+    'simulate-only': 'boolean',
+    'min-balance': 'list',
+    force: 'boolean',
+    'no-follow': 'boolean',
+    timeout: 'number',
+};
+
+const help = `Options:
+  --simulate-only           Only run the pre-submission simulation; nothing is submitted
+  --min-balance <token:min> Balance guard, e.g. ETH:-0.05 or 0xToken:1500 (repeatable)
+  --force                   Submit even if the simulation reverts or a guard fails
+  --no-follow               Return after submission instead of following the trade's status
+  --timeout <seconds>       How long to follow the trade (default ${DEFAULT_FOLLOW_TIMEOUT_S})`;
+
+/**
+ * The raw transaction from the argument: hex as is, - for stdin, otherwise a file path.
+ * @throws {UsageError}
+ */
+function readRawTransaction(source) {
+    if (!source) throw new UsageError('Pass a signed raw transaction (0x...), a file holding one, or - for stdin.');
+    let raw = source;
+    if (!source.startsWith('0x')) {
+        try {
+            raw = fs.readFileSync(source === '-' ? 0 : source, 'utf8');
+        } catch (err) {
+            throw new UsageError(`Could not read ${source === '-' ? 'stdin' : source}: ${err.message}`);
+        }
+    }
+    raw = raw.trim();
+    if (!/^0x[0-9a-fA-F]+$/.test(raw)) throw new UsageError('The raw transaction must be 0x-prefixed hex.');
+    return raw;
+}
+
+/**
+ * --min-balance token:min pairs as the server's minBalanceChanges.
+ * @throws {UsageError}
+ */
+function parseBalanceGuards(values = []) {
+    return values.map((value) => {
+        const separator = value.indexOf(':');
+        if (separator <= 0 || separator === value.length - 1) {
+            throw new UsageError(`--min-balance ${value} must be token:min, e.g. ETH:-0.05.`);
+        }
+        return { token: value.slice(0, separator), min: value.slice(separator + 1) };
+    });
+}
+
+const describeSimulation = (simulation) => {
+    if (simulation.error) return `Simulation could not run: ${simulation.error}`;
+    const result = simulation.success
+        ? (simulation.passed ? 'succeeds' : 'succeeds, but a balance guard fails')
+        : `reverts: ${simulation.revertReason}`;
+    const lines = [keyValues([
+        ['Simulation', `${simulation.method}, block ${simulation.blockNumber}`],
+        ['Result', result],
+        ['Gas used', `${simulation.gasUsed ?? 'n/a'} of ${simulation.gasLimit}`],
+    ])];
+    if (simulation.balanceChanges && simulation.balanceChanges.length) {
+        lines.push('', table(simulation.balanceChanges, [
+            { header: 'Token', value: change => change.symbol },
+            { header: 'Change', value: change => `${change.delta.startsWith('-') ? '' : '+'}${change.formatted}` },
+        ]));
+    }
+    if (simulation.guards.length) {
+        lines.push('', table(simulation.guards, [
+            { header: 'Guard', value: guard => `${guard.symbol} ≥ ${guard.min}` },
+            { header: 'Result', value: guard => (guard.passed === null ? 'unknown' : guard.passed ? 'ok' : `failed (${guard.actual})`) },
+        ]));
+    }
+    lines.push(...simulation.warnings.map(warning => `Warning: ${warning}`));
+    return lines.join('\n');
+};
+
+const describeSubmission = (result) => {
+    const lines = [keyValues([
+        ['Transaction', result.txHash],
+        ['Trade id', result.dbId],
+        ['Chain', result.chain],
+        ['Status', result.status],
+        ['Message', result.message],
+    ])];
+    if (result.relays && result.relays.length) {
+        lines.push('', table(result.relays, [
+            { header: 'Relay', value: relay => relay.relay },
+            { header: 'Accepted', value: relay => (relay.accepted ? 'yes' : 'no') },
+            { header: 'Detail', value: relay => relay.error || '' },
+        ]));
+    }
+    if (result.simulation) lines.push('', describeSimulation(result.simulation));
+    return lines.join('\n');
+};
+
+const exitCodeFor = status => (['failed', 'dropped', 'expired'].includes(status) ? EXIT_CODES.TRADE_FAILED : EXIT_CODES.OK);
+
+/**
+ * Prints each status change of the trade until a terminal one or the timeout.
+ * @returns {Promise<string|null>} - The terminal status, null on timeout.
+ */
+function followTrade(socket, tradeId, timeoutMs, json) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => finish(null), timeoutMs);
+        const onStatus = (event) => {
+            if (event.tradeId !== tradeId) return;
+            if (json) {
+                console.log(JSON.stringify(event));
+            } else {
+                console.log(`${new Date(event.changedAt || Date.now()).toLocaleTimeString()}  ${event.previousStatus || '?'} -> ${event.status}${event.blockNumber ? ` (block ${event.blockNumber})` : ''}${event.reason ? `  ${event.reason}` : ''}`);
+            }
+            if (TERMINAL_STATUSES.includes(event.status)) finish(event.status);
+        };
+        const finish = (status) => {
+            clearTimeout(timer);
+            socket.off('trade_status', onStatus);
+            resolve(status);
+        };
+        socket.on('trade_status', onStatus);
+        // Also covers a reconnect, which drops the socket's rooms
+        socket.on('connect', () => socket.emit('track_trade', tradeId));
+        socket.emit('track_trade', tradeId);
+    });
+}
+
+async function run({ positionals, options: opts, config, api, json }) {
+    const rawTransaction = readRawTransaction(positionals[0]);
+    const minBalanceChanges = parseBalanceGuards(opts.minBalance);
+
+    if (opts.simulateOnly) {
+        const { simulation } = await api.post('/protect/simulate', { rawTransaction, minBalanceChanges });
+        if (json) printJson(simulation);
+        else console.log(describeSimulation(simulation));
+        return simulation.passed === false ? EXIT_CODES.HIGH_RISK : EXIT_CODES.OK;
+    }
+
+    const follow = !opts.noFollow;
+    const socket = follow ? await connectSocket(config.socketUrl) : null;
+    try {
+        let result;
+        try {
+            result = await api.post('/protect', {
+                rawTransaction,
+                minBalanceChanges,
+                socketId: socket ? socket.id : undefined,
+                onSimulationFailure: opts.force ? 'warn' : undefined,
+            });
+        } catch (err) {
+            if (!(err instanceof ApiError) || !err.body) throw err;
+            if (BLOCKED_CODES.includes(err.code)) {
+                if (json) printJson(err.body);
+                else console.log(describeSimulation(err.body.simulation));
+                console.error(`${err.message} Use --force to submit anyway.`);
+                return EXIT_CODES.HIGH_RISK;
+            }
+            if (err.code === 'RELAY_REJECTED') {
+                if (json) printJson(err.body);
+                else console.log(describeSubmission(err.body));
+                console.error(err.message);
+                return EXIT_CODES.TRADE_FAILED;
+            }
+            throw err;
+        }
+
+        if (json) printJson(result);
+        else console.log(describeSubmission(result));
+        if (!follow || TERMINAL_STATUSES.includes(result.status)) return exitCodeFor(result.status);
+
+        const timeoutS = opts.timeout ?? DEFAULT_FOLLOW_TIMEOUT_S;
+        if (!json) console.log(`\nFollowing trade ${result.dbId} (${shortHash(result.txHash)}) for up to ${timeoutS}s...`);
+        const status = await followTrade(socket, result.dbId, timeoutS * 1000, json);
+        if (status === null) {
+            console.error(`Trade ${result.dbId} was not included, failed, dropped or expired within ${timeoutS}s.`);
+            return EXIT_CODES.ERROR;
+        }
+        return exitCodeFor(status);
+    } finally {
+        if (socket) socket.close();
+    }
+}
+
+module.exports = {
+    name: 'protect',
+    usage: 'mevshield protect <rawTxHex|file|-> [options]',
+    summary: 'Submit a signed transaction through the private relays and follow its status',
+    options,
+    help,
+    run,
+};
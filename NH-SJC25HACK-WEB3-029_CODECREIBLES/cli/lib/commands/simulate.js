@@ -0,0 +1,117 @@
+const { UsageError, gateOnRisk } = require('../errors');
+const { formatRisk, keyValues, printJson, riskScoreOf, shortHash } = require('../format');
+
+// --- mevshield simulate ---
+//
+// POST /api/simulate with a free-text description, a Uniswap V2 pool model
+// (--reserve-in, --reserve-out, --amount-in) or swap calldata (--data, or a
+// signed transaction with --raw), the same bodies the dashboard sends.
+
+const options = {
+    'reserve-in': 'string',
+    'reserve-out': 'string',
+    'amount-in': 'string',
+    'fee-bps': 'string',
+    slippage: 'string',
+    'token-in-usd': 'string',
+    data: 'string',
+    value: 'string',
+    from: 'string',
+    raw: 'string',
+};
+
+const help = `Options:
+  --reserve-in <n>      Pool reserve of the input token (with --reserve-out: use the V2 pool model)
+  --reserve-out <n>     Pool reserve of the output token
+  --amount-in <n>       Trade size in input-token units (or taken from --data)
+  --fee-bps <n>         Pool fee in basis points (default 30)
+  --slippage <pct>      Slippage tolerance in percent
+  --token-in-usd <n>    Input token price, for USD figures
+  --data <0x...>        Swap calldata (Uniswap, Universal Router, 1inch, 0x)
+  --value <wei>         Native value sent with --data (default 0)
+  --from <address>      Sender of --data
+  --raw <0x...>         Signed raw transaction to decode instead of --data`;
+
+/**
+ * @returns {object} - The /api/simulate body.
+ * @throws {UsageError}
+ */
+function buildSimulationBody(description, opts, chainId) {
+    const usePoolModel = opts.reserveIn !== undefined || opts.reserveOut !== undefined;
+    const calldata = opts.data || opts.raw;
+    if (usePoolModel && (opts.reserveIn === undefined || opts.reserveOut === undefined)) {
+        throw new UsageError('The pool model needs both --reserve-in and --reserve-out.');
+    }
+    if (usePoolModel && opts.amountIn === undefined && !calldata) {
+        throw new UsageError('The pool model needs --amount-in, or swap calldata to take it from.');
+    }
+    if (!description && !usePoolModel && !calldata) {
+        throw new UsageError('Describe the trade (e.g. "Swap 10 ETH for DAI on Uniswap") or pass pool reserves or calldata.');
+    }
+
+    const body = usePoolModel
+        ? {
+            pool: { type: 'uniswap-v2', reserveIn: opts.reserveIn, reserveOut: opts.reserveOut, feeBps: opts.feeBps || '30' },
+            amountIn: opts.amountIn,
+            slippageTolerance: opts.slippage,
+            tokenInUsd: opts.tokenInUsd,
+        }
+        : { tradeDescription: description || undefined, slippageTolerance: opts.slippage };
+    if (opts.raw) {
+        body.rawTransaction = opts.raw;
+    } else if (opts.data) {
+        body.data = opts.data;
+        body.value = opts.value || '0';
+        if (opts.from) body.from = opts.from;
+    }
+    if (chainId && (calldata || usePoolModel)) body.chainId = chainId;
+    return body;
+}
+
+const describeSimulation = (simulation) => {
+    const { sandwich, decoded, analysis } = simulation;
+    const pairs = [
+        ['Risk', formatRisk(simulation.risk)],
+        ['Attack type', simulation.attackType],
+        ['Value impact', simulation.profitLoss === null ? undefined : simulation.profitLoss],
+        [sandwich ? 'Model' : 'Rationale', simulation.details],
+        ['AI rationale', simulation.aiRationale],
+    ];
+    if (sandwich) {
+        pairs.push(
+            ['Attacker front-run', `${sandwich.attack.frontRunAmountIn} (profit ${sandwich.attack.attackerProfit})`],
+            ['Execution price', `${sandwich.victim.executionPrice} (baseline ${sandwich.baseline.executionPrice})`],
+        );
+    }
+    if (decoded) {
+        const { swap, slippage } = decoded;
+        pairs.push(
+            ['Decoded swap', `${swap.protocol} · ${swap.method} · ${swap.path.map(shortHash).join(' → ')}`],
+            ['Implied slippage', slippage.impliedSlippagePct === null ? slippage.reason : `${slippage.impliedSlippagePct}% (${slippage.source})`],
+        );
+    }
+    if (analysis) {
+        pairs.push(['Analyzer', `${analysis.provider}${analysis.cached ? ' (cached)' : ''}${analysis.fallbackReason ? ` · fallback: ${analysis.fallbackReason}` : ''}`]);
+    }
+    return keyValues(pairs);
+};
+
+async function run({ positionals, options: opts, config, api, json }) {
+    const body = buildSimulationBody(positionals.join(' ').trim(), opts, config.chainId);
+    const { simulation } = await api.post('/simulate', body);
+    if (json) {
+        printJson(simulation);
+    } else {
+        console.log(describeSimulation(simulation));
+    }
+    return gateOnRisk(riskScoreOf(simulation.risk), config.failOnRisk, 'The trade');
+}
+
+module.exports = {
+    name: 'simulate',
+    usage: 'mevshield simulate [description...] [options]',
+    summary: 'Score a trade for MEV risk (free text, a V2 pool model or swap calldata)',
+    options,
+    help,
+    run,
+};
@@ -0,0 +1,102 @@
+const { EXIT_CODES, UsageError } = require('../errors');
+const { keyValues, printJson, table } = require('../format');
+
+// --- mevshield stats ---
+//
+// GET /api/attack-stats for one chain: recorded attacks and value at risk
+// per time bucket, by type and by risk band. --range is a shorthand for
+// --from relative to now.
+
+const RANGES = {
+    '24h': 24 * 3600 * 1000,
+    '7d': 7 * 86400 * 1000,
+    '30d': 30 * 86400 * 1000,
+    '90d': 90 * 86400 * 1000,
+    '1y': 365 * 86400 * 1000,
+};
+
+const options = {
+    range: 'string',
+    from: 'string',
+    to: 'string',
+    granularity: 'string',
+    type: 'string',
+    synthetic: 'string',
+};
+
+const help = `Options:
+  --range <${Object.keys(RANGES).join('|')}>   Period ending now (instead of --from/--to)
+  --from <date>              Start, ISO date or unix ms
+  --to <date>                End, ISO date or unix ms (default now)
+  --granularity <unit>       hour, day (default), week or month
+  --type <attack type>       Only this attack type, e.g. "Sandwich Attack"
+  --synthetic <mode>         Generator events: exclude (default), include or only`;
+
+const describeStats = (stats) => {
+    const symbol = stats.nativeToken;
+    const buckets = stats.data.labels.map((label, i) => ({
+        label,
+        count: Object.values(stats.data.types).reduce((sum, counts) => sum + counts[i], 0),
+        value: stats.data.totalValue[i],
+    }));
+    return [
+        keyValues([
+            ['Period', `${stats.from} to ${stats.to} (by ${stats.granularity})`],
+            ['Chain', stats.chainId],
+            ['Type', stats.type || 'all'],
+            ...(stats.synthetic && stats.synthetic !== 'exclude' ? [['Synthetic events', stats.synthetic]] : []),
+            ['Attacks', stats.totals.count],
+            ['Value at risk', `${stats.totals.value} ${symbol}`],
+        ]),
+        '',
+        table(stats.byType, [
+            { header: 'Type', value: row => row.type },
+            { header: 'Attacks', value: row => row.count },
+            { header: `Value (${symbol})`, value: row => row.value },
+            { header: 'Avg risk', value: row => row.averageRisk },
+        ]),
+        '',
+        table(stats.byRiskBand, [
+            { header: 'Risk band', value: row => `${row.band} (${row.range})` },
+            { header: 'Attacks', value: row => row.count },
+            { header: `Value (${symbol})`, value: row => row.value },
+        ]),
+        '',
+        table(buckets, [
+            { header: stats.granularity, value: row => row.label },
+            { header: 'Attacks', value: row => row.count },
+            { header: `Value (${symbol})`, value: row => row.value },
+        ]),
+    ].join('\n');
+};
+
+async function run({ options: opts, config, api, json }) {
+    if (opts.range && !RANGES[opts.range]) throw new UsageError(`--range must be one of ${Object.keys(RANGES).join(', ')}.`);
+    if (opts.range && (opts.from || opts.to)) throw new UsageError('Pass either --range or --from/--to, not both.');
+    const to = opts.range ? new Date().toISOString() : opts.to;
+    const from = opts.range ? new Date(Date.now() - RANGES[opts.range]).toISOString() : opts.from;
+
+    const { stats } = await api.get('/attack-stats', {
+        from,
+        to,
+        granularity: opts.granularity,
+        type: opts.type,
+        synthetic: opts.synthetic,
+        chainId: config.chainId,
+    });
+    if (json) {
+        printJson(stats);
+    } else {
+        console.log(describeStats(stats));
+    }
+    return EXIT_CODES.OK;
+}
+
+module.exports = {
+    name: 'stats',
+    usage: 'mevshield stats [options]',
+    summary: 'Recorded attacks and value at risk over time, by type and risk band',
+    options,
+    help,
+    run,
+};
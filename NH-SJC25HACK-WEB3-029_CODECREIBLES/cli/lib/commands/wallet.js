@@ -0,0 +1,59 @@
+const { UsageError, gateOnRisk } = require('../errors');
+const { keyValues, printJson, shortHash, table } = require('../format');
+
+// --- mevshield wallet ---
+//
+// GET /api/wallet-health/:address: balance, open approvals, sandwiched
+// swaps and the MEV exposure score, which --fail-on-risk gates on.
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+const describeHealth = (health) => {
+    const lines = [keyValues([
+        ['Wallet', health.address],
+        ['MEV exposure', `${health.mevExposureScore}/100`],
+        ['Balance', health.balance],
+        ['Transactions (24h)', health.transactionsLast24h],
+        ['Sandwiched swaps', health.sandwichedSwaps ? `${health.sandwichedSwaps.length} of ${health.swapsChecked} checked` : undefined],
+        ['Scanned blocks', health.scannedBlocks ? `${health.scannedBlocks.from}-${health.scannedBlocks.to}` : undefined],
+    ])];
+    const scored = (health.exposureBreakdown || []).filter(item => item.points > 0);
+    if (scored.length) {
+        lines.push('', table(scored, [
+            { header: 'Points', value: item => `+${item.points}` },
+            { header: 'Factor', value: item => item.detail },
+        ]));
+    }
+    if (health.approvals && health.approvals.length) {
+        lines.push('', table(health.approvals, [
+            { header: 'Token', value: approval => approval.symbol },
+            { header: 'Spender', value: approval => shortHash(approval.spender) },
+            { header: 'Allowance', value: approval => approval.formattedAllowance },
+            { header: 'Verified', value: approval => (approval.verifiedSpender ? 'yes' : 'no') },
+            { header: 'Block', value: approval => approval.lastApprovedBlock },
+        ]));
+    }
+    if (health.alerts.length) lines.push('', ...health.alerts);
+    return lines.join('\n');
+};
+
+async function run({ positionals, config, api, json }) {
+    const [address] = positionals;
+    if (!address || !ADDRESS_PATTERN.test(address)) throw new UsageError('Pass a 0x-prefixed wallet address.');
+    const { success, ...health } = await api.get(`/wallet-health/${address}`, { chainId: config.chainId });
+    if (json) {
+        printJson(health);
+    } else {
+        console.log(describeHealth(health));
+    }
+    return gateOnRisk(health.mevExposureScore, config.failOnRisk, `Wallet ${shortHash(health.address)}`);
+}
+
+module.exports = {
+    name: 'wallet',
+    usage: 'mevshield wallet <address>',
+    summary: "Check a wallet's approvals, sandwiched swaps and MEV exposure score",
+    options: {},
+    help: '',
+    run,
+};
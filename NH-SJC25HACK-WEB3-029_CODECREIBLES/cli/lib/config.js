@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { UsageError } = require('./errors');
+
+// --- Configuration ---
+//
+// Each setting comes from the first of: command-line option, environment
+// variable, config file, default.
+//
+//   --api-url        MEVSHIELD_API_URL        apiUrl       http://localhost:3001/api
+//   --api-key        MEVSHIELD_API_KEY        apiKey       none (anonymous requests)
+//   --chain-id       MEVSHIELD_CHAIN_ID       chainId      the server's default chain
+//   --fail-on-risk   MEVSHIELD_FAIL_ON_RISK   failOnRisk   70 ("off" disables)
+//
+// The config file is JSON at --config, MEVSHIELD_CONFIG or ~/.mevshield.json.
+// The Socket.io feed is served from the API's origin, so its URL is the API
+// URL without the trailing /api.
+
+const DEFAULT_API_URL = 'http://localhost:3001/api';
+const DEFAULT_CONFIG_PATH = path.join(os.homedir(), '.mevshield.json');
+const DEFAULT_FAIL_ON_RISK = 70;
+
+const readConfigFile = (file, explicit) => {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT' && !explicit) return {};
+        throw new UsageError(`Could not read config file ${file}: ${err.message}`);
+    }
+    try {
+        const config = JSON.parse(text);
+        if (typeof config !== 'object' || config === null || Array.isArray(config)) throw new Error('expected an object');
+        return config;
+    } catch (err) {
+        throw new UsageError(`Config file ${file} is not valid JSON: ${err.message}`);
+    }
+};
+
+const parseFailOnRisk = (value) => {
+    if (value === undefined || value === null || value === '') return DEFAULT_FAIL_ON_RISK;
+    if (String(value).toLowerCase() === 'off') return null;
+    const threshold = Number(value);
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+        throw new UsageError('fail-on-risk must be a number from 0 to 100, or "off".');
+    }
+    return threshold;
+};
+
+const parseChainId = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const chainId = Number(value);
+    if (!Number.isInteger(chainId) || chainId < 1) throw new UsageError('chain-id must be a positive integer.');
+    return chainId;
+};
+
+/**
+ * @param {object} options - Parsed global options (apiUrl, apiKey, chainId, failOnRisk, config).
+ * @param {object} [env=process.env]
+ * @returns {{apiUrl: string, socketUrl: string, apiKey: string|null, chainId: number|null, failOnRisk: number|null}}
+ * @throws {UsageError}
+ */
+function loadConfig(options = {}, env = process.env) {
+    const explicitPath = options.config || env.MEVSHIELD_CONFIG;
+    const file = readConfigFile(explicitPath || DEFAULT_CONFIG_PATH, Boolean(explicitPath));
+    const pick = (option, variable, key) => options[option] ?? (env[variable] || undefined) ?? file[key];
+
+    const apiUrl = String(pick('apiUrl', 'MEVSHIELD_API_URL', 'apiUrl') || DEFAULT_API_URL).replace(/\/+$/, '');
+    let parsed;
+    try {
+        parsed = new URL(apiUrl);
+    } catch (err) {
+        throw new UsageError(`API URL ${apiUrl} is not a valid URL.`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new UsageError('API URL must be http(s).');
+
+    return {
+        apiUrl,
+        socketUrl: apiUrl.replace(/\/api$/, ''),
+        apiKey: pick('apiKey', 'MEVSHIELD_API_KEY', 'apiKey') || null,
+        chainId: parseChainId(pick('chainId', 'MEVSHIELD_CHAIN_ID', 'chainId')),
+        failOnRisk: parseFailOnRisk(pick('failOnRisk', 'MEVSHIELD_FAIL_ON_RISK', 'failOnRisk')),
+    };
+}
+
+module.exports = {
+    DEFAULT_API_URL,
+    DEFAULT_CONFIG_PATH,
+    DEFAULT_FAIL_ON_RISK,
+    loadConfig,
+};
@@ -0,0 +1,40 @@
+// --- Exit Codes & CLI Errors ---
+//
+// Scripts gate on the exit code: HIGH_RISK when a risk score reaches
+// --fail-on-risk (or a protected trade is blocked by its simulation),
+// TRADE_FAILED when a trade is rejected by every relay or a followed trade
+// ends failed, dropped or expired.
+
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    HIGH_RISK: 3,
+    TRADE_FAILED: 4,
+};
+
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+        this.exitCode = EXIT_CODES.USAGE;
+    }
+}
+
+/**
+ * @param {number} score - 0-100.
+ * @param {number|null} threshold - From config.failOnRisk; null never fails.
+ * @param {string} subject - What was scored, for the message on stderr.
+ * @returns {number} - HIGH_RISK when score reaches the threshold, otherwise OK.
+ */
+function gateOnRisk(score, threshold, subject) {
+    if (threshold === null || score < threshold) return EXIT_CODES.OK;
+    console.error(`${subject} scored ${score}/100, at or above the fail-on-risk threshold of ${threshold}.`);
+    return EXIT_CODES.HIGH_RISK;
+}
+
+module.exports = {
+    EXIT_CODES,
+    UsageError,
+    gateOnRisk,
+};
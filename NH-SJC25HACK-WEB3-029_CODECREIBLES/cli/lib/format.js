@@ -0,0 +1,76 @@
+// --- Terminal Output ---
+//
+// Human-readable tables and label/value blocks for the default output;
+// --json prints the server's data instead. Colors are used only on a TTY
+// and never when NO_COLOR is set.
+
+// Same bands as the server's attack stats
+const RISK_BANDS = [
+    { band: 'low', max: 39, color: 32 },
+    { band: 'medium', max: 69, color: 33 },
+    { band: 'high', max: 89, color: 35 },
+    { band: 'critical', max: 100, color: 31 },
+];
+
+const useColor = () => Boolean(process.stdout.isTTY) && !process.env.NO_COLOR;
+
+const paint = (text, code) => (useColor() ? `\u001b[${code}m${text}\u001b[0m` : text);
+
+const riskScoreOf = value => parseInt(value, 10) || 0;
+
+const riskBand = value => RISK_BANDS.find(({ max }) => riskScoreOf(value) <= max) || RISK_BANDS[RISK_BANDS.length - 1];
+
+/**
+ * "85/100 (high)", colored by band.
+ * @param {string|number} value - A score or a "85/100" string.
+ */
+const formatRisk = (value) => {
+    const band = riskBand(value);
+    return paint(`${riskScoreOf(value)}/100 (${band.band})`, band.color);
+};
+
+const shortHash = value => (value && value.length > 14 ? `${value.slice(0, 8)}...${value.slice(-4)}` : value || '—');
+
+const display = value => (value === undefined || value === null || value === '' ? 'n/a' : String(value));
+
+// Width without ANSI color codes
+const visibleLength = text => text.replace(/\u001b\[\d+m/g, '').length;
+
+/**
+ * Aligned "Label: value" lines; pairs with an undefined value are skipped.
+ * @param {Array<[string, *]>} pairs
+ * @returns {string}
+ */
+function keyValues(pairs) {
+    const shown = pairs.filter(([, value]) => value !== undefined);
+    const width = Math.max(0, ...shown.map(([label]) => label.length)) + 1;
+    return shown.map(([label, value]) => `${`${label}:`.padEnd(width)}  ${display(value)}`).join('\n');
+}
+
+/**
+ * @param {object[]} rows
+ * @param {Array<{header: string, value: function(object): *}>} columns
+ * @returns {string}
+ */
+function table(rows, columns) {
+    const cells = rows.map(row => columns.map(column => display(column.value(row))));
+    const widths = columns.map((column, i) => Math.max(column.header.length, ...cells.map(cell => visibleLength(cell[i]))));
+    const line = values => values.map((value, i) => value + ' '.repeat(widths[i] - visibleLength(value))).join('  ').trimEnd();
+    return [
+        line(columns.map(column => column.header)),
+        line(widths.map(width => '-'.repeat(width))),
+        ...cells.map(line),
+    ].join('\n');
+}
+
+const printJson = value => console.log(JSON.stringify(value, null, 2));
+
+module.exports = {
+    riskScoreOf,
+    riskBand,
+    formatRisk,
+    shortHash,
+    keyValues,
+    table,
+    printJson,
+};
@@ -0,0 +1,40 @@
+const { io } = require('socket.io-client');
+const { ApiError } = require('./api');
+
+// --- Socket.io Connection ---
+//
+// The live feed and trade status updates come over the server's Socket.io
+// endpoint. The first connection must succeed within the timeout; after
+// that socket.io-client reconnects on its own.
+
+const DEFAULT_CONNECT_TIMEOUT_MS = 10000;
+
+/**
+ * @param {string} socketUrl - The server's origin (see config.socketUrl).
+ * @param {object} [options]
+ * @param {object|function} [options.auth] - Handshake payload, e.g. { feed: filters }.
+ * @param {number} [options.timeoutMs=10000]
+ * @returns {Promise<object>} - The connected socket.
+ * @throws {ApiError} - The server could not be reached.
+ */
+function connectSocket(socketUrl, { auth, timeoutMs = DEFAULT_CONNECT_TIMEOUT_MS } = {}) {
+    return new Promise((resolve, reject) => {
+        const socket = io(socketUrl, { auth, timeout: timeoutMs });
+        let timer;
+        const fail = (err) => {
+            clearTimeout(timer);
+            socket.off('connect');
+            socket.close();
+            reject(new ApiError(`Could not connect to the live feed at ${socketUrl}: ${err.message}`));
+        };
+        timer = setTimeout(() => fail(new Error(`no connection after ${timeoutMs / 1000}s`)), timeoutMs);
+        socket.once('connect_error', fail);
+        socket.once('connect', () => {
+            clearTimeout(timer);
+            socket.off('connect_error', fail);
+            resolve(socket);
+        });
+    });
+}
+
+module.exports = { connectSocket };
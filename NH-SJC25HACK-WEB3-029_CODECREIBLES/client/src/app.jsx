@@ -1,54 +1,198 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import io from 'socket.io-client';
-import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend } from 'chart.js';
+import { Chart as ChartJS, CategoryScale, LinearScale, BarElement, LineController, LineElement, PointElement, Title, Tooltip, Legend } from 'chart.js';
 import { Bar } from 'react-chartjs-2';
 import './App.css'; 
 
 // Register Chart.js components
-ChartJS.register(CategoryScale, LinearScale, BarElement, Title, Tooltip, Legend);
+ChartJS.register(CategoryScale, LinearScale, BarElement, LineController, LineElement, PointElement, Title, Tooltip, Legend);
 
-const socket = io('http://localhost:3001');
 const API_BASE_URL = '/api'; // Use proxy in vite.config.js
+const TERMINAL_TRADE_STATUSES = ['included', 'failed', 'dropped', 'expired'];
+const FEED_ATTACK_TYPES = ['Sandwich Attack', 'Front-Run', 'Back-Run', 'Arbitrage Exploitation', 'Liquidation Attack'];
+const FEED_SIZE = 20;
+const EMPTY_FEED_FORM = { types: [], minRiskScore: '', minValueEth: '', address: '' };
+const FEED_SORTS = { newest: 'Newest first', risk: 'Highest risk', value: 'Highest value' };
+const FEED_PAGE_SIZE = 50;
+const FEED_ROW_HEIGHT = 76;
+const FEED_VIEWPORT_HEIGHT = 350;
+const FEED_OVERSCAN = 5;
+const FEED_TIMELINE_POINTS = 60;
+const EMPTY_FEED_HISTORY = { offset: 0, maxId: null, hasMore: true, loading: false, generation: 0 };
+// Live events never grow the feed past this many rows, or past what was scrolled to
+const MAX_FEED_WINDOW = 1000;
 
-const AttackStatsChart = ({ chartData }) => {
-  if (!chartData) return <p>Loading attack statistics...</p>;
+// Same bands as the server's attack stats
+const RISK_BANDS = [
+  { band: 'low', max: 39, color: '#4caf50' },
+  { band: 'medium', max: 69, color: '#ffc107' },
+  { band: 'high', max: 89, color: '#ff9800' },
+  { band: 'critical', max: 100, color: '#f44336' },
+];
+// Where a recorded attack came from, for the detail view
+const ATTACK_SOURCES = {
+  mempool: 'detected in the mempool',
+  synthetic: 'synthetic (attack generator)',
+  local: 'local simulation',
+};
+
+const riskBand = (riskScore) => RISK_BANDS.find(({ max }) => (parseInt(riskScore, 10) || 0) <= max) || RISK_BANDS[RISK_BANDS.length - 1];
+
+// Client-side order for the merged live + history list, matching /api/attacks?sort=
+const FEED_COMPARATORS = {
+  newest: (a, b) => b.id - a.id,
+  risk: (a, b) => (parseInt(b.riskScore, 10) || 0) - (parseInt(a.riskScore, 10) || 0) || b.id - a.id,
+  value: (a, b) => Number(b.valueWei ?? -1) - Number(a.valueWei ?? -1) || b.id - a.id,
+};
+
+// Merges incoming attacks into the sorted list by id without re-sorting it,
+// then drops rows past `limit` from the tail
+const mergeAttacks = (list, incoming, sort, limit = Infinity) => {
+  const compare = FEED_COMPARATORS[sort];
+  const ids = new Set(incoming.map(attack => attack.id));
+  const rest = list.some(attack => ids.has(attack.id)) ? list.filter(attack => !ids.has(attack.id)) : list;
+  const merged = [];
+  let i = 0;
+  for (const attack of [...incoming].sort(compare)) {
+    while (i < rest.length && compare(rest[i], attack) < 0) merged.push(rest[i++]);
+    merged.push(attack);
+  }
+  while (i < rest.length && merged.length < limit) merged.push(rest[i++]);
+  return merged.length > limit ? merged.slice(0, limit) : merged;
+};
+
+// Row limit for live inserts: the history the user scrolled through stays loaded
+const feedWindowLimit = history => Math.max(MAX_FEED_WINDOW, history.offset + FEED_PAGE_SIZE);
+
+// The fields /api/attacks searches with ?q=, for events that arrive live
+const matchesFeedSearch = (attack, search) => {
+  if (!search) return true;
+  const needle = search.toLowerCase();
+  return [attack.transaction, attack.method, attack.attacker, attack.victim, attack.pool, attack.rationale, ...Object.values(attack.txHashes || {}).flat()]
+    .some(field => field && String(field).toLowerCase().includes(needle));
+};
+
+// Hash routes: #/attacks/:id is an attack's detail view, anything else the dashboard
+const parseRoute = (hash) => {
+  const match = /^#\/attacks\/(\d+)$/.exec(hash);
+  return match ? { view: 'attack', id: Number(match[1]) } : { view: 'dashboard' };
+};
+const openAttack = (id) => { window.location.hash = `#/attacks/${id}`; };
+
+// Current feed subscription. It's sent with every (re)connect handshake, so the
+// server replays only what this client missed since the last event it saw.
+const feedState = { filters: {}, lastSeenId: null };
+
+const socket = io('http://localhost:3001', {
+  auth: (cb) => cb({ feed: { ...feedState.filters, limit: FEED_SIZE, sinceId: feedState.lastSeenId ?? undefined } }),
+});
+const SESSION_STORAGE_KEY = 'mevshield.session';
+const CHAIN_STORAGE_KEY = 'mevshield.chainId';
+
+// EIP-4361 message for the server's /api/auth/verify
+const buildSiweMessage = ({ address, chainId, nonce }) => [
+  `${window.location.host} wants you to sign in with your Ethereum account:`,
+  address,
+  '',
+  'Sign in to MEV-Shield to protect trades and keep your watchlist.',
+  '',
+  `URI: ${window.location.origin}`,
+  'Version: 1',
+  `Chain ID: ${chainId}`,
+  `Nonce: ${nonce}`,
+  `Issued At: ${new Date().toISOString()}`,
+].join('\n');
+
+// personal_sign expects the message as hex-encoded UTF-8
+const toHexUtf8 = (text) => `0x${Array.from(new TextEncoder().encode(text), byte => byte.toString(16).padStart(2, '0')).join('')}`;
+
+// fetch with the SIWE session token, when signed in
+const authFetch = (session, url, options = {}) => fetch(url, {
+  ...options,
+  headers: { ...options.headers, ...(session ? { Authorization: `Bearer ${session.token}` } : {}) },
+});
+
+const loadStoredSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+    return session && new Date(session.expiresAt) > new Date() ? session : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Range presets for the stats chart, in ms before now
+const STATS_RANGES = {
+  '24h': 24 * 3600 * 1000,
+  '7d': 7 * 86400 * 1000,
+  '30d': 30 * 86400 * 1000,
+  '90d': 90 * 86400 * 1000,
+  '1y': 365 * 86400 * 1000,
+};
+const STATS_GRANULARITIES = ['hour', 'day', 'week', 'month'];
+
+const AttackStatsChart = ({ chartData, error, query, onQueryChange }) => {
+  const symbol = chartData ? chartData.nativeToken : 'ETH';
+  const controls = (
+    <div className="stats-controls">
+      <label>
+        Range{' '}
+        <select value={query.range} onChange={(e) => onQueryChange({ ...query, range: e.target.value })}>
+          {Object.keys(STATS_RANGES).map(range => <option key={range} value={range}>{range}</option>)}
+        </select>
+      </label>
+      <label>
+        Granularity{' '}
+        <select value={query.granularity} onChange={(e) => onQueryChange({ ...query, granularity: e.target.value })}>
+          {STATS_GRANULARITIES.map(granularity => <option key={granularity} value={granularity}>{granularity}</option>)}
+        </select>
+      </label>
+    </div>
+  );
+
+  if (!chartData) {
+    return (
+      <div className="card full-width chart-card">
+        <h2>Attack Statistics (MEV Loss)</h2>
+        {controls}
+        <p>{error || 'Loading attack statistics...'}</p>
+      </div>
+    );
+  }
 
   const data = {
     labels: chartData.data.labels,
-    datasets: Object.entries(chartData.data.types).map(([type, counts], index) => ({
-      label: type,
-      data: counts,
-      backgroundColor: `hsl(${index * 90}, 70%, 50%)`, // Different color for each type
-      stack: 'Stack 1',
-    })),
+    datasets: [
+      ...Object.entries(chartData.data.types).map(([type, counts], index) => ({
+        type: 'bar',
+        label: type,
+        data: counts,
+        backgroundColor: `hsl(${index * 90}, 70%, 50%)`, // Different color for each type
+        stack: 'Stack 1',
+        yAxisID: 'y',
+      })),
+      {
+        type: 'line',
+        label: `Total Loss (${symbol})`,
+        data: chartData.data.totalValue,
+        borderColor: '#ff5252',
+        backgroundColor: '#ff5252',
+        yAxisID: 'loss',
+      },
+    ],
   };
 
   const options = {
     responsive: true,
     maintainAspectRatio: false, // Allows the chart to fill the container size
     scales: {
-      x: { stacked: true, title: { display: true, text: 'Year' } },
-      y: { stacked: true, title: { display: true, text: 'Attacks (Thousands)' } },
+      x: { stacked: true, title: { display: true, text: chartData.granularity } },
+      y: { stacked: true, beginAtZero: true, title: { display: true, text: 'Attacks' }, ticks: { precision: 0 } },
+      loss: { position: 'right', beginAtZero: true, title: { display: true, text: `Loss (${symbol})` }, grid: { drawOnChartArea: false } },
     },
     plugins: {
       title: { display: true, text: chartData.title },
       tooltip: {
-        callbacks: {
-          title: (context) => {
-             const yearIndex = context[0].dataIndex;
-             // Find all types in this year
-             const types = context.map(item => `${item.dataset.label}: ${item.formattedValue}K`);
-             return [
-                 context[0].label,
-                 ...types,
-                 `Total Estimated Loss: ${chartData.data.totalLossUSD[yearIndex]}`
-             ];
-          },
-          label: (context) => {
-            // Return empty string here to let the custom title handle all info
-            return '';
-          }
-        },
         mode: 'index',
         intersect: false,
       },
@@ -61,7 +205,11 @@ const AttackStatsChart = ({ chartData }) => {
   return (
     <div className="card full-width chart-card">
         <h2>Attack Statistics (MEV Loss)</h2>
-        <p className="card-subtitle">Showing estimated number of attacks by type and total estimated loss per year (Source: Simulated Data/Research Aggregation).</p>
+        <p className="card-subtitle">
+          {chartData.totals.count} recorded attacks, {chartData.totals.value} {symbol} at risk between {new Date(chartData.from).toLocaleDateString()} and {new Date(chartData.to).toLocaleDateString()}.
+          {' '}By risk: {chartData.byRiskBand.map(band => `${band.band} ${band.count}`).join(', ')}.
+        </p>
+        {controls}
         <div style={{ flexGrow: 1 }}>
             <Bar data={data} options={options} />
         </div>
@@ -69,118 +217,1244 @@ const AttackStatsChart = ({ chartData }) => {
   );
 };
 
+const WATCH_RULE_OPTIONS = [
+  ['anyTx', 'Any tx'],
+  ['approvals', 'Approvals'],
+  ['mevVictim', 'MEV victim'],
+  ['mevAttacker', 'MEV attacker'],
+];
+const EMPTY_WATCH_FORM = { address: '', label: '', valueAbove: '', anyTx: false, approvals: true, mevVictim: true, mevAttacker: true };
+const RECENT_WATCH_HITS = 5;
+
+const Watchlist = ({ session, chain }) => {
+  const [entries, setEntries] = useState([]);
+  const [form, setForm] = useState(EMPTY_WATCH_FORM);
+  const [error, setError] = useState(null);
+
+  // Watchlists are per user and per chain: reload whenever either changes
+  useEffect(() => {
+    setEntries([]);
+    if (!session || !chain) return;
+    authFetch(session, `${API_BASE_URL}/watchlist?chainId=${chain.chainId}`)
+      .then(res => res.json())
+      .then(data => data.success && setEntries(data.entries))
+      .catch(err => console.error('Error fetching watchlist:', err));
+  }, [session, chain]);
+
+  useEffect(() => {
+    // Prepend live hits to the matching entry
+    socket.on('watchlist_alert', (alert) => {
+      setEntries(prev => prev.map(entry => (entry.id !== alert.watchlistId ? entry : {
+        ...entry,
+        recentHits: [alert, ...entry.recentHits].slice(0, RECENT_WATCH_HITS),
+      })));
+    });
+    return () => socket.off('watchlist_alert');
+  }, []);
+
+  const addEntry = async () => {
+    setError(null);
+    const { address, label, valueAbove, ...flags } = form;
+    try {
+      const res = await authFetch(session, `${API_BASE_URL}/watchlist`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ address: address.trim(), label, chainId: chain.chainId, rules: { ...flags, valueAbove: valueAbove || null } }),
+      });
+      const data = await res.json();
+      if (!data.success) return setError(data.message);
+      setEntries(prev => [...prev, data.entry]);
+      setForm(EMPTY_WATCH_FORM);
+    } catch (err) {
+      setError('Could not reach the server.');
+    }
+  };
+
+  const removeEntry = async (id) => {
+    const res = await authFetch(session, `${API_BASE_URL}/watchlist/${id}`, { method: 'DELETE' });
+    if (res.ok) setEntries(prev => prev.filter(entry => entry.id !== id));
+  };
+
+  return (
+    <div className="card">
+      <h2>My Watchlist</h2>
+      <p className="card-subtitle">Track important contracts/whales for activity{chain ? ` on ${chain.name}` : ''}.</p>
+      {!session && <p className="attack-detail">Connect your wallet to keep a watchlist.</p>}
+      <ul>
+        {entries.map(entry => (
+          <li key={entry.id} className="watch-entry">
+            <div className="watch-entry-header">
+              <span>{entry.label} ({entry.address.slice(0, 6)}...{entry.address.slice(-4)})</span>
+              <button className="remove-btn" onClick={() => removeEntry(entry.id)}>Remove</button>
+            </div>
+            {entry.recentHits.length === 0
+              ? <p className="attack-detail">No activity yet.</p>
+              : entry.recentHits.map(hit => (
+                <p key={hit.id} className="attack-detail">
+                  <span className="watch-rule">{hit.rule.replace('_', ' ')}</span> {hit.detail} · {new Date(hit.createdAt).toLocaleTimeString()}
+                </p>
+              ))}
+          </li>
+        ))}
+      </ul>
+      <input type="text" placeholder="Address to watch (0x...)" value={form.address} onChange={(e) => setForm({ ...form, address: e.target.value })} />
+      <input type="text" placeholder="Label (optional)" value={form.label} onChange={(e) => setForm({ ...form, label: e.target.value })} />
+      <input type="text" placeholder={`Alert on value above (${chain ? chain.nativeToken.symbol : 'ETH'}, optional)`} value={form.valueAbove} onChange={(e) => setForm({ ...form, valueAbove: e.target.value })} />
+      <div className="watch-rules">
+        {WATCH_RULE_OPTIONS.map(([key, label]) => (
+          <label key={key}>
+            <input type="checkbox" checked={form[key]} onChange={(e) => setForm({ ...form, [key]: e.target.checked })} /> {label}
+          </label>
+        ))}
+      </div>
+      {error && <p className="submit-error">{error}</p>}
+      <button className="add-btn" onClick={addEntry} disabled={!session || !chain || !form.address}>Add</button>
+    </div>
+  );
+};
+
+
+const TRADE_STATUS_OPTIONS = ['submitted', 'forwarded', 'pending', 'included', 'failed', 'dropped', 'expired'];
+const TRADE_COLUMNS = [
+  ['submittedAt', 'Submitted'],
+  ['status', 'Status'],
+  [null, 'Tx'],
+  [null, 'To'],
+  ['value', 'Value (ETH)'],
+  ['nonce', 'Nonce'],
+  ['blockNumber', 'Block'],
+  [null, 'Relays'],
+];
+const EMPTY_TRADE_FILTERS = { status: '', from: '', to: '', sender: '', relay: '' };
+const TRADES_PAGE_SIZE = 10;
+
+const shortAddress = (value) => (value ? `${value.slice(0, 6)}...${value.slice(-4)}` : '—');
+
+const tradeQueryParams = ({ sort, order, filters }, extra = {}) => {
+  const params = new URLSearchParams({ sort, order, ...extra });
+  if (filters.status) params.set('status', filters.status);
+  // Date inputs are local days; the range covers both whole days
+  if (filters.from) params.set('from', new Date(`${filters.from}T00:00:00`).toISOString());
+  if (filters.to) params.set('to', new Date(`${filters.to}T23:59:59.999`).toISOString());
+  if (filters.sender.trim()) params.set('sender', filters.sender.trim());
+  if (filters.relay.trim()) params.set('relay', filters.relay.trim());
+  return params;
+};
+
+const ProtectedTrades = ({ session, refreshKey }) => {
+  const [filters, setFilters] = useState(EMPTY_TRADE_FILTERS);
+  // The filters in the form apply (to the list and exports) once submitted
+  const [query, setQuery] = useState({ sort: 'submittedAt', order: 'desc', page: 1, filters: EMPTY_TRADE_FILTERS });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [selected, setSelected] = useState(null);
+
+  useEffect(() => {
+    setResult(null);
+    setSelected(null);
+    if (!session) return;
+    const params = tradeQueryParams(query, { page: query.page, pageSize: TRADES_PAGE_SIZE });
+    authFetch(session, `${API_BASE_URL}/protected-trades?${params}`)
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          setResult(data);
+          setError(null);
+        } else {
+          setError(data.message);
+        }
+      })
+      .catch(err => console.error('Error fetching protected trades:', err));
+  }, [session, query, refreshKey]);
+
+  // Live status changes for rows on this page
+  useEffect(() => {
+    const handleStatus = (event) => {
+      setResult(prev => prev && {
+        ...prev,
+        trades: prev.trades.map(trade => (trade.id !== event.tradeId ? trade : {
+          ...trade,
+          status: event.status,
+          blockNumber: event.blockNumber ?? trade.blockNumber,
+        })),
+      });
+    };
+    socket.on('trade_status', handleStatus);
+    return () => socket.off('trade_status', handleStatus);
+  }, []);
+
+  const applyFilters = () => setQuery(prev => ({ ...prev, filters, page: 1 }));
+
+  const toggleSort = (field) => setQuery(prev => ({
+    ...prev,
+    sort: field,
+    order: prev.sort === field && prev.order === 'desc' ? 'asc' : 'desc',
+    page: 1,
+  }));
+
+  const openDetail = async (id) => {
+    if (selected && selected.id === id) return setSelected(null);
+    const res = await authFetch(session, `${API_BASE_URL}/protected-trades/${id}`);
+    const data = await res.json();
+    if (data.success) setSelected(data.trade);
+    else setError(data.message);
+  };
+
+  // Exports need the session header, so they're fetched and saved as a blob
+  const downloadExport = async (format) => {
+    try {
+      const res = await authFetch(session, `${API_BASE_URL}/protected-trades/export.${format}?${tradeQueryParams(query)}`);
+      if (!res.ok) return setError((await res.json()).message);
+      const url = URL.createObjectURL(await res.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `protected-trades.${format}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError('Could not export trades.');
+    }
+  };
+
+  if (!session) {
+    return (
+      <div className="card full-width">
+        <h2>My Protected Trades</h2>
+        <p className="attack-detail">Connect your wallet to see the trades you submitted.</p>
+      </div>
+    );
+  }
+
+  const { pagination } = result || {};
+  return (
+    <div className="card full-width">
+      <h2>My Protected Trades</h2>
+      <div className="stats-controls trade-filters">
+        <select value={filters.status} onChange={(e) => setFilters({ ...filters, status: e.target.value })}>
+          <option value="">All statuses</option>
+          {TRADE_STATUS_OPTIONS.map(status => <option key={status} value={status}>{status}</option>)}
+        </select>
+        <label>From <input type="date" value={filters.from} onChange={(e) => setFilters({ ...filters, from: e.target.value })} /></label>
+        <label>To <input type="date" value={filters.to} onChange={(e) => setFilters({ ...filters, to: e.target.value })} /></label>
+        <input type="text" placeholder="Sender (0x...)" value={filters.sender} onChange={(e) => setFilters({ ...filters, sender: e.target.value })} />
+        <input type="text" placeholder="Relay name" value={filters.relay} onChange={(e) => setFilters({ ...filters, relay: e.target.value })} />
+        <button onClick={applyFilters}>Apply</button>
+        <button onClick={() => downloadExport('csv')}>Export CSV</button>
+        <button onClick={() => downloadExport('json')}>Export JSON</button>
+      </div>
+      {error && <p className="submit-error">{error}</p>}
+      {!result ? <p>Loading trades...</p> : (
+        <>
+          <table className="trades-table">
+            <thead>
+              <tr>
+                {TRADE_COLUMNS.map(([field, label]) => (
+                  <th key={label} className={field ? 'sortable' : undefined} onClick={field ? () => toggleSort(field) : undefined}>
+                    {label}{query.sort === field ? (query.order === 'asc' ? ' ▲' : ' ▼') : ''}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {result.trades.length === 0 && (
+                <tr><td colSpan={TRADE_COLUMNS.length}>No protected trades match these filters.</td></tr>
+              )}
+              {result.trades.map(trade => (
+                <tr key={trade.id} className={selected && selected.id === trade.id ? 'selected' : undefined} onClick={() => openDetail(trade.id)}>
+                  <td>{new Date(trade.submittedAt).toLocaleString()}</td>
+                  <td><span className={`trade-status trade-status-${trade.status}`}>{trade.status}</span></td>
+                  <td>{trade.txHash ? `${trade.txHash.slice(0, 10)}...` : '—'}</td>
+                  <td>{shortAddress(trade.to)}</td>
+                  <td>{trade.valueEth ?? '—'}</td>
+                  <td>{trade.nonce ?? '—'}</td>
+                  <td>{trade.blockNumber ?? '—'}</td>
+                  <td>{trade.relaysTotal ? `${trade.relaysAccepted}/${trade.relaysTotal}` : 'simulated'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div className="pagination">
+            <button disabled={pagination.page <= 1} onClick={() => setQuery(prev => ({ ...prev, page: prev.page - 1 }))}>Prev</button>
+            <span>Page {pagination.page} of {Math.max(1, pagination.totalPages)} · {pagination.total} trades</span>
+            <button disabled={pagination.page >= pagination.totalPages} onClick={() => setQuery(prev => ({ ...prev, page: prev.page + 1 }))}>Next</button>
+          </div>
+        </>
+      )}
+      {selected && (
+        <div className="trade-detail">
+          <h3>Trade #{selected.id} <span className={`trade-status trade-status-${selected.status}`}>{selected.status}</span></h3>
+          {selected.transaction ? (
+            <div className="trade-detail-grid">
+              <p><strong>Hash:</strong> {selected.transaction.hash}</p>
+              <p><strong>From:</strong> {selected.transaction.from}</p>
+              <p><strong>To:</strong> {selected.transaction.to || '(contract creation)'}</p>
+              <p><strong>Value:</strong> {selected.valueEth} ETH</p>
+              <p><strong>Type:</strong> {selected.transaction.typeName} · <strong>Chain:</strong> {selected.transaction.chainId} · <strong>Nonce:</strong> {selected.transaction.nonce}</p>
+              <p><strong>Gas limit:</strong> {selected.transaction.gasLimit}{selected.gasUsed ? ` (used ${selected.gasUsed})` : ''}</p>
+              <p><strong>Fees:</strong> {selected.transaction.maxFeePerGas
+                ? `max ${selected.transaction.maxFeePerGas} / priority ${selected.transaction.maxPriorityFeePerGas} wei`
+                : `${selected.transaction.gasPrice} wei`}</p>
+              <p className="attack-detail">Data: {selected.transaction.data.length > 74 ? `${selected.transaction.data.slice(0, 74)}...` : selected.transaction.data}</p>
+            </div>
+          ) : (
+            <p className="attack-detail">Stored transaction could not be decoded: {selected.decodeError}</p>
+          )}
+          <h3>Status History</h3>
+          <p className="attack-detail">
+            {selected.history.map(h => `${h.status} @ ${new Date(h.changedAt).toLocaleString()}${h.detail ? ` (${h.detail})` : ''}`).join(' → ')}
+          </p>
+          {selected.relays.length > 0 && (
+            <>
+              <h3>Relay Responses</h3>
+              {selected.relays.map((relay, index) => (
+                <p key={index} className="attack-detail">
+                  {relay.relay} ({relay.type}): {relay.accepted ? 'accepted' : `rejected${relay.error ? ` — ${relay.error}` : ''}`} in {relay.latencyMs} ms
+                </p>
+              ))}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+
+// --- Safer-Trade Advice ---
+
+const TradeAdvice = ({ advice }) => {
+  const [copied, setCopied] = useState(null);
+
+  const copyTemplate = (id, template) => {
+    navigator.clipboard.writeText(JSON.stringify(template, null, 2))
+      .then(() => setCopied(id))
+      .catch(err => console.error('Error copying transaction template:', err));
+  };
+
+  const riskClass = (score) => (score > 60 ? 'risk-high' : 'risk-low');
+  const { original } = advice;
+
+  return (
+    <div className="trade-advice">
+      <h3>Safer Options</h3>
+      <table className="advice-table">
+        <thead>
+          <tr>
+            <th>Option</th>
+            <th>Residual risk</th>
+            <th>Savings ({original.tokenOut})</th>
+            <th>Template</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td>Original ({original.slippageTolerance}% slippage)</td>
+            <td className={riskClass(original.riskScore)}>{original.riskScore}/100</td>
+            <td>—</td>
+            <td>—</td>
+          </tr>
+          {advice.options.map(option => {
+            const templates = option.templates || (option.template ? [option.template] : []);
+            return (
+              <tr key={option.id} className={option.recommended ? 'advice-recommended' : ''}>
+                <td>
+                  {option.title}{option.recommended ? ' ★' : ''}
+                  <div className="attack-detail">{option.note}</div>
+                </td>
+                <td className={riskClass(option.residualRiskScore)}>{option.residualRiskScore}/100</td>
+                <td>{option.expectedSavings > 0 ? `+${option.expectedSavings}` : option.expectedSavings}</td>
+                <td>
+                  {templates.length ? (
+                    <button onClick={() => copyTemplate(option.id, option.templates || option.template)}>
+                      {copied === option.id ? 'Copied' : `Copy ${templates.length > 1 ? `${templates.length} txs` : 'tx'}`}
+                    </button>
+                  ) : '—'}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {advice.templateReason && <p className="attack-detail">{advice.templateReason}</p>}
+    </div>
+  );
+};
+
+// --- Pre-Submission Simulation ---
+
+const TradeSimulation = ({ simulation }) => {
+  if (simulation.error) {
+    return <p className="attack-detail">Simulation could not run: {simulation.error}</p>;
+  }
+  return (
+    <div className="trade-simulation">
+      <h3>Simulation ({simulation.method}, block {simulation.blockNumber})</h3>
+      <p>
+        <strong>Result:</strong>{' '}
+        <span className={simulation.passed ? 'risk-low' : 'risk-high'}>
+          {simulation.success ? (simulation.passed ? 'succeeds' : 'succeeds, but a balance guard fails') : `reverts: ${simulation.revertReason}`}
+        </span>
+      </p>
+      <p className="attack-detail">Gas used {simulation.gasUsed ?? 'n/a'} of {simulation.gasLimit}</p>
+      {simulation.balanceChanges && (
+        <ul className="balance-changes">
+          {simulation.balanceChanges.length === 0 && <li className="attack-detail">No balance changes.</li>}
+          {simulation.balanceChanges.map(change => (
+            <li key={change.token || 'native'} className={change.delta.startsWith('-') ? 'loss' : 'profit'}>
+              {change.delta.startsWith('-') ? '' : '+'}{change.formatted} {change.symbol}
+            </li>
+          ))}
+        </ul>
+      )}
+      {simulation.guards.map(guard => (
+        <p key={guard.token || 'native'} className="attack-detail">
+          Guard {guard.symbol} ≥ {guard.min}: {guard.passed === null ? 'unknown' : guard.passed ? 'ok' : `failed (${guard.actual})`}
+        </p>
+      ))}
+      {simulation.touchedContracts.length > 0 && (
+        <p className="attack-detail">Touches {simulation.touchedContracts.map(shortAddress).join(', ')}</p>
+      )}
+      {simulation.warnings.map(warning => <p key={warning} className="attack-detail">{warning}</p>)}
+    </div>
+  );
+};
+
+// --- Sandwich Forensics ---
+
+const TIMELINE_ROLE_CLASS = { 'front-run': 'risk-high', victim: 'risk-low', 'back-run': 'risk-high' };
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+const SandwichForensics = ({ chain, initialQuery = '' }) => {
+  const [query, setQuery] = useState(initialQuery);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  // A 32-byte hash is a transaction, anything else a block number (or "latest")
+  const analyze = useCallback(async (target) => {
+    const value = target.trim();
+    const path = TX_HASH_PATTERN.test(value) ? `tx/${value}` : `block/${encodeURIComponent(value)}`;
+    setLoading(true);
+    setError(null);
+    try {
+      const params = chain ? `?chainId=${chain.chainId}` : '';
+      const res = await fetch(`${API_BASE_URL}/forensics/${path}${params}`);
+      const data = await res.json();
+      if (data.success) {
+        setResult(data);
+      } else {
+        setResult(null);
+        setError(data.message);
+      }
+    } catch (err) {
+      setError('Could not reach the server.');
+    } finally {
+      setLoading(false);
+    }
+  }, [chain]);
+
+  // Opened from an attack's detail view: analyze its transaction straight away
+  // (and again on the chain picked, if that changes)
+  useEffect(() => {
+    if (!initialQuery) return;
+    setQuery(initialQuery);
+    analyze(initialQuery);
+  }, [initialQuery, analyze]);
+
+  return (
+    <div className="card">
+      <h2>Sandwich Forensics</h2>
+      <p className="card-subtitle">Check a mined transaction (or a whole block) for sandwich attacks{chain ? ` on ${chain.name}` : ''}.</p>
+      <input type="text" placeholder="Transaction hash or block number" value={query} onChange={(e) => setQuery(e.target.value)} />
+      <button className="refresh-btn" onClick={() => analyze(query)} disabled={!query.trim() || loading}>
+        {loading ? 'Reading Block...' : 'Analyze'}
+      </button>
+      {error && <p className="submit-error">{error}</p>}
+      {result && (
+        <div className="forensics-results">
+          <p className="attack-detail">
+            Block {result.blockNumber} · {new Date(result.timestamp).toLocaleString()}
+            {result.txHash ? ` · tx ${shortAddress(result.txHash)} at position ${result.transactionIndex}` : ` · ${result.swapCount} swaps in ${result.transactionCount} txs`}
+          </p>
+          {result.txHash && (
+            <p>
+              <strong>Verdict:</strong>{' '}
+              <span className={result.role ? 'risk-high' : 'risk-low'}>
+                {result.role ? `${result.role} in a sandwich` : result.swaps.length ? 'not sandwiched' : 'no pool swaps in this transaction'}
+              </span>
+            </p>
+          )}
+          {!result.txHash && result.sandwiches.length === 0 && <p>No sandwiches in this block.</p>}
+          {result.sandwiches.map(sandwich => (
+            <div key={`${sandwich.frontRunTx}-${sandwich.pool}`} className="forensics-sandwich">
+              <p>
+                <strong>{sandwich.tokens.token0.symbol}/{sandwich.tokens.token1.symbol}</strong> ({sandwich.protocol}) · attacker {shortAddress(sandwich.attacker.address)}
+              </p>
+              <ol className="forensics-timeline">
+                {sandwich.timeline.map(step => (
+                  <li key={`${step.txHash}-${step.logIndex}`}>
+                    <span className={TIMELINE_ROLE_CLASS[step.role]}>#{step.transactionIndex} {step.role}</span> {step.summary}
+                    <div className="attack-detail">{shortAddress(step.txHash)} from {shortAddress(step.from)} · gas {step.gasCost}</div>
+                  </li>
+                ))}
+              </ol>
+              <p>
+                <strong>Attacker Profit:</strong>{' '}
+                <span className={sandwich.attackerProfit.amount.startsWith('-') ? 'loss' : 'profit'}>{sandwich.attackerProfit.formatted} {sandwich.attackerProfit.symbol}</span>
+                <span className="attack-detail"> (gas {sandwich.attackerProfit.gasCost})</span>
+              </p>
+              <p>
+                <strong>Victim Loss:</strong>{' '}
+                {sandwich.victimLoss
+                  ? <span className="loss">{sandwich.victimLoss.formatted} {sandwich.victimLoss.symbol}</span>
+                  : <span className="attack-detail">not computable from the pool logs</span>}
+                {sandwich.lossModel && <span className="attack-detail"> ({sandwich.lossModel})</span>}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Risk of the loaded attacks over time, one bar per attack colored by risk band
+const AttackTimeline = ({ attacks }) => {
+  const points = [...attacks]
+    .filter(attack => attack.detectedAt)
+    .sort((a, b) => a.id - b.id)
+    .slice(-FEED_TIMELINE_POINTS);
+  if (points.length < 2) return null;
+
+  const data = {
+    labels: points.map(attack => new Date(attack.detectedAt).toLocaleTimeString()),
+    datasets: [{
+      label: 'Risk',
+      data: points.map(attack => parseInt(attack.riskScore, 10) || 0),
+      backgroundColor: points.map(attack => riskBand(attack.riskScore).color),
+    }],
+  };
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    onClick: (event, elements) => {
+      if (elements.length) openAttack(points[elements[0].index].id);
+    },
+    scales: {
+      x: { display: false },
+      y: { min: 0, max: 100, ticks: { stepSize: 50 } },
+    },
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          title: (items) => `${points[items[0].dataIndex].method} · ${items[0].label}`,
+          label: (item) => `Risk ${item.raw}/100 · ${points[item.dataIndex].value}`,
+        },
+      },
+    },
+  };
+  return (
+    <div className="attack-timeline">
+      <Bar data={data} options={options} />
+    </div>
+  );
+};
+
+// Fixed-height rows, so only the ones in (or near) the viewport are rendered
+const AttackFeedList = ({ attacks, onEndReached }) => {
+  const [scrollTop, setScrollTop] = useState(0);
+  const first = Math.max(0, Math.floor(scrollTop / FEED_ROW_HEIGHT) - FEED_OVERSCAN);
+  const last = Math.min(attacks.length, Math.ceil((scrollTop + FEED_VIEWPORT_HEIGHT) / FEED_ROW_HEIGHT) + FEED_OVERSCAN);
+
+  const handleScroll = (e) => {
+    const { scrollTop: top, scrollHeight, clientHeight } = e.currentTarget;
+    setScrollTop(top);
+    if (scrollHeight - top - clientHeight < FEED_ROW_HEIGHT * FEED_OVERSCAN) onEndReached();
+  };
+
+  return (
+    <div className="attack-list" style={{ height: FEED_VIEWPORT_HEIGHT }} onScroll={handleScroll}>
+      <div style={{ position: 'relative', height: attacks.length * FEED_ROW_HEIGHT }}>
+        {attacks.slice(first, last).map((attack, offset) => (
+          <div
+            key={attack.id}
+            className={`attack-item attack-row${attack.missed ? ' attack-missed' : ''}`}
+            style={{ top: (first + offset) * FEED_ROW_HEIGHT, height: FEED_ROW_HEIGHT, borderLeftColor: riskBand(attack.riskScore).color }}
+            onClick={() => openAttack(attack.id)}
+            title="Open attack details"
+          >
+            <strong><span className={attack.method.includes('Attack') ? 'risk-high' : 'risk-low'}>{attack.method}</span></strong> - Extracted: {attack.value}
+            {attack.missed && <span className="missed-badge">missed</span>}
+            {attack.source === 'synthetic' && <span className="synthetic-badge">synthetic</span>}
+            <p className="attack-detail">
+              Risk: <span style={{ color: riskBand(attack.riskScore).color }}>{attack.riskScore}</span>
+              {' | '}Tx: {attack.transaction && attack.transaction.length > 13 ? `${attack.transaction.slice(0, 10)}...` : attack.transaction || 'n/a'}
+              {attack.source === 'mempool' ? ' | Detected in mempool' : ''}
+              {' | '}{attack.detectedAt ? new Date(attack.detectedAt).toLocaleString() : attack.timestamp}
+            </p>
+            {attack.rationale && <p className="attack-detail attack-rationale">{attack.rationale}</p>}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const formatEvidence = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+const AttackDetail = ({ id, chains }) => {
+  const [attack, setAttack] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+  const [forensicsTx, setForensicsTx] = useState('');
+
+  useEffect(() => {
+    setAttack(null);
+    setStats(null);
+    setError(null);
+    setForensicsTx('');
+    fetch(`${API_BASE_URL}/attacks/${id}`)
+      .then(res => res.json())
+      .then((data) => {
+        if (!data.success) return setError(data.message);
+        setAttack(data.attack);
+        return fetch(data.attack.related.stats.url)
+          .then(res => res.json())
+          .then(statsData => statsData.success && setStats(statsData.stats));
+      })
+      .catch(() => setError('Could not reach the server.'));
+  }, [id]);
+
+  if (!attack) {
+    return (
+      <div className="card attack-detail-view">
+        <a href="#/">← Back to dashboard</a>
+        <p>{error || 'Loading attack...'}</p>
+      </div>
+    );
+  }
+
+  const chain = chains.find(c => c.chainId === attack.chainId) || null;
+  const band = riskBand(attack.riskScore);
+  const txHashes = Object.entries(attack.txHashes || { transaction: attack.transaction })
+    .flatMap(([role, value]) => (Array.isArray(value) ? value.map(hash => [role, hash]) : [[role, value]]))
+    .filter(([, hash]) => hash);
+  const typeStats = stats && stats.byType.find(row => row.type === attack.method);
+
+  return (
+    <div className="card attack-detail-view">
+      <a href="#/">← Back to dashboard</a>
+      <h2>
+        #{attack.id} {attack.method}{' '}
+        <span style={{ color: band.color }}>{attack.riskScore} ({band.band})</span>
+      </h2>
+      <p className="card-subtitle">
+        {attack.status} · {ATTACK_SOURCES[attack.source] || ATTACK_SOURCES.local}
+        {chain ? ` on ${chain.name}` : ''} · {new Date(attack.detectedAt).toLocaleString()}
+      </p>
+
+      <div className="trade-detail trade-detail-grid">
+        <p><strong>Value at Risk:</strong> {attack.value}{attack.valueWei ? ` (${attack.valueWei} wei)` : ''}</p>
+        <p><strong>Attacker:</strong> {attack.attacker || 'n/a'}</p>
+        <p><strong>Victim:</strong> {attack.victim || 'n/a'}</p>
+        <p><strong>Pool:</strong> {attack.pool || 'n/a'}</p>
+        <h3>Transactions</h3>
+        {txHashes.length === 0 && <p>n/a</p>}
+        {txHashes.map(([role, hash]) => <p key={`${role}-${hash}`}><strong>{role}:</strong> {hash}</p>)}
+        <h3>Rationale</h3>
+        <p>{attack.rationale || 'n/a'}</p>
+        {attack.evidence && (
+          <>
+            <h3>Evidence</h3>
+            {Object.entries(attack.evidence).map(([key, value]) => (
+              <p key={key}><strong>{key}:</strong> {formatEvidence(value)}</p>
+            ))}
+          </>
+        )}
+      </div>
+
+      <div className="trade-detail">
+        <h3>Related</h3>
+        {typeStats ? (
+          <p>
+            {typeStats.count} {attack.method} events on this chain within a day of this one,{' '}
+            {typeStats.value} {stats.nativeToken} at risk, average risk {typeStats.averageRisk}/100.
+          </p>
+        ) : (
+          <p className="attack-detail">{stats ? 'No other events of this type around this time.' : 'Loading statistics...'}</p>
+        )}
+        {attack.related.forensics.length === 0 ? (
+          <p className="attack-detail">No on-chain transaction hashes to analyze (locally simulated or not yet mined).</p>
+        ) : (
+          attack.related.forensics.map(target => (
+            <button key={`${target.role}-${target.txHash}`} className="refresh-btn" onClick={() => setForensicsTx(target.txHash)}>
+              Run Forensics on {target.role} tx
+            </button>
+          ))
+        )}
+        {attack.related.sameAttacker.length > 0 && (
+          <>
+            <p><strong>Other attacks by {shortAddress(attack.attacker)}:</strong></p>
+            <ul>
+              {attack.related.sameAttacker.map(other => (
+                <li key={other.id}>
+                  <a href={`#/attacks/${other.id}`}>#{other.id} {other.method}</a>{' '}
+                  <span className="attack-detail">risk {other.riskScore} · {new Date(other.detectedAt).toLocaleString()}</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+
+      {forensicsTx && <SandwichForensics chain={chain} initialQuery={forensicsTx} />}
+    </div>
+  );
+};
+
 
 function App() {
     const [status, setStatus] = useState('Connecting...');
     const [liveAttacks, setLiveAttacks] = useState([]);
+    const [feedForm, setFeedForm] = useState(EMPTY_FEED_FORM);
+    const [feedError, setFeedError] = useState(null);
+    const [missedCount, setMissedCount] = useState(0);
+    const [feedView, setFeedView] = useState({ sort: 'newest', search: '' });
+    const [feedSearchInput, setFeedSearchInput] = useState('');
+    const [feedPaused, setFeedPaused] = useState(false);
+    const [pausedAttacks, setPausedAttacks] = useState([]);
+    const [feedHistory, setFeedHistory] = useState(EMPTY_FEED_HISTORY);
+    const [route, setRoute] = useState(() => parseRoute(window.location.hash));
     const [tradeInput, setTradeInput] = useState('');
     const [simulationResult, setSimulationResult] = useState(null);
+    const [poolInput, setPoolInput] = useState({ reserveIn: '', reserveOut: '', amountIn: '', feeBps: '30', slippageTolerance: '0.5', tokenInUsd: '' });
+    const [swapInput, setSwapInput] = useState({ data: '', value: '' });
+    const [advice, setAdvice] = useState(null);
     const [rawTx, setRawTx] = useState('');
+    const [trackedTrades, setTrackedTrades] = useState([]);
+    const [submitError, setSubmitError] = useState(null);
+    const [tradeSimulation, setTradeSimulation] = useState(null);
+    const [simulationBlocked, setSimulationBlocked] = useState(false);
+    const [balanceGuard, setBalanceGuard] = useState({ token: '', min: '' });
+    const trackedTradesRef = useRef([]);
+    trackedTradesRef.current = trackedTrades;
     const [walletHealth, setWalletHealth] = useState(null);
+    const [walletAddress, setWalletAddress] = useState('');
+    const [walletError, setWalletError] = useState(null);
+    const [walletLoading, setWalletLoading] = useState(false);
     const [attackStats, setAttackStats] = useState(null);
+    const [statsQuery, setStatsQuery] = useState({ range: '30d', granularity: 'day' });
+    const [statsError, setStatsError] = useState(null);
+    const [session, setSession] = useState(loadStoredSession);
+    const [connectError, setConnectError] = useState(null);
+    const [connecting, setConnecting] = useState(false);
+    const [tradesRefreshKey, setTradesRefreshKey] = useState(0);
+    const [chains, setChains] = useState([]);
+    const [chainId, setChainId] = useState(() => Number(localStorage.getItem(CHAIN_STORAGE_KEY)) || null);
+    const chain = chains.find(c => c.chainId === chainId) || null;
+    const sessionRef = useRef(session);
+    sessionRef.current = session;
     const attackRef = useRef(null);
-    
-    // Hardcoded mock address for simplicity
-    const MOCK_WALLET_ADDRESS = '0xMockWalletAddress'; 
+    const feedViewRef = useRef(feedView);
+    feedViewRef.current = feedView;
+    const feedPausedRef = useRef(feedPaused);
+    feedPausedRef.current = feedPaused;
+    const feedHistoryRef = useRef(EMPTY_FEED_HISTORY);
+    const liveAttacksRef = useRef(liveAttacks);
+    liveAttacksRef.current = liveAttacks;
+    const chainIdRef = useRef(chainId);
+    chainIdRef.current = chainId;
+    const walletAddressRef = useRef(walletAddress);
+    walletAddressRef.current = walletAddress;
 
     // --- Socket.io & API Side Effects ---
     useEffect(() => {
         // Socket.io connection handling
-        socket.on('connect', () => setStatus('Connected to server.'));
+        socket.on('connect', () => {
+            setStatus('Connected to server.');
+            // Route this user's watchlist alerts to the new socket
+            if (sessionRef.current) socket.emit('authenticate', sessionRef.current.token);
+            // Re-attach to status updates for trades still in flight
+            trackedTradesRef.current
+                .filter(trade => !TERMINAL_TRADE_STATUSES.includes(trade.status))
+                .forEach(trade => socket.emit('track_trade', trade.id));
+        });
         socket.on('disconnect', () => setStatus('Disconnected. Attempting reconnect...'));
         socket.on('STATUS', (msg) => setStatus(msg.message));
         
         socket.on('new_attack', (attack) => {
-            setLiveAttacks(prev => {
-                const newAttacks = [attack, ...prev];
-                return newAttacks.slice(0, 10); 
-            });
+            feedState.lastSeenId = Math.max(feedState.lastSeenId ?? 0, attack.id);
+            if (!matchesFeedSearch(attack, feedViewRef.current.search)) return;
+            // While paused, new events wait until the feed resumes
+            if (feedPausedRef.current) {
+                setPausedAttacks(prev => [attack, ...prev.filter(a => a.id !== attack.id)].slice(0, MAX_FEED_WINDOW));
+                return;
+            }
+            setLiveAttacks(prev => mergeAttacks(prev, [attack], feedViewRef.current.sort, feedWindowLimit(feedHistoryRef.current)));
              // Add pulse animation to card
-             attackRef.current.classList.add('new-attack-pulse');
-             setTimeout(() => attackRef.current.classList.remove('new-attack-pulse'), 500);
+             const card = attackRef.current;
+             card.classList.add('new-attack-pulse');
+             setTimeout(() => card.classList.remove('new-attack-pulse'), 500);
+        });
+
+        // History replay: the latest matching events on (re)subscribe, or the ones
+        // missed while disconnected when the handshake carried a sinceId
+        socket.on('attack_backfill', ({ sinceId, attacks }) => {
+            const { sort, search } = feedViewRef.current;
+            const matching = attacks.filter(a => matchesFeedSearch(a, search));
+            if (attacks.length) feedState.lastSeenId = Math.max(feedState.lastSeenId ?? 0, attacks[attacks.length - 1].id);
+            if (sinceId === null || sinceId === undefined) {
+                setLiveAttacks(mergeAttacks([], matching, sort));
+                setMissedCount(0);
+                return;
+            }
+            setLiveAttacks(prev => mergeAttacks(prev, matching.map(a => ({ ...a, missed: true })), sort, feedWindowLimit(feedHistoryRef.current)));
+            setMissedCount(attacks.length);
+        });
+
+        socket.on('trade_status', (event) => {
+            setTrackedTrades(prev => prev.map(trade => (trade.id !== event.tradeId ? trade : {
+                ...trade,
+                status: event.status,
+                blockNumber: event.blockNumber ?? trade.blockNumber,
+                gasUsed: event.gasUsed ?? trade.gasUsed,
+                history: trade.history.some(h => h.status === event.status)
+                    ? trade.history
+                    : [...trade.history, { status: event.status, changedAt: event.changedAt, reason: event.reason }],
+            })));
         });
 
         // Fetch initial data
-        fetchWalletHealth(MOCK_WALLET_ADDRESS);
-        fetchAttackStats();
 
         return () => {
             socket.off('connect');
             socket.off('disconnect');
             socket.off('STATUS');
             socket.off('new_attack');
+            socket.off('attack_backfill');
+            socket.off('trade_status');
         };
     }, []);
 
-    const fetchWalletHealth = async (address) => {
+    // Supported chains; a remembered choice the server no longer offers falls back to its default
+    useEffect(() => {
+        fetch(`${API_BASE_URL}/chains`)
+            .then(res => res.json())
+            .then((data) => {
+                if (!data.success) return;
+                setChains(data.chains);
+                setChainId(prev => (data.chains.some(c => c.chainId === prev) ? prev : data.defaultChainId));
+            })
+            .catch(err => console.error('Error fetching chains:', err));
+    }, []);
+
+    // #/attacks/:id swaps the dashboard for that attack's detail view
+    useEffect(() => {
+        const handleHashChange = () => setRoute(parseRoute(window.location.hash));
+        window.addEventListener('hashchange', handleHashChange);
+        return () => window.removeEventListener('hashchange', handleHashChange);
+    }, []);
+
+    // Feed search is applied once typing pauses
+    useEffect(() => {
+        const timer = setTimeout(() => setFeedView(prev => (prev.search === feedSearchInput.trim() ? prev : { ...prev, search: feedSearchInput.trim() })), 300);
+        return () => clearTimeout(timer);
+    }, [feedSearchInput]);
+
+    // Data loaders below are memoized: the effects that call them (after the
+    // loaders) rerun only when what they read changes. Values that should not
+    // retrigger a load, like the wallet address being typed, are read through refs.
+
+    const endSession = useCallback(() => {
+        localStorage.removeItem(SESSION_STORAGE_KEY);
+        setSession(null);
+        setTrackedTrades([]);
+        setWalletHealth(null);
+    }, []);
+
+    // Re-attach to the account's trades that are still in flight
+    const fetchMyTrades = async (currentSession) => {
+        const params = new URLSearchParams({ status: 'submitted,forwarded,pending', pageSize: '50' });
         try {
-            const res = await fetch(`${API_BASE_URL}/wallet-health/${address}`);
+            const res = await authFetch(currentSession, `${API_BASE_URL}/protected-trades?${params}`);
+            const data = await res.json();
+            if (!data.success) return;
+            const trades = data.trades.map(trade => ({
+                id: trade.id,
+                txHash: trade.txHash,
+                status: trade.status,
+                blockNumber: trade.blockNumber,
+                gasUsed: trade.gasUsed,
+                history: [{ status: trade.status, changedAt: trade.statusUpdatedAt || trade.submittedAt }],
+            }));
+            setTrackedTrades(trades);
+            trades.forEach(trade => socket.emit('track_trade', trade.id));
+        } catch (error) {
+            console.error('Error fetching trades:', error);
+        }
+    };
+
+    const fetchWalletHealth = useCallback(async (address) => {
+        if (!address) return;
+        setWalletLoading(true);
+        setWalletError(null);
+        try {
+            const params = chainIdRef.current ? `?chainId=${chainIdRef.current}` : '';
+            const res = await fetch(`${API_BASE_URL}/wallet-health/${address.trim()}${params}`);
             const data = await res.json();
             if (data.success) {
                 setWalletHealth(data);
+            } else {
+                setWalletError(data.message);
             }
         } catch (error) {
             console.error('Error fetching wallet health:', error);
+            setWalletError('Could not reach the server.');
+        } finally {
+            setWalletLoading(false);
         }
-    };
+    }, []);
     
-    const fetchAttackStats = async () => {
+    const fetchAttackStats = useCallback(async ({ range, granularity }) => {
+        const params = new URLSearchParams({
+            from: new Date(Date.now() - STATS_RANGES[range]).toISOString(),
+            granularity,
+            chainId,
+        });
         try {
-            const res = await fetch(`${API_BASE_URL}/attack-stats`);
+            const res = await fetch(`${API_BASE_URL}/attack-stats?${params}`);
             const data = await res.json();
             if (data.success) {
                 setAttackStats(data.stats);
+                setStatsError(null);
+            } else {
+                setAttackStats(null);
+                setStatsError(data.message);
             }
         } catch (error) {
             console.error('Error fetching attack stats:', error);
         }
-    };
+    }, [chainId]);
 
     // --- Action Handlers ---
 
+    const toggleFeedType = (type) => setFeedForm(prev => ({
+        ...prev,
+        types: prev.types.includes(type) ? prev.types.filter(t => t !== type) : [...prev.types, type],
+    }));
+
+    const updateFeedHistory = useCallback((next) => {
+        feedHistoryRef.current = next;
+        setFeedHistory(next);
+    }, []);
+
+    // Older attacks for the feed's infinite scroll, with the current filters,
+    // search and sort. A reset starts over from the newest page; responses to
+    // a load it superseded are dropped. Pages continue after the history rows
+    // still loaded, so rows live events pushed out of the window come back.
+    const loadFeedHistory = useCallback(async (reset = false) => {
+        const current = feedHistoryRef.current;
+        const loaded = reset ? 0 : liveAttacksRef.current.filter(a => a.id <= current.maxId).length;
+        if (!reset && (current.loading || (!current.hasMore && loaded >= current.offset))) return;
+        const generation = current.generation + 1;
+        const base = reset ? { ...EMPTY_FEED_HISTORY, generation } : { ...current, offset: Math.min(current.offset, loaded), generation };
+        updateFeedHistory({ ...base, loading: true });
+
+        const { sort, search } = feedViewRef.current;
+        const { chainId: filterChainId, types, minRiskScore, minValueEth, addresses } = feedState.filters;
+        const params = new URLSearchParams({ sort, limit: FEED_PAGE_SIZE, offset: base.offset });
+        if (base.maxId !== null) params.set('maxId', base.maxId);
+        if (search) params.set('q', search);
+        if (filterChainId) params.set('chainId', filterChainId);
+        if (types && types.length) params.set('types', types.join(','));
+        if (minRiskScore) params.set('minRiskScore', minRiskScore);
+        if (minValueEth) params.set('minValueEth', minValueEth);
+        if (addresses && addresses.length) params.set('addresses', addresses.join(','));
+
+        try {
+            const res = await fetch(`${API_BASE_URL}/attacks?${params}`);
+            const data = await res.json();
+            if (feedHistoryRef.current.generation !== generation) return;
+            if (!data.success) {
+                setFeedError(data.message);
+                return updateFeedHistory({ ...base, loading: false, hasMore: false });
+            }
+            updateFeedHistory({
+                offset: base.offset + data.attacks.length,
+                maxId: data.pagination.maxId,
+                hasMore: data.pagination.hasMore,
+                loading: false,
+                generation,
+            });
+            setLiveAttacks(prev => mergeAttacks(reset ? prev.filter(a => a.id > data.pagination.maxId && matchesFeedSearch(a, search)) : prev, data.attacks, sort));
+        } catch (err) {
+            if (feedHistoryRef.current.generation !== generation) return;
+            setFeedError('Could not load attack history.');
+            updateFeedHistory({ ...base, loading: false });
+        }
+    }, [updateFeedHistory]);
+
+    const subscribeFeed = useCallback((filters) => {
+        setFeedError(null);
+        socket.emit('subscribe', { ...filters, limit: FEED_SIZE }, (reply) => {
+            if (!reply.success) return setFeedError(reply.message);
+            feedState.filters = filters;
+            loadFeedHistory(true);
+        });
+    }, [loadFeedHistory]);
+
+    // The feed, stats, wallet health and watchlist all follow the selected chain
+    useEffect(() => {
+        if (!chainId) return;
+        localStorage.setItem(CHAIN_STORAGE_KEY, String(chainId));
+        subscribeFeed({ ...feedState.filters, chainId });
+        if (walletAddressRef.current) fetchWalletHealth(walletAddressRef.current);
+    }, [chainId, subscribeFeed, fetchWalletHealth]);
+
+    useEffect(() => {
+        if (chainId) fetchAttackStats(statsQuery);
+    }, [statsQuery, chainId, fetchAttackStats]);
+
+    // A new search or sort reloads the history, once the feed is subscribed
+    // for a chain (that subscription loads the first page itself)
+    useEffect(() => {
+        if (feedState.filters.chainId) loadFeedHistory(true);
+    }, [feedView, loadFeedHistory]);
+
+    const toggleFeedPaused = () => {
+        if (feedPaused) {
+            setLiveAttacks(prev => mergeAttacks(prev, pausedAttacks, feedView.sort, feedWindowLimit(feedHistoryRef.current)));
+            setPausedAttacks([]);
+        }
+        setFeedPaused(!feedPaused);
+    };
+
+    const applyFeedFilters = () => subscribeFeed({
+        chainId: chainId || undefined,
+        types: feedForm.types,
+        minRiskScore: feedForm.minRiskScore || undefined,
+        minValueEth: feedForm.minValueEth || undefined,
+        addresses: feedForm.address.trim() ? [feedForm.address.trim()] : [],
+    });
+
+    const updatePoolInput = (field) => (e) => setPoolInput(prev => ({ ...prev, [field]: e.target.value }));
+
+    // Pool reserves + amount switch the server to the deterministic AMM model;
+    // swap calldata supplies the amount and the slippage it implies.
+    const buildSimulationBody = () => {
+        const calldata = swapInput.data.trim();
+        const usePoolModel = poolInput.reserveIn && poolInput.reserveOut && (poolInput.amountIn || calldata);
+        if (!tradeInput && !usePoolModel && !calldata) return null;
+        const body = usePoolModel
+            ? {
+                pool: { type: 'uniswap-v2', reserveIn: poolInput.reserveIn, reserveOut: poolInput.reserveOut, feeBps: poolInput.feeBps },
+                amountIn: poolInput.amountIn,
+                slippageTolerance: poolInput.slippageTolerance,
+                tokenInUsd: poolInput.tokenInUsd || undefined,
+            }
+            : { tradeDescription: tradeInput || undefined };
+        if (calldata) {
+            body.data = calldata;
+            body.value = swapInput.value.trim() || '0';
+            if (session) body.from = session.address;
+        }
+        if (chainId && (calldata || usePoolModel)) body.chainId = chainId;
+        return body;
+    };
+
     const handleSimulation = async () => {
-        if (!tradeInput) return;
+        const body = buildSimulationBody();
+        if (!body) return;
+        setAdvice(null);
         try {
-            const res = await fetch(`${API_BASE_URL}/simulate`, {
+            const res = await authFetch(session, `${API_BASE_URL}/simulate`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ tradeDescription: tradeInput })
+                body: JSON.stringify(body)
             });
             const data = await res.json();
             if (data.success) {
                 setSimulationResult(data.simulation);
+            } else {
+                alert(`ERROR: ${data.message}`);
             }
         } catch (error) {
             console.error('Error running simulation:', error);
         }
     };
+
+    // Mitigations need the pool model: reserves plus an amount or calldata.
+    const handleAdvise = async () => {
+        const body = buildSimulationBody();
+        if (!body || !body.pool) {
+            alert('Enter pool reserves and an amount (or swap calldata) to get safer options.');
+            return;
+        }
+        if (session && !body.from) body.from = session.address;
+        try {
+            const res = await authFetch(session, `${API_BASE_URL}/advise`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            if (data.success) {
+                setAdvice(data.advice);
+            } else {
+                alert(`ERROR: ${data.message}`);
+            }
+        } catch (error) {
+            console.error('Error fetching trade advice:', error);
+        }
+    };
     
-    const handleSubmitProtectedTrade = async () => {
+    // Optional guard: the minimum change of one token balance (negative caps spending)
+    const protectRequestBody = (extra = {}) => ({
+        rawTransaction: rawTx,
+        ...(balanceGuard.min !== '' && { minBalanceChanges: [{ token: balanceGuard.token.trim() || 'ETH', min: balanceGuard.min.trim() }] }),
+        ...extra,
+    });
+
+    const handleSimulateTrade = async () => {
         if (!rawTx) return;
+        setSubmitError(null);
+        setSimulationBlocked(false);
         try {
-            const res = await fetch(`${API_BASE_URL}/protect`, {
+            const res = await authFetch(session, `${API_BASE_URL}/protect/simulate`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ rawTransaction: rawTx })
+                body: JSON.stringify(protectRequestBody()),
             });
             const data = await res.json();
             if (data.success) {
-                alert(`SUCCESS! ${data.message} Tx Hash: ${data.txHash}`);
+                setTradeSimulation(data.simulation);
+            } else {
+                setSubmitError(data.message);
+            }
+        } catch (error) {
+            console.error('Error simulating trade:', error);
+            setSubmitError('Could not reach the server.');
+        }
+    };
+
+    // `force` submits even when the simulation reverts or a guard fails
+    const handleSubmitProtectedTrade = async (force = false) => {
+        if (!rawTx) return;
+        setSubmitError(null);
+        setSimulationBlocked(false);
+        try {
+            const res = await authFetch(session, `${API_BASE_URL}/protect`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(protectRequestBody({ socketId: socket.id, ...(force && { onSimulationFailure: 'warn' }) })),
+            });
+            const data = await res.json();
+            setTradeSimulation(data.simulation || null);
+            if (data.success) {
+                const now = new Date().toISOString();
+                setTrackedTrades(prev => [{
+                    id: data.dbId,
+                    txHash: data.txHash,
+                    status: data.status,
+                    blockNumber: null,
+                    gasUsed: null,
+                    history: [{ status: 'submitted', changedAt: now }, { status: data.status, changedAt: now }],
+                }, ...prev]);
                 setRawTx(''); // Clear input after submission
+                setTradesRefreshKey(key => key + 1);
             } else {
-                 alert(`ERROR: ${data.message}`);
+                setSubmitError(data.message);
+                setSimulationBlocked(['SIMULATION_REVERTED', 'BALANCE_GUARD_FAILED', 'SIMULATION_FAILED'].includes(data.code));
             }
         } catch (error) {
             console.error('Error submitting trade:', error);
-            alert('An unexpected error occurred during submission.');
+            setSubmitError('An unexpected error occurred during submission.');
         }
     };
     
+    // EIP-1193 connect, then Sign-In with Ethereum against the server
+    const handleConnectWallet = async () => {
+        if (!window.ethereum) {
+            setConnectError('No Ethereum wallet found. Install MetaMask or another browser wallet.');
+            return;
+        }
+        setConnectError(null);
+        setConnecting(true);
+        try {
+            const [address] = await window.ethereum.request({ method: 'eth_requestAccounts' });
+            const chainId = parseInt(await window.ethereum.request({ method: 'eth_chainId' }), 16);
+            const nonceRes = await fetch(`${API_BASE_URL}/auth/nonce`);
+            const { nonce } = await nonceRes.json();
+            const message = buildSiweMessage({ address, chainId, nonce });
+            const signature = await window.ethereum.request({ method: 'personal_sign', params: [toHexUtf8(message), address] });
+            const res = await fetch(`${API_BASE_URL}/auth/verify`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ message, signature }),
+            });
+            const data = await res.json();
+            if (!data.success) {
+                setConnectError(data.message);
+                return;
+            }
+            const newSession = { token: data.token, address: data.address, chainId: data.chainId, expiresAt: data.expiresAt };
+            localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(newSession));
+            setSession(newSession);
+        } catch (error) {
+            // 4001: the user rejected the request in their wallet
+            setConnectError(error.code === 4001 ? 'Sign-in was cancelled in the wallet.' : error.message);
+        } finally {
+            setConnecting(false);
+        }
+    };
+
+    const handleDisconnect = useCallback(async () => {
+        const current = sessionRef.current;
+        endSession();
+        try {
+            await authFetch(current, `${API_BASE_URL}/auth/logout`, { method: 'POST' });
+        } catch (error) {
+            console.error('Error signing out:', error);
+        }
+    }, [endSession]);
+
+    // Signed in: check the session is still valid, then load the account's health and trades
+    useEffect(() => {
+        if (socket.connected) socket.emit('authenticate', session ? session.token : null);
+        if (!session) return;
+        authFetch(session, `${API_BASE_URL}/auth/session`)
+            .then(res => {
+                if (res.status === 401) endSession();
+            })
+            .catch(err => console.error('Error checking session:', err));
+        setWalletAddress(session.address);
+        fetchWalletHealth(session.address);
+        fetchMyTrades(session);
+    }, [session, endSession, fetchWalletHealth]);
+
+    // Switching accounts in the wallet ends the session for the old one
+    useEffect(() => {
+        if (!window.ethereum || !window.ethereum.on) return;
+        const handleAccountsChanged = (accounts) => {
+            const current = sessionRef.current;
+            if (current && (!accounts[0] || accounts[0].toLowerCase() !== current.address.toLowerCase())) {
+                handleDisconnect();
+            }
+        };
+        window.ethereum.on('accountsChanged', handleAccountsChanged);
+        return () => window.ethereum.removeListener && window.ethereum.removeListener('accountsChanged', handleAccountsChanged);
+    }, [handleDisconnect]);
+
     const handleLearnMore = () => {
         // Redirects to a resource about Flashbots/Private Mempools
         window.open("https://docs.flashbots.net/flashbots-protect/overview", "_blank");
     };
 
+    // Rows trimmed from the window (see feedWindowLimit) can be scrolled back in
+    const feedHasMore = feedHistory.hasMore || liveAttacks.filter(a => a.id <= feedHistory.maxId).length < feedHistory.offset;
+
     // --- Render UI ---
     return (
         <div className="dapp-container">
@@ -190,15 +1464,32 @@ function App() {
                     <button onClick={handleLearnMore} className="learn-more-btn">
                         Learn About MEV & Private Mempool
                     </button>
-                    <button className="connect-wallet-btn">Connect Wallet 🔑</button>
+                    <select className="chain-select" value={chainId ?? ''} onChange={(e) => setChainId(Number(e.target.value))} disabled={!chains.length} title="Network">
+                        {chains.map(c => (
+                            <option key={c.chainId} value={c.chainId}>{c.name}{c.rpcConfigured ? '' : ' (no node)'}</option>
+                        ))}
+                    </select>
+                    {session ? (
+                        <button className="connect-wallet-btn" onClick={handleDisconnect} title="Sign out">
+                            {session.address.slice(0, 6)}...{session.address.slice(-4)} · Disconnect
+                        </button>
+                    ) : (
+                        <button className="connect-wallet-btn" onClick={handleConnectWallet} disabled={connecting}>
+                            {connecting ? 'Check your wallet...' : 'Connect Wallet 🔑'}
+                        </button>
+                    )}
                 </div>
             </header>
+            {connectError && <p className="submit-error">{connectError}</p>}
 
             <div className="status-bar">
                 <p><strong>Server Status:</strong> {status}</p>
             </div>
 
-            <div className="main-grid">
+            {route.view === 'attack' && <AttackDetail id={route.id} chains={chains} />}
+
+            {/* Kept mounted behind the detail view, so the dashboard's state survives the round trip */}
+            <div className={`main-grid${route.view === 'dashboard' ? '' : ' view-hidden'}`}>
                 
                 {/* 1. Transaction Simulator */}
                 <div className="card">
@@ -209,60 +1500,185 @@ function App() {
                         value={tradeInput}
                         onChange={(e) => setTradeInput(e.target.value)}
                     />
+                    <p className="card-subtitle">Or model a Uniswap V2 pool directly:</p>
+                    <div className="pool-inputs">
+                        <input type="text" placeholder="Reserve In" value={poolInput.reserveIn} onChange={updatePoolInput('reserveIn')} />
+                        <input type="text" placeholder="Reserve Out" value={poolInput.reserveOut} onChange={updatePoolInput('reserveOut')} />
+                        <input type="text" placeholder="Amount In" value={poolInput.amountIn} onChange={updatePoolInput('amountIn')} />
+                        <input type="text" placeholder="Fee (bps)" value={poolInput.feeBps} onChange={updatePoolInput('feeBps')} />
+                        <input type="text" placeholder="Slippage (%)" value={poolInput.slippageTolerance} onChange={updatePoolInput('slippageTolerance')} />
+                        <input type="text" placeholder="Token In USD (optional)" value={poolInput.tokenInUsd} onChange={updatePoolInput('tokenInUsd')} />
+                    </div>
+                    <p className="card-subtitle">Or paste swap calldata (Uniswap, Universal Router, 1inch, 0x):</p>
+                    <div className="pool-inputs">
+                        <input type="text" placeholder="Calldata (0x...)" value={swapInput.data} onChange={(e) => setSwapInput(prev => ({ ...prev, data: e.target.value }))} />
+                        <input type="text" placeholder="Value (wei, ETH-in swaps)" value={swapInput.value} onChange={(e) => setSwapInput(prev => ({ ...prev, value: e.target.value }))} />
+                    </div>
                     <button className="run-sim-btn" onClick={handleSimulation}>
                         Run MEV Risk Simulation
                     </button>
+                    <button className="run-sim-btn" onClick={handleAdvise}>
+                        Suggest Safer Parameters
+                    </button>
                     {simulationResult && (
                         <div className="simulation-results">
-                            <h3>AI Simulation Results</h3>
-                            <p><strong>Risk Score:</strong> <span className={simulationResult.risk === 'High' ? 'risk-high' : 'risk-low'}>{simulationResult.risk}/100</span></p>
-                            <p><strong>Est. Value Impact:</strong> <span className={simulationResult.profitLoss.startsWith('+') ? 'profit' : 'loss'}>{simulationResult.profitLoss}</span></p>
-                            <p className="attack-detail">**AI Rationale:** {simulationResult.details}</p>
+                            <h3>{simulationResult.sandwich ? 'Sandwich Simulation Results' : 'Risk Analysis Results'}</h3>
+                            <p><strong>Risk Score:</strong> <span className={Number(simulationResult.risk) > 60 ? 'risk-high' : 'risk-low'}>{simulationResult.risk}/100</span></p>
+                            {simulationResult.profitLoss && (
+                                <p><strong>Est. Value Impact:</strong> <span className={simulationResult.profitLoss.startsWith('+') ? 'profit' : 'loss'}>{simulationResult.profitLoss}</span></p>
+                            )}
+                            {simulationResult.sandwich && (
+                                <>
+                                    <p><strong>Attacker Front-Run:</strong> {simulationResult.sandwich.attack.frontRunAmountIn} (profit {simulationResult.sandwich.attack.attackerProfit})</p>
+                                    <p><strong>Victim Execution Price:</strong> {simulationResult.sandwich.victim.executionPrice} (baseline {simulationResult.sandwich.baseline.executionPrice})</p>
+                                </>
+                            )}
+                            {simulationResult.decoded && (
+                                <div className="decoded-swap">
+                                    <p><strong>Decoded Swap:</strong> {simulationResult.decoded.swap.protocol} · {simulationResult.decoded.swap.method}</p>
+                                    <p className="attack-detail">
+                                        {simulationResult.decoded.swap.path.map(shortAddress).join(' → ')}
+                                        {simulationResult.decoded.swap.exactOutput
+                                            ? ` · out ${simulationResult.decoded.swap.amountOut}, max in ${simulationResult.decoded.swap.amountInMax}`
+                                            : ` · in ${simulationResult.decoded.swap.amountIn ?? 'router balance'}, min out ${simulationResult.decoded.swap.amountOutMin}`}
+                                        {` · recipient ${shortAddress(simulationResult.decoded.swap.recipient)}`}
+                                    </p>
+                                    <p>
+                                        <strong>Implied Slippage:</strong>{' '}
+                                        {simulationResult.decoded.slippage.impliedSlippagePct === null
+                                            ? <span className="attack-detail">{simulationResult.decoded.slippage.reason}</span>
+                                            : <span className={simulationResult.decoded.slippage.impliedSlippagePct > 1 ? 'risk-high' : 'risk-low'}>
+                                                {simulationResult.decoded.slippage.impliedSlippagePct}% ({simulationResult.decoded.slippage.source})
+                                            </span>}
+                                    </p>
+                                </div>
+                            )}
+                            <p className="attack-detail">{simulationResult.sandwich ? 'Model' : 'Rationale'}: {simulationResult.details}</p>
+                            {simulationResult.aiRationale && (
+                                <p className="attack-detail">Rationale: {simulationResult.aiRationale}</p>
+                            )}
+                            {simulationResult.analysis && (
+                                <p className="attack-detail">
+                                    Analyzer: {simulationResult.analysis.provider}{simulationResult.analysis.cached ? ' (cached)' : ''}
+                                    {simulationResult.analysis.fallbackReason && ` · fallback: ${simulationResult.analysis.fallbackReason}`}
+                                </p>
+                            )}
                         </div>
                     )}
+                    {advice && <TradeAdvice advice={advice} />}
                 </div>
                 
                 {/* 2. Live Attack Feed (Real-Time) - AI-ANALYZED */}
                 <div className="card live-feed-card" ref={attackRef}>
                     <h2>Live Attack Feed (AI-Analyzed)</h2>
-                    <p className="card-subtitle">Real-time MEV opportunities detected in the simulated mempool by the AI risk analyzer.</p>
-                    <div className="attack-list">
-                        {liveAttacks.length === 0 ? (
-                            <p>Waiting for real-time attack data...</p>
-                        ) : (
-                            liveAttacks.map(attack => (
-                                <div key={attack.id} className="attack-item">
-                                    <strong><span className={attack.method.includes('Attack') ? 'risk-high' : 'risk-low'}>{attack.method}</span></strong> - Extracted: {attack.value}
-                                    <p className="attack-detail">Tx: {attack.transaction} | Risk: {attack.riskScore}</p>
-                                </div>
-                            ))
-                        )}
+                    <p className="card-subtitle">Real-time MEV opportunities detected in the simulated mempool by the AI risk analyzer, with their full history. Click an attack for its details.</p>
+                    <div className="feed-filters">
+                        {FEED_ATTACK_TYPES.map(type => (
+                            <label key={type}>
+                                <input type="checkbox" checked={feedForm.types.includes(type)} onChange={() => toggleFeedType(type)} /> {type}
+                            </label>
+                        ))}
+                        <input type="text" placeholder="Min risk (0-100)" value={feedForm.minRiskScore} onChange={(e) => setFeedForm({ ...feedForm, minRiskScore: e.target.value })} />
+                        <input type="text" placeholder={`Min value (${chain ? chain.nativeToken.symbol : 'ETH'})`} value={feedForm.minValueEth} onChange={(e) => setFeedForm({ ...feedForm, minValueEth: e.target.value })} />
+                        <input type="text" placeholder="Involving address (0x...)" value={feedForm.address} onChange={(e) => setFeedForm({ ...feedForm, address: e.target.value })} />
+                        <button onClick={applyFeedFilters}>Apply Filters</button>
+                    </div>
+                    {feedError && <p className="submit-error">{feedError}</p>}
+                    {missedCount > 0 && <p className="attack-detail">{missedCount} event{missedCount === 1 ? '' : 's'} arrived while you were disconnected.</p>}
+                    <div className="feed-filters">
+                        <input type="text" placeholder="Search tx, address, type or rationale" value={feedSearchInput} onChange={(e) => setFeedSearchInput(e.target.value)} />
+                        <select value={feedView.sort} onChange={(e) => setFeedView({ ...feedView, sort: e.target.value })}>
+                            {Object.entries(FEED_SORTS).map(([sort, label]) => <option key={sort} value={sort}>{label}</option>)}
+                        </select>
+                        <button onClick={toggleFeedPaused}>{feedPaused ? `Resume${pausedAttacks.length ? ` (${pausedAttacks.length} new)` : ''}` : 'Pause'}</button>
                     </div>
+                    <AttackTimeline attacks={liveAttacks} />
+                    {liveAttacks.length === 0 ? (
+                        <p>{feedHistory.loading ? 'Loading attack history...' : 'No matching attacks yet. Waiting for real-time attack data...'}</p>
+                    ) : (
+                        <AttackFeedList attacks={liveAttacks} onEndReached={() => loadFeedHistory()} />
+                    )}
+                    <p className="attack-detail">
+                        {liveAttacks.length} attack{liveAttacks.length === 1 ? '' : 's'} loaded
+                        {feedHistory.loading ? ' · loading more...' : feedHasMore ? ' · scroll for older' : ' · end of history'}
+                        {feedPaused ? ' · paused' : ''}
+                    </p>
                 </div>
                 
                 {/* 4. Submit Protected Trade (Flashbots Relay) */}
                 <div className="card">
                     <h2>Submit Protected Trade (Private Mempool)</h2>
-                    <p className="card-subtitle">Submits your transaction directly to a simulated Flashbots-style relay for MEV protection.</p>
+                    <p className="card-subtitle">Submits your transaction directly to a simulated Flashbots-style relay for MEV protection. It goes to the relays of the chain it was signed for, after a simulation: a revert or a failed balance guard stops it.</p>
                     <textarea
                         placeholder="Paste Signed Raw Transaction (Hex) for Private Submission"
                         value={rawTx}
                         onChange={(e) => setRawTx(e.target.value)}
                         rows="4"
                     />
-                    <button className="submit-trade-btn" onClick={handleSubmitProtectedTrade}>
+                    <div className="pool-inputs">
+                        <input type="text" placeholder="Guard token (address, default ETH)" value={balanceGuard.token} onChange={(e) => setBalanceGuard(prev => ({ ...prev, token: e.target.value }))} />
+                        <input type="text" placeholder="Min balance change (e.g. 1500 or -1)" value={balanceGuard.min} onChange={(e) => setBalanceGuard(prev => ({ ...prev, min: e.target.value }))} />
+                    </div>
+                    <button className="run-sim-btn" onClick={handleSimulateTrade}>
+                        Simulate on Fork
+                    </button>
+                    <button className="submit-trade-btn" onClick={() => handleSubmitProtectedTrade()}>
                         Submit to MEV Protection Relay
                     </button>
+                    {submitError && <p className="submit-error">{submitError}</p>}
+                    {simulationBlocked && (
+                        <button className="submit-trade-btn" onClick={() => handleSubmitProtectedTrade(true)}>
+                            Submit Anyway
+                        </button>
+                    )}
+                    {tradeSimulation && <TradeSimulation simulation={tradeSimulation} />}
+                    {trackedTrades.length > 0 && (
+                        <div className="trade-status-panel">
+                            <h3>Trade Status</h3>
+                            {trackedTrades.map(trade => (
+                                <div key={trade.id} className="trade-status-item">
+                                    <p>
+                                        <strong>{trade.txHash.slice(0, 10)}...</strong>{' '}
+                                        <span className={`trade-status trade-status-${trade.status}`}>{trade.status}</span>
+                                    </p>
+                                    {trade.blockNumber !== null && (
+                                        <p className="attack-detail">Block {trade.blockNumber} | Gas used {trade.gasUsed}</p>
+                                    )}
+                                    <p className="attack-detail">
+                                        {trade.history.map(h => `${h.status} @ ${new Date(h.changedAt).toLocaleTimeString()}`).join(' → ')}
+                                    </p>
+                                </div>
+                            ))}
+                        </div>
+                    )}
                 </div>
 
                 {/* 5. Wallet Health Check */}
                 <div className="card">
                     <h2>Wallet Health Check</h2>
+                    <input
+                        type="text"
+                        placeholder="Wallet address (0x...)"
+                        value={walletAddress}
+                        onChange={(e) => setWalletAddress(e.target.value)}
+                    />
+                    {walletError && <p className="submit-error">{walletError}</p>}
                     {walletHealth && (
                         <div className="wallet-details">
                             <p><strong>Wallet:</strong> {walletHealth.address.slice(0, 10)}...</p>
                             <p><strong>MEV Exposure Score:</strong> <span className="score">{walletHealth.mevExposureScore}/100</span></p>
                             <p><strong>Balance:</strong> {walletHealth.balance}</p>
+                            <p><strong>Transactions (24h):</strong> {walletHealth.transactionsLast24h ?? 'n/a'}</p>
+                            {walletHealth.exposureBreakdown && (
+                                <ul className="exposure-breakdown">
+                                    {walletHealth.exposureBreakdown.filter(item => item.points > 0).map(item => (
+                                        <li key={item.factor}>+{item.points} — {item.detail}</li>
+                                    ))}
+                                </ul>
+                            )}
+                            {walletHealth.approvals && (
+                                <p><strong>Open Approvals:</strong> {walletHealth.approvals.length} ({walletHealth.approvals.filter(a => a.unlimited).length} unlimited) · <strong>Sandwiched Swaps:</strong> {walletHealth.sandwichedSwaps.length} of {walletHealth.swapsChecked} checked</p>
+                            )}
                             <h3>Alerts ({walletHealth.alerts.length})</h3>
                             <ul>
                                 {walletHealth.alerts.map((alert, index) => (
@@ -271,26 +1687,23 @@ function App() {
                             </ul>
                         </div>
                     )}
-                    <button className="refresh-btn" onClick={() => fetchWalletHealth(MOCK_WALLET_ADDRESS)}>
-                        Refresh Health
+                    <button className="refresh-btn" onClick={() => fetchWalletHealth(walletAddress)} disabled={!walletAddress || walletLoading}>
+                        {walletLoading ? 'Scanning Chain...' : 'Check Health'}
                     </button>
                 </div>
 
-                {/* 6. My Watchlist - Retained from screenshot */}
-                <div className="card">
-                    <h2>My Watchlist (Mock)</h2>
-                    <p className="card-subtitle">Track important contracts/whales for activity.</p>
-                    <ul>
-                        <li>Uniswap Router (0x1A2b...d4E) <button className="remove-btn">Remove</button></li>
-                        <li>Giga-Whale 1 (0xFeD3...2F1) <button className="remove-btn">Remove</button></li>
-                    </ul>
-                    <input type="text" placeholder="Address or TX hash to watch" />
-                    <button className="add-btn">Add</button>
-                </div>
+                {/* 6. My Watchlist */}
+                <Watchlist session={session} chain={chain} />
                 
+                {/* 7. My Protected Trades */}
+                <ProtectedTrades session={session} refreshKey={tradesRefreshKey} />
+
+                {/* 8. Sandwich Forensics */}
+                <SandwichForensics chain={chain} />
+
                 {/* 3. Attack Statistics Chart - NEW SECTION */}
                 <div className="full-width">
-                     <AttackStatsChart chartData={attackStats} />
+                     <AttackStatsChart chartData={attackStats} error={statsError} query={statsQuery} onQueryChange={setStatsQuery} />
                 </div>
             </div>
             
@@ -5,31 +5,129 @@ const { Server } = require("socket.io");
 const cors = require('cors');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
+const dbHelpers = require('./lib/db');
+const { decodeSignedTransaction, TransactionValidationError } = require('./lib/txDecoder');
+const { simulateSandwich, describeSandwich, formatValueImpact, SimulationInputError } = require('./lib/ammSimulator');
+const { WebSocketMempoolSource, JsonlReplaySource } = require('./lib/mempoolSources');
+const { AttackDetector, describeFinding, formatValueAtRisk } = require('./lib/attackDetector');
+const { createRpcClient, RpcError } = require('./lib/rpcClient');
+const { TradeTracker, TRADE_STATUS } = require('./lib/tradeTracker');
+const { createRelays, submitToRelays, RelayConfigError } = require('./lib/relays');
+const { createBundlesRouter } = require('./routes/bundles');
+const { DEFAULT_VERIFIED_SPENDERS, analyzeWalletHealth } = require('./lib/walletHealth');
+const { WatchlistWatcher } = require('./lib/watchlist');
+const { createWatchlistRouter } = require('./routes/watchlist');
+const { recordAttackEvent, replaceAttackEvent, aggregateAttackStats, StatsQueryError } = require('./lib/attackStats');
+const { createRiskAnalyzerFromEnv, parseTradeDescription, RiskAnalysisError } = require('./lib/riskAnalyzer');
+const { SessionStore, attachSession, requireSession } = require('./lib/sessions');
+const { createAuthRouter } = require('./routes/auth');
+const { createProtectedTradesRouter } = require('./routes/protectedTrades');
+const { AttackFeed, FeedFilterError } = require('./lib/attackFeed');
+const { decodeSwap } = require('./lib/dexDecoder');
+const { estimateImpliedSlippage, parseTokenDecimals } = require('./lib/slippage');
+const { adviseTrade } = require('./lib/tradeAdvisor');
+const { ChainError, loadChains, findChain, resolveChain, describeChain } = require('./lib/chains');
+const { WebhookDispatcher, WEBHOOK_EVENTS } = require('./lib/webhooks');
+const { createWebhooksRouter } = require('./routes/webhooks');
+const { API_KEY_SCOPES, ALL_SCOPES, ApiKeyStore, TokenBucketLimiter, attachApiKey, rateLimit, requireScope } = require('./lib/apiKeys');
+const { createApiKeysRouter } = require('./routes/apiKeys');
+const { logger, bridgeConsole, requestLogging } = require('./lib/logger');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { runChecks, sqliteCheck, rpcCheck, relayCheck } = require('./lib/health');
+const { createForensicsRouter } = require('./routes/forensics');
+const { createAttacksRouter } = require('./routes/attacks');
+const { AttackGenerator, ScenarioError, normalizeScenario, createAttackStream, randomSeed } = require('./lib/attackGenerator');
+const { loadScenario } = require('./lib/scenarios');
+const { createGeneratorRouter } = require('./routes/generator');
+const { TxSimulationError, normalizeBalanceGuards, normalizeStateOverrides, simulateTransaction, describeSimulationFailure } = require('./lib/txSimulator');
+const fs = require('fs');
+const { formatUnits, isAddress, parseEther } = require('ethers');
 
-// --- START GEMINI API CONFIGURATION ---
-// 1. Safe SDK import and initialization (guarded when API key is absent)
-const { GoogleGenAI } = require('@google/genai');
-// Ensure GEMINI_API_KEY is set in your .env file. If it's missing we keep `ai` null
-// so the server can run in offline/mock mode.
-let ai = null;
-if (process.env.GEMINI_API_KEY) {
-    try {
-        // Prefer passing an options object; the SDK expects an options parameter.
-        ai = new GoogleGenAI({ apiKey: process.env.GEMINI_API_KEY });
-    } catch (err) {
-        console.warn('Gemini SDK init warning:', err.message);
-        ai = null;
-    }
-} else {
-    console.warn('GEMINI_API_KEY not set; Gemini AI disabled (using fallback responses).');
-}
-// --- END GEMINI API CONFIGURATION ---
+// --- Observability ---
+// Every log line is a JSON object (LOG_FORMAT=text for development, LOG_LEVEL
+// to filter); console.* calls are routed through the logger so they carry the
+// current request ID. Metrics are served in Prometheus format on GET /metrics.
+bridgeConsole(logger);
+const metrics = new MetricsRegistry();
+const httpRequestsTotal = metrics.counter({
+    name: 'mevshield_http_requests_total',
+    help: 'HTTP requests by method, route pattern and status code.',
+    labelNames: ['method', 'route', 'status'],
+});
+const httpRequestDuration = metrics.histogram({
+    name: 'mevshield_http_request_duration_seconds',
+    help: 'HTTP request latency by method and route pattern.',
+    labelNames: ['method', 'route'],
+});
+metrics.gauge({
+    name: 'mevshield_socketio_connected_clients',
+    help: 'Socket.io clients currently connected.',
+    collect: () => (io ? io.engine.clientsCount : 0),
+});
+const attacksBroadcastTotal = metrics.counter({
+    name: 'mevshield_attacks_broadcast_total',
+    help: 'Attacks broadcast on the live feed by type, source (local or mempool) and chain.',
+    labelNames: ['type', 'source', 'chain_id'],
+});
+const protectedTradesTotal = metrics.counter({
+    name: 'mevshield_protected_trades_total',
+    help: 'Protected trade submissions by lifecycle status: submitted on arrival, then every status change.',
+    labelNames: ['chain', 'status'],
+});
+const relayRequestDuration = metrics.histogram({
+    name: 'mevshield_relay_request_duration_seconds',
+    help: 'Latency of requests to private relay endpoints.',
+    labelNames: ['relay', 'type'],
+});
+const relayErrorsTotal = metrics.counter({
+    name: 'mevshield_relay_errors_total',
+    help: 'Relay requests that failed or were rejected.',
+    labelNames: ['relay', 'type'],
+});
+const riskAnalyzerCallsTotal = metrics.counter({
+    name: 'mevshield_risk_analyzer_calls_total',
+    help: 'Risk analyzer provider calls by provider and outcome (success or failure).',
+    labelNames: ['provider', 'outcome'],
+});
+const riskAnalyzerDuration = metrics.histogram({
+    name: 'mevshield_risk_analyzer_duration_seconds',
+    help: 'Risk analyzer provider latency.',
+    labelNames: ['provider'],
+    buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+});
+const riskAnalyzerFallbacksTotal = metrics.counter({
+    name: 'mevshield_risk_analyzer_fallbacks_total',
+    help: 'Analyses served by a fallback provider after the preferred ones failed.',
+    labelNames: ['provider'],
+});
+metrics.gauge({ name: 'process_uptime_seconds', help: 'Seconds since the process started.', collect: () => process.uptime() });
+metrics.gauge({ name: 'process_resident_memory_bytes', help: 'Resident memory size.', collect: () => process.memoryUsage().rss });
+metrics.gauge({ name: 'nodejs_heap_used_bytes', help: 'V8 heap in use.', collect: () => process.memoryUsage().heapUsed });
 
-// NOTE: Flashbots / private mempool specific integration is intentionally
-// commented-out/removed in this branch. We keep a feature flag
-// (`PRIVATE_MEMPOOL_ENABLED`) and generic messages for the UI, but any
-// direct Flashbots SDK imports or relay submission code should remain
-// disabled to avoid depending on Flashbots here.
+const observeRelayResult = (result) => {
+    relayRequestDuration.observe({ relay: result.relay, type: result.type }, (result.latencyMs || 0) / 1000);
+    if (!result.accepted) relayErrorsTotal.inc({ relay: result.relay, type: result.type });
+};
+
+// --- RISK ANALYZER CONFIGURATION ---
+// Providers are picked with RISK_ANALYZER (gemini, openai, rules). Gemini needs
+// GEMINI_API_KEY, the OpenAI-compatible provider LLM_BASE_URL (e.g. a local
+// Ollama at http://localhost:11434/v1). The offline rule-based analyzer is
+// always the last fallback, so the server runs without any API key.
+const riskAnalyzer = createRiskAnalyzerFromEnv(process.env, {
+    onCall: ({ provider, success, durationMs, fallbackFrom }) => {
+        riskAnalyzerCallsTotal.inc({ provider, outcome: success ? 'success' : 'failure' });
+        riskAnalyzerDuration.observe({ provider }, durationMs / 1000);
+        if (success && fallbackFrom.length) riskAnalyzerFallbacksTotal.inc({ provider });
+    },
+});
+console.log(`Risk analyzers: ${riskAnalyzer.providers.join(' -> ')}`);
+
+// NOTE: Private relay submission goes through the adapters in lib/relays.js
+// (eth_sendPrivateTransaction, Flashbots-style eth_sendBundle, builder
+// fan-out), configured with RELAYS / RELAYS_FILE. With no relays configured
+// the hand-off stays simulated. `PRIVATE_MEMPOOL_ENABLED` only drives the
+// generic status messages shown in the UI.
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -37,8 +135,17 @@ const PORT = process.env.PORT || 3001;
 // ALCHEMY_WSS_URL is now unused as per requirement
 
 // --- Configuration Constants ---
-const MEV_ATTACK_TYPES = ['Sandwich Attack', 'Front-Run', 'Arbitrage Exploitation', 'Liquidation Attack'];
+const MEV_ATTACK_TYPES = ['Sandwich Attack', 'Front-Run', 'Back-Run', 'Arbitrage Exploitation', 'Liquidation Attack'];
 const PRIVATE_MEMPOOL_ENABLED = true; 
+// Optional: reject protected submissions signed for any other chain.
+const EXPECTED_CHAIN_ID = process.env.EXPECTED_CHAIN_ID ? BigInt(process.env.EXPECTED_CHAIN_ID) : null;
+
+// --- Chains ---
+// Supported networks and their endpoints (see lib/chains.js). Requests name a
+// chain with `chainId` (id or key); without one they use the default chain.
+const chains = loadChains(process.env);
+const DEFAULT_CHAIN = chains.find(chain => chain.isDefault);
+console.log(`Chains: ${chains.map(chain => `${chain.key}${chain.rpcUrl ? '' : ' (no RPC)'}`).join(', ')}; default ${DEFAULT_CHAIN.key}`);
 
 // --- Database Setup (SQLite) ---
 const DB_PATH = path.resolve(__dirname, 'mevshield.db');
@@ -50,54 +157,405 @@ let db = new sqlite3.Database(DB_PATH, (err) => {
     }
 });
 
-const initDb = () => {
-    db.serialize(() => {
-        db.run(`CREATE TABLE IF NOT EXISTS protected_trades (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            raw_tx TEXT NOT NULL,
-            protection_relay_tx_hash TEXT,
-            status TEXT NOT NULL,
-            submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )`, (err) => {
-            if (err) console.error("Error creating table:", err.message);
-            else console.log("Database table 'protected_trades' initialized.");
-            
-            if (process.argv.includes('--init-db')) {
-                db.close();
-                process.exit(0);
-            }
-        });
-    });
+// Decoded transaction fields, added after the original schema.
+const PROTECTED_TRADE_COLUMNS = {
+    tx_hash: 'TEXT',
+    from_address: 'TEXT',
+    to_address: 'TEXT',
+    value_wei: 'TEXT',
+    nonce: 'INTEGER',
+    gas_limit: 'TEXT',
+    gas_price: 'TEXT',
+    max_fee_per_gas: 'TEXT',
+    max_priority_fee_per_gas: 'TEXT',
+    tx_type: 'INTEGER',
+    chain_id: 'TEXT',
+    block_number: 'INTEGER',
+    gas_used: 'TEXT',
+    status_updated_at: 'DATETIME',
+    submitter_socket_id: 'TEXT',
+    user_address: 'TEXT',
+    pre_simulation: 'TEXT',
+};
+
+const initDb = async () => {
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS protected_trades (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        raw_tx TEXT NOT NULL,
+        protection_relay_tx_hash TEXT,
+        status TEXT NOT NULL,
+        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await dbHelpers.addMissingColumns(db, 'protected_trades', PROTECTED_TRADE_COLUMNS);
+    await dbHelpers.run(db, 'CREATE UNIQUE INDEX IF NOT EXISTS idx_protected_trades_tx_hash ON protected_trades (tx_hash)');
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_protected_trades_from ON protected_trades (from_address)');
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_protected_trades_user ON protected_trades (user_address)');
+    // Rows logged before lifecycle tracking used a single fixed status.
+    await dbHelpers.run(db, 'UPDATE protected_trades SET status = ? WHERE status = ?', [TRADE_STATUS.SUBMITTED, 'Submitted_Protected']);
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS trade_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trade_id INTEGER NOT NULL REFERENCES protected_trades(id),
+        status TEXT NOT NULL,
+        changed_at DATETIME NOT NULL,
+        detail TEXT
+    )`);
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_trade_status_history_trade ON trade_status_history (trade_id)');
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS relay_submissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trade_id INTEGER NOT NULL REFERENCES protected_trades(id),
+        relay_name TEXT NOT NULL,
+        relay_type TEXT NOT NULL,
+        endpoint TEXT NOT NULL,
+        target_block INTEGER,
+        accepted INTEGER NOT NULL,
+        response TEXT,
+        error TEXT,
+        latency_ms INTEGER,
+        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_relay_submissions_trade ON relay_submissions (trade_id)');
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS bundles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bundle_hash TEXT NOT NULL,
+        from_block INTEGER NOT NULL,
+        to_block INTEGER NOT NULL,
+        min_timestamp INTEGER,
+        max_timestamp INTEGER,
+        status TEXT NOT NULL,
+        simulation_method TEXT,
+        simulation_success INTEGER,
+        total_gas_used TEXT,
+        coinbase_diff TEXT,
+        simulation_json TEXT,
+        user_address TEXT,
+        api_key_id INTEGER,
+        chain_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS bundle_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bundle_id INTEGER NOT NULL REFERENCES bundles(id),
+        position INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        raw_tx TEXT NOT NULL,
+        from_address TEXT,
+        to_address TEXT,
+        nonce INTEGER,
+        value_wei TEXT,
+        can_revert INTEGER NOT NULL DEFAULT 0,
+        success INTEGER,
+        gas_used TEXT,
+        coinbase_payment TEXT,
+        revert_reason TEXT
+    )`);
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_bundle_transactions_bundle ON bundle_transactions (bundle_id)');
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS bundle_submissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bundle_id INTEGER NOT NULL REFERENCES bundles(id),
+        relay_name TEXT NOT NULL,
+        endpoint TEXT NOT NULL,
+        target_block INTEGER,
+        accepted INTEGER NOT NULL,
+        response TEXT,
+        error TEXT,
+        latency_ms INTEGER,
+        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_bundle_submissions_bundle ON bundle_submissions (bundle_id)');
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS watchlist (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_address TEXT NOT NULL,
+        chain_id INTEGER NOT NULL,
+        address TEXT NOT NULL,
+        label TEXT NOT NULL,
+        rules TEXT NOT NULL,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL,
+        UNIQUE (user_address, chain_id, address)
+    )`);
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS watchlist_hits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        watchlist_id INTEGER NOT NULL REFERENCES watchlist(id),
+        rule TEXT NOT NULL,
+        tx_hash TEXT,
+        detail TEXT NOT NULL,
+        value_wei TEXT,
+        attack_type TEXT,
+        created_at DATETIME NOT NULL
+    )`);
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_watchlist_hits_entry ON watchlist_hits (watchlist_id)');
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS attack_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        attack_type TEXT NOT NULL,
+        source TEXT NOT NULL,
+        risk_score INTEGER NOT NULL,
+        value_wei TEXT,
+        value_eth REAL,
+        value_label TEXT,
+        tx_hash TEXT,
+        tx_hashes TEXT,
+        attacker TEXT,
+        victim TEXT,
+        pool TEXT,
+        rationale TEXT,
+        evidence TEXT,
+        detected_at DATETIME NOT NULL,
+        chain_id INTEGER
+    )`);
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_attack_events_detected ON attack_events (detected_at)');
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_attack_events_type ON attack_events (attack_type, detected_at)');
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_attack_events_chain ON attack_events (chain_id, detected_at)');
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS siwe_nonces (
+        nonce TEXT PRIMARY KEY,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME
+    )`);
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT NOT NULL UNIQUE,
+        address TEXT NOT NULL,
+        chain_id INTEGER NOT NULL,
+        created_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL
+    )`);
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS simulations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_address TEXT NOT NULL,
+        description TEXT NOT NULL,
+        risk_score INTEGER NOT NULL,
+        attack_type TEXT,
+        provider TEXT,
+        result TEXT NOT NULL,
+        created_at DATETIME NOT NULL
+    )`);
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_simulations_user ON simulations (user_address, created_at)');
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_address TEXT NOT NULL,
+        url TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        events TEXT NOT NULL,
+        min_risk_score INTEGER NOT NULL,
+        chain_id INTEGER,
+        description TEXT,
+        active INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+    )`);
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_user ON webhook_subscriptions (user_address)');
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id),
+        event_id TEXT NOT NULL,
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_status_code INTEGER,
+        last_error TEXT,
+        next_attempt_at DATETIME,
+        created_at DATETIME NOT NULL,
+        delivered_at DATETIME
+    )`);
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries (subscription_id, id)');
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)');
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS webhook_attempts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        delivery_id INTEGER NOT NULL REFERENCES webhook_deliveries(id),
+        attempt INTEGER NOT NULL,
+        requested_at DATETIME NOT NULL,
+        status_code INTEGER,
+        response_body TEXT,
+        error TEXT,
+        duration_ms INTEGER
+    )`);
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_webhook_attempts_delivery ON webhook_attempts (delivery_id)');
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        delivery_id INTEGER NOT NULL REFERENCES webhook_deliveries(id),
+        subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id),
+        event_type TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        attempts INTEGER NOT NULL,
+        last_error TEXT,
+        failed_at DATETIME NOT NULL
+    )`);
+    await dbHelpers.run(db, 'CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_subscription ON webhook_dead_letters (subscription_id)');
+    await dbHelpers.run(db, `CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        key_prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        rate_limit_per_minute INTEGER NOT NULL,
+        burst INTEGER NOT NULL,
+        created_at DATETIME NOT NULL,
+        rotated_at DATETIME,
+        last_used_at DATETIME,
+        expires_at DATETIME,
+        revoked_at DATETIME
+    )`);
+    console.log('Database tables for protected trades, relay submissions, bundles, the watchlist, attack events, sessions, webhooks and API keys initialized.');
 };
 
+let dbInitialized = false;
+const dbReady = initDb().then(() => {
+    dbInitialized = true;
+}).catch((err) => {
+    console.error('Error initializing database:', err.message);
+});
+
 if (process.argv.includes('--init-db')) {
-    initDb();
+    dbReady.then(() => {
+        db.close();
+        process.exit(0);
+    });
+    return;
+}
+
+// --- API Keys & Rate Limits ---
+// Keys are sent as X-API-Key and carry scopes and their own token bucket
+// (see lib/apiKeys.js); keyless requests share a bucket per client IP.
+// With REQUIRE_API_KEY=true every scoped route needs a key, except for
+// signed-in users. Bootstrap the first admin key with `npm run create-admin-key`.
+const REQUIRE_API_KEY = process.env.REQUIRE_API_KEY === 'true';
+const apiKeys = new ApiKeyStore({
+    db,
+    defaultRateLimitPerMinute: Number(process.env.API_KEY_RATE_LIMIT_PER_MINUTE) || undefined,
+    defaultBurst: Number(process.env.API_KEY_BURST) || undefined,
+});
+const ANONYMOUS_RATE_LIMIT = {
+    rateLimitPerMinute: Number(process.env.ANON_RATE_LIMIT_PER_MINUTE) || 120,
+    burst: Number(process.env.ANON_RATE_LIMIT_BURST) || 60,
+};
+const scope = name => requireScope(name, { requireKey: REQUIRE_API_KEY });
+
+if (process.argv.includes('--create-admin-key')) {
+    dbReady
+        .then(() => apiKeys.create({ name: process.env.ADMIN_KEY_NAME || 'admin', scopes: ALL_SCOPES }))
+        .then(({ key, apiKey }) => {
+            console.log(`Created API key ${apiKey.id} (${apiKey.name}) with scopes ${apiKey.scopes.join(', ')}. Store it now, it is not shown again:`);
+            console.log(key);
+        })
+        .catch(err => console.error('Could not create the admin key:', err.message))
+        .finally(() => {
+            db.close();
+            process.exit(0);
+        });
     return;
-} else {
-    initDb(); 
 }
 
 // Middleware
-app.use(cors({
-    origin: "http://localhost:5173", 
-    methods: ["GET", "POST"]
-}));
+// CORS_ORIGINS lists the browser origins allowed to call the API and open
+// Socket.io connections (comma-separated, `*` for any).
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || 'http://localhost:5173').split(',').map(origin => origin.trim()).filter(Boolean);
+const corsOptions = {
+    origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS,
+    methods: ['GET', 'POST', 'PUT', 'DELETE'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+    exposedHeaders: ['RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After',
+        'Content-Disposition', 'X-Export-Truncated'],
+};
+app.use(cors(corsOptions));
 app.use(express.json());
+// Access log and request ID per request (X-Request-Id is honoured and echoed);
+// load balancer probes and scrapes are logged at debug level.
+const PROBE_PATHS = ['/healthz', '/readyz', '/metrics'];
+app.use(requestLogging(logger, { quiet: req => PROBE_PATHS.includes(req.path) }));
+app.use((req, res, next) => {
+    const stopTimer = httpRequestDuration.startTimer({ method: req.method });
+    res.on('finish', () => {
+        // Route patterns, not raw paths, keep the label set small.
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : (req.baseUrl || 'unmatched');
+        stopTimer({ route });
+        httpRequestsTotal.inc({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+});
+
+// --- Sign-In with Ethereum ---
+// Requests carrying `Authorization: Bearer <token>` get `req.user`; protected
+// trades, simulations and watchlists are scoped to that address.
+// SIWE_DOMAINS lists the host[:port] values accepted in signed messages.
+const sessions = new SessionStore({ db, sessionTtlMs: Number(process.env.SESSION_TTL_MS) || undefined });
+const SIWE_DOMAINS = (process.env.SIWE_DOMAINS || 'localhost:5173').split(',').map(domain => domain.trim()).filter(Boolean);
+app.use(attachSession(sessions));
+app.use('/api', attachApiKey(apiKeys), rateLimit(new TokenBucketLimiter(), ANONYMOUS_RATE_LIMIT));
 
 // --- WebSocket Setup (Socket.io for stable client communication) ---
 const server = http.createServer(app);
-const io = new Server(server, { 
-    cors: {
-        origin: "http://localhost:5173", 
-        methods: ["GET", "POST"]
-    }
-}); 
+const io = new Server(server, {
+    cors: { origin: corsOptions.origin, methods: ['GET', 'POST'] },
+});
 
 let attackCounter = 0; 
 
+// new_attack goes only to subscribers whose filters match (see lib/attackFeed.js).
+const attackFeed = new AttackFeed({ io, db });
+
 io.on('connection', (socket) => {
     console.log(`NEW Socket.io client connected: ${socket.id}`);
 
+    // Clients may send their feed filters in the handshake (auth.feed, with
+    // sinceId to catch up after a reconnect); otherwise the unfiltered feed.
+    const { feed } = socket.handshake.auth || {};
+    attackFeed.subscribe(socket, feed)
+        .catch((err) => {
+            console.warn(`Ignoring feed filters from ${socket.id}: ${err.message}`);
+            return attackFeed.subscribe(socket);
+        })
+        .catch(err => console.error('Attack backfill error:', err.message));
+
+    socket.on('subscribe', async (filters, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        try {
+            reply({ success: true, filters: await attackFeed.subscribe(socket, filters) });
+        } catch (err) {
+            if (err instanceof FeedFilterError) return reply({ success: false, message: err.message });
+            console.error('Attack backfill error:', err.message);
+            reply({ success: false, message: 'Could not load attack history.' });
+        }
+    });
+
+    // Wallet this socket is signed in as (see 'authenticate'). Handlers that
+    // check it wait for a sign-in still in flight, since clients send
+    // authenticate and track_trade back to back on connect.
+    let signedIn = Promise.resolve(null);
+
+    // Re-attach to a trade's status updates, e.g. after a reconnect. Only the
+    // trade's signed-in owner, or the socket that submitted it, may listen.
+    socket.on('track_trade', async (tradeId, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        const id = Number(tradeId);
+        if (!Number.isInteger(id)) return reply({ success: false, message: 'tradeId must be an integer.' });
+        try {
+            const [address, trade] = await Promise.all([
+                signedIn,
+                dbHelpers.get(db, 'SELECT user_address, submitter_socket_id FROM protected_trades WHERE id = ?', [id]),
+            ]);
+            const owns = trade && ((address && trade.user_address && trade.user_address.toLowerCase() === address)
+                || trade.submitter_socket_id === socket.id);
+            if (!owns) return reply({ success: false, message: 'Trade not found.' });
+            socket.join(`trade:${id}`);
+            reply({ success: true });
+        } catch (err) {
+            console.error('DB Read Error (track_trade):', err.message);
+            reply({ success: false, message: 'Database error while looking up the trade.' });
+        }
+    });
+
+    // Joins the signed-in user's room so their watchlist alerts reach this socket.
+    socket.on('authenticate', async (token, ack) => {
+        const resolving = sessions.resolve(typeof token === 'string' ? token : null).catch(() => null);
+        signedIn = resolving.then(session => (session ? session.address.toLowerCase() : null));
+        const session = await resolving;
+        for (const room of socket.rooms) {
+            if (room.startsWith('user:')) socket.leave(room);
+        }
+        if (session) socket.join(`user:${session.address.toLowerCase()}`);
+        if (typeof ack === 'function') ack({ success: Boolean(session), address: session ? session.address : null });
+    });
+
     socket.on('disconnect', () => {
         console.log(`Socket.io client disconnected: ${socket.id}`);
     });
@@ -109,185 +567,1022 @@ io.on('connection', (socket) => {
     socket.emit('STATUS', { message: `Connected to MEV-Shield server. Private Mempool Status: ${PRIVATE_MEMPOOL_ENABLED ? 'Active (private mempool)' : 'Inactive'}.` });
 });
 
-// --- GEMINI AI Risk Analyzer (Real API Implementation) ---
+// --- Webhooks ---
+// Signed outbound deliveries of high-risk attacks, watchlist hits and trade
+// status changes to the endpoints users register under /api/webhooks (see
+// lib/webhooks.js). WEBHOOK_MAX_ATTEMPTS, WEBHOOK_RETRY_BASE_MS and
+// WEBHOOK_TIMEOUT_MS tune retries; exhausted deliveries go to webhook_dead_letters.
+// Endpoints on loopback or private networks are refused unless
+// WEBHOOK_ALLOW_PRIVATE_NETWORKS=true (local development).
+const webhookDispatcher = new WebhookDispatcher({
+    db,
+    maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || undefined,
+    baseDelayMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || undefined,
+    timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || undefined,
+    allowPrivateNetworks: process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === 'true',
+});
+webhookDispatcher.on('dead_letter', (dead) => {
+    console.warn(`Webhook delivery ${dead.deliveryId} (${dead.eventType}) dead-lettered after ${dead.attempts} attempts: ${dead.lastError}`);
+});
+webhookDispatcher.on('error', err => console.warn('Webhook dispatcher error:', err.message));
+
+const dispatchWebhook = (type, data, match) => webhookDispatcher.dispatch(type, data, match)
+    .catch(err => console.warn(`Webhook dispatch error (${type}):`, err.message));
 
-/**
- * Calls the Gemini API to assess MEV risk.
- * @param {string} tradeData - Either a raw transaction or a trade description.
- * @returns {Promise<object>} - Analysis result including risk score and type.
- */
-async function geminiRiskAnalyzer(tradeData) {
-    let prompt;
-    
-    // Determine the prompt based on content type
-    if (tradeData.startsWith('0xTx')) {
-        // Use this prompt for the real-time *mock* attacks
-        prompt = `Simulate an MEV attack scenario targeting a typical raw transaction like ${tradeData}. Provide a JSON object with: { "riskScore": "X/100", "attackType": "A single MEV type (Sandwich Attack, Front-Run, Liquidation Attack, Arbitrage Exploitation)", "rationale": "Brief, technical rationale for why this attack type is likely." }`;
-    } else {
-        // Use this prompt for the user's manual trade description
-        prompt = `Analyze the potential MEV risk for this transaction description: "${tradeData}". Assume this is a DEX trade. Output a JSON object with: { "riskScore": "X/100", "attackType": "The most likely MEV type this trade attracts", "rationale": "Brief analysis of the risk and potential value impact." }`;
+// --- Local Attack Generation and Manual Broadcast ---
+// Single attacks for /api/trigger-attack, drawn from a one-event-at-a-time
+// generator stream per chain (see lib/attackGenerator.js): seeded with
+// ATTACK_TRIGGER_SEED (random otherwise) and marked synthetic, so they stay
+// out of stats and webhooks like the generator's own runs.
+const TRIGGER_SCENARIO = normalizeScenario({
+    name: 'Manual trigger',
+    rate: 1,
+    mix: Object.fromEntries(MEV_ATTACK_TYPES.map(type => [type, 1])),
+    value: { dist: 'uniform', min: 1, max: 16 },
+    risk: { dist: 'uniform', min: 50, max: 99 },
+}, 'manual-trigger');
+const TRIGGER_SEED = process.env.ATTACK_TRIGGER_SEED || randomSeed();
+const triggerStreams = new Map();
+
+function generateLocalAttack(chain) {
+    if (!triggerStreams.has(chain.chainId)) {
+        triggerStreams.set(chain.chainId, createAttackStream(TRIGGER_SCENARIO, { seed: `${TRIGGER_SEED}:${chain.chainId}`, chain }));
     }
-    
-    // If the Gemini SDK isn't initialized, return a graceful fallback so the
-    // server can operate without an API key during development.
-    if (!ai || !ai.models || !ai.models.generateContent) {
-        console.warn('Gemini AI not configured; returning fallback analysis.');
-        return {
-            riskScore: "50/100",
-            attackType: "AI Unavailable",
-            rationale: "Gemini API key missing or SDK not initialized. Using fallback analysis."
-        };
+    attackCounter++;
+    const { attack } = triggerStreams.get(chain.chainId).next();
+    return { ...attack, id: attackCounter, timestamp: new Date().toLocaleTimeString() };
+}
+
+// Every broadcast attack is persisted to attack_events (for /api/attack-stats
+// and feed backfill) and takes its row id, so clients can tell replayed from
+// live events. The feed still gets it, with the in-memory id, if the insert fails.
+// An attack that upgrades an earlier one (`replaces`: its row id and risk
+// score) overwrites that row and keeps its id, so clients update the event in
+// place, and only webhook subscribers the earlier one didn't reach are alerted.
+const publishAttack = async (attackMessage, { replaces = null } = {}) => {
+    attackMessage.detectedAt = new Date().toISOString();
+    try {
+        if (replaces && await replaceAttackEvent(db, replaces.id, attackMessage)) attackMessage.id = replaces.id;
+        else attackMessage.id = await recordAttackEvent(db, attackMessage);
+    } catch (err) {
+        console.error('DB Insert Error (attack_events):', err.message);
     }
+    attackFeed.publish(attackMessage);
+    attacksBroadcastTotal.inc({ type: attackMessage.method, source: attackMessage.source || 'local', chain_id: attackMessage.chainId });
+    // Synthetic attacks are for the feed only; subscribers never get alerts for them.
+    if (attackMessage.source === 'synthetic') return;
+    dispatchWebhook(WEBHOOK_EVENTS.HIGH_RISK_ATTACK, attackMessage, {
+        chainId: attackMessage.chainId,
+        riskScore: parseInt(attackMessage.riskScore, 10) || 0,
+        previousRiskScore: replaces ? replaces.riskScore : null,
+    });
+};
 
+// Broadcasts a synthetic attack from the trigger stream once it is stored (see publishAttack).
+const broadcastAttack = (chain = DEFAULT_CHAIN) => {
+    const attackMessage = generateLocalAttack(chain);
+
+    publishAttack(attackMessage).then(() => {
+        console.log(`Broadcasting synthetic attack ${attackMessage.id} on ${chain.key}: ${attackMessage.method} (Risk: ${attackMessage.riskScore})`);
+    });
+};
+
+// --- Synthetic Attack Generator ---
+// Scenario-driven, seedable synthetic traffic for demos, load tests and
+// frontend work, controlled through /api/generator (see routes/generator.js).
+// Scenario files are read from ATTACK_SCENARIOS_DIR (default ./scenarios).
+// ATTACK_GENERATOR_SCENARIO starts one at boot, with ATTACK_GENERATOR_SEED,
+// ATTACK_GENERATOR_SPEED and ATTACK_GENERATOR_CHAIN_ID.
+const SCENARIO_DIR = path.resolve(__dirname, process.env.ATTACK_SCENARIOS_DIR || 'scenarios');
+const attackGenerator = new AttackGenerator();
+attackGenerator.on('attack', (attack) => {
+    attackCounter++;
+    publishAttack({ id: attackCounter, ...attack });
+});
+attackGenerator.on('state', ({ state, scenario, seed, speed, generated }) => {
+    console.log(`Attack generator ${state}: ${scenario.name} (seed ${seed}, speed ${speed}x, ${generated} events)`);
+});
+
+const startConfiguredScenario = () => {
+    const id = process.env.ATTACK_GENERATOR_SCENARIO;
+    if (!id) return;
     try {
-        const response = await ai.models.generateContent({ 
-            model: "gemini-2.5-flash", 
-            contents: [{ role: "user", parts: [{ text: prompt }] }], 
-            config: { 
-                responseMimeType: "application/json" 
-            } 
+        const scenario = loadScenario(SCENARIO_DIR, id);
+        if (!scenario) throw new ScenarioError(`No scenario file for ${id} in ${SCENARIO_DIR}.`);
+        attackGenerator.start({
+            scenario,
+            chain: resolveChain(chains, process.env.ATTACK_GENERATOR_CHAIN_ID),
+            seed: process.env.ATTACK_GENERATOR_SEED,
+            speed: Number(process.env.ATTACK_GENERATOR_SPEED) || 1,
         });
-        
-        // Try to parse the model's text response as JSON
-        return JSON.parse(response.text);
-    } catch (e) {
-        console.error("🚫 Gemini API or Parsing Error:", e.message);
-        // Fallback in case of API error or invalid JSON output
-        return { 
-            riskScore: "50/100", 
-            attackType: "API Error/Unknown MEV", 
-            rationale: "AI risk analysis failed due to API error/quota limit. Proceed with caution." 
-        };
+    } catch (err) {
+        console.warn('Could not start the attack generator:', err.message);
     }
-}
+};
 
+// --- Mempool Ingestion & Attack Detection ---
+// Pending transactions come from each chain's WebSocket JSON-RPC node
+// (CHAIN_<KEY>_WS_URL, or MEMPOOL_WS_URL for the default chain) and/or a
+// recorded JSONL capture (MEMPOOL_REPLAY_FILE, replayed as the chain in
+// MEMPOOL_REPLAY_CHAIN_ID, default chain otherwise). Every chain has its own
+// detector so pools never mix across networks. Findings are broadcast on the
+// same `new_attack` event as local simulations, tagged with their chainId.
+const mempoolSources = [];
+chains.filter(chain => chain.wsUrl).forEach((chain) => {
+    mempoolSources.push({ chain, source: new WebSocketMempoolSource({ url: chain.wsUrl }) });
+});
+if (process.env.MEMPOOL_REPLAY_FILE) {
+    mempoolSources.push({
+        chain: resolveChain(chains, process.env.MEMPOOL_REPLAY_CHAIN_ID),
+        source: new JsonlReplaySource({
+            file: path.resolve(__dirname, process.env.MEMPOOL_REPLAY_FILE),
+            speed: Number(process.env.MEMPOOL_REPLAY_SPEED) || 1,
+            loop: process.env.MEMPOOL_REPLAY_LOOP === 'true',
+        }),
+    });
+}
 
-// --- Local Attack Generation and Manual Broadcast ---
-// Generate purely local attacks (no AI call) for the live feed.
-function generateLocalAttack() {
+function buildDetectedAttack(finding, chain) {
     attackCounter++;
-    const rawTxMock = `0xTx${Math.random().toString(16).slice(2, 10)}${Date.now().toString().slice(-4)}`;
-    const attackMethod = MEV_ATTACK_TYPES[Math.floor(Math.random() * MEV_ATTACK_TYPES.length)];
-
+    const { txHashes } = finding;
     return {
         id: attackCounter,
-        transaction: rawTxMock.slice(0, 10) + '...',
-        method: attackMethod,
-        value: (Math.random() * 15 + 1).toFixed(4) + ' ETH',
-        riskScore: (Math.floor(Math.random() * 50) + 50) + '/100', // Random high risk
-        rationale: `Locally simulated. Attacker is monitoring ${attackMethod} opportunities.`,
-        status: 'Local Simulation',
+        chainId: chain.chainId,
+        transaction: txHashes.frontRun || txHashes.backRun || txHashes.liquidation,
+        method: finding.type,
+        value: formatValueAtRisk(finding, chain.nativeToken.symbol),
+        riskScore: `${finding.riskScore}/100`,
+        rationale: describeFinding(finding),
+        status: 'Detected',
         timestamp: new Date().toLocaleTimeString(),
+        source: 'mempool',
+        valueWei: finding.valueAtRiskWei === null ? null : finding.valueAtRiskWei.toString(),
+        txHashes,
+        attacker: finding.attacker,
+        victim: finding.victim,
+        pool: finding.pool,
+        evidence: finding.evidence,
     };
 }
 
-// Broadcast a local attack message over Socket.io. Kept synchronous to simplify local use.
-const broadcastAttack = () => {
-    const attackMessage = generateLocalAttack();
+// --- Watchlist ---
+// Ingested transactions and detected attacks are matched against the
+// watchlist; every hit is stored and pushed as a `watchlist_alert` event to
+// the owner's sockets.
+const watchlistWatcher = new WatchlistWatcher({ db, chains });
+watchlistWatcher.on('alert', (alert) => {
+    io.to(`user:${alert.owner.toLowerCase()}`).emit('watchlist_alert', alert);
+    dispatchWebhook(WEBHOOK_EVENTS.WATCHLIST_HIT, alert, { owner: alert.owner, chainId: alert.chainId });
+    console.log(`Watchlist alert for ${alert.label} (${alert.rule}): ${alert.detail}`);
+});
+watchlistWatcher.on('error', err => console.warn('Watchlist error:', err.message));
+
+// The window a pending tx stays eligible is about one block, but never so
+// short that slow WebSocket fetches on fast rollups can't pair up.
+const MIN_DETECTION_WINDOW_MS = 2000;
+const attackDetectors = new Map();
+// Row id of each published finding, so a Sandwich can overwrite the Front-Run
+// or Back-Run it grew out of (`replaces` in lib/attackDetector.js). The entry
+// is a promise set before the finding is stored, so a Sandwich that arrives
+// while its Front-Run is still being written waits for that row.
+const findingEventIds = new WeakMap();
+const detectorFor = (chain) => {
+    if (!attackDetectors.has(chain.chainId)) {
+        const detector = new AttackDetector({
+            windowMs: Number(process.env.MEMPOOL_WINDOW_MS) || Math.max(chain.blockTimeMs, MIN_DETECTION_WINDOW_MS),
+            wrappedNative: chain.wrappedNative,
+            routers: Object.values(chain.routers),
+        });
+        detector.on('attack', (finding) => {
+            const attackMessage = buildDetectedAttack(finding, chain);
+            const replacedId = finding.replaces ? findingEventIds.get(finding.replaces) : undefined;
+            const published = (async () => {
+                const replaces = replacedId ? { id: await replacedId, riskScore: finding.replaces.riskScore } : null;
+                await publishAttack(attackMessage, { replaces });
+                return replaces;
+            })();
+            findingEventIds.set(finding, published.then(() => attackMessage.id));
+            published.then((replaces) => {
+                // The attacker and victim of an upgraded event were already matched
+                if (!replaces) watchlistWatcher.matchAttack(attackMessage);
+                console.log(`Broadcasting DETECTED attack ${attackMessage.id} on ${chain.key}: ${attackMessage.method} (Risk: ${attackMessage.riskScore}) tx ${attackMessage.transaction}${replaces ? ` (replaces a ${finding.replaces.type})` : ''}`);
+            });
+        });
+        attackDetectors.set(chain.chainId, detector);
+    }
+    return attackDetectors.get(chain.chainId);
+};
+
+const startMempoolIngestion = () => {
+    mempoolSources.forEach(({ chain, source }) => {
+        const detector = detectorFor(chain);
+        source.on('transaction', (tx) => {
+            tx.chainId = chain.chainId;
+            watchlistWatcher.matchTransaction(tx);
+            detector.ingest(tx);
+        });
+        source.on('status', message => console.log(`[mempool:${chain.key}:${source.name}] ${message}`));
+        source.on('error', err => console.warn(`[mempool:${chain.key}:${source.name}] ${err.message}`));
+        source.start();
+    });
+};
+
+// --- Per-Chain Runtime ---
+// Each chain gets its own node client (CHAIN_<KEY>_RPC_URL, RPC_URL for the
+// default chain), trade tracker, relays and optional simulation fork
+// (CHAIN_<KEY>_FORK_RPC_URL, FORK_RPC_URL). Wallet health and forensics may
+// use a separate, more generous node on the default chain (WALLET_RPC_URL,
+// FORENSICS_RPC_URL, e.g. an archive node or a local anvil fork).
+const chainRuntimes = new Map(chains.map((chain) => {
+    const rpc = chain.rpcUrl ? createRpcClient(chain.rpcUrl) : null;
+    const walletRpcUrl = (chain.isDefault && process.env.WALLET_RPC_URL) || chain.rpcUrl;
+    const forensicsRpcUrl = (chain.isDefault && process.env.FORENSICS_RPC_URL) || chain.rpcUrl;
+    return [chain.chainId, {
+        chain,
+        rpc,
+        walletRpc: walletRpcUrl ? createRpcClient(walletRpcUrl, { timeoutMs: 20000 }) : null,
+        forensicsRpc: forensicsRpcUrl ? createRpcClient(forensicsRpcUrl, { timeoutMs: 20000 }) : null,
+        forkRpc: chain.forkRpcUrl ? createRpcClient(chain.forkRpcUrl) : null,
+        relays: [],
+        tradeTracker: null,
+    }];
+}));
+const runtimeFor = (chain) => chainRuntimes.get(chain.chainId);
+const defaultRuntime = runtimeFor(DEFAULT_CHAIN);
 
-    // Broadcast using Socket.io's io.emit
-    io.emit('new_attack', attackMessage);
+// --- Protected Trade Lifecycle Tracking ---
+// Polls each chain's node for receipts and sender nonces; without one trades can only expire.
+if (!defaultRuntime.rpc) {
+    console.warn('RPC_URL not set; protected trades will only be tracked until they expire.');
+}
+chainRuntimes.forEach((runtime) => {
+    runtime.tradeTracker = new TradeTracker({
+        db,
+        rpc: runtime.rpc,
+        chainId: runtime.chain.chainId,
+        pollIntervalMs: Number(process.env.TRADE_POLL_INTERVAL_MS) || undefined,
+        expiryMs: Number(process.env.TRADE_EXPIRY_MS) || undefined,
+    });
+    runtime.tradeTracker.on('status', (event) => {
+        io.to(`trade:${event.tradeId}`).emit('trade_status', event);
+        protectedTradesTotal.inc({ chain: runtime.chain.key, status: event.status });
+        // Only signed-in users' trades have an owner to notify.
+        dbHelpers.get(db, 'SELECT user_address FROM protected_trades WHERE id = ?', [event.tradeId])
+            .then((trade) => {
+                if (!trade || !trade.user_address) return;
+                dispatchWebhook(WEBHOOK_EVENTS.TRADE_STATUS, { ...event, chainId: runtime.chain.chainId },
+                    { owner: trade.user_address, chainId: runtime.chain.chainId });
+            })
+            .catch(err => console.warn('Webhook dispatch error (trade.status):', err.message));
+        console.log(`Trade ${event.tradeId} ${event.previousStatus} -> ${event.status}${event.reason ? ` (${event.reason})` : ''}`);
+    });
+    runtime.tradeTracker.on('error', err => console.warn(`Trade tracker error (${runtime.chain.key}):`, err.message));
+});
 
-    console.log(`Broadcasting LOCAL attack ${attackMessage.id}: ${attackMessage.method} (Risk: ${attackMessage.riskScore})`);
+// --- Private Relays ---
+// RELAYS holds a JSON array of relay configs, RELAYS_FILE a path to one
+// (see relays.example.json). Every protected trade is fanned out to all relays
+// of the chain it was signed for; configs without a chainId belong to the default chain.
+const loadRelayConfig = () => {
+    if (process.env.RELAYS) return JSON.parse(process.env.RELAYS);
+    if (process.env.RELAYS_FILE) return JSON.parse(fs.readFileSync(path.resolve(__dirname, process.env.RELAYS_FILE), 'utf8'));
+    return [];
 };
 
+try {
+    const relayConfigs = loadRelayConfig();
+    if (!Array.isArray(relayConfigs)) throw new RelayConfigError('Relay configuration must be an array.');
+    const configChains = relayConfigs.map(config => resolveChain(chains, config.chainId));
+    // Build every chain's relays before assigning any, so a bad config leaves none half-configured.
+    const runtimes = [...chainRuntimes.values()];
+    const built = runtimes.map(runtime => createRelays(
+        relayConfigs.filter((config, index) => configChains[index] === runtime.chain),
+        { rpc: runtime.rpc, onResult: observeRelayResult }));
+    runtimes.forEach((runtime, index) => {
+        runtime.relays = built[index];
+        if (runtime.relays.length) {
+            console.log(`Private relays on ${runtime.chain.key}: ${runtime.relays.map(relay => `${relay.name} (${relay.type})`).join(', ')}`);
+        }
+    });
+    if (!relayConfigs.length) console.log('No private relays configured; protected submissions are logged only.');
+} catch (err) {
+    console.error('Relay configuration error:', err.message);
+}
+
+const recordRelayResults = (tradeId, results) => Promise.all(results.map(result => dbHelpers.run(db,
+    `INSERT INTO relay_submissions (trade_id, relay_name, relay_type, endpoint, target_block, accepted, response, error, latency_ms)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [tradeId, result.relay, result.type, result.endpoint, result.targetBlock ?? null, result.accepted ? 1 : 0,
+        result.response === null ? null : JSON.stringify(result.response), result.error, result.latencyMs])));
+
+// --- Health, Readiness & Metrics ---
+// /healthz (liveness) checks the SQLite connection only; /readyz (readiness)
+// also checks every configured RPC node (eth_chainId must match its chain)
+// and relay endpoint, and caches the result for READINESS_CACHE_MS (default
+// 5s) so probes don't hammer the relays. Both answer 503 when a check fails.
+const HEALTH_CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 3000;
+const READINESS_CACHE_MS = Number(process.env.READINESS_CACHE_MS) || 5000;
+const databaseCheck = sqliteCheck(db, () => dbInitialized);
+let readiness = null;
+
+const readinessChecks = () => [databaseCheck, ...[...chainRuntimes.values()].flatMap(runtime => [
+    ...(runtime.rpc ? [rpcCheck(runtime.chain, runtime.rpc)] : []),
+    ...runtime.relays.map(relay => relayCheck(relay, runtime.chain, HEALTH_CHECK_TIMEOUT_MS)),
+])];
+
+app.get('/healthz', async (req, res) => {
+    const report = await runChecks([databaseCheck], { timeoutMs: HEALTH_CHECK_TIMEOUT_MS });
+    res.status(report.status === 'ok' ? 200 : 503).json(report);
+});
+
+app.get('/readyz', async (req, res) => {
+    if (!readiness || readiness.expiresAt <= Date.now()) {
+        // Concurrent probes share one in-flight run.
+        const entry = { expiresAt: Infinity };
+        entry.pending = runChecks(readinessChecks(), { timeoutMs: HEALTH_CHECK_TIMEOUT_MS }).then((report) => {
+            entry.expiresAt = Date.now() + READINESS_CACHE_MS;
+            const failed = report.checks.filter(check => check.status !== 'ok');
+            if (failed.length) console.warn(`Not ready: ${failed.map(check => `${check.name} (${check.error})`).join(', ')}`);
+            return report;
+        });
+        readiness = entry;
+    }
+    const report = await readiness.pending;
+    res.status(report.status === 'ok' ? 200 : 503).json(report);
+});
+
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', METRICS_CONTENT_TYPE);
+    res.send(metrics.render());
+});
+
 // --- Integrated API Endpoints ---
 
-// Protected Trade Endpoint (Simulates submission to a private relay)
-app.post('/api/protect', (req, res) => {
-    // rawTransaction will contain the JSON stringified trade details from the HTML
-    const { rawTransaction } = req.body; 
-    
-    const mockTxHash = `0xsim-log-${Math.random().toString(16).slice(2, 10)}`;
-    const status = 'Submitted_Protected'; 
+// --- Pre-Submission Simulation ---
+// Protected trades are first run on the chain's fork (CHAIN_<KEY>_FORK_RPC_URL,
+// FORK_RPC_URL) or, without one, on its node; see lib/txSimulator.js.
+// PRE_SUBMIT_SIMULATION decides what a revert, a failed balance guard or a
+// simulation that fails to run does: block (default) rejects the trade, warn
+// forwards it with the report, off skips simulation. A request can lower block to warn with
+// onSimulationFailure: 'warn' (the client's "Submit Anyway").
+const PRE_SUBMIT_SIMULATION = ['block', 'warn', 'off'].includes(process.env.PRE_SUBMIT_SIMULATION)
+    ? process.env.PRE_SUBMIT_SIMULATION
+    : 'block';
 
+/**
+ * Decodes a trade's signed transaction and checks its chain and sender.
+ * @returns {{decoded: object, chain: object}}
+ * @throws {TransactionValidationError}
+ */
+const decodeProtectedTrade = (rawTransaction, user) => {
     if (!rawTransaction) {
-        return res.status(400).json({ success: false, message: 'Raw transaction data is required.' });
+        throw new TransactionValidationError('Raw transaction data is required.', 'MISSING_RAW_TRANSACTION');
+    }
+    const decoded = decodeSignedTransaction(rawTransaction, { expectedChainId: EXPECTED_CHAIN_ID });
+    const chain = findChain(chains, decoded.chainId);
+    if (!chain) {
+        throw new TransactionValidationError(`Transaction is signed for chain ${decoded.chainId}, which MEV-Shield does not support.`, 'UNSUPPORTED_CHAIN', 422);
+    }
+    if (user && decoded.from.toLowerCase() !== user.address.toLowerCase()) {
+        throw new TransactionValidationError(`Transaction is signed by ${decoded.from}, but you are signed in as ${user.address}.`, 'SENDER_MISMATCH', 403);
+    }
+    return { decoded, chain };
+};
+
+/**
+ * Runs the pre-submission simulation with the guards and overrides in the body.
+ * @returns {Promise<object>} - The simulation report.
+ * @throws {TxSimulationError} - Invalid guards or overrides, or nothing to simulate on.
+ */
+const simulateProtectedTrade = (chain, rawTransaction, decoded, body) => {
+    const { forkRpc, rpc } = runtimeFor(chain);
+    return simulateTransaction({ forkRpc, rpc }, rawTransaction.trim(), decoded, {
+        balanceGuards: normalizeBalanceGuards(body.minBalanceChanges),
+        stateOverrides: normalizeStateOverrides(body.stateOverrides),
+        nativeToken: chain.nativeToken,
+    });
+};
+
+const sendProtectError = (res, err, action) => {
+    if (err instanceof TransactionValidationError || err instanceof TxSimulationError) {
+        return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+    }
+    if (err instanceof RpcError) {
+        console.error(`Pre-submission simulation node error: ${err.message}`);
+        return res.status(502).json({ success: false, code: 'SIMULATION_FAILED', message: `Could not simulate on the node: ${err.message}` });
+    }
+    console.error(`Protected trade ${action} error:`, err.message);
+    return res.status(500).json({ success: false, message: `Unexpected error while ${action === 'decode' ? 'decoding' : 'simulating'} transaction.` });
+};
+
+/**
+ * Records a status change of a logged trade from the protect handler.
+ * @returns {Promise<boolean>} - False once a 500 has been sent because the change could not be stored.
+ */
+const transitionProtectedTrade = async (res, tradeTracker, { dbId, txHash }, status, reason) => {
+    try {
+        await tradeTracker.transition(dbId, status, { reason });
+        return true;
+    } catch (err) {
+        console.error('DB Update Error (trade status):', err.message);
+        res.status(500).json({ success: false, message: 'Database error while updating trade status.', txHash, dbId });
+        return false;
     }
+};
 
-    // Log the trade to the database
-    const sql = 'INSERT INTO protected_trades (raw_tx, protection_relay_tx_hash, status) VALUES (?, ?, ?)';
-    db.run(sql, [rawTransaction, mockTxHash, status], function(err) {
-        if (err) {
-            console.error('DB Insert Error:', err.message);
-            return res.status(500).json({ success: false, message: 'Database error while logging trade.' });
+// Simulation only: the trade is neither stored nor forwarded.
+// Body: { rawTransaction, minBalanceChanges?: [{ token, min }], stateOverrides? }
+app.post('/api/protect/simulate', scope(API_KEY_SCOPES.PROTECT), async (req, res) => {
+    let decoded;
+    let chain;
+    try {
+        ({ decoded, chain } = decodeProtectedTrade(req.body.rawTransaction, req.user));
+    } catch (err) {
+        return sendProtectError(res, err, 'decode');
+    }
+    try {
+        const simulation = await simulateProtectedTrade(chain, req.body.rawTransaction, decoded, req.body);
+        res.json({ success: true, chain: chain.key, transaction: decoded, simulation });
+    } catch (err) {
+        sendProtectError(res, err, 'simulate');
+    }
+});
+
+// Protected Trade Endpoint (Simulates submission to a private relay)
+// The trade is routed to the relays, node and tracker of the chain its
+// signature commits to (the decoded chainId), after the pre-submission
+// simulation above.
+app.post('/api/protect', scope(API_KEY_SCOPES.PROTECT), async (req, res) => {
+    const { rawTransaction, socketId } = req.body; 
+
+    let decoded;
+    let chain;
+    try {
+        ({ decoded, chain } = decodeProtectedTrade(rawTransaction, req.user));
+    } catch (err) {
+        return sendProtectError(res, err, 'decode');
+    }
+    const { relays, tradeTracker, forkRpc, rpc } = runtimeFor(chain);
+
+    // Without a fork or node the trade is submitted unsimulated; a simulation
+    // that fails on one (node down, unexpected error) falls under the policy.
+    let simulation = null;
+    if (PRE_SUBMIT_SIMULATION !== 'off' && (forkRpc || rpc)) {
+        try {
+            simulation = await simulateProtectedTrade(chain, rawTransaction, decoded, req.body);
+        } catch (err) {
+            if (err instanceof TxSimulationError) return sendProtectError(res, err, 'simulate');
+            console.warn(`Pre-submission simulation of ${decoded.hash} failed: ${err.message}`);
+            simulation = { method: null, error: err.message };
+        }
+    }
+    const policy = req.body.onSimulationFailure === 'warn' ? 'warn' : PRE_SUBMIT_SIMULATION;
+    if (simulation && simulation.error && policy === 'block') {
+        return res.status(502).json({
+            success: false,
+            code: 'SIMULATION_FAILED',
+            message: `Could not simulate the trade: ${simulation.error}. The trade was not submitted.`,
+            txHash: decoded.hash,
+            chain: chain.key,
+            simulation,
+        });
+    }
+    if (simulation && simulation.passed === false && policy === 'block') {
+        return res.status(422).json({
+            success: false,
+            code: simulation.success ? 'BALANCE_GUARD_FAILED' : 'SIMULATION_REVERTED',
+            message: `${describeSimulationFailure(simulation)}. The trade was not submitted.`,
+            txHash: decoded.hash,
+            chain: chain.key,
+            simulation,
+        });
+    }
+
+    // Log the trade and its decoded fields to the database
+    const sql = `INSERT INTO protected_trades (
+        raw_tx, protection_relay_tx_hash, status, tx_hash, from_address, to_address, value_wei,
+        nonce, gas_limit, gas_price, max_fee_per_gas, max_priority_fee_per_gas, tx_type, chain_id,
+        status_updated_at, submitter_socket_id, user_address, pre_simulation
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+    const submittedAt = new Date().toISOString();
+    const params = [
+        rawTransaction.trim(), decoded.hash, TRADE_STATUS.SUBMITTED, decoded.hash, decoded.from, decoded.to, decoded.value,
+        decoded.nonce, decoded.gasLimit, decoded.gasPrice, decoded.maxFeePerGas, decoded.maxPriorityFeePerGas,
+        decoded.type, decoded.chainId, submittedAt, socketId || null, req.user ? req.user.address : null,
+        simulation ? JSON.stringify(simulation) : null,
+    ];
+
+    let tradeId;
+    try {
+        ({ lastID: tradeId } = await dbHelpers.run(db, sql, params));
+        await dbHelpers.run(db, 'INSERT INTO trade_status_history (trade_id, status, changed_at) VALUES (?, ?, ?)', [tradeId, TRADE_STATUS.SUBMITTED, submittedAt]);
+        protectedTradesTotal.inc({ chain: chain.key, status: TRADE_STATUS.SUBMITTED });
+    } catch (err) {
+        if (err.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ success: false, code: 'DUPLICATE_TX', message: `Transaction ${decoded.hash} has already been submitted.` });
         }
-        res.json({ 
+        console.error('DB Insert Error:', err.message);
+        return res.status(500).json({ success: false, message: 'Database error while logging trade.' });
+    }
+
+    const trade = { dbId: tradeId, txHash: decoded.hash };
+
+    // Subscribe the submitting socket to this trade's status updates
+    const submitterSocket = socketId ? io.sockets.sockets.get(socketId) : null;
+    if (submitterSocket) submitterSocket.join(`trade:${tradeId}`);
+
+    if (relays.length === 0) {
+        // No relays configured: the hand-off is simulated and the trade counts as forwarded once logged.
+        if (!(await transitionProtectedTrade(res, tradeTracker, trade, TRADE_STATUS.FORWARDED, 'Handed to private relay (simulated)'))) return;
+        return res.json({ 
             success: true, 
             message: 'Trade successfully logged to Private MEV-Protection Relay.',
-            txHash: mockTxHash,
-            dbId: this.lastID
+            txHash: decoded.hash,
+            dbId: tradeId,
+            chain: chain.key,
+            status: TRADE_STATUS.FORWARDED,
+            transaction: decoded,
+            relays: [],
+            simulation,
+        });
+    }
+
+    const relayResults = await submitToRelays(relays, { rawTransaction: rawTransaction.trim(), hash: decoded.hash });
+    try {
+        await recordRelayResults(tradeId, relayResults);
+    } catch (err) {
+        console.error('DB Insert Error (relay_submissions):', err.message);
+    }
+
+    const acceptedCount = relayResults.filter(result => result.accepted).length;
+    if (acceptedCount === 0) {
+        if (!(await transitionProtectedTrade(res, tradeTracker, trade, TRADE_STATUS.FAILED, 'Rejected by all relays'))) return;
+        return res.status(502).json({
+            success: false,
+            code: 'RELAY_REJECTED',
+            message: 'Trade was logged but every private relay rejected it.',
+            txHash: decoded.hash,
+            dbId: tradeId,
+            chain: chain.key,
+            status: TRADE_STATUS.FAILED,
+            relays: relayResults,
+            simulation,
         });
+    }
+
+    if (!(await transitionProtectedTrade(res, tradeTracker, trade, TRADE_STATUS.FORWARDED, `Accepted by ${acceptedCount}/${relayResults.length} relay endpoints`))) return;
+    res.json({ 
+        success: true, 
+        message: `Trade forwarded to ${acceptedCount} of ${relayResults.length} private relay endpoints on ${chain.name}.`,
+        txHash: decoded.hash,
+        dbId: tradeId,
+        chain: chain.key,
+        status: TRADE_STATUS.FORWARDED,
+        transaction: decoded,
+        relays: relayResults,
+        simulation,
+    });
+});
+
+// --- Bundles ---
+// Ordered multi-tx bundles for searchers and advanced users, on the chain the
+// transactions are signed for. Simulated via that chain's first bundle relay's
+// eth_callBundle, or on its anvil/hardhat fork (CHAIN_<KEY>_FORK_RPC_URL,
+// FORK_RPC_URL on the default chain) when it has no bundle relay. A stored
+// bundle can only be read back by the wallet session or API key that submitted it.
+app.use('/api/bundles', scope(API_KEY_SCOPES.PROTECT), createBundlesRouter({
+    db,
+    chains,
+    runtimeFor,
+    expectedChainId: EXPECTED_CHAIN_ID,
+}));
+
+app.use('/api/watchlist', createWatchlistRouter({ db, watcher: watchlistWatcher, chains }));
+
+app.use('/api/webhooks', createWebhooksRouter({ db, dispatcher: webhookDispatcher, chains }));
+
+app.use('/api/admin/keys', createApiKeysRouter({ store: apiKeys }));
+
+app.use('/api/auth', createAuthRouter({
+    sessions,
+    domains: SIWE_DOMAINS,
+    expectedChainId: EXPECTED_CHAIN_ID,
+    rpc: defaultRuntime.rpc,
+}));
+
+// Supported chains, with the relays configured and whether a node is set for each.
+app.get('/api/chains', scope(API_KEY_SCOPES.READ), (req, res) => {
+    res.json({
+        success: true,
+        defaultChainId: DEFAULT_CHAIN.chainId,
+        chains: chains.map(chain => ({
+            ...describeChain(chain),
+            relays: runtimeFor(chain).relays.map(relay => ({ name: relay.name, type: relay.type })),
+        })),
     });
 });
 
+// The signed-in user's protected trades: filters, detail and CSV/JSON export.
+app.use('/api/protected-trades', createProtectedTradesRouter({ db }));
+
+// The signed-in user's simulations, newest first.
+app.get('/api/simulations', requireSession, async (req, res) => {
+    try {
+        const rows = await dbHelpers.all(db,
+            'SELECT * FROM simulations WHERE user_address = ? ORDER BY id DESC LIMIT 50', [req.user.address]);
+        const simulations = rows.map(row => ({
+            id: row.id,
+            description: row.description,
+            riskScore: row.risk_score,
+            attackType: row.attack_type,
+            provider: row.provider,
+            simulation: JSON.parse(row.result),
+            createdAt: row.created_at,
+        }));
+        res.json({ success: true, simulations });
+    } catch (err) {
+        console.error('DB Read Error (simulations):', err.message);
+        res.status(500).json({ success: false, message: 'Database error while reading simulations.' });
+    }
+});
+
+// Signed-in users keep a history of their simulations; failures to store it
+// never fail the simulation itself.
+const recordSimulation = async (user, description, simulation) => {
+    if (!user) return;
+    try {
+        await dbHelpers.run(db,
+            `INSERT INTO simulations (user_address, description, risk_score, attack_type, provider, result, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [user.address, description, Number(simulation.risk), simulation.attackType, simulation.analysis.provider,
+                JSON.stringify(simulation), new Date().toISOString()]);
+    } catch (err) {
+        console.error('DB Insert Error (simulations):', err.message);
+    }
+};
+
+// --- Swap Calldata Decoding ---
+// Implied slippage is quoted on the chain's node against its Uniswap V2
+// router and V3 quoter unless the request describes the pool itself.
+// UNISWAP_V2_ROUTER_ADDRESS / UNISWAP_V3_QUOTER_ADDRESS override them on the default chain.
+const slippageQuoteOptions = (chain) => ({
+    v2Router: (chain.isDefault && process.env.UNISWAP_V2_ROUTER_ADDRESS) || chain.routers.uniswapV2Router02,
+    v3Quoter: (chain.isDefault && process.env.UNISWAP_V3_QUOTER_ADDRESS) || chain.routers.uniswapV3QuoterV2,
+});
+
+/**
+ * Decodes the swap in a request body: a signed `rawTransaction`, or plain
+ * `data` calldata with optional `value` (wei), `from`, `to` and `chainId`.
+ * @param {object} body
+ * @returns {{transaction: object|null, swap: object, call: object, chain: object}} - `call` is the swap as an unsigned call.
+ * @throws {TransactionValidationError|ChainError}
+ */
+const decodeSwapRequest = (body) => {
+    let transaction = null;
+    let { data, value = '0', from = null, to = null } = body;
+    if (body.rawTransaction) {
+        transaction = decodeSignedTransaction(body.rawTransaction, { expectedChainId: EXPECTED_CHAIN_ID });
+        ({ data, value, from, to } = transaction);
+    } else if (typeof data !== 'string' || !/^0x(?:[0-9a-fA-F]{2})+$/.test(data.trim())) {
+        throw new TransactionValidationError('Provide rawTransaction, or data as 0x-prefixed hex calldata.', 'INVALID_CALLDATA');
+    }
+    if (!/^(?:\d+|0x[0-9a-fA-F]+)$/.test(String(value))) {
+        throw new TransactionValidationError('value must be an amount of wei.', 'INVALID_VALUE');
+    }
+    if (from !== null && (typeof from !== 'string' || !isAddress(from))) {
+        throw new TransactionValidationError('from must be a valid 0x-prefixed address.', 'INVALID_FROM');
+    }
+    if (to !== null && (typeof to !== 'string' || !isAddress(to))) {
+        throw new TransactionValidationError('to must be a valid 0x-prefixed address.', 'INVALID_TO');
+    }
+    const chain = resolveChain(chains, transaction ? transaction.chainId : body.chainId);
+    const swap = decodeSwap(data.trim(), BigInt(value), { from, wrappedNative: chain.wrappedNative });
+    if (!swap) {
+        throw new TransactionValidationError('Calldata is not a recognized DEX router or aggregator swap.', 'UNRECOGNIZED_CALLDATA', 422);
+    }
+    const call = {
+        to,
+        from,
+        data: data.trim(),
+        value: BigInt(value).toString(),
+        chainId: String(chain.chainId),
+        amountIn: swap.amountIn,
+        amountOutMin: swap.amountOutMin,
+        deadline: swap.deadline,
+        protocol: swap.protocol,
+    };
+    return { transaction, swap, call, chain };
+};
+
+const estimateRequestSlippage = (swap, body, chain) => estimateImpliedSlippage(swap, {
+    pool: body.pool || null,
+    tokenInDecimals: body.tokenInDecimals,
+    tokenOutDecimals: body.tokenOutDecimals,
+    rpc: runtimeFor(chain).rpc,
+    ...slippageQuoteOptions(chain),
+});
+
+// Pool simulation parameters with the amount and slippage tolerance taken from decoded calldata.
+const decodedSimulationParams = ({ swap, slippage }, body) => {
+    if (swap.exactOutput || swap.amountIn === null) {
+        throw new SimulationInputError('Pool simulations need an exact-input swap with a known input amount.');
+    }
+    return {
+        ...body,
+        amountIn: formatUnits(swap.amountIn, parseTokenDecimals(body.tokenInDecimals, 'tokenInDecimals')),
+        slippageTolerance: slippage.impliedSlippagePct === null
+            ? body.slippageTolerance
+            : Math.max(0, slippage.impliedSlippagePct),
+    };
+};
+
+// Risk analyzer context for a decoded swap. Amounts in human units.
+const decodedSwapContext = ({ swap, slippage }, body) => {
+    const decimals = parseTokenDecimals(body.tokenInDecimals, 'tokenInDecimals');
+    const rawAmount = swap.exactOutput ? swap.amountInMax : swap.amountIn;
+    const amountIn = rawAmount === null ? null : Number(formatUnits(rawAmount, decimals));
+    const slippageText = slippage.impliedSlippagePct === null ? 'unknown slippage' : `${slippage.impliedSlippagePct}% slippage`;
+    return {
+        description: `Swap ${swap.exactOutput ? 'up to ' : ''}${amountIn ?? 'the router balance of'} ${swap.tokenIn} for ${swap.tokenOut} on ${swap.protocol} with ${slippageText}`,
+        amountIn,
+        tokenIn: swap.tokenIn,
+        tokenOut: swap.tokenOut,
+        router: swap.protocol,
+        ...(slippage.impliedSlippagePct !== null && { slippageTolerance: slippage.impliedSlippagePct }),
+    };
+};
+
+// Swap Decoder Endpoint
+// Body: { rawTransaction } or { data, value?, from?, chainId? }, plus an optional pool
+// and tokenInDecimals / tokenOutDecimals for the implied slippage tolerance.
+app.post('/api/decode', scope(API_KEY_SCOPES.SIMULATE), async (req, res) => {
+    let decoded;
+    try {
+        const { transaction, swap, chain } = decodeSwapRequest(req.body);
+        decoded = { chainId: chain.chainId, transaction, swap, slippage: await estimateRequestSlippage(swap, req.body, chain) };
+    } catch (err) {
+        if (err instanceof TransactionValidationError || err instanceof SimulationInputError || err instanceof ChainError) {
+            return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+        }
+        console.error('Swap decode error:', err.message);
+        return res.status(500).json({ success: false, message: 'Unexpected error while decoding swap.' });
+    }
+    res.json({ success: true, ...decoded });
+});
+
+// Safer-Trade Advisor Endpoint
+// Body: a pool simulation ({ pool, amountIn, slippageTolerance, ... }) or swap
+// calldata plus a pool; see lib/tradeAdvisor.js for the options returned.
+app.post('/api/advise', scope(API_KEY_SCOPES.SIMULATE), async (req, res) => {
+    try {
+        let decoded = null;
+        let params = req.body;
+        let chain;
+        if (req.body.rawTransaction || req.body.data) {
+            let swap;
+            let call;
+            ({ swap, call, chain } = decodeSwapRequest(req.body));
+            decoded = { swap, call, slippage: await estimateRequestSlippage(swap, req.body, chain) };
+            params = decodedSimulationParams(decoded, req.body);
+        } else {
+            chain = resolveChain(chains, req.body.chainId);
+            params = { ...req.body, chainId: chain.chainId };
+        }
+        const advice = adviseTrade(params, {
+            call: decoded && decoded.call,
+            relayCount: runtimeFor(chain).relays.length,
+            router: slippageQuoteOptions(chain).v2Router,
+        });
+        res.json({ success: true, advice, ...(decoded && { decoded: { swap: decoded.swap, slippage: decoded.slippage } }) });
+    } catch (err) {
+        if (err instanceof TransactionValidationError || err instanceof SimulationInputError || err instanceof ChainError) {
+            return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+        }
+        console.error('Trade advice error:', err.message);
+        res.status(500).json({ success: false, message: 'Unexpected error while building trade advice.' });
+    }
+});
+
 // NEW: Manual Trigger Endpoint (Called by the frontend button)
-app.post('/api/trigger-attack', async (req, res) => {
+// Keyless like the rest of the simulate scope, since the dashboard's
+// simulation loop calls it without a key.
+app.post('/api/trigger-attack', scope(API_KEY_SCOPES.SIMULATE), async (req, res) => {
+    let chain;
+    try {
+        chain = resolveChain(chains, req.body.chainId);
+    } catch (err) {
+        return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+    }
     // Manually run the local attack simulation and broadcast it via Socket.io
-    broadcastAttack(); 
+    broadcastAttack(chain); 
     res.json({ success: true, message: 'Simulated attack broadcast initiated.' });
 });
 
-// Trade Simulator Endpoint (Mock) - **NOTE: This function must now be ASYNC**
-app.post('/api/simulate', async (req, res) => {
-    // Expects { stock: 'TATA', action: 'Buy', quantity: 10 } from the HTML client
-    const { stock, action, quantity } = req.body;
-    
-    const tradeDescription = `${action} ${quantity} shares of ${stock} on a major Indian exchange.`;
+// Synthetic attack generator: scenarios, start/pause/resume/stop and speed.
+app.use('/api/generator', scope(API_KEY_SCOPES.ADMIN), createGeneratorRouter({ generator: attackGenerator, scenarioDir: SCENARIO_DIR, chains }));
 
-    // Use AI for simulation advice
-    const analysis = await geminiRiskAnalyzer(tradeDescription); 
+// Trade Simulator Endpoint
+// With a `pool` in the body the deterministic AMM model computes the sandwich
+// figures and the AI only adds a rationale on top of them. Without one we fall
+// back to the free-text AI analysis. Swap calldata (`data` or `rawTransaction`)
+// supplies the amount and the implied slippage tolerance; the decoded swap is
+// returned as `simulation.decoded`.
+app.post('/api/simulate', scope(API_KEY_SCOPES.SIMULATE), async (req, res) => {
+    let decoded = null;
+    if (req.body.rawTransaction || req.body.data) {
+        try {
+            const { swap, chain } = decodeSwapRequest(req.body);
+            decoded = { chainId: chain.chainId, swap, slippage: await estimateRequestSlippage(swap, req.body, chain) };
+        } catch (err) {
+            if (err instanceof TransactionValidationError || err instanceof SimulationInputError || err instanceof ChainError) {
+                return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+            }
+            console.error('Swap decode error:', err.message);
+            return res.status(500).json({ success: false, message: 'Unexpected error while decoding swap.' });
+        }
+    }
 
-    console.log(`Received simulation request for: ${tradeDescription}`);
-    res.json({
-        success: true,
-        simulation: {
-            risk: analysis.riskScore.split('/')[0], 
-            details: analysis.rationale,
-            attackType: analysis.attackType, 
+    if (req.body.pool) {
+        let sandwich;
+        try {
+            sandwich = simulateSandwich(decoded ? decodedSimulationParams(decoded, req.body) : req.body);
+        } catch (err) {
+            if (err instanceof SimulationInputError) {
+                return res.status(err.status).json({ success: false, message: err.message });
+            }
+            console.error('Simulation error:', err.message);
+            return res.status(500).json({ success: false, message: 'Unexpected error while running simulation.' });
+        }
+
+        const summary = describeSandwich(sandwich);
+        let analysis;
+        try {
+            analysis = await riskAnalyzer.analyze({
+                description: summary,
+                amountIn: sandwich.amountIn,
+                tokenIn: sandwich.tokenIn,
+                tokenOut: sandwich.tokenOut,
+                priceImpactPct: sandwich.baseline.priceImpactPct,
+                slippageTolerance: sandwich.slippageTolerance,
+                router: req.body.router || sandwich.model,
+            });
+        } catch (err) {
+            console.error('Risk analysis error:', err.message);
+            return res.status(500).json({ success: false, message: 'Unexpected error while analyzing risk.' });
         }
-    });
-});
 
+        console.log(`Received pool simulation request: ${summary}`);
+        const simulation = {
+            risk: String(sandwich.riskScore),
+            details: summary,
+            aiRationale: analysis.rationale,
+            attackType: sandwich.attack.profitable ? 'Sandwich Attack' : analysis.attackType,
+            profitLoss: formatValueImpact(sandwich),
+            sandwich,
+            analysis,
+            ...(decoded && { decoded }),
+        };
+        await recordSimulation(req.user, summary, simulation);
+        return res.json({ success: true, simulation });
+    }
+
+    // Free text from the React client, or { stock, action, quantity } from the HTML dashboard.
+    // Structured fields in the body (slippageTolerance, router, tradeSizeUsd, ...) refine
+    // whatever can be parsed from the text.
+    const { stock, action, quantity } = req.body;
+    const swapContext = decoded ? decodedSwapContext(decoded, req.body) : null;
+    const tradeDescription = req.body.tradeDescription
+        || (swapContext ? swapContext.description : `${action} ${quantity} shares of ${stock} on a major Indian exchange.`);
 
-// NEW: Attack Statistics Endpoint for Frontend Chart
-app.get('/api/attack-stats', (req, res) => {
-    // Mock data for yearly company/type attacks and loss
-    const mockAttackStats = {
-        title: 'Yearly Global MEV Attacks by Type (Simulated)',
-        data: {
-            labels: ['2022', '2023', '2024 (Est.)', '2025 (Est.)'],
-            types: {
-                'Sandwich Attack': [450, 620, 850, 1050], // Attacks in thousands
-                'Front-Run': [300, 410, 500, 650],
-                'Arbitrage Exploitation': [700, 850, 1000, 1200],
-                'Liquidation Attack': [150, 200, 250, 300],
-            },
-            totalLossUSD: ['400M', '750M', '1.1B', '1.5B'] // Illustrative large loss
+    let analysis;
+    try {
+        analysis = await riskAnalyzer.analyze({
+            ...parseTradeDescription(tradeDescription),
+            ...req.body,
+            ...swapContext,
+            description: tradeDescription,
+        });
+    } catch (err) {
+        if (err instanceof RiskAnalysisError) {
+            return res.status(400).json({ success: false, message: err.message });
         }
+        console.error('Risk analysis error:', err.message);
+        return res.status(500).json({ success: false, message: 'Unexpected error while analyzing risk.' });
+    }
+
+    console.log(`Received simulation request for: ${tradeDescription} (${analysis.provider}${analysis.cached ? ', cached' : ''})`);
+    const simulation = {
+        risk: String(analysis.riskScore),
+        details: analysis.rationale,
+        attackType: analysis.attackType,
+        profitLoss: null,
+        analysis,
+        ...(decoded && { decoded }),
     };
-    res.json({ success: true, stats: mockAttackStats });
+    await recordSimulation(req.user, tradeDescription, simulation);
+    res.json({ success: true, simulation });
 });
 
 
-// Wallet Health Endpoint (Mock)
-app.get('/api/wallet-health/:address', (req, res) => {
+// Attack Statistics Endpoint for Frontend Chart
+// Aggregated from attack_events; query: from, to (ISO or ms), granularity
+// (hour/day/week/month), type, synthetic (exclude/include/only, default
+// exclude) and chainId (default chain when omitted, since values in different
+// native tokens can't be summed).
+app.get('/api/attack-stats', scope(API_KEY_SCOPES.READ), async (req, res) => {
+    try {
+        const chain = resolveChain(chains, req.query.chainId);
+        const stats = await aggregateAttackStats(db, { ...req.query, chainId: chain.chainId });
+        res.json({ success: true, stats: { ...stats, nativeToken: chain.nativeToken.symbol } });
+    } catch (err) {
+        if (err instanceof StatsQueryError || err instanceof ChainError) {
+            return res.status(err.status).json({ success: false, message: err.message });
+        }
+        console.error('Attack stats error:', err.message);
+        res.status(500).json({ success: false, message: 'Database error while aggregating attack statistics.' });
+    }
+});
+
+// Recorded attacks: searchable pages for the feed's history and a detail
+// view with links to forensics and stats (see routes/attacks.js).
+app.use('/api/attacks', scope(API_KEY_SCOPES.READ), createAttacksRouter({ db }));
+
+
+// Wallet Health Endpoint
+// Computed from chain data on the chain picked with ?chainId= (default chain
+// when omitted): WALLET_RPC_URL or RPC_URL on the default chain,
+// CHAIN_<KEY>_RPC_URL elsewhere; see lib/walletHealth.js. Verified spenders
+// are the chain's known routers and VERIFIED_SPENDERS, plus the mainnet list
+// (Permit2, aggregators) on mainnet itself.
+const walletHealthOptions = {
+    scanBlocks: Number(process.env.WALLET_SCAN_BLOCKS) || undefined,
+    logChunkSize: Number(process.env.WALLET_LOG_CHUNK_SIZE) || undefined,
+    verifiedSpenders: (process.env.VERIFIED_SPENDERS || '').split(',').map(addr => addr.trim()).filter(Boolean),
+};
+
+app.get('/api/wallet-health/:address', scope(API_KEY_SCOPES.READ), async (req, res) => {
     const { address } = req.params;
-    console.log(`Checking wallet health for: ${address}`);
-    res.json({
-        success: true,
-        address: address,
-        balance: '5.23 ETH',
-        transactionsLast24h: 12,
-        mevExposureScore: Math.floor(Math.random() * 100),
-        alerts: [
-            'High-risk token approval detected 3 days ago.', 
-            PRIVATE_MEMPOOL_ENABLED ? 'System is configured for MEV protection.' : 'Warning: Not using a private mempool exposes you to MEV.',
-        ],
-    });
+    if (!isAddress(address)) {
+        return res.status(400).json({ success: false, message: 'A valid 0x-prefixed wallet address is required.' });
+    }
+    let chain;
+    try {
+        chain = resolveChain(chains, req.query.chainId);
+    } catch (err) {
+        return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+    }
+    const { walletRpc } = runtimeFor(chain);
+    if (!walletRpc) {
+        const variables = chain.isDefault ? 'WALLET_RPC_URL or RPC_URL' : `CHAIN_${chain.key.toUpperCase()}_RPC_URL`;
+        return res.status(503).json({ success: false, message: `Wallet health on ${chain.name} needs a node: set ${variables}.` });
+    }
+
+    console.log(`Checking wallet health for: ${address} on ${chain.key}`);
+    let health;
+    try {
+        health = await analyzeWalletHealth(walletRpc, address, {
+            ...walletHealthOptions,
+            blockTimeSeconds: chain.blockTimeMs / 1000,
+            nativeToken: chain.nativeToken,
+            verifiedSpenders: [
+                ...(chain.chainId === 1 ? DEFAULT_VERIFIED_SPENDERS : []),
+                ...Object.values(chain.routers),
+                ...walletHealthOptions.verifiedSpenders,
+            ],
+        });
+    } catch (err) {
+        console.error('Wallet health error:', err.message);
+        return res.status(502).json({ success: false, message: `Could not read wallet data from the node: ${err.message}` });
+    }
+    health.alerts.push(PRIVATE_MEMPOOL_ENABLED
+        ? 'System is configured for MEV protection.'
+        : 'Warning: Not using a private mempool exposes you to MEV.');
+    res.json({ success: true, chainId: chain.chainId, ...health });
 });
 
+// Sandwich Forensics Endpoints
+// Mined transactions and blocks on the chain picked with ?chainId=, read from
+// FORENSICS_RPC_URL or RPC_URL on the default chain, CHAIN_<KEY>_RPC_URL
+// elsewhere. V2-style pools are assumed to charge FORENSICS_V2_FEE_BPS (30).
+app.use('/api/forensics', scope(API_KEY_SCOPES.READ), createForensicsRouter({
+    chains,
+    rpcFor: chain => runtimeFor(chain).forensicsRpc,
+    rpcVariables: chain => (chain.isDefault ? 'FORENSICS_RPC_URL or RPC_URL' : `CHAIN_${chain.key.toUpperCase()}_RPC_URL`),
+    options: {
+        v2FeeBps: Number(process.env.FORENSICS_V2_FEE_BPS) || undefined,
+    },
+}));
+
 // Start the HTTP server
 server.listen(PORT, () => {
     console.log(`Server is running on http://localhost:${PORT}`);
+    dbReady
+        .then(() => watchlistWatcher.reload())
+        .catch(err => console.warn('Could not load watchlist:', err.message))
+        .then(() => {
+            startMempoolIngestion();
+            chainRuntimes.forEach(runtime => runtime.tradeTracker.start());
+            webhookDispatcher.start();
+            startConfiguredScenario();
+        });
 });
\ No newline at end of file
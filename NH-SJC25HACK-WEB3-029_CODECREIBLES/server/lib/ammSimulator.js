@@ -0,0 +1,361 @@
+// --- Deterministic AMM Sandwich Simulation ---
+//
+// Models a victim swap on a Uniswap V2 (x*y=k) or V3 (concentrated liquidity)
+// pool and finds the front-run size that maximizes a sandwich attacker's
+// profit while still letting the victim's trade clear its slippage limit.
+// All amounts are in human token units (not wei) and all maths is plain
+// float64, so the same inputs always produce the same numbers.
+
+class SimulationInputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SimulationInputError';
+        this.status = 400;
+    }
+}
+
+const SEARCH_ITERATIONS = 200;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+
+const toPositiveNumber = (value, field) => {
+    const num = Number(value);
+    if (!Number.isFinite(num) || num <= 0) {
+        throw new SimulationInputError(`${field} must be a positive number.`);
+    }
+    return num;
+};
+
+const toNonNegativeNumber = (value, field, fallback = 0) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    const num = Number(value);
+    if (!Number.isFinite(num) || num < 0) {
+        throw new SimulationInputError(`${field} must be a non-negative number.`);
+    }
+    return num;
+};
+
+// --- Uniswap V2 ---
+
+/**
+ * Output of an exact-input swap on a constant-product pool.
+ * Matches UniswapV2Library.getAmountOut with fee expressed in basis points.
+ */
+function getAmountOutV2(amountIn, reserveIn, reserveOut, feeBps) {
+    if (amountIn <= 0) return 0;
+    const amountInWithFee = amountIn * (10000 - feeBps);
+    return (amountInWithFee * reserveOut) / (reserveIn * 10000 + amountInWithFee);
+}
+
+/**
+ * Builds a V2 pool model. `forward` swaps go tokenIn -> tokenOut (the
+ * victim's direction); reverse swaps go tokenOut -> tokenIn.
+ */
+function createV2Pool({ reserveIn, reserveOut, feeBps = 30 }) {
+    const fee = toNonNegativeNumber(feeBps, 'pool.feeBps', 30);
+    if (fee >= 10000) throw new SimulationInputError('pool.feeBps must be below 10000.');
+
+    return {
+        model: 'uniswap-v2',
+        feeBps: fee,
+        initialState: {
+            reserveIn: toPositiveNumber(reserveIn, 'pool.reserveIn'),
+            reserveOut: toPositiveNumber(reserveOut, 'pool.reserveOut'),
+        },
+        spotPrice: state => state.reserveOut / state.reserveIn,
+        swap(state, amountIn, forward) {
+            if (forward) {
+                const amountOut = getAmountOutV2(amountIn, state.reserveIn, state.reserveOut, fee);
+                return { amountOut, state: { reserveIn: state.reserveIn + amountIn, reserveOut: state.reserveOut - amountOut } };
+            }
+            const amountOut = getAmountOutV2(amountIn, state.reserveOut, state.reserveIn, fee);
+            return { amountOut, state: { reserveIn: state.reserveIn - amountOut, reserveOut: state.reserveOut + amountIn } };
+        },
+    };
+}
+
+// --- Uniswap V3 ---
+
+const Q96 = 2 ** 96;
+
+/**
+ * Builds a V3 pool model from on-chain values (slot0.sqrtPriceX96, liquidity
+ * and the initialized ticks around the current price). Prices and liquidity
+ * are rescaled by the token decimals so swaps can be computed in human units.
+ * @param {object} params
+ * @param {string|number} params.sqrtPriceX96 - Current sqrt price (token1/token0, raw units).
+ * @param {string|number} params.liquidity - Active liquidity (raw).
+ * @param {Array<{tick: number, liquidityNet: string|number}>} [params.ticks] - Initialized ticks.
+ * @param {number} [params.feeBps=30] - Fee tier in basis points (5, 30 or 100 on mainnet).
+ * @param {number} [params.decimals0=18]
+ * @param {number} [params.decimals1=18]
+ * @param {boolean} [params.zeroForOne=true] - Direction of the victim swap.
+ */
+function createV3Pool({ sqrtPriceX96, liquidity, ticks = [], feeBps = 30, decimals0 = 18, decimals1 = 18, zeroForOne = true }) {
+    const fee = toNonNegativeNumber(feeBps, 'pool.feeBps', 30);
+    if (fee >= 10000) throw new SimulationInputError('pool.feeBps must be below 10000.');
+    if (!Array.isArray(ticks)) throw new SimulationInputError('pool.ticks must be an array.');
+
+    const sqrtPriceScale = 10 ** ((Number(decimals0) - Number(decimals1)) / 2);
+    const liquidityScale = 10 ** ((Number(decimals0) + Number(decimals1)) / 2);
+    const tickToSqrtPrice = tick => Math.pow(1.0001, tick / 2) * sqrtPriceScale;
+
+    const sortedTicks = ticks
+        .map(({ tick, liquidityNet }) => ({ tick: Number(tick), sqrtPrice: tickToSqrtPrice(Number(tick)), liquidityNet: Number(liquidityNet) / liquidityScale }))
+        .filter(t => Number.isFinite(t.sqrtPrice) && Number.isFinite(t.liquidityNet))
+        .sort((a, b) => a.tick - b.tick);
+
+    // Walks the tick list in the swap direction, crossing initialized ticks
+    // until the input is exhausted or liquidity runs out. `nextTickIndex` is
+    // the index of the first initialized tick above the current price range.
+    const swapDirection = (state, amountIn, priceDown) => {
+        let sqrtPrice = state.sqrtPrice;
+        let activeLiquidity = state.liquidity;
+        let nextTickIndex = state.nextTickIndex;
+        let remaining = amountIn * (1 - fee / 10000);
+        let amountOut = 0;
+
+        while (remaining > 0 && activeLiquidity > 0) {
+            const next = priceDown ? sortedTicks[nextTickIndex - 1] : sortedTicks[nextTickIndex];
+            const targetSqrtPrice = next ? next.sqrtPrice : (priceDown ? 0 : Infinity);
+
+            if (priceDown) {
+                // token0 in: 1/sqrtP rises by amount/L
+                const maxIn = targetSqrtPrice > 0 ? activeLiquidity * (1 / targetSqrtPrice - 1 / sqrtPrice) : Infinity;
+                if (remaining < maxIn) {
+                    const newSqrtPrice = 1 / (1 / sqrtPrice + remaining / activeLiquidity);
+                    amountOut += activeLiquidity * (sqrtPrice - newSqrtPrice);
+                    sqrtPrice = newSqrtPrice;
+                    remaining = 0;
+                } else {
+                    amountOut += activeLiquidity * (sqrtPrice - targetSqrtPrice);
+                    remaining -= maxIn;
+                    sqrtPrice = targetSqrtPrice;
+                    activeLiquidity -= next.liquidityNet;
+                    nextTickIndex--;
+                }
+            } else {
+                // token1 in: sqrtP rises by amount/L
+                const maxIn = Number.isFinite(targetSqrtPrice) ? activeLiquidity * (targetSqrtPrice - sqrtPrice) : Infinity;
+                if (remaining < maxIn) {
+                    const newSqrtPrice = sqrtPrice + remaining / activeLiquidity;
+                    amountOut += activeLiquidity * (1 / sqrtPrice - 1 / newSqrtPrice);
+                    sqrtPrice = newSqrtPrice;
+                    remaining = 0;
+                } else {
+                    amountOut += activeLiquidity * (1 / sqrtPrice - 1 / targetSqrtPrice);
+                    remaining -= maxIn;
+                    sqrtPrice = targetSqrtPrice;
+                    activeLiquidity += next.liquidityNet;
+                    nextTickIndex++;
+                }
+            }
+        }
+
+        return { amountOut, state: { sqrtPrice, liquidity: activeLiquidity, nextTickIndex } };
+    };
+
+    const initialSqrtPrice = (toPositiveNumber(sqrtPriceX96, 'pool.sqrtPriceX96') / Q96) * sqrtPriceScale;
+    const victimZeroForOne = zeroForOne !== false;
+
+    return {
+        model: 'uniswap-v3',
+        feeBps: fee,
+        initialState: {
+            sqrtPrice: initialSqrtPrice,
+            liquidity: toPositiveNumber(liquidity, 'pool.liquidity') / liquidityScale,
+            nextTickIndex: sortedTicks.filter(t => t.sqrtPrice <= initialSqrtPrice).length,
+        },
+        // Spot price expressed as tokenOut per tokenIn for the victim's direction.
+        spotPrice: state => (victimZeroForOne ? state.sqrtPrice ** 2 : 1 / state.sqrtPrice ** 2),
+        swap(state, amountIn, forward) {
+            if (amountIn <= 0) return { amountOut: 0, state };
+            return swapDirection(state, amountIn, forward ? victimZeroForOne : !victimZeroForOne);
+        },
+    };
+}
+
+/**
+ * Creates a pool model from the `pool` section of a simulation request.
+ * @param {object} pool - `{ type: 'uniswap-v2' | 'uniswap-v3', ... }`
+ */
+function createPool(pool) {
+    if (!pool || typeof pool !== 'object') {
+        throw new SimulationInputError('pool is required.');
+    }
+    const type = pool.type || 'uniswap-v2';
+    if (type === 'uniswap-v2') return createV2Pool(pool);
+    if (type === 'uniswap-v3') return createV3Pool(pool);
+    throw new SimulationInputError(`Unsupported pool type "${type}". Use "uniswap-v2" or "uniswap-v3".`);
+}
+
+// --- Sandwich Search ---
+
+// Runs front-run -> victim -> back-run for a given front-run size.
+function runSandwich(pool, frontRunAmountIn, victimAmountIn) {
+    const front = pool.swap(pool.initialState, frontRunAmountIn, true);
+    const victim = pool.swap(front.state, victimAmountIn, true);
+    const back = pool.swap(victim.state, front.amountOut, false);
+    return {
+        frontRunAmountOut: front.amountOut,
+        victimAmountOut: victim.amountOut,
+        backRunAmountOut: back.amountOut,
+        profit: back.amountOut - frontRunAmountIn,
+    };
+}
+
+// Largest front-run that still leaves the victim at or above minAmountOut.
+function findMaxFrontRun(pool, victimAmountIn, minAmountOut) {
+    if (runSandwich(pool, 0, victimAmountIn).victimAmountOut < minAmountOut) return 0;
+
+    let low = 0;
+    let high = victimAmountIn;
+    let guard = 0;
+    while (runSandwich(pool, high, victimAmountIn).victimAmountOut >= minAmountOut && guard < 200) {
+        low = high;
+        high *= 2;
+        guard++;
+    }
+    for (let i = 0; i < SEARCH_ITERATIONS; i++) {
+        const mid = (low + high) / 2;
+        if (runSandwich(pool, mid, victimAmountIn).victimAmountOut >= minAmountOut) low = mid;
+        else high = mid;
+    }
+    return low;
+}
+
+// Golden-section search for the most profitable front-run in [0, maxFrontRun].
+function findBestFrontRun(pool, victimAmountIn, maxFrontRun, gasCost) {
+    const profitAt = x => runSandwich(pool, x, victimAmountIn).profit - gasCost;
+    let a = 0;
+    let b = maxFrontRun;
+    let c = b - GOLDEN_RATIO * (b - a);
+    let d = a + GOLDEN_RATIO * (b - a);
+    for (let i = 0; i < SEARCH_ITERATIONS && b - a > 0; i++) {
+        if (profitAt(c) > profitAt(d)) b = d;
+        else a = c;
+        c = b - GOLDEN_RATIO * (b - a);
+        d = a + GOLDEN_RATIO * (b - a);
+    }
+    // The optimum frequently sits on the slippage boundary; compare it explicitly.
+    const interior = (a + b) / 2;
+    return profitAt(maxFrontRun) >= profitAt(interior) ? maxFrontRun : interior;
+}
+
+/**
+ * Maps the victim's loss (as % of expected output) to a 0-100 risk score.
+ * ~0.5% loss -> 39, 1% -> 63, 2% -> 86.
+ */
+const lossToRiskScore = lossPct => Math.min(100, Math.round(100 * (1 - Math.exp(-lossPct))));
+
+const round = (value, digits = 6) => Number(value.toFixed(digits));
+
+/**
+ * Simulates the best sandwich attack against a victim swap.
+ * @param {object} params
+ * @param {object} params.pool - Pool description, see createPool.
+ * @param {number} params.amountIn - Victim input amount (tokenIn units).
+ * @param {number} [params.slippageTolerance=0.5] - Victim slippage tolerance in percent.
+ * @param {number} [params.tokenInUsd] - USD price of tokenIn, used for USD figures.
+ * @param {number} [params.attackerGasCost=0] - Attacker gas cost in tokenIn units.
+ * @param {string} [params.tokenInSymbol='tokenIn']
+ * @param {string} [params.tokenOutSymbol='tokenOut']
+ * @returns {object} - Baseline, attack and victim figures plus a 0-100 risk score.
+ * @throws {SimulationInputError}
+ */
+function simulateSandwich({ pool: poolParams, amountIn, slippageTolerance = 0.5, tokenInUsd, attackerGasCost = 0, tokenInSymbol = 'tokenIn', tokenOutSymbol = 'tokenOut' }) {
+    const pool = createPool(poolParams);
+    const victimAmountIn = toPositiveNumber(amountIn, 'amountIn');
+    const slippagePct = toNonNegativeNumber(slippageTolerance, 'slippageTolerance', 0.5);
+    if (slippagePct >= 100) throw new SimulationInputError('slippageTolerance must be below 100 (percent).');
+    const gasCost = toNonNegativeNumber(attackerGasCost, 'attackerGasCost');
+    const usdPrice = tokenInUsd === undefined || tokenInUsd === null || tokenInUsd === '' ? null : toPositiveNumber(tokenInUsd, 'tokenInUsd');
+
+    const spotPrice = pool.spotPrice(pool.initialState);
+    const baseline = runSandwich(pool, 0, victimAmountIn);
+    if (!(baseline.victimAmountOut > 0)) {
+        throw new SimulationInputError('Pool has no liquidity for this swap.');
+    }
+    const minAmountOut = baseline.victimAmountOut * (1 - slippagePct / 100);
+
+    const maxFrontRun = findMaxFrontRun(pool, victimAmountIn, minAmountOut);
+    const bestFrontRun = maxFrontRun > 0 ? findBestFrontRun(pool, victimAmountIn, maxFrontRun, gasCost) : 0;
+    const attacked = runSandwich(pool, bestFrontRun, victimAmountIn);
+    const attackerProfit = attacked.profit - gasCost;
+    const profitable = bestFrontRun > 0 && attackerProfit > 0;
+
+    // An unprofitable sandwich will not be attempted: the victim gets the baseline fill.
+    const outcome = profitable ? attacked : baseline;
+    const lossTokenOut = baseline.victimAmountOut - outcome.victimAmountOut;
+    const lossPct = (lossTokenOut / baseline.victimAmountOut) * 100;
+    // tokenOut is valued at the pre-trade spot price.
+    const tokenOutUsd = usdPrice !== null ? usdPrice / spotPrice : null;
+
+    return {
+        model: pool.model,
+        feeBps: pool.feeBps,
+        tokenIn: tokenInSymbol,
+        tokenOut: tokenOutSymbol,
+        amountIn: victimAmountIn,
+        slippageTolerance: slippagePct,
+        spotPrice: round(spotPrice, 12),
+        baseline: {
+            amountOut: round(baseline.victimAmountOut),
+            executionPrice: round(baseline.victimAmountOut / victimAmountIn, 12),
+            priceImpactPct: round((1 - baseline.victimAmountOut / victimAmountIn / spotPrice) * 100, 4),
+        },
+        minAmountOut: round(minAmountOut),
+        attack: {
+            profitable,
+            frontRunAmountIn: round(profitable ? bestFrontRun : 0),
+            frontRunAmountOut: round(profitable ? attacked.frontRunAmountOut : 0),
+            backRunAmountOut: round(profitable ? attacked.backRunAmountOut : 0),
+            maxFrontRunAmountIn: round(maxFrontRun),
+            attackerProfit: round(profitable ? attackerProfit : 0),
+            attackerProfitUsd: usdPrice !== null ? round(profitable ? attackerProfit * usdPrice : 0, 2) : null,
+        },
+        victim: {
+            amountOut: round(outcome.victimAmountOut),
+            executionPrice: round(outcome.victimAmountOut / victimAmountIn, 12),
+            priceWorsenedPct: round(lossPct, 4),
+            lossTokenOut: round(lossTokenOut),
+            lossUsd: tokenOutUsd !== null ? round(lossTokenOut * tokenOutUsd, 2) : null,
+        },
+        riskScore: lossToRiskScore(lossPct),
+    };
+}
+
+/**
+ * One-paragraph plain-text summary of a simulateSandwich result. Also used as
+ * the input the AI analyzer builds its rationale on.
+ */
+function describeSandwich(result) {
+    const { attack, victim, baseline, tokenIn, tokenOut } = result;
+    const usd = value => (value === null ? '' : ` (~$${value.toFixed(2)})`);
+    const trade = `Swap ${result.amountIn} ${tokenIn} for ${tokenOut} on a ${result.model} pool (${result.feeBps} bps fee) with ${result.slippageTolerance}% slippage tolerance`;
+    if (!attack.profitable) {
+        return `${trade}. Expected output ${baseline.amountOut} ${tokenOut} (${baseline.priceImpactPct}% price impact). No profitable sandwich exists within the slippage limit.`;
+    }
+    return `${trade}. An attacker front-running with ${attack.frontRunAmountIn} ${tokenIn} profits ${attack.attackerProfit} ${tokenIn}${usd(attack.attackerProfitUsd)}; `
+        + `the victim receives ${victim.amountOut} instead of ${baseline.amountOut} ${tokenOut}, losing ${victim.lossTokenOut} ${tokenOut}${usd(victim.lossUsd)} (${victim.priceWorsenedPct}% worse price).`;
+}
+
+/**
+ * Formats the victim's value impact the way the client displays it,
+ * e.g. "-296.15 USD" or "-0.0992 DAI".
+ */
+function formatValueImpact(result) {
+    const { victim, tokenOut } = result;
+    if (victim.lossTokenOut <= 0) {
+        return victim.lossUsd !== null ? '+0.00 USD' : `+0 ${tokenOut}`;
+    }
+    return victim.lossUsd !== null ? `-${victim.lossUsd.toFixed(2)} USD` : `-${victim.lossTokenOut} ${tokenOut}`;
+}
+
+module.exports = {
+    SimulationInputError,
+    getAmountOutV2,
+    createPool,
+    simulateSandwich,
+    describeSandwich,
+    formatValueImpact,
+};
@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const dbHelpers = require('./db');
+
+// --- API Keys, Scopes & Rate Limits ---
+//
+// Scripts and bots authenticate with `X-API-Key: msk_<hex>`. Only the
+// SHA-256 of a key is stored (api_keys table), next to a short prefix that
+// identifies it in listings. Every key holds scopes:
+//   simulate - /api/simulate, /api/decode, /api/advise, /api/trigger-attack
+//   protect  - /api/protect, /api/bundles
+//   read     - attack stats, wallet health, chains
+//   admin    - key management (/api/admin/keys) and /api/generator
+// and its own token bucket: `burst` requests at once, refilled at
+// `rateLimitPerMinute`. Requests without a key share one bucket per client
+// IP. A key that is unknown, revoked or expired is rejected even on routes
+// that do not need one, so a broken script fails loudly.
+
+const API_KEY_SCOPES = {
+    SIMULATE: 'simulate',
+    PROTECT: 'protect',
+    READ: 'read',
+    ADMIN: 'admin',
+};
+
+const ALL_SCOPES = Object.values(API_KEY_SCOPES);
+const KEY_PREFIX = 'msk_';
+const MAX_RATE_LIMIT_PER_MINUTE = 100000;
+
+class ApiKeyError extends Error {
+    constructor(message, code = 'INVALID_API_KEY_REQUEST', status = 400) {
+        super(message);
+        this.name = 'ApiKeyError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateKey = () => `${KEY_PREFIX}${crypto.randomBytes(32).toString('hex')}`;
+
+const toKey = (row) => ({
+    id: row.id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes),
+    rateLimitPerMinute: row.rate_limit_per_minute,
+    burst: row.burst,
+    createdAt: row.created_at,
+    rotatedAt: row.rotated_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+});
+
+/**
+ * Validates the settings of a new key, filling unspecified limits from the defaults.
+ * @param {object} input - { name, scopes, rateLimitPerMinute, burst, expiresAt }
+ * @param {object} defaults - { rateLimitPerMinute, burst }
+ * @throws {ApiKeyError}
+ */
+function normalizeKeySettings(input = {}, defaults) {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        throw new ApiKeyError('The key settings must be a JSON object.');
+    }
+    const name = String(input.name || '').trim().slice(0, 100);
+    if (!name) throw new ApiKeyError('name is required.');
+
+    const scopes = Array.isArray(input.scopes) ? [...new Set(input.scopes.map(String))] : [];
+    const unknown = scopes.filter(scope => !ALL_SCOPES.includes(scope));
+    if (!scopes.length || unknown.length) {
+        throw new ApiKeyError(`scopes must list one or more of: ${ALL_SCOPES.join(', ')}.`);
+    }
+
+    const limit = (value, field, fallback) => {
+        if (value === undefined || value === null || value === '') return fallback;
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 1 || number > MAX_RATE_LIMIT_PER_MINUTE) {
+            throw new ApiKeyError(`${field} must be an integer from 1 to ${MAX_RATE_LIMIT_PER_MINUTE}.`);
+        }
+        return number;
+    };
+    const rateLimitPerMinute = limit(input.rateLimitPerMinute, 'rateLimitPerMinute', defaults.rateLimitPerMinute);
+    const burst = limit(input.burst, 'burst', defaults.burst || rateLimitPerMinute);
+
+    let expiresAt = null;
+    if (input.expiresAt !== undefined && input.expiresAt !== null && input.expiresAt !== '') {
+        const ms = /^\d+$/.test(String(input.expiresAt)) ? Number(input.expiresAt) : Date.parse(input.expiresAt);
+        if (!Number.isFinite(ms) || ms <= Date.now()) throw new ApiKeyError('expiresAt must be a future ISO date or unix ms.');
+        expiresAt = new Date(ms).toISOString();
+    }
+    return { name, scopes, rateLimitPerMinute, burst, expiresAt };
+}
+
+class ApiKeyStore {
+    /**
+     * @param {object} options
+     * @param {object} options.db - sqlite3 Database holding api_keys.
+     * @param {number} [options.defaultRateLimitPerMinute=60]
+     * @param {number} [options.defaultBurst] - Defaults to the per-minute limit.
+     */
+    constructor({ db, defaultRateLimitPerMinute = 60, defaultBurst = null }) {
+        this.db = db;
+        this.defaults = { rateLimitPerMinute: defaultRateLimitPerMinute, burst: defaultBurst };
+    }
+
+    /**
+     * @param {object} input - See normalizeKeySettings.
+     * @returns {Promise<{key: string, apiKey: object}>} - The plaintext key, shown only once.
+     * @throws {ApiKeyError}
+     */
+    async create(input) {
+        const settings = normalizeKeySettings(input, this.defaults);
+        const key = generateKey();
+        const { lastID } = await dbHelpers.run(this.db,
+            `INSERT INTO api_keys (name, key_hash, key_prefix, scopes, rate_limit_per_minute, burst, created_at, expires_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [settings.name, hashKey(key), key.slice(0, 12), JSON.stringify(settings.scopes), settings.rateLimitPerMinute,
+                settings.burst, new Date().toISOString(), settings.expiresAt]);
+        return { key, apiKey: await this.get(lastID) };
+    }
+
+    async list() {
+        const rows = await dbHelpers.all(this.db, 'SELECT * FROM api_keys ORDER BY id');
+        return rows.map(toKey);
+    }
+
+    async get(id) {
+        const row = await dbHelpers.get(this.db, 'SELECT * FROM api_keys WHERE id = ?', [id]);
+        return row ? toKey(row) : null;
+    }
+
+    /**
+     * Replaces a key's secret; the old one stops working immediately.
+     * @returns {Promise<{key: string, apiKey: object}|null>} - Null for unknown or revoked keys.
+     */
+    async rotate(id) {
+        const key = generateKey();
+        const { changes } = await dbHelpers.run(this.db,
+            'UPDATE api_keys SET key_hash = ?, key_prefix = ?, rotated_at = ? WHERE id = ? AND revoked_at IS NULL',
+            [hashKey(key), key.slice(0, 12), new Date().toISOString(), id]);
+        return changes === 1 ? { key, apiKey: await this.get(id) } : null;
+    }
+
+    /**
+     * @returns {Promise<boolean>} - False for unknown or already revoked keys.
+     */
+    async revoke(id) {
+        const { changes } = await dbHelpers.run(this.db,
+            'UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL', [new Date().toISOString(), id]);
+        return changes === 1;
+    }
+
+    /**
+     * @returns {Promise<object|null>} - The active key (see toKey), or null.
+     */
+    async resolve(key) {
+        if (!key || !key.startsWith(KEY_PREFIX)) return null;
+        const now = new Date().toISOString();
+        const row = await dbHelpers.get(this.db,
+            'SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > ?)',
+            [hashKey(key), now]);
+        if (!row) return null;
+        dbHelpers.run(this.db, 'UPDATE api_keys SET last_used_at = ? WHERE id = ?', [now, row.id]).catch(() => {});
+        return toKey(row);
+    }
+}
+
+class TokenBucketLimiter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.maxBuckets=10000] - The least recently used buckets are dropped beyond this many.
+     */
+    constructor({ maxBuckets = 10000 } = {}) {
+        this.buckets = new Map();
+        this.maxBuckets = maxBuckets;
+    }
+
+    /**
+     * Takes one token from a bucket.
+     * @param {string} id - Bucket identity (key id or client IP).
+     * @param {{rateLimitPerMinute: number, burst: number}} limit
+     * @returns {{allowed: boolean, limit: number, remaining: number, resetSeconds: number, retryAfterSeconds: number}}
+     */
+    take(id, { rateLimitPerMinute, burst }) {
+        const now = Date.now();
+        const refillPerMs = rateLimitPerMinute / 60000;
+        const bucket = this.buckets.get(id) || { tokens: burst, updatedAt: now };
+        bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) * refillPerMs);
+        bucket.updatedAt = now;
+
+        const allowed = bucket.tokens >= 1;
+        if (allowed) bucket.tokens -= 1;
+        this.buckets.delete(id);
+        this.buckets.set(id, bucket);
+        if (this.buckets.size > this.maxBuckets) this.prune();
+
+        return {
+            allowed,
+            limit: burst,
+            remaining: Math.floor(bucket.tokens),
+            resetSeconds: Math.ceil((burst - bucket.tokens) / refillPerMs / 1000),
+            retryAfterSeconds: allowed ? 0 : Math.ceil((1 - bucket.tokens) / refillPerMs / 1000),
+        };
+    }
+
+    // Buckets are kept in least-recently-used order, so the oldest go first.
+    prune() {
+        for (const id of this.buckets.keys()) {
+            if (this.buckets.size <= this.maxBuckets) break;
+            this.buckets.delete(id);
+        }
+    }
+}
+
+/**
+ * Express middleware that sets `req.apiKey` from the X-API-Key header and
+ * rejects unknown, revoked or expired keys with a 401.
+ * @param {ApiKeyStore} store
+ */
+const attachApiKey = (store) => async (req, res, next) => {
+    const key = req.get('X-API-Key');
+    req.apiKey = null;
+    if (!key) return next();
+    try {
+        req.apiKey = await store.resolve(key.trim());
+    } catch (err) {
+        console.error('API key lookup error:', err.message);
+        return res.status(500).json({ success: false, message: 'Could not check the API key.' });
+    }
+    if (!req.apiKey) {
+        return res.status(401).json({ success: false, code: 'INVALID_API_KEY', message: 'The API key is unknown, revoked or expired.' });
+    }
+    next();
+};
+
+/**
+ * Token-bucket rate limiting per API key (its own limits) or, without a key,
+ * per client IP. Sets the RateLimit-Limit, -Remaining and -Reset headers
+ * (IETF draft) and answers 429 with Retry-After when the bucket is empty.
+ * Use after attachApiKey.
+ * @param {TokenBucketLimiter} limiter
+ * @param {{rateLimitPerMinute: number, burst: number}} anonymousLimit
+ */
+const rateLimit = (limiter, anonymousLimit) => (req, res, next) => {
+    const { apiKey } = req;
+    const policy = apiKey ? { rateLimitPerMinute: apiKey.rateLimitPerMinute, burst: apiKey.burst } : anonymousLimit;
+    const result = limiter.take(apiKey ? `key:${apiKey.id}` : `ip:${req.ip}`, policy);
+    res.set('RateLimit-Policy', `${policy.burst};w=${Math.ceil(policy.burst / policy.rateLimitPerMinute * 60)}`);
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(result.remaining));
+    res.set('RateLimit-Reset', String(result.resetSeconds));
+    if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfterSeconds));
+        return res.status(429).json({
+            success: false,
+            code: 'RATE_LIMITED',
+            message: `Rate limit exceeded; retry in ${result.retryAfterSeconds}s.`,
+        });
+    }
+    next();
+};
+
+/**
+ * Route guard for a scope. Requests with an API key need the scope. Without
+ * a key they pass unless the scope is admin or `requireKey` is set (then
+ * only signed-in users get through without one).
+ * @param {string} scope - One of API_KEY_SCOPES.
+ * @param {object} [options]
+ * @param {boolean} [options.requireKey=false] - Refuse keyless requests.
+ */
+const requireScope = (scope, { requireKey = false } = {}) => (req, res, next) => {
+    if (req.apiKey) {
+        if (req.apiKey.scopes.includes(scope)) return next();
+        return res.status(403).json({ success: false, code: 'INSUFFICIENT_SCOPE', message: `This API key lacks the ${scope} scope.` });
+    }
+    if (scope === API_KEY_SCOPES.ADMIN || (requireKey && !req.user)) {
+        return res.status(401).json({ success: false, code: 'API_KEY_REQUIRED', message: `An API key with the ${scope} scope is required.` });
+    }
+    next();
+};
+
+module.exports = {
+    API_KEY_SCOPES,
+    ALL_SCOPES,
+    ApiKeyError,
+    ApiKeyStore,
+    TokenBucketLimiter,
+    attachApiKey,
+    rateLimit,
+    requireScope,
+    normalizeKeySettings,
+};
@@ -0,0 +1,401 @@
+const EventEmitter = require('events');
+const { Interface, formatEther } = require('ethers');
+const { decodeSwap } = require('./dexDecoder');
+
+// --- Heuristic MEV Attack Detection ---
+//
+// Consumes normalized pending transactions (see mempoolSources) and keeps a
+// short sliding window of swaps per pool, indexed by direction and sender.
+// Patterns are matched on same-pool swaps, gas-price ordering and known bot
+// addresses:
+//   - Sandwich: one sender brackets a victim swap with a higher-bid swap in the
+//     victim's direction and a lower-or-equal-bid swap in the opposite direction.
+//     When one half was already reported as a Front-Run or Back-Run, the
+//     finding carries it as `replaces` so consumers can upgrade that event.
+//   - Front-run: a later-seen swap in the victim's direction outbidding it.
+//   - Back-run: a later-seen opposite swap bidding exactly the victim's gas price
+//     (so it lands right behind it), or any trailing swap from a known bot. An
+//     equal bid alone is common on quiet chains (anvil, L2s with a flat fee), so
+//     the sender must also be a known bot, have been reported as an attacker
+//     within the window, or route through a contract that is not a public router.
+//   - Liquidation: Aave/Compound liquidation calls, flagged harder when several
+//     compete for the same borrower.
+// Findings are emitted as 'attack' events.
+
+const WETH_ADDRESS = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+
+const LIQUIDATION_ABI = [
+    'function liquidationCall(address collateralAsset, address debtAsset, address user, uint256 debtToCover, bool receiveAToken)',
+    'function liquidateBorrow(address borrower, uint256 repayAmount, address cTokenCollateral)',
+    'function liquidateBorrow(address borrower, address cTokenCollateral)',
+];
+const liquidationInterface = new Interface(LIQUIDATION_ABI);
+
+const BASE_RISK = {
+    'Sandwich Attack': 85,
+    'Front-Run': 70,
+    'Back-Run': 45,
+    'Liquidation Attack': 60,
+};
+
+const parseAddressList = (value) => (value || '')
+    .split(',')
+    .map(addr => addr.trim().toLowerCase())
+    .filter(Boolean);
+
+function decodeLiquidation(input) {
+    if (typeof input !== 'string' || input.length < 10) return null;
+    try {
+        const parsed = liquidationInterface.parseTransaction({ data: input });
+        if (!parsed) return null;
+        const args = parsed.args.toObject();
+        return {
+            protocol: parsed.name === 'liquidationCall' ? 'aave' : 'compound',
+            borrower: (args.user || args.borrower).toLowerCase(),
+        };
+    } catch (err) {
+        return null;
+    }
+}
+
+// Native value the victim puts at stake: msg.value, or amountIn when selling
+// the wrapped native token (WETH on mainnet).
+function valueAtRisk(entry, wrappedNative = WETH_ADDRESS) {
+    if (entry.tx.value > 0n) return entry.tx.value;
+    if (entry.swap && entry.swap.tokenIn.toLowerCase() === wrappedNative.toLowerCase() && entry.swap.amountIn) {
+        return BigInt(entry.swap.amountIn);
+    }
+    return null;
+}
+
+const gasPremiumPct = (bid, baseline) => (baseline > 0n ? Number(((bid - baseline) * 10000n) / baseline) / 100 : null);
+
+const pushTo = (index, key, entry) => {
+    const list = index.get(key);
+    if (list) list.push(entry);
+    else index.set(key, [entry]);
+};
+
+// A pool's swaps in arrival order, plus the same entries by direction (tokenIn) and sender.
+function indexPool(entries) {
+    const pool = { entries: [], byDirection: new Map(), bySender: new Map() };
+    entries.forEach(entry => addToPool(pool, entry));
+    return pool;
+}
+
+function addToPool(pool, entry) {
+    pool.entries.push(entry);
+    pushTo(pool.byDirection, entry.direction, entry);
+    pushTo(pool.bySender, entry.tx.from, entry);
+}
+
+class AttackDetector extends EventEmitter {
+    /**
+     * @param {object} [options]
+     * @param {number} [options.windowMs=12000] - How long a pending tx stays eligible (about one block).
+     * @param {number} [options.maxPerPool=200] - Cap on tracked swaps per pool.
+     * @param {number} [options.frontRunPremiumPct=10] - Gas premium over the victim that counts as outbidding.
+     * @param {string[]} [options.knownBots] - Lowercased bot addresses; defaults to KNOWN_BOT_ADDRESSES.
+     * @param {string} [options.wrappedNative] - Wrapped native token of the chain watched; defaults to mainnet WETH.
+     * @param {string[]} [options.routers] - Public DEX routers of the chain; swaps sent elsewhere go through a private contract.
+     * @param {function(): number} [options.now=Date.now] - Clock for the window, in the same milliseconds as the txs' seenAt.
+     */
+    constructor({ windowMs = 12000, maxPerPool = 200, frontRunPremiumPct = 10, knownBots, wrappedNative = WETH_ADDRESS, routers = [], now = Date.now } = {}) {
+        super();
+        this.now = now;
+        this.windowMs = windowMs;
+        this.maxPerPool = maxPerPool;
+        this.frontRunPremiumPct = frontRunPremiumPct;
+        this.knownBots = new Set(knownBots || parseAddressList(process.env.KNOWN_BOT_ADDRESSES));
+        this.wrappedNative = wrappedNative;
+        this.routers = new Set(routers.map(router => router.toLowerCase()));
+        this.pools = new Map();
+        this.liquidations = new Map();
+        this.seen = new Map();
+        this.reported = new Map();
+        this.claimed = new Set();
+        this.attackers = new Map();
+    }
+
+    isKnownBot(address) {
+        return Boolean(address) && this.knownBots.has(address.toLowerCase());
+    }
+
+    /**
+     * Feeds one pending transaction through the detectors.
+     * @param {object} tx - Normalized pending transaction.
+     * @returns {object[]} - Findings raised by this transaction (also emitted as 'attack').
+     */
+    ingest(tx) {
+        if (!tx || !tx.hash || this.seen.has(tx.hash)) return [];
+        this.prune(this.now());
+        this.seen.set(tx.hash, tx.seenAt);
+
+        const liquidation = decodeLiquidation(tx.input);
+        if (liquidation) return this.detectLiquidation(tx, liquidation);
+
+        const swap = decodeSwap(tx.input, tx.value, { from: tx.from, wrappedNative: this.wrappedNative });
+        // Aggregator swaps do not name the pool they hit, so they cannot be paired
+        if (!swap || !swap.pool) return [];
+
+        const entry = { tx, swap, direction: swap.tokenIn.toLowerCase() };
+        let pool = this.pools.get(swap.pool);
+        if (!pool) {
+            pool = indexPool([]);
+            this.pools.set(swap.pool, pool);
+        }
+        addToPool(pool, entry);
+        if (pool.entries.length > this.maxPerPool) {
+            pool = indexPool(pool.entries.slice(1));
+            this.pools.set(swap.pool, pool);
+        }
+
+        const findings = [
+            ...this.detectSandwiches(pool, entry),
+            ...this.detectFrontRun(pool, entry),
+            ...this.detectBackRun(pool, entry),
+        ];
+        findings.forEach(finding => this.emit('attack', finding));
+        return findings;
+    }
+
+    prune(now) {
+        const cutoff = now - this.windowMs;
+        for (const [address, { entries }] of this.pools) {
+            if (entries[0].tx.seenAt >= cutoff) continue;
+            const fresh = entries.filter(e => e.tx.seenAt >= cutoff);
+            if (fresh.length) this.pools.set(address, indexPool(fresh));
+            else this.pools.delete(address);
+        }
+        for (const [borrower, entries] of this.liquidations) {
+            const fresh = entries.filter(e => e.seenAt >= cutoff);
+            if (fresh.length) this.liquidations.set(borrower, fresh);
+            else this.liquidations.delete(borrower);
+        }
+        for (const [hash, seenAt] of this.seen) {
+            if (seenAt < cutoff) {
+                this.seen.delete(hash);
+                this.claimed.delete(hash);
+            }
+        }
+        for (const [key, { reportedAt }] of this.reported) {
+            if (reportedAt < cutoff) this.reported.delete(key);
+        }
+        for (const [address, reportedAt] of this.attackers) {
+            if (reportedAt < cutoff) this.attackers.delete(address);
+        }
+    }
+
+    // Reports a finding once; `claims` marks txs so weaker patterns skip them.
+    report(key, finding, claims = []) {
+        if (this.reported.has(key)) return null;
+        const reportedAt = this.now();
+        this.reported.set(key, { reportedAt, finding });
+        if (finding.attacker) this.attackers.set(finding.attacker, reportedAt);
+        claims.forEach(hash => this.claimed.add(hash));
+        return finding;
+    }
+
+    // Why a same-bid opposite swap is tied to an attacker rather than ordinary flow, or null.
+    backRunRelation(tx) {
+        if (this.isKnownBot(tx.from)) return 'known bot';
+        if (this.attackers.has(tx.from)) return 'recent attacker';
+        if (this.routers.size && tx.to && !this.routers.has(tx.to)) return 'private contract';
+        return null;
+    }
+
+    riskFor(type, { knownBot = false, premiumPct = null } = {}) {
+        let score = BASE_RISK[type];
+        if (knownBot) score += 10;
+        if (premiumPct !== null && premiumPct > 0) score += Math.min(10, Math.floor(premiumPct / 10));
+        return Math.min(100, score);
+    }
+
+    // [front, victim, back] triples on the pool that include the added swap,
+    // found through the direction and sender indexes.
+    sandwichCandidates(pool, added) {
+        const opposite = direction => (pool.bySender.get(added.tx.from) || []).filter(e => e.direction !== direction);
+        const victimsFor = (front, back) => (pool.byDirection.get(front.direction) || []).filter(victim => victim.tx.from !== front.tx.from
+            && front.tx.gasPrice > victim.tx.gasPrice && victim.tx.gasPrice >= back.tx.gasPrice);
+        const triples = [];
+        // Added as the front-run or the back-run: its partner is the same sender's opposite swap.
+        for (const partner of opposite(added.direction)) {
+            for (const [front, back] of [[added, partner], [partner, added]]) {
+                victimsFor(front, back).forEach(victim => triples.push([front, victim, back]));
+            }
+        }
+        // Added as the victim: another sender outbids it in its direction and trades back out.
+        for (const front of pool.byDirection.get(added.direction) || []) {
+            if (front.tx.from === added.tx.from || front.tx.gasPrice <= added.tx.gasPrice) continue;
+            for (const back of pool.bySender.get(front.tx.from)) {
+                if (back.direction !== front.direction && added.tx.gasPrice >= back.tx.gasPrice) triples.push([front, added, back]);
+            }
+        }
+        return triples;
+    }
+
+    detectSandwiches(pool, added) {
+        const findings = [];
+        for (const [front, victim, back] of this.sandwichCandidates(pool, added)) {
+            const knownBot = this.isKnownBot(front.tx.from);
+            const premiumPct = gasPremiumPct(front.tx.gasPrice, victim.tx.gasPrice);
+            const earlier = this.reported.get(`front:${front.tx.hash}:${victim.tx.hash}`)
+                || this.reported.get(`back:${back.tx.hash}:${victim.tx.hash}`);
+            const finding = this.report(`sandwich:${front.tx.hash}:${victim.tx.hash}:${back.tx.hash}`, {
+                type: 'Sandwich Attack',
+                pool: added.swap.pool,
+                attacker: front.tx.from,
+                victim: victim.tx.from,
+                txHashes: { frontRun: front.tx.hash, victim: victim.tx.hash, backRun: back.tx.hash },
+                valueAtRiskWei: valueAtRisk(victim, this.wrappedNative),
+                riskScore: this.riskFor('Sandwich Attack', { knownBot, premiumPct }),
+                evidence: {
+                    pool: victim.swap.pool,
+                    victimDirection: `${victim.swap.tokenIn} -> ${victim.swap.tokenOut}`,
+                    frontRunGasPrice: front.tx.gasPrice.toString(),
+                    victimGasPrice: victim.tx.gasPrice.toString(),
+                    backRunGasPrice: back.tx.gasPrice.toString(),
+                    gasPremiumPct: premiumPct,
+                    knownBot,
+                },
+                ...(earlier ? { replaces: earlier.finding } : {}),
+            }, [front.tx.hash, back.tx.hash]);
+            if (finding) findings.push(finding);
+        }
+        return findings;
+    }
+
+    detectFrontRun(pool, added) {
+        if (this.claimed.has(added.tx.hash)) return [];
+        const knownBot = this.isKnownBot(added.tx.from);
+        const findings = [];
+        for (const victim of pool.byDirection.get(added.direction)) {
+            if (victim === added || victim.tx.from === added.tx.from) continue;
+            const premiumPct = gasPremiumPct(added.tx.gasPrice, victim.tx.gasPrice);
+            const outbids = premiumPct !== null && (premiumPct >= this.frontRunPremiumPct || (knownBot && premiumPct > 0));
+            if (!outbids) continue;
+
+            const finding = this.report(`front:${added.tx.hash}:${victim.tx.hash}`, {
+                type: 'Front-Run',
+                pool: added.swap.pool,
+                attacker: added.tx.from,
+                victim: victim.tx.from,
+                txHashes: { frontRun: added.tx.hash, victim: victim.tx.hash },
+                valueAtRiskWei: valueAtRisk(victim, this.wrappedNative),
+                riskScore: this.riskFor('Front-Run', { knownBot, premiumPct }),
+                evidence: {
+                    pool: victim.swap.pool,
+                    direction: `${victim.swap.tokenIn} -> ${victim.swap.tokenOut}`,
+                    attackerGasPrice: added.tx.gasPrice.toString(),
+                    victimGasPrice: victim.tx.gasPrice.toString(),
+                    gasPremiumPct: premiumPct,
+                    seenAfterVictimMs: added.tx.seenAt - victim.tx.seenAt,
+                    knownBot,
+                },
+            });
+            if (finding) findings.push(finding);
+        }
+        return findings;
+    }
+
+    detectBackRun(pool, added) {
+        if (this.claimed.has(added.tx.hash)) return [];
+        const knownBot = this.isKnownBot(added.tx.from);
+        const relation = this.backRunRelation(added.tx);
+        const findings = [];
+        for (const victim of pool.entries) {
+            if (victim === added || victim.tx.from === added.tx.from) continue;
+            if (victim.tx.seenAt > added.tx.seenAt) continue;
+            const matchesBid = relation !== null && added.direction !== victim.direction && added.tx.gasPrice === victim.tx.gasPrice;
+            const botTrailing = knownBot && added.tx.gasPrice <= victim.tx.gasPrice;
+            if (!matchesBid && !botTrailing) continue;
+
+            const finding = this.report(`back:${added.tx.hash}:${victim.tx.hash}`, {
+                type: 'Back-Run',
+                pool: added.swap.pool,
+                attacker: added.tx.from,
+                victim: victim.tx.from,
+                txHashes: { victim: victim.tx.hash, backRun: added.tx.hash },
+                valueAtRiskWei: valueAtRisk(victim, this.wrappedNative),
+                riskScore: this.riskFor('Back-Run', { knownBot }),
+                evidence: {
+                    pool: victim.swap.pool,
+                    attackerGasPrice: added.tx.gasPrice.toString(),
+                    victimGasPrice: victim.tx.gasPrice.toString(),
+                    sameGasPrice: added.tx.gasPrice === victim.tx.gasPrice,
+                    relation,
+                    knownBot,
+                },
+            });
+            if (finding) findings.push(finding);
+        }
+        return findings;
+    }
+
+    detectLiquidation(tx, liquidation) {
+        const competing = this.liquidations.get(liquidation.borrower) || [];
+        competing.push(tx);
+        this.liquidations.set(liquidation.borrower, competing);
+
+        const knownBot = this.isKnownBot(tx.from);
+        const rivals = competing.filter(other => other.hash !== tx.hash);
+        const outbid = rivals.filter(other => tx.gasPrice > other.gasPrice);
+        const finding = this.report(`liquidation:${tx.hash}`, {
+            type: 'Liquidation Attack',
+            pool: null,
+            attacker: tx.from,
+            victim: liquidation.borrower,
+            txHashes: { liquidation: tx.hash, ...(outbid.length ? { outbid: outbid.map(other => other.hash) } : {}) },
+            valueAtRiskWei: tx.value > 0n ? tx.value : null,
+            riskScore: Math.min(100, this.riskFor('Liquidation Attack', { knownBot }) + 10 * outbid.length),
+            evidence: {
+                protocol: liquidation.protocol,
+                borrower: liquidation.borrower,
+                gasPrice: tx.gasPrice.toString(),
+                competingLiquidations: rivals.length,
+                knownBot,
+            },
+        });
+        if (!finding) return [];
+        this.emit('attack', finding);
+        return [finding];
+    }
+}
+
+const shortHash = (hash) => (hash ? `${hash.slice(0, 10)}...` : 'unknown');
+
+/**
+ * Human-readable rationale for a finding, shown in the live feed.
+ */
+function describeFinding(finding) {
+    const { evidence, txHashes } = finding;
+    const bot = evidence.knownBot ? ' (known MEV bot)' : '';
+    switch (finding.type) {
+    case 'Sandwich Attack':
+        return `${shortHash(finding.attacker)}${bot} bracketed ${shortHash(finding.victim)}'s swap on ${evidence.pool}: front-run ${shortHash(txHashes.frontRun)} bids ${evidence.gasPremiumPct}% above the victim and back-run ${shortHash(txHashes.backRun)} bids at or below it.`;
+    case 'Front-Run':
+        return `${shortHash(finding.attacker)}${bot} copied ${shortHash(finding.victim)}'s ${evidence.direction} swap ${evidence.seenAfterVictimMs}ms later with a ${evidence.gasPremiumPct}% higher gas bid.`;
+    case 'Back-Run':
+        return `${shortHash(finding.attacker)}${bot} trails ${shortHash(finding.victim)}'s swap on ${evidence.pool}${evidence.sameGasPrice ? ' with an identical gas price' : ''}${evidence.relation && !evidence.knownBot ? ` (${evidence.relation})` : ''}.`;
+    case 'Liquidation Attack':
+        return `${shortHash(finding.attacker)}${bot} is liquidating ${shortHash(evidence.borrower)} on ${evidence.protocol}${evidence.competingLiquidations ? `, racing ${evidence.competingLiquidations} competing liquidation(s)` : ''}.`;
+    default:
+        return `${finding.type} detected.`;
+    }
+}
+
+/**
+ * Formats a finding's value at risk for display, e.g. "1.2500 ETH".
+ * @param {object} finding
+ * @param {string} [symbol='ETH'] - Native token symbol of the chain.
+ */
+const formatValueAtRisk = (finding, symbol = 'ETH') => (finding.valueAtRiskWei === null
+    ? 'n/a'
+    : `${Number(formatEther(finding.valueAtRiskWei)).toFixed(4)} ${symbol}`);
+
+module.exports = {
+    AttackDetector,
+    decodeLiquidation,
+    describeFinding,
+    formatValueAtRisk,
+};
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const { formatEther, isAddress } = require('ethers');
+const dbHelpers = require('./db');
+
+// --- Filtered Attack Feed ---
+//
+// Clients send `subscribe` with filters:
+//   { chainId?: number, types?: string[], minRiskScore?: 0-100,
+//     minValueEth?: number, addresses?: string[], limit?: backfill size,
+//     sinceId?: last event seen }
+// chainId partitions the feed by network (minValueEth is in that chain's
+// native token); without it events from every chain are delivered.
+// Every distinct filter set is a Socket.io room (`feed:<hash>`); a published
+// attack is emitted once to all rooms whose filters it matches. Subscribing
+// replays the last `limit` matching events from attack_events as
+// `attack_backfill`, only those after `sinceId` when catching up after a
+// reconnect. Clients that never subscribe get the unfiltered feed.
+
+const DEFAULT_BACKFILL = 20;
+const MAX_BACKFILL = 100;
+const MAX_FILTER_ITEMS = 20;
+
+class FeedFilterError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'FeedFilterError';
+        this.status = 400;
+    }
+}
+
+const optionalNumber = (value, name, min, max) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+        throw new FeedFilterError(`${name} must be a number from ${min} to ${max}.`);
+    }
+    return number;
+};
+
+const optionalList = (value, name) => {
+    if (value === undefined || value === null) return [];
+    const list = Array.isArray(value) ? value : [value];
+    if (list.length > MAX_FILTER_ITEMS) throw new FeedFilterError(`${name} may list at most ${MAX_FILTER_ITEMS} entries.`);
+    return list;
+};
+
+/**
+ * Validates a `subscribe` payload. Filters are normalized so equal filter
+ * sets share a room: types and addresses are sorted, addresses lowercased.
+ * @param {object} [input]
+ * @returns {{filters: object, limit: number, sinceId: number|null}}
+ * @throws {FeedFilterError}
+ */
+function normalizeFeedFilters(input = {}) {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        throw new FeedFilterError('subscribe expects an object of filters.');
+    }
+    const types = optionalList(input.types, 'types').map((type) => {
+        if (typeof type !== 'string' || !type.trim() || type.length > 80) {
+            throw new FeedFilterError('types must be attack type names.');
+        }
+        return type.trim();
+    });
+    const addresses = optionalList(input.addresses, 'addresses').map((address) => {
+        if (typeof address !== 'string' || !isAddress(address.trim())) {
+            throw new FeedFilterError('addresses must be valid 0x-prefixed addresses.');
+        }
+        return address.trim().toLowerCase();
+    });
+    const chainId = optionalNumber(input.chainId, 'chainId', 1, Number.MAX_SAFE_INTEGER);
+    if (chainId !== null && !Number.isInteger(chainId)) throw new FeedFilterError('chainId must be an integer.');
+    const filters = {
+        chainId,
+        types: [...new Set(types)].sort(),
+        minRiskScore: optionalNumber(input.minRiskScore, 'minRiskScore', 0, 100) ?? 0,
+        minValueEth: optionalNumber(input.minValueEth, 'minValueEth', 0, Number.MAX_SAFE_INTEGER),
+        addresses: [...new Set(addresses)].sort(),
+    };
+    const limit = optionalNumber(input.limit, 'limit', 0, MAX_BACKFILL) ?? DEFAULT_BACKFILL;
+    const sinceId = optionalNumber(input.sinceId, 'sinceId', 0, Number.MAX_SAFE_INTEGER);
+    return { filters, limit: Math.floor(limit), sinceId: sinceId === null ? null : Math.floor(sinceId) };
+}
+
+const involvedAddresses = (attack) => [attack.attacker, attack.victim, attack.pool]
+    .filter(Boolean)
+    .map(address => address.toLowerCase());
+
+/**
+ * @param {object} attack - A `new_attack` payload.
+ * @param {object} filters - From normalizeFeedFilters.
+ * @returns {boolean}
+ */
+function matchesFilters(attack, filters) {
+    if (filters.chainId !== null && attack.chainId !== filters.chainId) return false;
+    if (filters.types.length && !filters.types.includes(attack.method)) return false;
+    if ((parseInt(attack.riskScore, 10) || 0) < filters.minRiskScore) return false;
+    if (filters.minValueEth !== null) {
+        if (attack.valueWei === undefined || attack.valueWei === null) return false;
+        if (Number(formatEther(attack.valueWei)) < filters.minValueEth) return false;
+    }
+    if (filters.addresses.length) {
+        const involved = involvedAddresses(attack);
+        if (!filters.addresses.some(address => involved.includes(address))) return false;
+    }
+    return true;
+}
+
+// attack_events.source -> the status the event was broadcast with.
+const ATTACK_STATUSES = { mempool: 'Detected', synthetic: 'Synthetic' };
+
+const roomFor = (filters) => `feed:${crypto.createHash('sha1').update(JSON.stringify(filters)).digest('hex').slice(0, 16)}`;
+
+/**
+ * Rebuilds the `new_attack` payload from an attack_events row.
+ */
+function toAttackMessage(row) {
+    return {
+        id: row.id,
+        transaction: row.tx_hash,
+        method: row.attack_type,
+        value: row.value_label || (row.value_eth === null ? 'n/a' : `${row.value_eth.toFixed(4)} ETH`),
+        valueWei: row.value_wei,
+        riskScore: `${row.risk_score}/100`,
+        rationale: row.rationale,
+        status: ATTACK_STATUSES[row.source] || 'Local Simulation',
+        timestamp: new Date(row.detected_at).toLocaleTimeString(),
+        detectedAt: row.detected_at,
+        source: row.source,
+        txHashes: row.tx_hashes ? JSON.parse(row.tx_hashes) : undefined,
+        attacker: row.attacker,
+        victim: row.victim,
+        pool: row.pool,
+        evidence: row.evidence ? JSON.parse(row.evidence) : undefined,
+        chainId: row.chain_id,
+    };
+}
+
+/**
+ * SQL conditions on attack_events for a filter set.
+ * @param {object} filters - From normalizeFeedFilters.
+ * @returns {{where: string[], params: Array}}
+ */
+function filterClause(filters) {
+    const where = ['risk_score >= ?'];
+    const params = [filters.minRiskScore];
+    if (filters.chainId !== null) {
+        where.push('chain_id = ?');
+        params.push(filters.chainId);
+    }
+    if (filters.types.length) {
+        where.push(`attack_type IN (${filters.types.map(() => '?').join(', ')})`);
+        params.push(...filters.types);
+    }
+    if (filters.minValueEth !== null) {
+        where.push('value_eth >= ?');
+        params.push(filters.minValueEth);
+    }
+    if (filters.addresses.length) {
+        const list = filters.addresses.map(() => '?').join(', ');
+        where.push(`(lower(attacker) IN (${list}) OR lower(victim) IN (${list}) OR lower(pool) IN (${list}))`);
+        params.push(...filters.addresses, ...filters.addresses, ...filters.addresses);
+    }
+    return { where, params };
+}
+
+/**
+ * The latest persisted events matching the filters, oldest first.
+ * @param {object} db - sqlite3 Database.
+ * @param {object} filters - From normalizeFeedFilters.
+ * @param {object} options
+ * @param {number} options.limit
+ * @param {number|null} [options.sinceId] - Only events after this id.
+ * @returns {Promise<object[]>} - `new_attack` payloads.
+ */
+async function loadBackfill(db, filters, { limit, sinceId = null }) {
+    if (limit === 0) return [];
+    const { where, params } = filterClause(filters);
+    if (sinceId !== null) {
+        where.push('id > ?');
+        params.push(sinceId);
+    }
+    const rows = await dbHelpers.all(db,
+        `SELECT * FROM attack_events WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT ?`, [...params, limit]);
+    return rows.reverse().map(toAttackMessage);
+}
+
+class AttackFeed {
+    /**
+     * @param {object} options
+     * @param {object} options.io - Socket.io Server.
+     * @param {object} options.db - sqlite3 Database holding attack_events.
+     */
+    constructor({ io, db }) {
+        this.io = io;
+        this.db = db;
+        this.rooms = new Map(); // room -> filters
+        io.of('/').adapter.on('delete-room', room => this.rooms.delete(room));
+    }
+
+    /**
+     * Moves the socket to the room for its filters and sends the backfill.
+     * @param {object} socket
+     * @param {object} [input] - Raw `subscribe` payload.
+     * @returns {Promise<object>} - The normalized filters.
+     * @throws {FeedFilterError}
+     */
+    async subscribe(socket, input = {}) {
+        const { filters, limit, sinceId } = normalizeFeedFilters(input);
+        const room = roomFor(filters);
+        for (const joined of socket.rooms) {
+            if (joined.startsWith('feed:') && joined !== room) socket.leave(joined);
+        }
+        this.rooms.set(room, filters);
+        socket.join(room);
+
+        const attacks = await loadBackfill(this.db, filters, { limit, sinceId });
+        socket.emit('attack_backfill', { filters, sinceId, attacks });
+        return filters;
+    }
+
+    /**
+     * Emits the attack once to every subscriber whose filters match.
+     * @param {object} attack - `new_attack` payload.
+     */
+    publish(attack) {
+        const rooms = [...this.rooms].filter(([, filters]) => matchesFilters(attack, filters)).map(([room]) => room);
+        if (rooms.length) this.io.to(rooms).emit('new_attack', attack);
+    }
+}
+
+module.exports = {
+    DEFAULT_BACKFILL,
+    MAX_BACKFILL,
+    FeedFilterError,
+    AttackFeed,
+    normalizeFeedFilters,
+    matchesFilters,
+    filterClause,
+    loadBackfill,
+    toAttackMessage,
+};
@@ -0,0 +1,582 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { parseEther } = require('ethers');
+
+// --- Synthetic Attack Generator ---
+//
+// Feeds the live feed with made-up attacks for demos, load tests and frontend
+// work. A scenario sets the base event rate, the attack-type mix and the
+// value and risk distributions. It can also add bursts: extra streams with
+// their own rate, mix and distributions, active for a window and optionally
+// repeating (an "NFT mint frenzy", a "liquidation cascade"). Event times are a
+// Poisson process on the scenario clock. Every draw comes from a PRNG seeded
+// with the run's seed, so the same scenario and seed always produce the same
+// events at the same offsets, whatever the speed or pauses. Events carry
+// source 'synthetic' and are kept out of attack statistics.
+//
+// Scenario fields (JSON or YAML, see lib/scenarios.js):
+//   name, description, durationSec (optional; runs until stopped otherwise),
+//   rate (events/s), mix ({ type: weight }), value (ETH) and risk (0-100)
+//   distributions, attackers and pools (sizes of the address sets events
+//   reuse), bursts: [{ name, at, every?, durationSec, rate, mix?, value?, risk? }].
+// A distribution is a number or { dist: constant | uniform | normal |
+// lognormal | exponential, ...parameters, min?, max? }.
+
+const MAX_RATE = 100;
+const MAX_SPEED = 1000;
+const MAX_BURSTS = 20;
+const MAX_ADDRESS_SET = 1000;
+// Delivery is capped per timer tick; when it falls behind, events arrive late
+// but in the same order and with the same content.
+const MAX_EVENTS_PER_TICK = 25;
+const MIN_TICK_MS = 50;
+// Long waits are re-checked, which also keeps them under setTimeout's limit.
+const MAX_TIMER_MS = 60 * 1000;
+
+const DEFAULT_MIX = {
+    'Sandwich Attack': 4,
+    'Front-Run': 2,
+    'Back-Run': 2,
+    'Arbitrage Exploitation': 1,
+    'Liquidation Attack': 1,
+};
+const DEFAULT_VALUE = { dist: 'lognormal', median: 2, sigma: 1, min: 0.01, max: 1000 };
+const DEFAULT_RISK = { dist: 'normal', mean: 70, stdDev: 15 };
+
+class ScenarioError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScenarioError';
+        this.status = 400;
+        this.code = 'INVALID_SCENARIO';
+    }
+}
+
+class GeneratorError extends Error {
+    constructor(message, status, code) {
+        super(message);
+        this.name = 'GeneratorError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// --- Seeded PRNG ---
+
+// FNV-1a of the seed's string form, so "42" and 42 give the same run.
+function hashSeed(seed) {
+    let hash = 0x811c9dc5;
+    for (const char of String(seed)) {
+        hash ^= char.codePointAt(0);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * mulberry32: small, fast and good enough for simulated traffic.
+ * @param {string|number} seed
+ * @returns {object} - next() in [0, 1) plus helpers built on it.
+ */
+function createRandom(seed) {
+    let state = hashSeed(seed);
+    const next = () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+    const normal = () => {
+        // Box-Muller; always two draws so the stream stays aligned.
+        const u = 1 - next();
+        const v = next();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    };
+    return {
+        next,
+        normal,
+        exponential: rate => -Math.log(1 - next()) / rate,
+        hex: (bytes) => {
+            let out = '';
+            while (out.length < bytes * 2) out += Math.floor(next() * 4294967296).toString(16).padStart(8, '0');
+            return `0x${out.slice(0, bytes * 2)}`;
+        },
+        weighted: (entries) => {
+            const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+            let roll = next() * total;
+            for (const entry of entries) {
+                roll -= entry.weight;
+                if (roll < 0) return entry;
+            }
+            return entries[entries.length - 1];
+        },
+    };
+}
+
+// --- Distributions ---
+
+const DISTRIBUTIONS = {
+    constant: { required: ['value'], sample: (random, spec) => spec.value },
+    uniform: { required: ['min', 'max'], sample: (random, spec) => spec.min + random.next() * (spec.max - spec.min) },
+    normal: { required: ['mean', 'stdDev'], sample: (random, spec) => spec.mean + random.normal() * spec.stdDev },
+    lognormal: { required: ['median', 'sigma'], sample: (random, spec) => spec.median * Math.exp(random.normal() * spec.sigma) },
+    exponential: { required: ['mean'], sample: (random, spec) => random.exponential(1 / spec.mean) },
+};
+
+function normalizeDistribution(input, name) {
+    if (typeof input === 'number') input = { dist: 'constant', value: input };
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        throw new ScenarioError(`${name} must be a number or a distribution object.`);
+    }
+    const dist = input.dist || 'constant';
+    const kind = DISTRIBUTIONS[dist];
+    if (!kind) throw new ScenarioError(`${name}.dist must be one of ${Object.keys(DISTRIBUTIONS).join(', ')}.`);
+
+    const spec = { dist };
+    for (const field of [...kind.required, 'min', 'max']) {
+        if (input[field] === undefined || input[field] === null) {
+            if (kind.required.includes(field)) throw new ScenarioError(`${name}.${field} is required for a ${dist} distribution.`);
+            continue;
+        }
+        if (typeof input[field] !== 'number' || !Number.isFinite(input[field])) {
+            throw new ScenarioError(`${name}.${field} must be a number.`);
+        }
+        spec[field] = input[field];
+    }
+    if ((spec.stdDev ?? 0) < 0 || (spec.sigma ?? 0) < 0) throw new ScenarioError(`${name} must have a non-negative spread.`);
+    if ((dist === 'lognormal' && spec.median <= 0) || (dist === 'exponential' && spec.mean <= 0)) {
+        throw new ScenarioError(`${name} must have a positive ${dist === 'lognormal' ? 'median' : 'mean'}.`);
+    }
+    if (spec.min !== undefined && spec.max !== undefined && spec.min > spec.max) {
+        throw new ScenarioError(`${name}.min must not exceed ${name}.max.`);
+    }
+    return spec;
+}
+
+function sample(random, spec) {
+    const value = DISTRIBUTIONS[spec.dist].sample(random, spec);
+    return Math.min(spec.max ?? Infinity, Math.max(spec.min ?? -Infinity, value));
+}
+
+// --- Scenarios ---
+
+function normalizeMix(input, name) {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        throw new ScenarioError(`${name} must map attack types to weights.`);
+    }
+    const entries = Object.entries(input).map(([type, weight]) => {
+        if (!type.trim() || type.length > 80) throw new ScenarioError(`${name} has an invalid attack type name.`);
+        if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+            throw new ScenarioError(`${name}.${type} must be a non-negative weight.`);
+        }
+        return { type: type.trim(), weight };
+    }).filter(entry => entry.weight > 0);
+    if (!entries.length) throw new ScenarioError(`${name} needs at least one attack type with a positive weight.`);
+    return entries;
+}
+
+const rateOf = (value, name) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > MAX_RATE) {
+        throw new ScenarioError(`${name} must be a number of events per second from 0 to ${MAX_RATE}.`);
+    }
+    return value;
+};
+
+const secondsOf = (value, name, { optional = false, positive = false } = {}) => {
+    if (value === undefined || value === null) {
+        if (optional) return null;
+        throw new ScenarioError(`${name} is required.`);
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || (positive && value === 0)) {
+        throw new ScenarioError(`${name} must be a ${positive ? 'positive' : 'non-negative'} number of seconds.`);
+    }
+    return value;
+};
+
+const countOf = (value, name, fallback) => {
+    if (value === undefined || value === null) return fallback;
+    if (!Number.isInteger(value) || value < 1 || value > MAX_ADDRESS_SET) {
+        throw new ScenarioError(`${name} must be an integer from 1 to ${MAX_ADDRESS_SET}.`);
+    }
+    return value;
+};
+
+/**
+ * Validates a scenario and fills in defaults. Times become milliseconds.
+ * @param {object} input - Parsed scenario file or inline scenario.
+ * @param {string} [id] - File name without extension.
+ * @returns {object}
+ * @throws {ScenarioError}
+ */
+function normalizeScenario(input, id = 'inline') {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        throw new ScenarioError('A scenario must be an object.');
+    }
+    const mix = normalizeMix(input.mix || DEFAULT_MIX, 'mix');
+    const value = normalizeDistribution(input.value ?? DEFAULT_VALUE, 'value');
+    const risk = normalizeDistribution(input.risk ?? DEFAULT_RISK, 'risk');
+    const durationSec = secondsOf(input.durationSec, 'durationSec', { optional: true, positive: true });
+
+    const bursts = input.bursts ?? [];
+    if (!Array.isArray(bursts) || bursts.length > MAX_BURSTS) {
+        throw new ScenarioError(`bursts must be a list of at most ${MAX_BURSTS} entries.`);
+    }
+    const scenario = {
+        id,
+        name: typeof input.name === 'string' && input.name.trim() ? input.name.trim() : id,
+        description: typeof input.description === 'string' ? input.description : '',
+        durationMs: durationSec === null ? null : durationSec * 1000,
+        rate: rateOf(input.rate ?? 0, 'rate'),
+        mix,
+        value,
+        risk,
+        attackers: countOf(input.attackers, 'attackers', 20),
+        pools: countOf(input.pools, 'pools', 10),
+        bursts: bursts.map((burst, index) => {
+            const name = `bursts[${index}]`;
+            if (typeof burst !== 'object' || burst === null || Array.isArray(burst)) throw new ScenarioError(`${name} must be an object.`);
+            const durationMs = secondsOf(burst.durationSec, `${name}.durationSec`, { positive: true }) * 1000;
+            const everySec = secondsOf(burst.every, `${name}.every`, { optional: true, positive: true });
+            if (everySec !== null && everySec * 1000 < durationMs) {
+                throw new ScenarioError(`${name}.every must be at least its durationSec.`);
+            }
+            return {
+                name: typeof burst.name === 'string' && burst.name.trim() ? burst.name.trim() : `Burst ${index + 1}`,
+                atMs: secondsOf(burst.at ?? 0, `${name}.at`) * 1000,
+                everyMs: everySec === null ? null : everySec * 1000,
+                durationMs,
+                rate: rateOf(burst.rate, `${name}.rate`),
+                mix: burst.mix ? normalizeMix(burst.mix, `${name}.mix`) : mix,
+                value: burst.value === undefined ? value : normalizeDistribution(burst.value, `${name}.value`),
+                risk: burst.risk === undefined ? risk : normalizeDistribution(burst.risk, `${name}.risk`),
+            };
+        }),
+    };
+    if (scenario.rate === 0 && !scenario.bursts.some(burst => burst.rate > 0)) {
+        throw new ScenarioError('A scenario needs a rate or at least one burst with a rate.');
+    }
+    return scenario;
+}
+
+/**
+ * The scenario as listed by the API (no internal fields).
+ */
+const describeScenario = scenario => ({
+    id: scenario.id,
+    name: scenario.name,
+    description: scenario.description,
+    durationSec: scenario.durationMs === null ? null : scenario.durationMs / 1000,
+    rate: scenario.rate,
+    types: scenario.mix.map(entry => entry.type),
+    bursts: scenario.bursts.map(burst => ({
+        name: burst.name,
+        at: burst.atMs / 1000,
+        every: burst.everyMs === null ? null : burst.everyMs / 1000,
+        durationSec: burst.durationMs / 1000,
+        rate: burst.rate,
+    })),
+});
+
+// Start of the burst window containing t, or null when t is outside every window.
+function burstWindowStart(burst, t) {
+    if (t < burst.atMs) return null;
+    const start = burst.everyMs === null ? burst.atMs : burst.atMs + Math.floor((t - burst.atMs) / burst.everyMs) * burst.everyMs;
+    return t < start + burst.durationMs ? start : null;
+}
+
+// The next time after t at which a burst starts or ends.
+function nextBurstBoundary(burst, t) {
+    if (t < burst.atMs) return burst.atMs;
+    const start = burstWindowStart(burst, t);
+    if (start !== null) return start + burst.durationMs;
+    if (burst.everyMs === null) return Infinity;
+    return burst.atMs + (Math.floor((t - burst.atMs) / burst.everyMs) + 1) * burst.everyMs;
+}
+
+const TX_ROLES = {
+    'Sandwich Attack': ['frontRun', 'victim', 'backRun'],
+    'Front-Run': ['frontRun', 'victim'],
+    'Back-Run': ['victim', 'backRun'],
+    'Liquidation Attack': ['liquidation'],
+};
+
+/**
+ * A reproducible stream of synthetic attacks for a scenario and seed.
+ * @param {object} scenario - From normalizeScenario.
+ * @param {object} options
+ * @param {string|number} options.seed
+ * @param {object} options.chain - Chain the events are attributed to (see lib/chains).
+ * @returns {{next: function(): ({offsetMs: number, attack: object}|null), activeBursts: function(number): string[]}}
+ *   next() returns null once durationSec is reached.
+ */
+function createAttackStream(scenario, { seed, chain }) {
+    const random = createRandom(seed);
+    const attackers = Array.from({ length: scenario.attackers }, () => random.hex(20));
+    const pools = Array.from({ length: scenario.pools }, () => random.hex(20));
+    const symbol = chain.nativeToken.symbol;
+    let t = 0;
+    let sequence = 0;
+
+    const activeStreams = (time) => [
+        ...(scenario.rate > 0 ? [{ burst: null, weight: scenario.rate, mix: scenario.mix, value: scenario.value, risk: scenario.risk }] : []),
+        ...scenario.bursts
+            .filter(burst => burst.rate > 0 && burstWindowStart(burst, time) !== null)
+            .map(burst => ({ burst, weight: burst.rate, mix: burst.mix, value: burst.value, risk: burst.risk })),
+    ];
+
+    const buildAttack = (stream) => {
+        sequence++;
+        const { type } = random.weighted(stream.mix);
+        const valueEth = Math.max(0.0001, sample(random, stream.value)).toFixed(4);
+        const riskScore = Math.round(Math.min(100, Math.max(0, sample(random, stream.risk))));
+        const attacker = attackers[Math.floor(random.next() * attackers.length)];
+        const pool = pools[Math.floor(random.next() * pools.length)];
+        const victim = random.hex(20);
+        const txHashes = Object.fromEntries((TX_ROLES[type] || ['transaction']).map(role => [role, random.hex(32)]));
+        const origin = stream.burst ? `${scenario.name} / ${stream.burst.name}` : scenario.name;
+        return {
+            chainId: chain.chainId,
+            transaction: txHashes.frontRun || txHashes.backRun || txHashes.liquidation || txHashes.transaction,
+            method: type,
+            value: `${valueEth} ${symbol}`,
+            valueWei: parseEther(valueEth).toString(),
+            riskScore: `${riskScore}/100`,
+            rationale: `Synthetic ${type} from scenario "${origin}".`,
+            status: 'Synthetic',
+            source: 'synthetic',
+            txHashes,
+            attacker,
+            victim,
+            pool,
+            evidence: { scenario: scenario.id, burst: stream.burst ? stream.burst.name : null, seed: String(seed), sequence, offsetMs: Math.round(t) },
+        };
+    };
+
+    return {
+        next() {
+            for (;;) {
+                const boundary = Math.min(scenario.durationMs ?? Infinity, ...scenario.bursts.map(burst => nextBurstBoundary(burst, t)));
+                const streams = activeStreams(t);
+                const rate = streams.reduce((sum, stream) => sum + stream.weight, 0);
+                const gap = rate > 0 ? random.exponential(rate / 1000) : Infinity;
+                // Rates only change at boundaries and the process is memoryless,
+                // so a gap that crosses one is redrawn from there.
+                if (t + gap >= boundary) {
+                    if (boundary === Infinity || boundary === scenario.durationMs) return null;
+                    t = boundary;
+                    continue;
+                }
+                t += gap;
+                const attack = buildAttack(random.weighted(streams));
+                return { offsetMs: t, attack };
+            }
+        },
+        activeBursts: time => scenario.bursts.filter(burst => burstWindowStart(burst, time) !== null).map(burst => burst.name),
+    };
+}
+
+/**
+ * The first `count` events of a run, without publishing anything.
+ * @returns {object[]} - `new_attack` payloads with offsetMs.
+ */
+function previewScenario(scenario, { seed, chain, count }) {
+    const stream = createAttackStream(scenario, { seed, chain });
+    const events = [];
+    while (events.length < count) {
+        const event = stream.next();
+        if (!event) break;
+        events.push({ offsetMs: Math.round(event.offsetMs), ...event.attack });
+    }
+    return events;
+}
+
+const normalizeSpeed = (speed) => {
+    const value = Number(speed);
+    if (!Number.isFinite(value) || value <= 0 || value > MAX_SPEED) {
+        throw new GeneratorError(`speed must be a number above 0 and at most ${MAX_SPEED}.`, 400, 'INVALID_SPEED');
+    }
+    return value;
+};
+
+const randomSeed = () => String(crypto.randomInt(0, 2 ** 32));
+
+/**
+ * Runs one scenario at a time in real time (times the speed multiplier),
+ * emitting `attack` for every event, `state` on start, pause, resume and stop,
+ * and `finished` when a scenario with a duration ends.
+ */
+class AttackGenerator extends EventEmitter {
+    constructor() {
+        super();
+        this.run = null;
+        this.timer = null;
+    }
+
+    /**
+     * @param {object} options
+     * @param {object} options.scenario - From normalizeScenario.
+     * @param {object} options.chain
+     * @param {string|number} [options.seed] - Random when omitted; reported in status() to repeat the run.
+     * @param {number} [options.speed=1]
+     * @returns {object} - status()
+     * @throws {GeneratorError} - GENERATOR_RUNNING while another run is active.
+     */
+    start({ scenario, chain, seed, speed = 1 }) {
+        if (this.run && ['running', 'paused'].includes(this.run.state)) {
+            throw new GeneratorError(`Scenario "${this.run.scenario.name}" is already ${this.run.state}; stop it first.`, 409, 'GENERATOR_RUNNING');
+        }
+        const runSeed = seed === undefined || seed === null || seed === '' ? randomSeed() : String(seed);
+        const stream = createAttackStream(scenario, { seed: runSeed, chain });
+        this.run = {
+            scenario,
+            chain,
+            seed: runSeed,
+            speed: normalizeSpeed(speed),
+            stream,
+            pending: stream.next(),
+            state: 'running',
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            clockMs: 0,
+            anchor: Date.now(),
+            generated: 0,
+            byType: {},
+            lastEventAt: null,
+        };
+        this.emit('state', this.status());
+        this.schedule();
+        return this.status();
+    }
+
+    pause() {
+        this.requireState('running', 'pause');
+        this.rebase();
+        this.run.state = 'paused';
+        clearTimeout(this.timer);
+        this.emit('state', this.status());
+        return this.status();
+    }
+
+    resume() {
+        this.requireState('paused', 'resume');
+        this.run.state = 'running';
+        this.run.anchor = Date.now();
+        this.emit('state', this.status());
+        this.schedule();
+        return this.status();
+    }
+
+    stop() {
+        if (!this.run || !['running', 'paused'].includes(this.run.state)) {
+            throw new GeneratorError('No scenario is running.', 409, 'GENERATOR_NOT_RUNNING');
+        }
+        this.end('stopped');
+        return this.status();
+    }
+
+    /**
+     * Changes the speed of the running (or paused) scenario from now on.
+     * @param {number} speed - Scenario seconds per wall-clock second.
+     */
+    setSpeed(speed) {
+        const value = normalizeSpeed(speed);
+        if (!this.run || !['running', 'paused'].includes(this.run.state)) {
+            throw new GeneratorError('No scenario is running.', 409, 'GENERATOR_NOT_RUNNING');
+        }
+        this.rebase();
+        this.run.speed = value;
+        this.schedule();
+        return this.status();
+    }
+
+    status() {
+        if (!this.run) return { state: 'idle' };
+        const run = this.run;
+        const elapsedMs = this.elapsedMs();
+        return {
+            state: run.state,
+            scenario: describeScenario(run.scenario),
+            seed: run.seed,
+            speed: run.speed,
+            chainId: run.chain.chainId,
+            startedAt: run.startedAt,
+            endedAt: run.endedAt,
+            elapsedSec: Number((elapsedMs / 1000).toFixed(3)),
+            activeBursts: run.state === 'running' || run.state === 'paused' ? run.stream.activeBursts(elapsedMs) : [],
+            generated: run.generated,
+            byType: run.byType,
+            lastEventAt: run.lastEventAt,
+        };
+    }
+
+    // Scenario time since the start.
+    elapsedMs() {
+        const run = this.run;
+        return run.state === 'running' ? run.clockMs + (Date.now() - run.anchor) * run.speed : run.clockMs;
+    }
+
+    rebase() {
+        this.run.clockMs = this.elapsedMs();
+        this.run.anchor = Date.now();
+    }
+
+    requireState(state, action) {
+        if (!this.run || this.run.state !== state) {
+            throw new GeneratorError(`Cannot ${action}: the generator is ${this.run ? this.run.state : 'idle'}.`, 409, 'GENERATOR_STATE');
+        }
+    }
+
+    end(state) {
+        clearTimeout(this.timer);
+        this.rebase();
+        this.run.state = state;
+        this.run.endedAt = new Date().toISOString();
+        this.emit('state', this.status());
+        if (state === 'finished') this.emit('finished', this.status());
+    }
+
+    schedule() {
+        clearTimeout(this.timer);
+        const run = this.run;
+        if (run.state !== 'running') return;
+        const dueAt = run.pending ? run.pending.offsetMs : run.scenario.durationMs ?? 0;
+        this.timer = setTimeout(() => this.tick(), Math.min(MAX_TIMER_MS, Math.max(0, (dueAt - this.elapsedMs()) / run.speed)));
+    }
+
+    tick() {
+        const run = this.run;
+        if (run.state !== 'running') return;
+        const now = this.elapsedMs();
+        let delivered = 0;
+        while (run.pending && run.pending.offsetMs <= now && delivered < MAX_EVENTS_PER_TICK) {
+            const { attack } = run.pending;
+            run.generated++;
+            run.byType[attack.method] = (run.byType[attack.method] || 0) + 1;
+            run.lastEventAt = new Date().toISOString();
+            delivered++;
+            this.emit('attack', { ...attack, timestamp: new Date().toLocaleTimeString() });
+            run.pending = run.stream.next();
+        }
+        if (!run.pending && now >= (run.scenario.durationMs ?? 0)) return this.end('finished');
+        if (delivered === MAX_EVENTS_PER_TICK) {
+            this.timer = setTimeout(() => this.tick(), MIN_TICK_MS);
+            return;
+        }
+        this.schedule();
+    }
+}
+
+module.exports = {
+    MAX_RATE,
+    MAX_SPEED,
+    ScenarioError,
+    GeneratorError,
+    createRandom,
+    randomSeed,
+    normalizeScenario,
+    describeScenario,
+    createAttackStream,
+    previewScenario,
+    AttackGenerator,
+};
@@ -0,0 +1,174 @@
+const dbHelpers = require('./db');
+const { normalizeFeedFilters, filterClause, toAttackMessage } = require('./attackFeed');
+
+// --- Attack History ---
+//
+// Read side of attack_events beyond the live feed's backfill: searchable,
+// sorted pages over the whole history for the feed's infinite scroll, and a
+// single attack with pointers to the forensics and stats that explain it.
+// Filters are the feed's own (see lib/attackFeed), so a page matches what
+// the same subscription would have delivered live.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_SEARCH_LENGTH = 100;
+const RELATED_ATTACKS = 10;
+const STATS_WINDOW_MS = 24 * 3600 * 1000;
+
+// Sortable fields -> SQL expression; ties fall back to newest first.
+const SORT_FIELDS = {
+    newest: 'id DESC',
+    oldest: 'id ASC',
+    risk: 'risk_score DESC, id DESC',
+    value: 'value_eth DESC, id DESC',
+};
+
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+class AttackQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AttackQueryError';
+        this.status = 400;
+    }
+}
+
+const commaList = value => (typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : value);
+
+const nonNegativeInteger = (value, name, fallback, max = Number.MAX_SAFE_INTEGER) => {
+    if (value === undefined || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0 || number > max) {
+        throw new AttackQueryError(`${name} must be an integer from 0 to ${max}.`);
+    }
+    return number;
+};
+
+/**
+ * Validates list query parameters. types and addresses are comma-separated.
+ * @param {object} query - chainId, types, minRiskScore, minValueEth, addresses, q, sort.
+ * @returns {{where: string[], params: Array, orderBy: string, filters: object}}
+ * @throws {AttackQueryError|FeedFilterError}
+ */
+function parseAttackQuery(query = {}) {
+    const { filters } = normalizeFeedFilters({
+        chainId: query.chainId,
+        types: commaList(query.types),
+        minRiskScore: query.minRiskScore,
+        minValueEth: query.minValueEth,
+        addresses: commaList(query.addresses),
+    });
+    const { where, params } = filterClause(filters);
+
+    const search = typeof query.q === 'string' ? query.q.trim().toLowerCase() : '';
+    if (search.length > MAX_SEARCH_LENGTH) throw new AttackQueryError(`q may be at most ${MAX_SEARCH_LENGTH} characters.`);
+    if (search) {
+        const columns = ['tx_hash', 'tx_hashes', 'attacker', 'victim', 'pool', 'attack_type', 'rationale'];
+        where.push(`(${columns.map(column => `instr(lower(coalesce(${column}, '')), ?) > 0`).join(' OR ')})`);
+        params.push(...columns.map(() => search));
+    }
+
+    const sort = query.sort || 'newest';
+    if (!SORT_FIELDS[sort]) throw new AttackQueryError(`sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}.`);
+
+    return { where, params, orderBy: SORT_FIELDS[sort], filters: { ...filters, q: search || null, sort } };
+}
+
+/**
+ * One page of matching attacks. The first page reports the newest id as
+ * maxId; passing it back with later offsets keeps pages stable while new
+ * attacks are recorded.
+ * @param {object} db - sqlite3 Database.
+ * @param {object} query - Filters (see parseAttackQuery) plus offset, limit and maxId.
+ * @returns {Promise<{attacks: object[], pagination: object, filters: object}>}
+ * @throws {AttackQueryError|FeedFilterError}
+ */
+async function listAttacks(db, query = {}) {
+    const offset = nonNegativeInteger(query.offset, 'offset', 0);
+    const limit = nonNegativeInteger(query.limit, 'limit', DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+    const { where, params, orderBy, filters } = parseAttackQuery(query);
+
+    let maxId = nonNegativeInteger(query.maxId, 'maxId', null);
+    if (maxId === null) {
+        const { latest } = await dbHelpers.get(db, 'SELECT MAX(id) AS latest FROM attack_events');
+        maxId = latest || 0;
+    }
+    where.push('id <= ?');
+    params.push(maxId);
+
+    const clause = where.join(' AND ');
+    const { total } = await dbHelpers.get(db, `SELECT COUNT(*) AS total FROM attack_events WHERE ${clause}`, params);
+    const rows = await dbHelpers.all(db,
+        `SELECT * FROM attack_events WHERE ${clause} ORDER BY ${orderBy} LIMIT ? OFFSET ?`, [...params, limit, offset]);
+    return {
+        attacks: rows.map(toAttackMessage),
+        pagination: { offset, limit, total, maxId, hasMore: offset + rows.length < total },
+        filters,
+    };
+}
+
+// Role -> hash for every real transaction hash in txHashes (locally
+// simulated attacks carry placeholders that no node would know, and
+// synthetic ones made-up hashes).
+const forensicsTargets = (attack) => {
+    if (attack.source === 'synthetic') return [];
+    const entries = Object.entries(attack.txHashes || {})
+        .flatMap(([role, value]) => (Array.isArray(value) ? value.map(hash => [role, hash]) : [[role, value]]));
+    if (!entries.length && attack.transaction) entries.push(['transaction', attack.transaction]);
+    return entries.filter(([, hash]) => TX_HASH_PATTERN.test(hash || '')).map(([role, txHash]) => ({ role, txHash }));
+};
+
+/**
+ * A single attack with links to its forensics, the stats for its type
+ * around the time it was seen, and other attacks by the same attacker.
+ * @param {object} db - sqlite3 Database.
+ * @param {number} id - attack_events row id.
+ * @returns {Promise<object|null>} - Null when it doesn't exist.
+ */
+async function getAttack(db, id) {
+    const row = await dbHelpers.get(db, 'SELECT * FROM attack_events WHERE id = ?', [id]);
+    if (!row) return null;
+    const attack = toAttackMessage(row);
+    const chainQuery = attack.chainId === null ? '' : `chainId=${attack.chainId}`;
+
+    const detectedMs = Date.parse(attack.detectedAt);
+    const statsQuery = new URLSearchParams({
+        type: attack.method,
+        granularity: 'hour',
+        from: new Date(detectedMs - STATS_WINDOW_MS).toISOString(),
+        to: new Date(Math.min(Date.now(), detectedMs + STATS_WINDOW_MS)).toISOString(),
+    });
+    if (chainQuery) statsQuery.set('chainId', attack.chainId);
+
+    const sameAttacker = attack.attacker
+        ? await dbHelpers.all(db,
+            'SELECT * FROM attack_events WHERE lower(attacker) = ? AND id != ? ORDER BY id DESC LIMIT ?',
+            [attack.attacker.toLowerCase(), row.id, RELATED_ATTACKS])
+        : [];
+
+    return {
+        ...attack,
+        related: {
+            forensics: forensicsTargets(attack).map(target => ({
+                ...target,
+                url: `/api/forensics/tx/${target.txHash}${chainQuery ? `?${chainQuery}` : ''}`,
+            })),
+            stats: {
+                type: attack.method,
+                from: statsQuery.get('from'),
+                to: statsQuery.get('to'),
+                url: `/api/attack-stats?${statsQuery}`,
+            },
+            sameAttacker: sameAttacker.map(toAttackMessage),
+        },
+    };
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    AttackQueryError,
+    parseAttackQuery,
+    listAttacks,
+    getAttack,
+};
@@ -0,0 +1,219 @@
+const { formatEther } = require('ethers');
+const dbHelpers = require('./db');
+
+// --- Attack Event Log & Statistics ---
+//
+// Every attack broadcast on `new_attack` is written to attack_events. Stats are
+// aggregated in SQLite over [from, to] into hour/day/week/month buckets (UTC,
+// weeks start on Monday), by attack type and by risk band. Value sums use
+// value_eth (REAL) so SQLite can add them; value_wei keeps the exact figure.
+// Both are in the native token of the event's chain, so stats are always
+// computed for one chain at a time. Synthetic events (lib/attackGenerator.js)
+// are left out unless asked for, so they never mix with real detections.
+
+const GRANULARITIES = {
+    hour: { bucket: "strftime('%Y-%m-%dT%H:00:00Z', detected_at)", defaultSpanMs: 48 * 3600 * 1000 },
+    day: { bucket: 'date(detected_at)', defaultSpanMs: 30 * 86400 * 1000 },
+    week: { bucket: "date(detected_at, 'weekday 0', '-6 days')", defaultSpanMs: 12 * 7 * 86400 * 1000 },
+    month: { bucket: "strftime('%Y-%m-01', detected_at)", defaultSpanMs: 365 * 86400 * 1000 },
+};
+
+const RISK_BANDS = [
+    { band: 'low', min: 0, max: 39 },
+    { band: 'medium', min: 40, max: 69 },
+    { band: 'high', min: 70, max: 89 },
+    { band: 'critical', min: 90, max: 100 },
+];
+
+const MAX_BUCKETS = 1000;
+
+// synthetic= query values -> condition on attack_events.source.
+const SYNTHETIC_MODES = {
+    exclude: "source != 'synthetic'",
+    include: null,
+    only: "source = 'synthetic'",
+};
+
+class StatsQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'StatsQueryError';
+        this.status = 400;
+    }
+}
+
+const EVENT_COLUMNS = ['attack_type', 'source', 'risk_score', 'value_wei', 'value_eth', 'value_label', 'tx_hash', 'tx_hashes',
+    'attacker', 'victim', 'pool', 'rationale', 'evidence', 'detected_at', 'chain_id'];
+
+// attack_events values for a `new_attack` payload, in EVENT_COLUMNS order.
+function eventValues(attack) {
+    const valueWei = attack.valueWei === undefined || attack.valueWei === null ? null : BigInt(attack.valueWei);
+    return [attack.method, attack.source || 'local', parseInt(attack.riskScore, 10) || 0,
+        valueWei === null ? null : valueWei.toString(), valueWei === null ? null : Number(formatEther(valueWei)),
+        attack.value || null, attack.transaction || null, attack.txHashes ? JSON.stringify(attack.txHashes) : null,
+        attack.attacker || null, attack.victim || null, attack.pool || null, attack.rationale || null,
+        attack.evidence ? JSON.stringify(attack.evidence) : null, attack.detectedAt || new Date().toISOString(),
+        attack.chainId ?? null];
+}
+
+/**
+ * Persists a broadcast attack.
+ * @param {object} db - sqlite3 Database.
+ * @param {object} attack - The `new_attack` payload; `valueWei`, `txHashes`, `detectedAt` and `chainId` are optional.
+ * @returns {Promise<number>} - The attack_events row id.
+ */
+async function recordAttackEvent(db, attack) {
+    const { lastID } = await dbHelpers.run(db,
+        `INSERT INTO attack_events (${EVENT_COLUMNS.join(', ')}) VALUES (${EVENT_COLUMNS.map(() => '?').join(', ')})`,
+        eventValues(attack));
+    return lastID;
+}
+
+/**
+ * Overwrites a stored attack with a more complete finding, e.g. a Front-Run
+ * that turned out to be the first half of a Sandwich.
+ * @param {object} db - sqlite3 Database.
+ * @param {number} id - The attack_events row to overwrite.
+ * @param {object} attack - The `new_attack` payload, as for recordAttackEvent.
+ * @returns {Promise<boolean>} - False when the row no longer exists.
+ */
+async function replaceAttackEvent(db, id, attack) {
+    const { changes } = await dbHelpers.run(db,
+        `UPDATE attack_events SET ${EVENT_COLUMNS.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...eventValues(attack), id]);
+    return changes > 0;
+}
+
+const parseTime = (value, name) => {
+    if (value === undefined || value === '') return null;
+    const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(ms)) throw new StatsQueryError(`${name} must be an ISO date or a unix timestamp in ms.`);
+    return ms;
+};
+
+/**
+ * Bucket keys between from and to, in the same format SQLite produces, so
+ * empty buckets show up as zeros.
+ */
+function bucketKeys(granularity, fromMs, toMs) {
+    const cursor = new Date(fromMs);
+    cursor.setUTCMinutes(0, 0, 0);
+    if (granularity !== 'hour') cursor.setUTCHours(0);
+    if (granularity === 'week') cursor.setUTCDate(cursor.getUTCDate() - ((cursor.getUTCDay() + 6) % 7));
+    if (granularity === 'month') cursor.setUTCDate(1);
+
+    const keys = [];
+    while (cursor.getTime() <= toMs) {
+        if (keys.length >= MAX_BUCKETS) {
+            throw new StatsQueryError(`Range too large for ${granularity} granularity (max ${MAX_BUCKETS} buckets).`);
+        }
+        const iso = cursor.toISOString();
+        keys.push(granularity === 'hour' ? `${iso.slice(0, 13)}:00:00Z` : iso.slice(0, 10));
+        if (granularity === 'hour') cursor.setUTCHours(cursor.getUTCHours() + 1);
+        else if (granularity === 'day') cursor.setUTCDate(cursor.getUTCDate() + 1);
+        else if (granularity === 'week') cursor.setUTCDate(cursor.getUTCDate() + 7);
+        else cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+    }
+    return keys;
+}
+
+const roundValue = (value) => Number((value || 0).toFixed(6));
+
+/**
+ * Aggregates attack_events.
+ * @param {object} db - sqlite3 Database.
+ * @param {object} query - { from?, to?, granularity?, type?, synthetic? } as received on the query string;
+ *   synthetic is exclude (default), include or only.
+ * @param {number|null} [query.chainId] - Already validated chainId; every chain when null.
+ * @throws {StatsQueryError}
+ */
+async function aggregateAttackStats(db, { from, to, granularity = 'day', type, synthetic = 'exclude', chainId = null } = {}) {
+    if (!GRANULARITIES[granularity]) {
+        throw new StatsQueryError(`granularity must be one of ${Object.keys(GRANULARITIES).join(', ')}.`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(SYNTHETIC_MODES, synthetic)) {
+        throw new StatsQueryError(`synthetic must be one of ${Object.keys(SYNTHETIC_MODES).join(', ')}.`);
+    }
+    const toMs = parseTime(to, 'to') ?? Date.now();
+    const fromMs = parseTime(from, 'from') ?? toMs - GRANULARITIES[granularity].defaultSpanMs;
+    if (fromMs > toMs) throw new StatsQueryError('from must be before to.');
+    const labels = bucketKeys(granularity, fromMs, toMs);
+
+    const where = ['detected_at >= ?', 'detected_at <= ?'];
+    const params = [new Date(fromMs).toISOString(), new Date(toMs).toISOString()];
+    if (type) {
+        where.push('attack_type = ?');
+        params.push(type);
+    }
+    if (chainId !== null) {
+        where.push('chain_id = ?');
+        params.push(chainId);
+    }
+    if (SYNTHETIC_MODES[synthetic]) where.push(SYNTHETIC_MODES[synthetic]);
+    const whereSql = `WHERE ${where.join(' AND ')}`;
+    const bandCase = `CASE ${RISK_BANDS.map(({ band, max }) => `WHEN risk_score <= ${max} THEN '${band}'`).join(' ')} END`;
+
+    const [bucketRows, typeRows, bandRows] = await Promise.all([
+        dbHelpers.all(db,
+            `SELECT ${GRANULARITIES[granularity].bucket} AS bucket, attack_type, COUNT(*) AS count, SUM(value_eth) AS value_eth
+             FROM attack_events ${whereSql} GROUP BY bucket, attack_type`, params),
+        dbHelpers.all(db,
+            `SELECT attack_type, COUNT(*) AS count, SUM(value_eth) AS value_eth, AVG(risk_score) AS avg_risk
+             FROM attack_events ${whereSql} GROUP BY attack_type ORDER BY count DESC`, params),
+        dbHelpers.all(db,
+            `SELECT ${bandCase} AS band, COUNT(*) AS count, SUM(value_eth) AS value_eth
+             FROM attack_events ${whereSql} GROUP BY band`, params),
+    ]);
+
+    const index = new Map(labels.map((label, i) => [label, i]));
+    const types = {};
+    const values = labels.map(() => 0);
+    for (const row of bucketRows) {
+        const i = index.get(row.bucket);
+        if (i === undefined) continue;
+        if (!types[row.attack_type]) types[row.attack_type] = labels.map(() => 0);
+        types[row.attack_type][i] += row.count;
+        values[i] += row.value_eth || 0;
+    }
+
+    const bands = new Map(bandRows.map(row => [row.band, row]));
+    return {
+        title: `MEV Attacks by ${granularity}${type ? ` (${type})` : ''}${synthetic === 'only' ? ' (synthetic)' : ''}`,
+        granularity,
+        from: new Date(fromMs).toISOString(),
+        to: new Date(toMs).toISOString(),
+        type: type || null,
+        chainId,
+        synthetic,
+        data: {
+            labels,
+            types,
+            totalValue: values.map(roundValue),
+        },
+        byType: typeRows.map(row => ({
+            type: row.attack_type,
+            count: row.count,
+            value: roundValue(row.value_eth),
+            averageRisk: Math.round(row.avg_risk),
+        })),
+        byRiskBand: RISK_BANDS.map(({ band, min, max }) => ({
+            band,
+            range: `${min}-${max}`,
+            count: bands.has(band) ? bands.get(band).count : 0,
+            value: roundValue(bands.has(band) ? bands.get(band).value_eth : 0),
+        })),
+        totals: {
+            count: typeRows.reduce((sum, row) => sum + row.count, 0),
+            value: roundValue(typeRows.reduce((sum, row) => sum + (row.value_eth || 0), 0)),
+        },
+    };
+}
+
+module.exports = {
+    GRANULARITIES,
+    RISK_BANDS,
+    StatsQueryError,
+    recordAttackEvent,
+    replaceAttackEvent,
+    aggregateAttackStats,
+};
@@ -0,0 +1,132 @@
+const { withForkLock } = require('./rpcClient');
+
+// --- Bundle Pre-Simulation ---
+//
+// Two strategies, both normalized to the same report:
+//   eth_callBundle - asks a Flashbots-style relay to simulate on top of latest state.
+//   fork           - replays the bundle on a local anvil/hardhat fork inside an
+//                    evm_snapshot, mining it as one block, then reverts.
+//
+// Report shape:
+//   { method, success, totalGasUsed, coinbaseDiff, results: [{ txHash, success,
+//     gasUsed, coinbasePayment, revertReason }] }
+// with gas and wei values as decimal strings.
+
+const toDecimalString = (value) => (value === null || value === undefined ? null : BigInt(value).toString());
+
+/**
+ * Normalizes an eth_callBundle response.
+ * @param {object} report - Relay simulation result.
+ */
+function normalizeCallBundleReport(report) {
+    const results = (report.results || []).map(result => {
+        const failed = Boolean(result.error || result.revert);
+        return {
+            txHash: result.txHash,
+            success: !failed,
+            gasUsed: toDecimalString(result.gasUsed),
+            coinbasePayment: toDecimalString(result.coinbaseDiff),
+            revertReason: failed ? result.revert || result.error : null,
+        };
+    });
+    return {
+        method: 'eth_callBundle',
+        success: results.every(result => result.success),
+        totalGasUsed: toDecimalString(report.totalGasUsed),
+        coinbaseDiff: toDecimalString(report.coinbaseDiff),
+        results,
+    };
+}
+
+/**
+ * Simulates through a bundle relay's eth_callBundle.
+ * @param {object} relay - Bundle relay adapter (see relays.createBundleRelay).
+ * @param {object} bundle - { txs, blockNumber, timestamp? }
+ * @throws {Error} When the relay rejects the simulation request itself.
+ */
+async function simulateWithCallBundle(relay, bundle) {
+    const result = await relay.callBundle(bundle);
+    if (!result.accepted) {
+        throw new Error(`eth_callBundle on ${relay.name} failed: ${result.error}`);
+    }
+    return normalizeCallBundleReport(result.response || {});
+}
+
+/**
+ * Simulates on a local fork: all txs go into one manually mined block, the
+ * coinbase balance is compared before and after, and the fork is reverted.
+ * Holds the node's fork lock, shared with transaction simulation.
+ * @param {object} rpc - JSON-RPC client for an anvil/hardhat node.
+ * @param {object} bundle - { txs, txHashes }
+ */
+async function simulateOnFork(rpc, { txs, txHashes }) {
+    return withForkLock(rpc, async () => {
+        const snapshotId = await rpc.call('evm_snapshot');
+        try {
+            await rpc.call('evm_setAutomine', [false]);
+            const coinbase = await rpc.call('eth_coinbase');
+            const balanceBefore = BigInt(await rpc.call('eth_getBalance', [coinbase, 'latest']));
+
+            const sendErrors = new Map();
+            for (let i = 0; i < txs.length; i++) {
+                try {
+                    await rpc.call('eth_sendRawTransaction', [txs[i]]);
+                } catch (err) {
+                    sendErrors.set(txHashes[i], err.message);
+                }
+            }
+            await rpc.call('evm_mine');
+
+            const block = await rpc.call('eth_getBlockByNumber', ['latest', false]);
+            const baseFee = BigInt(block.baseFeePerGas || 0);
+            const balanceAfter = BigInt(await rpc.call('eth_getBalance', [coinbase, 'latest']));
+
+            let totalGasUsed = 0n;
+            const results = [];
+            for (const txHash of txHashes) {
+                if (sendErrors.has(txHash)) {
+                    results.push({ txHash, success: false, gasUsed: null, coinbasePayment: null, revertReason: sendErrors.get(txHash) });
+                    continue;
+                }
+                const receipt = await rpc.call('eth_getTransactionReceipt', [txHash]);
+                if (!receipt) {
+                    results.push({ txHash, success: false, gasUsed: null, coinbasePayment: null, revertReason: 'Not included in the simulated block' });
+                    continue;
+                }
+                const gasUsed = BigInt(receipt.gasUsed);
+                const tip = BigInt(receipt.effectiveGasPrice || 0) - baseFee;
+                totalGasUsed += gasUsed;
+                const success = receipt.status === '0x1' || receipt.status === 1;
+                results.push({
+                    txHash,
+                    success,
+                    gasUsed: gasUsed.toString(),
+                    // Priority fees only; direct coinbase transfers show up in the bundle total.
+                    coinbasePayment: (gasUsed * (tip > 0n ? tip : 0n)).toString(),
+                    revertReason: success ? null : 'Transaction reverted',
+                });
+            }
+
+            return {
+                method: 'fork',
+                success: results.every(result => result.success),
+                totalGasUsed: totalGasUsed.toString(),
+                coinbaseDiff: (balanceAfter - balanceBefore).toString(),
+                results,
+            };
+        } finally {
+            // Automine is restored even when the revert fails, or the fork stops mining.
+            try {
+                await rpc.call('evm_revert', [snapshotId]);
+            } finally {
+                await rpc.call('evm_setAutomine', [true]);
+            }
+        }
+    });
+}
+
+module.exports = {
+    normalizeCallBundleReport,
+    simulateWithCallBundle,
+    simulateOnFork,
+};
@@ -0,0 +1,237 @@
+// --- Chain Registry ---
+//
+// The networks MEV-Shield can protect trades on, keyed by EIP-155 chainId.
+// Registry entries hold what is the same for every deployment: native token,
+// block time, wrapped native token, well-known DEX routers and the public
+// private-orderflow relays of the chain (in relay config shape, ready to copy
+// into RELAYS). Endpoints come from the environment:
+//   CHAIN_<KEY>_RPC_URL - HTTP JSON-RPC (receipts, quotes, wallet health)
+//   CHAIN_<KEY>_WS_URL  - WebSocket JSON-RPC for mempool ingestion
+//   CHAIN_<KEY>_FORK_RPC_URL - local anvil/hardhat fork for simulations
+// e.g. CHAIN_ARBITRUM_RPC_URL. The default chain (DEFAULT_CHAIN_ID, else
+// EXPECTED_CHAIN_ID, else mainnet) also takes the single-network RPC_URL,
+// MEMPOOL_WS_URL and FORK_RPC_URL, so older configurations keep working unchanged.
+// Rollups order transactions in a private sequencer, so they list no relays.
+
+const CHAIN_REGISTRY = [
+    {
+        chainId: 1,
+        key: 'mainnet',
+        name: 'Ethereum',
+        testnet: false,
+        nativeToken: { symbol: 'ETH', decimals: 18 },
+        blockTimeMs: 12000,
+        wrappedNative: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+        routers: {
+            uniswapV2Router02: '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D',
+            uniswapV3SwapRouter: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+            uniswapSwapRouter02: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+            uniswapUniversalRouter: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD',
+            uniswapV3QuoterV2: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+            sushiswapRouter: '0xd9e1cE17f2641f24aE83637ab66a2cca9C378B9F',
+            oneInchV5: '0x1111111254EEB25477B68fb85Ed929f73A960582',
+            oneInchV6: '0x111111125421cA6dc452d289314280a0f8842A65',
+            zeroExExchangeProxy: '0xDef1C0ded9bec7F1a1670819833240f027b25EfF',
+        },
+        knownRelays: [
+            { name: 'flashbots-protect', type: 'private-tx', url: 'https://rpc.flashbots.net' },
+            { name: 'flashbots-bundle', type: 'bundle', url: 'https://relay.flashbots.net' },
+            { name: 'mev-blocker', type: 'builders', urls: ['https://rpc.mevblocker.io'], method: 'eth_sendRawTransaction' },
+        ],
+    },
+    {
+        chainId: 11155111,
+        key: 'sepolia',
+        name: 'Sepolia',
+        testnet: true,
+        nativeToken: { symbol: 'ETH', decimals: 18 },
+        blockTimeMs: 12000,
+        wrappedNative: '0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14',
+        routers: {
+            uniswapV2Router02: '0xeE567Fe1712Faf6149d80dA1E6934E354124CfE3',
+            uniswapSwapRouter02: '0x3bFA4769FB09eefC5a80d6E87c3B9C650f7Ae48E',
+            uniswapUniversalRouter: '0x3A9D48AB9751398BbFa63ad67599Bb04e4BdF98b',
+            uniswapV3QuoterV2: '0xEd1f6473345F45b75F8179591dd5bA1888cf2FB3',
+        },
+        knownRelays: [
+            { name: 'flashbots-protect-sepolia', type: 'private-tx', url: 'https://rpc-sepolia.flashbots.net' },
+            { name: 'flashbots-bundle-sepolia', type: 'bundle', url: 'https://relay-sepolia.flashbots.net' },
+        ],
+    },
+    {
+        chainId: 42161,
+        key: 'arbitrum',
+        name: 'Arbitrum One',
+        testnet: false,
+        nativeToken: { symbol: 'ETH', decimals: 18 },
+        blockTimeMs: 250,
+        wrappedNative: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1',
+        routers: {
+            uniswapV2Router02: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24',
+            uniswapV3SwapRouter: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+            uniswapSwapRouter02: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+            uniswapUniversalRouter: '0x5E325eDA8064b456f4781070C0738d849c824258',
+            uniswapV3QuoterV2: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+            oneInchV5: '0x1111111254EEB25477B68fb85Ed929f73A960582',
+            oneInchV6: '0x111111125421cA6dc452d289314280a0f8842A65',
+            zeroExExchangeProxy: '0xDef1C0ded9bec7F1a1670819833240f027b25EfF',
+        },
+        knownRelays: [],
+    },
+    {
+        chainId: 10,
+        key: 'optimism',
+        name: 'OP Mainnet',
+        testnet: false,
+        nativeToken: { symbol: 'ETH', decimals: 18 },
+        blockTimeMs: 2000,
+        wrappedNative: '0x4200000000000000000000000000000000000006',
+        routers: {
+            uniswapV2Router02: '0x4A7b5Da61326A6379179b40d00F57E5bbDC962c2',
+            uniswapV3SwapRouter: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+            uniswapSwapRouter02: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+            uniswapUniversalRouter: '0xCb1355ff08Ab38bBCE60111F1bb2B784bE25D7e8',
+            uniswapV3QuoterV2: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+            oneInchV5: '0x1111111254EEB25477B68fb85Ed929f73A960582',
+            oneInchV6: '0x111111125421cA6dc452d289314280a0f8842A65',
+        },
+        knownRelays: [],
+    },
+    {
+        chainId: 8453,
+        key: 'base',
+        name: 'Base',
+        testnet: false,
+        nativeToken: { symbol: 'ETH', decimals: 18 },
+        blockTimeMs: 2000,
+        wrappedNative: '0x4200000000000000000000000000000000000006',
+        routers: {
+            uniswapV2Router02: '0x4752ba5DBc23f44D87826276BF6Fd6b1C372aD24',
+            uniswapSwapRouter02: '0x2626664c2603336E57B271c5C0b26F421741e481',
+            uniswapUniversalRouter: '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD',
+            uniswapV3QuoterV2: '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a',
+            oneInchV5: '0x1111111254EEB25477B68fb85Ed929f73A960582',
+            oneInchV6: '0x111111125421cA6dc452d289314280a0f8842A65',
+            zeroExExchangeProxy: '0xDef1C0ded9bec7F1a1670819833240f027b25EfF',
+        },
+        knownRelays: [],
+    },
+    {
+        chainId: 137,
+        key: 'polygon',
+        name: 'Polygon PoS',
+        testnet: false,
+        nativeToken: { symbol: 'POL', decimals: 18 },
+        blockTimeMs: 2000,
+        wrappedNative: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270',
+        routers: {
+            uniswapV2Router02: '0xedf6066a2b290C185783862C7F4776A2C8077AD1',
+            uniswapV3SwapRouter: '0xE592427A0AEce92De3Edee1F18E0157C05861564',
+            uniswapSwapRouter02: '0x68b3465833fb72A70ecDF485E0e4C7bD8665Fc45',
+            uniswapUniversalRouter: '0xec7BE89e9d109e7e3Fec59c222CF297125FEFda2',
+            uniswapV3QuoterV2: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+            quickswapRouter: '0xa5E0829CaCEd8fFDD4De3c43696c57F7D7A678ff',
+            oneInchV5: '0x1111111254EEB25477B68fb85Ed929f73A960582',
+            oneInchV6: '0x111111125421cA6dc452d289314280a0f8842A65',
+            zeroExExchangeProxy: '0xDef1C0ded9bec7F1a1670819833240f027b25EfF',
+        },
+        knownRelays: [],
+    },
+];
+
+class ChainError extends Error {
+    constructor(message, code = 'UNSUPPORTED_CHAIN', status = 400) {
+        super(message);
+        this.name = 'ChainError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+const supportedList = (chains) => chains.map(chain => `${chain.chainId} (${chain.key})`).join(', ');
+
+/**
+ * Looks a chain up by chainId (number, decimal or 0x string) or key.
+ * @param {object[]} chains - From loadChains.
+ * @param {number|string} value
+ * @returns {object|null}
+ */
+function findChain(chains, value) {
+    const text = String(value).trim().toLowerCase();
+    if (/^(?:\d+|0x[0-9a-f]+)$/.test(text)) {
+        const chainId = Number(BigInt(text));
+        return chains.find(chain => chain.chainId === chainId) || null;
+    }
+    return chains.find(chain => chain.key === text) || null;
+}
+
+/**
+ * Resolves a chainId or key from a request; omitted values mean the default chain.
+ * @param {object[]} chains - From loadChains.
+ * @param {number|string|null} [value]
+ * @returns {object} - The chain.
+ * @throws {ChainError}
+ */
+function resolveChain(chains, value) {
+    if (value === undefined || value === null || value === '') return chains.find(chain => chain.isDefault);
+    const chain = findChain(chains, value);
+    if (!chain) throw new ChainError(`Unsupported chain "${value}". Supported chains: ${supportedList(chains)}.`);
+    return chain;
+}
+
+/**
+ * Builds the registry with endpoints from the environment.
+ * @param {object} [env=process.env]
+ * @returns {object[]} - Registry entries plus isDefault, rpcUrl, wsUrl and forkRpcUrl.
+ * @throws {ChainError} - DEFAULT_CHAIN_ID / EXPECTED_CHAIN_ID names an unknown chain.
+ */
+function loadChains(env = process.env) {
+    const defaultValue = env.DEFAULT_CHAIN_ID || env.EXPECTED_CHAIN_ID || '1';
+    const fallback = findChain(CHAIN_REGISTRY, defaultValue);
+    if (!fallback) {
+        throw new ChainError(`Default chain ${defaultValue} is not in the registry. Supported chains: ${supportedList(CHAIN_REGISTRY)}.`);
+    }
+    return CHAIN_REGISTRY.map((entry) => {
+        const prefix = `CHAIN_${entry.key.toUpperCase()}_`;
+        const isDefault = entry.chainId === fallback.chainId;
+        return {
+            ...entry,
+            isDefault,
+            rpcUrl: env[`${prefix}RPC_URL`] || (isDefault && env.RPC_URL) || null,
+            wsUrl: env[`${prefix}WS_URL`] || (isDefault && env.MEMPOOL_WS_URL) || null,
+            forkRpcUrl: env[`${prefix}FORK_RPC_URL`] || (isDefault && env.FORK_RPC_URL) || null,
+        };
+    });
+}
+
+/**
+ * Chain details safe to return from the API: endpoint URLs often embed
+ * provider keys, so only whether they are configured is exposed.
+ * @param {object} chain - From loadChains.
+ */
+function describeChain(chain) {
+    return {
+        chainId: chain.chainId,
+        key: chain.key,
+        name: chain.name,
+        testnet: chain.testnet,
+        isDefault: chain.isDefault,
+        nativeToken: chain.nativeToken,
+        blockTimeMs: chain.blockTimeMs,
+        wrappedNative: chain.wrappedNative,
+        routers: chain.routers,
+        knownRelays: chain.knownRelays.map(({ name, type }) => ({ name, type })),
+        rpcConfigured: Boolean(chain.rpcUrl),
+        mempoolConfigured: Boolean(chain.wsUrl),
+        forkConfigured: Boolean(chain.forkRpcUrl),
+    };
+}
+
+module.exports = {
+    CHAIN_REGISTRY,
+    ChainError,
+    loadChains,
+    findChain,
+    resolveChain,
+    describeChain,
+};
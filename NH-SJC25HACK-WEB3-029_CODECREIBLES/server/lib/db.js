@@ -0,0 +1,65 @@
+// --- Promise helpers around the sqlite3 callback API ---
+
+/**
+ * Runs a write statement.
+ * @returns {Promise<{lastID: number, changes: number}>}
+ */
+const run = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+        if (err) return reject(err);
+        resolve({ lastID: this.lastID, changes: this.changes });
+    });
+});
+
+const get = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+});
+
+const all = (db, sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+
+/**
+ * Adds any columns missing from an existing table. `CREATE TABLE IF NOT EXISTS`
+ * leaves older databases untouched, so new columns are migrated in place.
+ * @param {object} db - sqlite3 Database.
+ * @param {string} table - Table name.
+ * @param {Object<string, string>} columns - Column name -> SQL type/constraint.
+ */
+async function addMissingColumns(db, table, columns) {
+    const existing = new Set((await all(db, `PRAGMA table_info(${table})`)).map(col => col.name));
+    for (const [name, definition] of Object.entries(columns)) {
+        if (!existing.has(name)) {
+            await run(db, `ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+        }
+    }
+}
+
+// Pending transaction per connection; sqlite has no nested transactions.
+const transactionQueues = new WeakMap();
+
+/**
+ * Runs `work` between BEGIN and COMMIT, rolling back when it throws.
+ * Transactions on the same connection wait for each other.
+ * @param {object} db - sqlite3 Database.
+ * @param {function(): Promise<*>} work
+ * @returns {Promise<*>} - What `work` resolved to.
+ */
+function transaction(db, work) {
+    const previous = transactionQueues.get(db) || Promise.resolve();
+    const result = previous.then(async () => {
+        await run(db, 'BEGIN IMMEDIATE');
+        try {
+            const value = await work();
+            await run(db, 'COMMIT');
+            return value;
+        } catch (err) {
+            await run(db, 'ROLLBACK').catch(() => {});
+            throw err;
+        }
+    });
+    transactionQueues.set(db, result.catch(() => {}));
+    return result;
+}
+
+module.exports = { run, get, all, addMissingColumns, transaction };
@@ -0,0 +1,550 @@
+const { AbiCoder, Interface, ZeroAddress, getAddress, getBytes, solidityPacked } = require('ethers');
+
+// --- DEX Router Calldata Decoding ---
+//
+// Recognizes swaps sent to Uniswap V2 Router02, V3 SwapRouter / SwapRouter02
+// (including their multicall batches), the Universal Router's `execute`
+// commands and the 1inch / 0x aggregators, and normalizes them to a single
+// shape. The pool a swap hits is identified by its first hop: the token pair
+// for V2, the pair plus fee tier for V3. Aggregator swaps route through pools
+// the calldata does not name, so their `pool` is null.
+//
+// Routes made of several swaps (multicall, Universal Router) carry them in
+// `legs`; the top-level fields describe the route as a whole.
+
+const WETH_ADDRESS = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+// Aggregators use this placeholder for native ETH; it is reported as WETH (or
+// the chain's wrapped native token, see decodeSwap's wrappedNative option).
+const NATIVE_ETH_PLACEHOLDER = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+
+// Recipient and amount sentinels of SwapRouter02 and the Universal Router.
+const MSG_SENDER = '0x0000000000000000000000000000000000000001';
+const ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+const CONTRACT_BALANCE = 1n << 255n;
+
+// ETH-in/ETH-out methods route through WETH, so WETH appears at that end of the path.
+const UNISWAP_V2_ROUTER_ABI = [
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+    'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapTokensForExactETH(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+    'function swapExactTokensForETH(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapETHForExactTokens(uint256 amountOut, address[] path, address to, uint256 deadline)',
+    'function swapExactTokensForTokensSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapExactETHForTokensSupportingFeeOnTransferTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapExactTokensForETHSupportingFeeOnTransferTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    // SwapRouter02 V2 methods (no deadline; it is set on the enclosing multicall)
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to)',
+    'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to)',
+];
+
+// SwapRouter (with deadline in the params struct) and SwapRouter02 (without).
+const UNISWAP_V3_ROUTER_ABI = [
+    'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+    'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+    'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params)',
+    'function exactOutputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountOut, uint256 amountInMaximum, uint160 sqrtPriceLimitX96) params)',
+    'function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params)',
+    'function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params)',
+    'function exactOutput((bytes path, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum) params)',
+    'function exactOutput((bytes path, address recipient, uint256 amountOut, uint256 amountInMaximum) params)',
+];
+
+// Batches, and the payout calls that follow a swap to the router itself.
+const UNISWAP_MULTICALL_ABI = [
+    'function multicall(bytes[] data)',
+    'function multicall(uint256 deadline, bytes[] data)',
+    'function multicall(bytes32 previousBlockhash, bytes[] data)',
+    'function unwrapWETH9(uint256 amountMinimum, address recipient)',
+    'function unwrapWETH9(uint256 amountMinimum)',
+    'function sweepToken(address token, uint256 amountMinimum, address recipient)',
+    'function sweepToken(address token, uint256 amountMinimum)',
+];
+
+const UNIVERSAL_ROUTER_ABI = [
+    'function execute(bytes commands, bytes[] inputs, uint256 deadline)',
+    'function execute(bytes commands, bytes[] inputs)',
+];
+
+// Command type -> ABI of its input. Other commands (permits, transfers, NFT
+// markets) are listed in `commands` but do not affect the swap.
+const UNIVERSAL_ROUTER_COMMANDS = {
+    0x00: { name: 'V3_SWAP_EXACT_IN', types: ['address', 'uint256', 'uint256', 'bytes', 'bool'] },
+    0x01: { name: 'V3_SWAP_EXACT_OUT', types: ['address', 'uint256', 'uint256', 'bytes', 'bool'] },
+    0x04: { name: 'SWEEP', types: ['address', 'address', 'uint256'] },
+    0x08: { name: 'V2_SWAP_EXACT_IN', types: ['address', 'uint256', 'uint256', 'address[]', 'bool'] },
+    0x09: { name: 'V2_SWAP_EXACT_OUT', types: ['address', 'uint256', 'uint256', 'address[]', 'bool'] },
+    0x0b: { name: 'WRAP_ETH', types: ['address', 'uint256'] },
+    0x0c: { name: 'UNWRAP_WETH', types: ['address', 'uint256'] },
+};
+const COMMAND_TYPE_MASK = 0x3f;
+
+// AggregationRouter V4, V5 and V6 `swap`.
+const ONEINCH_ROUTER_ABI = [
+    'function swap(address caller, (address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags, bytes permit) desc, bytes data)',
+    'function swap(address executor, (address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags) desc, bytes permit, bytes data)',
+    'function swap(address executor, (address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags) desc, bytes data)',
+];
+
+// 0x Exchange Proxy features.
+const ZEROX_EXCHANGE_PROXY_ABI = [
+    'function transformERC20(address inputToken, address outputToken, uint256 inputTokenAmount, uint256 minOutputTokenAmount, (uint32 deploymentNonce, bytes data)[] transformations)',
+    'function sellToUniswap(address[] tokens, uint256 sellAmount, uint256 minBuyAmount, bool isSushi)',
+    'function sellEthForTokenToUniswapV3(bytes encodedPath, uint256 minBuyAmount, address recipient)',
+    'function sellTokenForEthToUniswapV3(bytes encodedPath, uint256 sellAmount, uint256 minBuyAmount, address recipient)',
+    'function sellTokenForTokenToUniswapV3(bytes encodedPath, uint256 sellAmount, uint256 minBuyAmount, address recipient)',
+];
+
+const v2Interface = new Interface(UNISWAP_V2_ROUTER_ABI);
+const v3Interface = new Interface(UNISWAP_V3_ROUTER_ABI);
+const multicallInterface = new Interface(UNISWAP_MULTICALL_ABI);
+const universalRouterInterface = new Interface(UNIVERSAL_ROUTER_ABI);
+const oneInchInterface = new Interface(ONEINCH_ROUTER_ABI);
+const zeroExInterface = new Interface(ZEROX_EXCHANGE_PROXY_ABI);
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+const toStringOrNull = (value) => (value === null || value === undefined ? null : value.toString());
+
+/**
+ * Splits a V3 packed path (token, fee, token, fee, token ...) into tokens and fees.
+ * @param {string} path - 0x-prefixed packed path.
+ */
+function decodeV3Path(path) {
+    const hex = path.slice(2);
+    const tokens = [];
+    const fees = [];
+    let offset = 0;
+    while (offset + 40 <= hex.length) {
+        tokens.push(getAddress('0x' + hex.slice(offset, offset + 40)));
+        offset += 40;
+        if (offset + 6 > hex.length) break;
+        fees.push(parseInt(hex.slice(offset, offset + 6), 16));
+        offset += 6;
+    }
+    return { tokens, fees };
+}
+
+/**
+ * Packs tokens and fees into a V3 path (the inverse of decodeV3Path).
+ * @param {string[]} tokens
+ * @param {number[]} fees - One fee tier per hop.
+ * @returns {string}
+ */
+function encodeV3Path(tokens, fees) {
+    const types = [];
+    const values = [];
+    tokens.forEach((token, index) => {
+        types.push('address');
+        values.push(token);
+        if (index < fees.length) {
+            types.push('uint24');
+            values.push(fees[index]);
+        }
+    });
+    return solidityPacked(types, values);
+}
+
+const sameAddress = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+const normalizeToken = (token, wrappedNative = WETH_ADDRESS) => (token.toLowerCase() === NATIVE_ETH_PLACEHOLDER ? wrappedNative : getAddress(token));
+
+const parseCall = (iface, data, value) => {
+    try {
+        return iface.parseTransaction({ data, value });
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Resolves router recipient sentinels: MSG_SENDER is the transaction sender
+ * (null when unknown), ADDRESS_THIS or the zero address leave the output in
+ * the router for a later unwrap or sweep.
+ * @param {string|null} recipient
+ * @param {string|null} [from] - Transaction sender.
+ * @returns {string|null}
+ */
+function resolveRecipient(recipient, from = null) {
+    if (!recipient) return null;
+    const lower = recipient.toLowerCase();
+    if (lower === MSG_SENDER) return from;
+    if (lower === ADDRESS_THIS || recipient === ZeroAddress) return null;
+    return recipient;
+}
+
+/**
+ * Stable identifier of the pool a swap trades against.
+ */
+function poolKey(protocol, tokenA, tokenB, fee = null) {
+    const [token0, token1] = [tokenA.toLowerCase(), tokenB.toLowerCase()].sort();
+    return fee === null ? `${protocol}:${token0}:${token1}` : `${protocol}:${token0}:${token1}:${fee}`;
+}
+
+const firstHopPool = (protocol, path, fees) => {
+    if (path.length < 2) return null;
+    return protocol === 'uniswap-v3' ? poolKey(protocol, path[0], path[1], fees[0]) : poolKey(protocol, path[0], path[1]);
+};
+
+// The normalized swap shape; amounts are raw token units as strings.
+function buildSwap({ protocol, method, exactOutput, path, fees = [], amountIn = null, amountInMax = null, amountOut = null, amountOutMin = null, recipient = null, deadline = null, pool }) {
+    return {
+        protocol,
+        method,
+        exactOutput,
+        tokenIn: path[0],
+        tokenOut: path[path.length - 1],
+        path,
+        fees,
+        amountIn: toStringOrNull(amountIn),
+        amountInMax: toStringOrNull(amountInMax),
+        amountOut: toStringOrNull(amountOut),
+        amountOutMin: toStringOrNull(amountOutMin),
+        recipient,
+        deadline: toStringOrNull(deadline),
+        pool: pool === undefined ? firstHopPool(protocol, path, fees) : pool,
+    };
+}
+
+function decodeV2(parsed) {
+    const args = parsed.args.toObject();
+    const exactOutput = parsed.name.startsWith('swapTokensForExact') || parsed.name === 'swapETHForExactTokens';
+    return buildSwap({
+        protocol: 'uniswap-v2',
+        method: parsed.name,
+        exactOutput,
+        path: Array.from(args.path),
+        amountIn: exactOutput ? null : args.amountIn,
+        amountInMax: exactOutput ? args.amountInMax : null,
+        amountOut: exactOutput ? args.amountOut : null,
+        amountOutMin: exactOutput ? null : args.amountOutMin,
+        recipient: args.to,
+        deadline: args.deadline,
+    });
+}
+
+function decodeV3(parsed) {
+    const params = parsed.args.params.toObject();
+    const exactOutput = parsed.name.startsWith('exactOutput');
+    let path;
+    let fees;
+    if (parsed.name.endsWith('Single')) {
+        path = [params.tokenIn, params.tokenOut];
+        fees = [Number(params.fee)];
+    } else {
+        ({ tokens: path, fees } = decodeV3Path(params.path));
+        // exactOutput paths are encoded tokenOut -> tokenIn
+        if (exactOutput) {
+            path = path.reverse();
+            fees = fees.reverse();
+        }
+    }
+    return buildSwap({
+        protocol: 'uniswap-v3',
+        method: parsed.name,
+        exactOutput,
+        path,
+        fees,
+        amountIn: exactOutput ? null : params.amountIn,
+        amountInMax: exactOutput ? params.amountInMaximum : null,
+        amountOut: exactOutput ? params.amountOut : null,
+        amountOutMin: exactOutput ? null : params.amountOutMinimum,
+        recipient: params.recipient,
+        deadline: params.deadline,
+    });
+}
+
+// A single V2 or V3 router call, as found at the top level or inside a multicall.
+function decodeRouterCall(data, value) {
+    for (const [iface, decode] of [[v2Interface, decodeV2], [v3Interface, decodeV3]]) {
+        const parsed = parseCall(iface, data, value);
+        if (parsed) return decode(parsed);
+    }
+    return null;
+}
+
+/**
+ * Summarizes the legs of a multi-swap route: tokenIn of the first leg and
+ * tokenOut of the last, amounts summed over the legs entering and leaving the
+ * route (split routes), and the final unwrap/sweep's minimum and recipient
+ * when the output is paid out of the router.
+ * @param {string} protocol
+ * @param {string} method
+ * @param {object[]} legs - Normalized swaps in execution order.
+ * @param {object} options
+ * @param {{token: string, recipient: string, amountMin: bigint}|null} [options.payout]
+ * @param {string|null} [options.from] - Transaction sender.
+ * @param {bigint|null} [options.deadline]
+ */
+function combineLegs(protocol, method, legs, { payout = null, from = null, deadline = null }) {
+    const first = legs[0];
+    const last = legs[legs.length - 1];
+    const entry = legs.filter(leg => sameAddress(leg.tokenIn, first.tokenIn));
+    const exit = legs.filter(leg => sameAddress(leg.tokenOut, last.tokenOut));
+    const exactOutput = legs.every(leg => leg.exactOutput);
+    const sum = (list, field) => (list.some(leg => leg[field] === null)
+        ? null
+        : list.reduce((total, leg) => total + BigInt(leg[field]), 0n));
+
+    let amountOutMin = exactOutput ? null : sum(exit, 'amountOutMin');
+    const paysOut = payout !== null && sameAddress(payout.token, last.tokenOut);
+    if (!exactOutput && paysOut && (amountOutMin === null || payout.amountMin > amountOutMin)) {
+        amountOutMin = payout.amountMin;
+    }
+
+    // Chained legs extend the path; split legs share it
+    const path = [...first.path];
+    for (const leg of legs.slice(1)) {
+        if (sameAddress(leg.tokenIn, path[path.length - 1])) path.push(...leg.path.slice(1));
+    }
+
+    const swap = buildSwap({
+        protocol,
+        method,
+        exactOutput,
+        path,
+        fees: legs.length === 1 ? first.fees : [],
+        amountIn: exactOutput ? null : sum(entry, 'amountIn'),
+        amountInMax: exactOutput ? sum(entry, 'amountInMax') : null,
+        amountOut: exactOutput ? sum(exit, 'amountOut') : null,
+        amountOutMin,
+        recipient: resolveRecipient(paysOut ? payout.recipient : last.recipient, from),
+        deadline: deadline ?? first.deadline,
+        pool: first.pool,
+    });
+    swap.legs = legs;
+    return swap;
+}
+
+// SwapRouter / SwapRouter02 multicall: the swaps plus an optional unwrapWETH9 or sweepToken.
+function decodeMulticall(parsed, { value, from, wrappedNative }) {
+    if (parsed.name !== 'multicall') return null;
+    const args = parsed.args.toObject();
+    const legs = [];
+    let payout = null;
+    for (const call of args.data) {
+        const leg = decodeRouterCall(call, value);
+        if (leg) {
+            legs.push(leg);
+            continue;
+        }
+        const inner = parseCall(multicallInterface, call, value);
+        if (inner && inner.name === 'unwrapWETH9') {
+            payout = { token: wrappedNative, recipient: inner.args.length > 1 ? inner.args[1] : MSG_SENDER, amountMin: inner.args[0] };
+        } else if (inner && inner.name === 'sweepToken') {
+            payout = { token: inner.args[0], recipient: inner.args.length > 2 ? inner.args[2] : MSG_SENDER, amountMin: inner.args[1] };
+        }
+    }
+    if (!legs.length) return null;
+    const protocol = legs.every(leg => leg.protocol === legs[0].protocol) ? legs[0].protocol : 'uniswap-mixed';
+    return combineLegs(protocol, 'multicall', legs, { payout, from, deadline: args.deadline ?? null });
+}
+
+// A V2/V3 swap command of the Universal Router, as a leg.
+function decodeUniversalSwap(name, args) {
+    const [recipient, amount, limit, encodedPath] = args;
+    const protocol = name.startsWith('V3') ? 'uniswap-v3' : 'uniswap-v2';
+    const exactOutput = name.endsWith('EXACT_OUT');
+    let path = Array.from(encodedPath);
+    let fees = [];
+    if (protocol === 'uniswap-v3') {
+        ({ tokens: path, fees } = decodeV3Path(encodedPath));
+        // V3 exact-output paths are encoded tokenOut -> tokenIn, V2 ones are not
+        if (exactOutput) {
+            path = path.reverse();
+            fees = fees.reverse();
+        }
+    }
+    return buildSwap({
+        protocol,
+        method: name,
+        exactOutput,
+        path,
+        fees,
+        amountIn: exactOutput ? null : amount,
+        amountInMax: exactOutput ? limit : null,
+        amountOut: exactOutput ? amount : null,
+        amountOutMin: exactOutput ? null : limit,
+        recipient,
+    });
+}
+
+function decodeUniversalRouter(parsed, { value, from, wrappedNative }) {
+    const { commands: encodedCommands, inputs, deadline = null } = parsed.args.toObject();
+    const commands = [];
+    const legs = [];
+    let wrapped = null;
+    let payout = null;
+    getBytes(encodedCommands).forEach((byte, index) => {
+        const type = byte & COMMAND_TYPE_MASK;
+        const command = UNIVERSAL_ROUTER_COMMANDS[type];
+        commands.push(command ? command.name : `0x${type.toString(16).padStart(2, '0')}`);
+        if (!command || index >= inputs.length) return;
+
+        const args = abiCoder.decode(command.types, inputs[index]);
+        if (command.name === 'WRAP_ETH') {
+            wrapped = args[1] === CONTRACT_BALANCE ? value : args[1];
+        } else if (command.name === 'UNWRAP_WETH') {
+            payout = { token: wrappedNative, recipient: args[0], amountMin: args[1] };
+        } else if (command.name === 'SWEEP') {
+            payout = { token: args[0], recipient: args[1], amountMin: args[2] };
+        } else {
+            const leg = decodeUniversalSwap(command.name, args);
+            // Spends the router's whole balance: what WRAP_ETH wrapped, otherwise unknown up front
+            if (leg.amountIn === CONTRACT_BALANCE.toString()) {
+                leg.amountIn = wrapped !== null && sameAddress(leg.tokenIn, wrappedNative) ? wrapped.toString() : null;
+            }
+            legs.push(leg);
+        }
+    });
+    if (!legs.length) return null;
+    return {
+        ...combineLegs('uniswap-universal-router', 'execute', legs, { payout, from, deadline }),
+        commands,
+    };
+}
+
+function decodeOneInch(parsed, { from, wrappedNative }) {
+    const { desc } = parsed.args;
+    return buildSwap({
+        protocol: '1inch',
+        method: parsed.name,
+        exactOutput: false,
+        path: [normalizeToken(desc.srcToken, wrappedNative), normalizeToken(desc.dstToken, wrappedNative)],
+        amountIn: desc.amount,
+        amountOutMin: desc.minReturnAmount,
+        recipient: resolveRecipient(desc.dstReceiver === ZeroAddress ? MSG_SENDER : desc.dstReceiver, from),
+        pool: null,
+    });
+}
+
+function decodeZeroEx(parsed, { value, from, wrappedNative }) {
+    const args = parsed.args.toObject();
+    // Output goes to msg.sender unless the method names a recipient
+    const recipient = resolveRecipient(args.recipient && args.recipient !== ZeroAddress ? args.recipient : MSG_SENDER, from);
+    const base = { protocol: '0x', method: parsed.name, exactOutput: false, recipient };
+
+    if (parsed.name === 'transformERC20') {
+        return buildSwap({
+            ...base,
+            path: [normalizeToken(args.inputToken, wrappedNative), normalizeToken(args.outputToken, wrappedNative)],
+            amountIn: args.inputTokenAmount,
+            amountOutMin: args.minOutputTokenAmount,
+            pool: null,
+        });
+    }
+    if (parsed.name === 'sellToUniswap') {
+        const path = Array.from(args.tokens).map(token => normalizeToken(token, wrappedNative));
+        return buildSwap({
+            ...base,
+            path,
+            amountIn: args.sellAmount,
+            amountOutMin: args.minBuyAmount,
+            pool: firstHopPool(args.isSushi ? 'sushiswap' : 'uniswap-v2', path, []),
+        });
+    }
+    const { tokens, fees } = decodeV3Path(args.encodedPath);
+    return buildSwap({
+        ...base,
+        path: tokens,
+        fees,
+        amountIn: parsed.name === 'sellEthForTokenToUniswapV3' ? value : args.sellAmount,
+        amountOutMin: args.minBuyAmount,
+        pool: firstHopPool('uniswap-v3', tokens, fees),
+    });
+}
+
+// Tried in order; the first interface that knows the selector decides.
+const DECODERS = [
+    [v2Interface, decodeV2],
+    [v3Interface, decodeV3],
+    [multicallInterface, decodeMulticall],
+    [universalRouterInterface, decodeUniversalRouter],
+    [oneInchInterface, decodeOneInch],
+    [zeroExInterface, decodeZeroEx],
+];
+
+/**
+ * Decodes swap calldata sent to a known DEX router or aggregator.
+ * @param {string} data - Transaction input data.
+ * @param {string|bigint} [value] - ETH value sent with the call (for ETH-in swaps).
+ * @param {object} [options]
+ * @param {string|null} [options.from] - Transaction sender, substituted for "msg.sender" recipients.
+ * @param {string} [options.wrappedNative] - Wrapped native token of the chain (WETH on mainnet).
+ * @returns {object|null} - Normalized swap, or null when the calldata is not a recognized swap.
+ */
+function decodeSwap(data, value = 0n, { from = null, wrappedNative = WETH_ADDRESS } = {}) {
+    if (typeof data !== 'string' || data.length < 10) return null;
+    const context = { value: BigInt(value || 0), from, wrappedNative };
+
+    for (const [iface, decode] of DECODERS) {
+        const parsed = parseCall(iface, data, context.value);
+        if (!parsed) continue;
+
+        let swap;
+        try {
+            swap = decode(parsed, context);
+        } catch (err) {
+            // Malformed nested calldata (multicall items, router commands)
+            return null;
+        }
+        if (!swap || swap.path.length < 2) return null;
+        if (!swap.legs) {
+            // ETH-in router methods carry the input amount in msg.value
+            if (sameAddress(swap.tokenIn, wrappedNative) && swap.amountIn === null && !swap.exactOutput) swap.amountIn = context.value.toString();
+            if (sameAddress(swap.tokenIn, wrappedNative) && swap.exactOutput && swap.amountInMax === null) swap.amountInMax = context.value.toString();
+            swap.recipient = resolveRecipient(swap.recipient, from);
+        }
+        return swap;
+    }
+    return null;
+}
+
+/**
+ * Re-encodes a direct Uniswap V2/V3 router swap with new limits, for unsigned
+ * transaction templates. Calls without a deadline argument (SwapRouter02) are
+ * wrapped in multicall(deadline, [call]) when a deadline is given.
+ * @param {string} data - Original calldata.
+ * @param {object} changes
+ * @param {bigint} [changes.amountIn] - Ignored by ETH-in methods; scale the value instead.
+ * @param {bigint} [changes.amountOutMin]
+ * @param {bigint|number} [changes.deadline] - Unix seconds.
+ * @returns {string|null} - New calldata, or null for exact-output swaps and
+ *   routes that cannot be re-encoded (multicall, Universal Router, aggregators).
+ */
+function encodeSwapCall(data, { amountIn, amountOutMin, deadline } = {}) {
+    if (typeof data !== 'string') return null;
+    const parsedV2 = parseCall(v2Interface, data, 0n);
+    const parsedV3 = parsedV2 ? null : parseCall(v3Interface, data, 0n);
+    let encoded;
+    let hasDeadline;
+    if (parsedV2) {
+        if (decodeV2(parsedV2).exactOutput) return null;
+        const args = parsedV2.args.toObject();
+        if (amountIn !== undefined && 'amountIn' in args) args.amountIn = amountIn;
+        if (amountOutMin !== undefined) args.amountOutMin = amountOutMin;
+        hasDeadline = 'deadline' in args;
+        if (deadline !== undefined && hasDeadline) args.deadline = deadline;
+        encoded = v2Interface.encodeFunctionData(parsedV2.fragment, parsedV2.fragment.inputs.map(input => args[input.name]));
+    } else if (parsedV3) {
+        if (parsedV3.name.startsWith('exactOutput')) return null;
+        const params = parsedV3.args.params.toObject();
+        if (amountIn !== undefined) params.amountIn = amountIn;
+        if (amountOutMin !== undefined) params.amountOutMinimum = amountOutMin;
+        hasDeadline = 'deadline' in params;
+        if (deadline !== undefined && hasDeadline) params.deadline = deadline;
+        encoded = v3Interface.encodeFunctionData(parsedV3.fragment, [params]);
+    } else {
+        return null;
+    }
+
+    if (deadline === undefined || hasDeadline) return encoded;
+    return multicallInterface.encodeFunctionData('multicall(uint256,bytes[])', [deadline, [encoded]]);
+}
+
+module.exports = {
+    decodeSwap,
+    decodeV3Path,
+    encodeV3Path,
+    encodeSwapCall,
+    poolKey,
+};
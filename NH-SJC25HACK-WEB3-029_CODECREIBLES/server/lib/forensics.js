@@ -0,0 +1,435 @@
+const { Interface, getAddress, formatUnits, formatEther } = require('ethers');
+const { RpcError } = require('./rpcClient');
+const { decodeSwapLogs } = require('./swapLogs');
+const { getTokenMetadata } = require('./walletHealth');
+
+// --- Post-Hoc Sandwich Forensics ---
+//
+// Works on mined blocks through plain JSON-RPC (see rpcClient), so any node
+// will do: a provider, an archive node or a local anvil fork. The pools' own
+// Swap events are the evidence:
+//   - sandwich: a front-run swaps on a pool in some direction, one or more
+//     victims swap the same way on that pool after it, and a back-run by the
+//     same attacker (same sender, or the same bot contract) swaps the other
+//     way later in the block.
+//   - attacker profit: what the back-run received minus what the front-run
+//     spent, in the front-run's input token, with the gas both legs paid.
+//   - victim loss: the victims' swaps replayed on the pool as it was before
+//     the front-run (V2 from the Sync reserves, V3 from the price and in-range
+//     liquidity in the Swap event) against what they actually received. The
+//     V3 replay ignores tick crossings and is marked approximate.
+// Receipts come from eth_getBlockReceipts, or one by one when the node
+// doesn't serve it.
+
+class ForensicsError extends Error {
+    constructor(message, status = 400, code = 'INVALID_FORENSICS_REQUEST') {
+        super(message);
+        this.name = 'ForensicsError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+const Q96 = 2n ** 96n;
+const V3_FEE_DENOMINATOR = 1000000n;
+
+const poolInterface = new Interface([
+    'function token0() view returns (address)',
+    'function token1() view returns (address)',
+    'function fee() view returns (uint24)',
+]);
+
+const toBlockHex = (block) => `0x${block.toString(16)}`;
+
+/**
+ * @param {string|number} value - Decimal or 0x-hex block number, or "latest".
+ * @returns {string} - JSON-RPC block tag.
+ * @throws {ForensicsError}
+ */
+function parseBlockTag(value) {
+    const text = String(value).trim().toLowerCase();
+    if (text === 'latest') return text;
+    if (/^0x[0-9a-f]+$/.test(text)) return toBlockHex(BigInt(text));
+    if (/^\d+$/.test(text)) return toBlockHex(BigInt(text));
+    throw new ForensicsError('Block must be a number, a 0x-prefixed hex number or "latest".', 400, 'INVALID_BLOCK');
+}
+
+async function callPool(rpc, pool, method) {
+    const result = await rpc.call('eth_call', [{ to: pool, data: poolInterface.encodeFunctionData(method) }, 'latest']);
+    return poolInterface.decodeFunctionResult(method, result)[0];
+}
+
+/**
+ * Tokens (and the V3 fee tier) of a pool, cached per analysis.
+ */
+async function getPoolMetadata(rpc, pool, version, caches) {
+    if (!caches.pools.has(pool)) {
+        const [token0, token1, fee] = await Promise.all([
+            callPool(rpc, pool, 'token0').then(getAddress),
+            callPool(rpc, pool, 'token1').then(getAddress),
+            version === 'v3' ? callPool(rpc, pool, 'fee').then(BigInt).catch(() => 3000n) : null,
+        ]);
+        const [meta0, meta1] = await Promise.all([
+            getTokenMetadata(rpc, token0, caches.tokens),
+            getTokenMetadata(rpc, token1, caches.tokens),
+        ]);
+        caches.pools.set(pool, {
+            token0: { address: token0, ...meta0 },
+            token1: { address: token1, ...meta1 },
+            fee,
+        });
+    }
+    return caches.pools.get(pool);
+}
+
+/**
+ * Receipts for the block's transactions, in block order. Falls back to one
+ * eth_getTransactionReceipt per transaction (limited to `indexRange`) when the
+ * node has no eth_getBlockReceipts.
+ */
+async function loadReceipts(rpc, block, indexRange) {
+    try {
+        const receipts = await rpc.call('eth_getBlockReceipts', [block.number]);
+        if (Array.isArray(receipts)) return receipts;
+    } catch (err) {
+        if (!(err instanceof RpcError) || err.code === null) throw err;
+    }
+    const [first, last] = indexRange || [0, block.transactions.length - 1];
+    const receipts = [];
+    for (const tx of block.transactions.slice(first, last + 1)) {
+        receipts.push(await rpc.call('eth_getTransactionReceipt', [tx.hash]));
+    }
+    return receipts.filter(Boolean);
+}
+
+/**
+ * Every pool swap in the block, with the transaction it belongs to.
+ */
+async function loadBlockSwaps(rpc, blockTag, indexRange) {
+    const block = await rpc.call('eth_getBlockByNumber', [blockTag, true]);
+    if (!block) throw new ForensicsError(`Block ${blockTag} was not found on the node.`, 404, 'BLOCK_NOT_FOUND');
+
+    const transactions = new Map(block.transactions.map(tx => [tx.hash.toLowerCase(), tx]));
+    const receipts = await loadReceipts(rpc, block, indexRange);
+    const swaps = [];
+    for (const receipt of receipts) {
+        const tx = transactions.get(receipt.transactionHash.toLowerCase());
+        if (!tx || BigInt(receipt.status) !== 1n) continue;
+        const context = {
+            txHash: tx.hash,
+            transactionIndex: Number(receipt.transactionIndex),
+            from: getAddress(tx.from),
+            to: tx.to ? getAddress(tx.to) : null,
+            gasCostWei: BigInt(receipt.gasUsed) * BigInt(receipt.effectiveGasPrice || tx.gasPrice || 0),
+        };
+        for (const swap of decodeSwapLogs(receipt.logs)) swaps.push({ ...swap, ...context });
+    }
+    return { block, swaps };
+}
+
+// --- Pool Replay ---
+
+/**
+ * Pool state just before the front-run, rebuilt from the state the
+ * front-run's own logs report after it. Null when the logs don't carry it.
+ */
+function stateBeforeSwap(swap, metadata, v2FeeBps) {
+    if (swap.version === 'v2') {
+        if (!swap.reservesAfter) return null;
+        const { reserve0, reserve1 } = swap.reservesAfter;
+        return {
+            version: 'v2',
+            feeBps: BigInt(v2FeeBps),
+            reserve0: swap.zeroForOne ? reserve0 - swap.amountIn : reserve0 + swap.amountOut,
+            reserve1: swap.zeroForOne ? reserve1 + swap.amountOut : reserve1 - swap.amountIn,
+        };
+    }
+    const { sqrtPriceX96: after, liquidity } = swap;
+    if (liquidity === 0n) return null;
+    // Work back from the output side, which carries no fee.
+    const before = swap.zeroForOne
+        ? after + (swap.amountOut * Q96) / liquidity
+        : (liquidity * Q96 * after) / (liquidity * Q96 + swap.amountOut * after);
+    return { version: 'v3', fee: metadata.fee, sqrtPriceX96: before, liquidity };
+}
+
+/**
+ * Applies an exact-input swap to a replayed pool state.
+ * @returns {{state: object, amountOut: bigint}}
+ */
+function replaySwap(state, zeroForOne, amountIn) {
+    if (state.version === 'v2') {
+        const [reserveIn, reserveOut] = zeroForOne ? [state.reserve0, state.reserve1] : [state.reserve1, state.reserve0];
+        const amountInWithFee = amountIn * (10000n - state.feeBps);
+        const amountOut = (amountInWithFee * reserveOut) / (reserveIn * 10000n + amountInWithFee);
+        const [newIn, newOut] = [reserveIn + amountIn, reserveOut - amountOut];
+        return {
+            amountOut,
+            state: { ...state, reserve0: zeroForOne ? newIn : newOut, reserve1: zeroForOne ? newOut : newIn },
+        };
+    }
+    const { sqrtPriceX96: price, liquidity } = state;
+    const amountInLessFee = (amountIn * (V3_FEE_DENOMINATOR - state.fee)) / V3_FEE_DENOMINATOR;
+    let next;
+    let amountOut;
+    if (zeroForOne) {
+        next = (liquidity * Q96 * price) / (liquidity * Q96 + amountInLessFee * price);
+        amountOut = (liquidity * (price - next)) / Q96;
+    } else {
+        next = price + (amountInLessFee * Q96) / liquidity;
+        amountOut = (liquidity * Q96 * (next - price)) / (price * next);
+    }
+    return { amountOut, state: { ...state, sqrtPriceX96: next } };
+}
+
+// --- Detection ---
+
+/**
+ * Same attacker: same sender, or the same contract when it isn't a public router.
+ */
+const sameActor = (a, b, routers) => a.from === b.from
+    || Boolean(a.to && a.to === b.to && !routers.has(a.to.toLowerCase()));
+
+/**
+ * Pairs each back-run with the nearest earlier opposite-direction swap by the
+ * same attacker on the same pool, and keeps the pair when other senders
+ * swapped in the front-run's direction between them.
+ */
+function findSandwiches(swaps, routers) {
+    const byPool = new Map();
+    for (const swap of swaps) {
+        if (!byPool.has(swap.pool)) byPool.set(swap.pool, []);
+        byPool.get(swap.pool).push(swap);
+    }
+
+    const sandwiches = [];
+    for (const poolSwaps of byPool.values()) {
+        poolSwaps.sort((a, b) => a.transactionIndex - b.transactionIndex || a.logIndex - b.logIndex);
+        const usedFronts = new Set();
+        poolSwaps.forEach((back, backPosition) => {
+            for (let position = backPosition - 1; position >= 0; position--) {
+                const front = poolSwaps[position];
+                if (front.transactionIndex === back.transactionIndex || !sameActor(front, back, routers)) continue;
+                if (front.zeroForOne === back.zeroForOne || usedFronts.has(front)) return;
+                const between = poolSwaps.slice(position + 1, backPosition);
+                const victims = between.filter(swap => swap.zeroForOne === front.zeroForOne
+                    && swap.transactionIndex !== front.transactionIndex
+                    && swap.transactionIndex !== back.transactionIndex
+                    && !sameActor(swap, front, routers));
+                if (victims.length) {
+                    usedFronts.add(front);
+                    sandwiches.push({ front, back, victims, between });
+                }
+                return;
+            }
+        });
+    }
+    return sandwiches.sort((a, b) => a.front.transactionIndex - b.front.transactionIndex);
+}
+
+const tokenAmount = (token, amount) => ({
+    token: token.address,
+    symbol: token.symbol,
+    amount: amount.toString(),
+    formatted: formatUnits(amount, token.decimals),
+});
+
+/**
+ * Victim outputs had the front-run not happened: the pool is rewound to
+ * before it and every swap in between is replayed in order.
+ * @returns {Map<object, bigint>|null} - Counterfactual amountOut per victim swap.
+ */
+function replayWithoutFrontRun({ front, between, victims }, metadata, v2FeeBps) {
+    let state = stateBeforeSwap(front, metadata, v2FeeBps);
+    if (!state) return null;
+    const counterfactual = new Map();
+    for (const swap of between) {
+        const replayed = replaySwap(state, swap.zeroForOne, swap.amountIn);
+        if (victims.includes(swap)) counterfactual.set(swap, replayed.amountOut);
+        state = replayed.state;
+    }
+    return counterfactual;
+}
+
+async function describeSandwich(rpc, sandwich, { caches, routers, v2FeeBps, wrappedNative, nativeSymbol }) {
+    const { front, back, victims } = sandwich;
+    const metadata = await getPoolMetadata(rpc, front.pool, front.version, caches);
+    const [frontIn, frontOut] = front.zeroForOne ? [metadata.token0, metadata.token1] : [metadata.token1, metadata.token0];
+
+    const gasCostWei = front.gasCostWei + back.gasCostWei;
+    const profit = back.amountOut - front.amountIn;
+    const profitInNative = Boolean(wrappedNative) && frontIn.address.toLowerCase() === wrappedNative.toLowerCase();
+
+    const counterfactual = replayWithoutFrontRun(sandwich, metadata, v2FeeBps);
+    const victimDetails = victims.map((victim) => {
+        const expected = counterfactual ? counterfactual.get(victim) : null;
+        const loss = expected === null ? null : expected - victim.amountOut;
+        return {
+            txHash: victim.txHash,
+            transactionIndex: victim.transactionIndex,
+            from: victim.from,
+            amountIn: tokenAmount(frontIn, victim.amountIn),
+            amountOut: tokenAmount(frontOut, victim.amountOut),
+            expectedAmountOut: expected === null ? null : tokenAmount(frontOut, expected),
+            loss: loss === null ? null : tokenAmount(frontOut, loss),
+            lossPct: loss === null || expected === 0n ? null : Number((loss * 1000000n) / expected) / 10000,
+        };
+    });
+    const totalLoss = counterfactual ? victimDetails.reduce((sum, victim) => sum + BigInt(victim.loss.amount), 0n) : null;
+
+    const step = (swap, role) => {
+        const [tokenIn, tokenOut] = swap.zeroForOne ? [metadata.token0, metadata.token1] : [metadata.token1, metadata.token0];
+        return {
+            role,
+            txHash: swap.txHash,
+            transactionIndex: swap.transactionIndex,
+            logIndex: swap.logIndex,
+            from: swap.from,
+            to: swap.to,
+            amountIn: tokenAmount(tokenIn, swap.amountIn),
+            amountOut: tokenAmount(tokenOut, swap.amountOut),
+            gasCost: `${formatEther(swap.gasCostWei)} ${nativeSymbol}`,
+            summary: `${formatUnits(swap.amountIn, tokenIn.decimals)} ${tokenIn.symbol} → ${formatUnits(swap.amountOut, tokenOut.decimals)} ${tokenOut.symbol}`,
+        };
+    };
+
+    return {
+        pool: front.pool,
+        protocol: front.version === 'v2' ? 'uniswap-v2' : 'uniswap-v3',
+        tokens: { token0: metadata.token0, token1: metadata.token1 },
+        attacker: { address: front.from, contract: front.to && front.to === back.to && !routers.has(front.to.toLowerCase()) ? front.to : null },
+        frontRunTx: front.txHash,
+        backRunTx: back.txHash,
+        victims: victimDetails,
+        attackerProfit: {
+            ...tokenAmount(frontIn, profit),
+            // Tokens bought in the front-run and not sold back (negative: sold from inventory).
+            inventory: tokenAmount(frontOut, front.amountOut - back.amountIn),
+            gasCost: `${formatEther(gasCostWei)} ${nativeSymbol}`,
+            gasCostWei: gasCostWei.toString(),
+            netProfitWei: profitInNative ? (profit - gasCostWei).toString() : null,
+        },
+        victimLoss: totalLoss === null ? null : tokenAmount(frontOut, totalLoss),
+        lossModel: counterfactual ? `${front.version}-replay${front.version === 'v3' ? ' (approximate: tick crossings ignored)' : ''}` : null,
+        timeline: [
+            step(front, 'front-run'),
+            ...victims.map(victim => step(victim, 'victim')),
+            step(back, 'back-run'),
+        ],
+    };
+}
+
+const blockSummary = block => ({
+    blockNumber: Number(block.number),
+    blockHash: block.hash,
+    timestamp: new Date(Number(block.timestamp) * 1000).toISOString(),
+    transactionCount: block.transactions.length,
+});
+
+/**
+ * @typedef {object} ForensicsOptions
+ * @property {string[]} [routers] - Public router addresses, never taken as a bot contract.
+ * @property {string} [wrappedNative] - Profit in this token is also reported net of gas, in wei.
+ * @property {string} [nativeSymbol='ETH']
+ * @property {number} [v2FeeBps=30] - Fee of V2-style pools (their events don't say).
+ * @property {number} [neighbourWindow=25] - Positions around a transaction whose receipts are
+ *   fetched one by one when the node has no eth_getBlockReceipts.
+ */
+
+const resolveOptions = ({ routers = [], wrappedNative = null, nativeSymbol = 'ETH', v2FeeBps = 30, neighbourWindow = 25 } = {}) => ({
+    routers: new Set(routers.map(router => router.toLowerCase())),
+    wrappedNative,
+    nativeSymbol,
+    v2FeeBps,
+    neighbourWindow,
+    caches: { pools: new Map(), tokens: new Map() },
+});
+
+/**
+ * Lists every sandwich in a block.
+ * @param {object} rpc - JSON-RPC client (see rpcClient).
+ * @param {string|number} blockNumber - Number, hex or "latest".
+ * @param {ForensicsOptions} [options]
+ * @throws {ForensicsError} - Invalid or unknown block.
+ */
+async function analyzeBlock(rpc, blockNumber, options) {
+    const resolved = resolveOptions(options);
+    const { block, swaps } = await loadBlockSwaps(rpc, parseBlockTag(blockNumber));
+    const sandwiches = [];
+    for (const sandwich of findSandwiches(swaps, resolved.routers)) {
+        sandwiches.push(await describeSandwich(rpc, sandwich, resolved));
+    }
+    return { ...blockSummary(block), swapCount: swaps.length, sandwiches };
+}
+
+/**
+ * Sandwich forensics for one mined transaction: its swaps, whether it was a
+ * victim, front-run or back-run, and the sandwiches it took part in.
+ * @param {object} rpc - JSON-RPC client (see rpcClient).
+ * @param {string} txHash
+ * @param {ForensicsOptions} [options]
+ * @throws {ForensicsError} - Invalid hash, unknown or still pending transaction.
+ */
+async function analyzeTransaction(rpc, txHash, options) {
+    if (!TX_HASH_PATTERN.test(String(txHash))) {
+        throw new ForensicsError('A 0x-prefixed 32-byte transaction hash is required.', 400, 'INVALID_TX_HASH');
+    }
+    const resolved = resolveOptions(options);
+    const tx = await rpc.call('eth_getTransactionByHash', [txHash]);
+    if (!tx) throw new ForensicsError(`Transaction ${txHash} was not found on the node.`, 404, 'TX_NOT_FOUND');
+    if (tx.blockNumber === null || tx.blockNumber === undefined) {
+        throw new ForensicsError(`Transaction ${txHash} is still pending.`, 409, 'TX_PENDING');
+    }
+
+    const index = Number(tx.transactionIndex);
+    const { block, swaps } = await loadBlockSwaps(rpc, toBlockHex(BigInt(tx.blockNumber)),
+        [Math.max(0, index - resolved.neighbourWindow), index + resolved.neighbourWindow]);
+    const hash = tx.hash.toLowerCase();
+    const involves = swap => swap.txHash.toLowerCase() === hash;
+
+    const sandwiches = [];
+    let role = null;
+    for (const sandwich of findSandwiches(swaps, resolved.routers)) {
+        const sandwichRole = (involves(sandwich.front) && 'front-run')
+            || (involves(sandwich.back) && 'back-run')
+            || (sandwich.victims.some(involves) && 'victim');
+        if (!sandwichRole) continue;
+        role = role || sandwichRole;
+        sandwiches.push(await describeSandwich(rpc, sandwich, resolved));
+    }
+
+    const ownSwaps = [];
+    for (const swap of swaps.filter(involves)) {
+        const metadata = await getPoolMetadata(rpc, swap.pool, swap.version, resolved.caches);
+        const [tokenIn, tokenOut] = swap.zeroForOne ? [metadata.token0, metadata.token1] : [metadata.token1, metadata.token0];
+        ownSwaps.push({
+            pool: swap.pool,
+            protocol: swap.version === 'v2' ? 'uniswap-v2' : 'uniswap-v3',
+            logIndex: swap.logIndex,
+            amountIn: tokenAmount(tokenIn, swap.amountIn),
+            amountOut: tokenAmount(tokenOut, swap.amountOut),
+        });
+    }
+
+    return {
+        txHash: tx.hash,
+        from: getAddress(tx.from),
+        to: tx.to ? getAddress(tx.to) : null,
+        transactionIndex: index,
+        ...blockSummary(block),
+        swaps: ownSwaps,
+        sandwiched: role === 'victim',
+        role,
+        sandwiches,
+    };
+}
+
+module.exports = {
+    ForensicsError,
+    parseBlockTag,
+    stateBeforeSwap,
+    replaySwap,
+    analyzeBlock,
+    analyzeTransaction,
+};
@@ -0,0 +1,111 @@
+const dbHelpers = require('./db');
+
+// --- Health & Readiness Checks ---
+//
+// A check is `{ name, run() -> Promise<object|void> }`; it passes when run()
+// resolves (its value becomes the check's detail) and fails when it throws
+// or exceeds the timeout. /healthz only checks what a restart could fix
+// (the SQLite connection); /readyz also checks every configured RPC node and
+// relay endpoint, so a load balancer stops routing to an instance that
+// cannot forward or track trades.
+
+/**
+ * Runs checks in parallel.
+ * @param {object[]} checks
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=3000] - Per check.
+ * @returns {Promise<{status: string, checkedAt: string, checks: object[]}>} - status is ok or fail.
+ */
+async function runChecks(checks, { timeoutMs = 3000 } = {}) {
+    const results = await Promise.all(checks.map(async (check) => {
+        const started = Date.now();
+        let timer;
+        try {
+            const detail = await Promise.race([
+                check.run(),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+                }),
+            ]);
+            return { name: check.name, status: 'ok', latencyMs: Date.now() - started, ...(detail ? { detail } : {}) };
+        } catch (err) {
+            return { name: check.name, status: 'fail', latencyMs: Date.now() - started, error: err.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }));
+    return {
+        status: results.every(result => result.status === 'ok') ? 'ok' : 'fail',
+        checkedAt: new Date().toISOString(),
+        checks: results,
+    };
+}
+
+/**
+ * @param {object} db - sqlite3 Database.
+ * @param {function(): boolean} [isInitialized] - False until (or if) the schema set-up failed.
+ */
+const sqliteCheck = (db, isInitialized = () => true) => ({
+    name: 'sqlite',
+    async run() {
+        await dbHelpers.get(db, 'SELECT 1');
+        if (!isInitialized()) throw new Error('Database schema is not initialized.');
+    },
+});
+
+/**
+ * The node answers eth_chainId with the chain it is configured for.
+ * @param {object} chain - From loadChains.
+ * @param {object} rpc - JSON-RPC client (see rpcClient).
+ */
+const rpcCheck = (chain, rpc) => ({
+    name: `rpc:${chain.key}`,
+    async run() {
+        const chainId = Number(BigInt(await rpc.call('eth_chainId')));
+        if (chainId !== chain.chainId) throw new Error(`Node is on chain ${chainId}, expected ${chain.chainId}.`);
+        return { chainId };
+    },
+});
+
+/**
+ * Every endpoint of a relay answers HTTP. Relays accept only their own
+ * methods, so any HTTP response counts as reachable; a network error or
+ * timeout does not.
+ * @param {object} relay - Relay adapter (see relays).
+ * @param {object} chain
+ * @param {number} [timeoutMs=3000]
+ */
+const relayCheck = (relay, chain, timeoutMs = 3000) => ({
+    name: `relay:${chain.key}:${relay.name}`,
+    async run() {
+        const statuses = await Promise.all(relay.endpoints.map(async (endpoint) => {
+            // Endpoint URLs may embed credentials; only the host is reported.
+            const { host } = new URL(endpoint);
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] }),
+                    signal: controller.signal,
+                });
+                await response.arrayBuffer().catch(() => null);
+                return response.status;
+            } catch (err) {
+                // fetch's own messages can repeat the URL, so only the cause is kept.
+                throw new Error(`${host} unreachable: ${err.name === 'AbortError' ? 'timed out' : (err.cause && (err.cause.code || err.cause.message)) || err.name}`);
+            } finally {
+                clearTimeout(timer);
+            }
+        }));
+        return { type: relay.type, endpoints: statuses.length };
+    },
+});
+
+module.exports = {
+    runChecks,
+    sqliteCheck,
+    rpcCheck,
+    relayCheck,
+};
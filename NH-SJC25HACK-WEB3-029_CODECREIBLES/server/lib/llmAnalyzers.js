@@ -0,0 +1,96 @@
+// --- LLM Risk Analyzer Providers ---
+//
+// Optional providers behind the riskAnalyzer interface. Each returns the
+// model's raw text; parsing and schema validation happen in riskAnalyzer so
+// every provider is held to the same contract.
+//   gemini - Google Gen AI SDK (GEMINI_API_KEY, GEMINI_MODEL)
+//   openai - any OpenAI-compatible /chat/completions endpoint, e.g. a local
+//            Ollama, LM Studio or vLLM server (LLM_BASE_URL, LLM_MODEL, LLM_API_KEY)
+
+const SYSTEM_PROMPT = 'You are an MEV risk analyst for DEX trades. Reply with a single JSON object and nothing else.';
+
+/**
+ * Builds the user prompt from a trade context.
+ * @param {object} context - See riskAnalyzer.normalizeContext.
+ */
+function buildPrompt(context) {
+    const { description, ...fields } = context;
+    return [
+        `Analyze the potential MEV risk of this DEX trade: "${description}".`,
+        Object.keys(fields).length ? `Structured details: ${JSON.stringify(fields)}.` : '',
+        'Respond with JSON: { "riskScore": <integer 0-100>, "attackType": "<the most likely MEV type: Sandwich Attack, Front-Run, Back-Run, Liquidation Attack, Arbitrage Exploitation, or Low MEV Exposure>", "rationale": "<one or two sentences on the risk and potential value impact>" }',
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.apiKey
+ * @param {string} [options.model='gemini-2.5-flash']
+ */
+function createGeminiAnalyzer({ apiKey, model = 'gemini-2.5-flash' }) {
+    // Loaded lazily so the SDK is only required when Gemini is configured.
+    const { GoogleGenAI } = require('@google/genai');
+    const ai = new GoogleGenAI({ apiKey });
+    return {
+        name: `gemini:${model}`,
+        async analyze(context) {
+            const response = await ai.models.generateContent({
+                model,
+                contents: [{ role: 'user', parts: [{ text: `${SYSTEM_PROMPT}\n${buildPrompt(context)}` }] }],
+                config: { responseMimeType: 'application/json' },
+            });
+            return response.text;
+        },
+    };
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.baseUrl - e.g. http://localhost:11434/v1
+ * @param {string} options.model
+ * @param {string} [options.apiKey] - Sent as a Bearer token when set.
+ * @param {number} [options.timeoutMs=30000]
+ */
+function createOpenAICompatibleAnalyzer({ baseUrl, model, apiKey, timeoutMs = 30000 }) {
+    const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+    return {
+        name: `openai:${model}`,
+        async analyze(context) {
+            const controller = new AbortController();
+            const timer = setTimeout(() => controller.abort(), timeoutMs);
+            try {
+                const response = await fetch(url, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}) },
+                    body: JSON.stringify({
+                        model,
+                        temperature: 0,
+                        response_format: { type: 'json_object' },
+                        messages: [
+                            { role: 'system', content: SYSTEM_PROMPT },
+                            { role: 'user', content: buildPrompt(context) },
+                        ],
+                    }),
+                    signal: controller.signal,
+                });
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`);
+                }
+                const body = await response.json();
+                const content = body.choices && body.choices[0] && body.choices[0].message && body.choices[0].message.content;
+                if (typeof content !== 'string') throw new Error('Response has no choices[0].message.content');
+                return content;
+            } catch (err) {
+                throw err.name === 'AbortError' ? new Error(`Timed out after ${timeoutMs}ms`) : err;
+            } finally {
+                clearTimeout(timer);
+            }
+        },
+    };
+}
+
+module.exports = {
+    buildPrompt,
+    createGeminiAnalyzer,
+    createOpenAICompatibleAnalyzer,
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// --- Structured Logging ---
+//
+// One JSON object per line: { time, level, msg, requestId?, ...fields }.
+// LOG_LEVEL (debug, info, warn, error) filters, LOG_FORMAT=text prints
+// readable lines for local development. The request ID of the HTTP request
+// being handled travels with the async context, so anything logged while
+// serving it (including plain console.* calls, see bridgeConsole) carries it.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const requestContext = new AsyncLocalStorage();
+
+const currentRequestId = () => {
+    const context = requestContext.getStore();
+    return context ? context.requestId : undefined;
+};
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.level='info']
+ * @param {string} [options.format='json'] - json or text.
+ * @param {object} [options.base] - Fields added to every line.
+ * @param {{write: function(string)}} [options.out=process.stdout] - debug and info.
+ * @param {{write: function(string)}} [options.err=process.stderr] - warn and error.
+ */
+function createLogger({ level = 'info', format = 'json', base = {}, out = process.stdout, err = process.stderr } = {}) {
+    const threshold = LEVELS[level] ?? LEVELS.info;
+
+    const write = (lineLevel, message, fields = {}) => {
+        if (LEVELS[lineLevel] < threshold) return;
+        const requestId = currentRequestId();
+        const entry = { time: new Date().toISOString(), level: lineLevel, msg: message, ...base, ...(requestId ? { requestId } : {}), ...fields };
+        const target = LEVELS[lineLevel] >= LEVELS.warn ? err : out;
+        if (format === 'text') {
+            const { time, level: _level, msg, ...rest } = entry;
+            const extras = Object.entries(rest).map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+            target.write(`${time} ${lineLevel.toUpperCase()} ${msg}${extras.length ? ` ${extras.join(' ')}` : ''}\n`);
+        } else {
+            target.write(`${JSON.stringify(entry, (key, value) => (typeof value === 'bigint' ? value.toString() : value))}\n`);
+        }
+    };
+
+    const logger = {
+        debug: (message, fields) => write('debug', message, fields),
+        info: (message, fields) => write('info', message, fields),
+        warn: (message, fields) => write('warn', message, fields),
+        error: (message, fields) => write('error', message, fields),
+        /**
+         * @param {object} fields - Added to every line of the child logger.
+         */
+        child: fields => createLogger({ level, format, base: { ...base, ...fields }, out, err }),
+    };
+    return logger;
+}
+
+/**
+ * Routes console.log/info/debug/warn/error through the logger, so existing
+ * log statements become structured lines with the current request ID.
+ * @param {object} logger
+ */
+function bridgeConsole(logger) {
+    const format = args => util.format(...args);
+    console.debug = (...args) => logger.debug(format(args));
+    console.log = (...args) => logger.info(format(args));
+    console.info = (...args) => logger.info(format(args));
+    console.warn = (...args) => logger.warn(format(args));
+    console.error = (...args) => logger.error(format(args));
+}
+
+/**
+ * Express middleware: takes the caller's X-Request-Id (when well-formed) or
+ * generates one, echoes it in the response, runs the rest of the request in
+ * its log context and writes one access line when the response finishes.
+ * Register it after the body parser; stream callbacks lose the context.
+ * @param {object} logger
+ * @param {object} [options]
+ * @param {function(object): boolean} [options.quiet] - Requests logged at debug level (e.g. probes).
+ */
+const requestLogging = (logger, { quiet = () => false } = {}) => (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+        const fields = {
+            requestId: req.id,
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            status: res.statusCode,
+            durationMs: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+        };
+        if (req.apiKey) fields.apiKeyId = req.apiKey.id;
+        const level = quiet(req) ? 'debug' : res.statusCode >= 500 ? 'error' : 'info';
+        logger[level]('http request', fields);
+    });
+    requestContext.run({ requestId: req.id }, next);
+};
+
+const logger = createLogger({
+    level: (process.env.LOG_LEVEL || 'info').toLowerCase(),
+    format: (process.env.LOG_FORMAT || 'json').toLowerCase(),
+});
+
+module.exports = {
+    LEVELS,
+    logger,
+    createLogger,
+    bridgeConsole,
+    requestLogging,
+    requestContext,
+    currentRequestId,
+};
@@ -0,0 +1,239 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const readline = require('readline');
+const WebSocket = require('ws');
+
+// --- Mempool Ingestion Sources ---
+//
+// Every source is an EventEmitter that emits 'transaction' with a normalized
+// pending transaction (see normalizePendingTx) and 'error' / 'status' for
+// diagnostics. Sources never throw on bad input; they report and move on.
+
+const toBigInt = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    try {
+        return BigInt(value);
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Normalizes a JSON-RPC transaction object (or a recorded capture line) into
+ * the shape the detectors work with. Returns null when the hash is missing.
+ * @param {object} tx - eth_getTransactionByHash style object.
+ * @param {number} [seenAt] - Millisecond timestamp the tx was observed.
+ */
+function normalizePendingTx(tx, seenAt = Date.now()) {
+    if (!tx || typeof tx.hash !== 'string') return null;
+    const gasPrice = toBigInt(tx.gasPrice);
+    const maxFeePerGas = toBigInt(tx.maxFeePerGas);
+    const maxPriorityFeePerGas = toBigInt(tx.maxPriorityFeePerGas);
+    return {
+        hash: tx.hash,
+        from: tx.from ? tx.from.toLowerCase() : null,
+        to: tx.to ? tx.to.toLowerCase() : null,
+        input: tx.input || tx.data || '0x',
+        value: toBigInt(tx.value) || 0n,
+        nonce: tx.nonce === undefined ? null : Number(tx.nonce),
+        // Bid used for ordering: the fee cap for EIP-1559 txs, gasPrice otherwise
+        gasPrice: maxFeePerGas !== null ? maxFeePerGas : (gasPrice || 0n),
+        maxPriorityFeePerGas,
+        seenAt,
+    };
+}
+
+/**
+ * Subscribes to `newPendingTransactions` over a WebSocket JSON-RPC endpoint
+ * (geth, anvil, hardhat node, Alchemy/Infura WSS) and fetches each pending
+ * transaction by hash. Reconnects with exponential backoff.
+ */
+class WebSocketMempoolSource extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.url - ws:// or wss:// JSON-RPC endpoint.
+     * @param {number} [options.maxBackoffMs=30000]
+     */
+    constructor({ url, maxBackoffMs = 30000 }) {
+        super();
+        this.name = 'websocket';
+        this.url = url;
+        this.maxBackoffMs = maxBackoffMs;
+        this.ws = null;
+        this.nextId = 1;
+        this.pending = new Map();
+        this.subscriptionId = null;
+        this.stopped = true;
+        this.reconnectAttempts = 0;
+    }
+
+    start() {
+        this.stopped = false;
+        this.connect();
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.ws) this.ws.close();
+        this.ws = null;
+    }
+
+    connect() {
+        const ws = new WebSocket(this.url);
+        this.ws = ws;
+
+        ws.on('open', () => {
+            this.reconnectAttempts = 0;
+            this.emit('status', `Connected to ${this.url}`);
+            this.request('eth_subscribe', ['newPendingTransactions'])
+                .then((id) => { this.subscriptionId = id; })
+                .catch(err => this.emit('error', err));
+        });
+
+        ws.on('message', (raw) => this.handleMessage(raw));
+        ws.on('error', (err) => this.emit('error', err));
+        ws.on('close', () => {
+            for (const { reject } of this.pending.values()) reject(new Error('WebSocket closed'));
+            this.pending.clear();
+            this.subscriptionId = null;
+            if (!this.stopped) this.scheduleReconnect();
+        });
+    }
+
+    scheduleReconnect() {
+        const delay = Math.min(this.maxBackoffMs, 1000 * 2 ** this.reconnectAttempts);
+        this.reconnectAttempts++;
+        this.emit('status', `Reconnecting to ${this.url} in ${delay}ms`);
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    request(method, params) {
+        return new Promise((resolve, reject) => {
+            if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+                return reject(new Error('WebSocket not connected'));
+            }
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            this.ws.send(JSON.stringify({ jsonrpc: '2.0', id, method, params }));
+        });
+    }
+
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw.toString());
+        } catch (err) {
+            return this.emit('error', new Error('Invalid JSON-RPC message'));
+        }
+
+        if (message.id !== undefined && this.pending.has(message.id)) {
+            const { resolve, reject } = this.pending.get(message.id);
+            this.pending.delete(message.id);
+            if (message.error) reject(new Error(message.error.message || 'JSON-RPC error'));
+            else resolve(message.result);
+            return;
+        }
+
+        if (message.method !== 'eth_subscription' || !message.params) return;
+        const { result } = message.params;
+        // Some nodes push full transaction objects, most push hashes only.
+        if (result && typeof result === 'object') {
+            this.emitTransaction(result);
+        } else if (typeof result === 'string') {
+            this.request('eth_getTransactionByHash', [result])
+                .then(tx => this.emitTransaction(tx))
+                .catch(err => this.emit('error', err));
+        }
+    }
+
+    emitTransaction(tx) {
+        const normalized = normalizePendingTx(tx);
+        if (normalized) this.emit('transaction', normalized);
+    }
+}
+
+/**
+ * Replays a recorded mempool capture: one JSON transaction per line. Lines may
+ * carry `seenAt` (ms); gaps between consecutive lines are replayed scaled by
+ * `speed`, lines without timestamps are spaced `intervalMs` apart.
+ */
+class JsonlReplaySource extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {string} options.file - Path to the .jsonl capture.
+     * @param {number} [options.speed=1] - Playback speed multiplier.
+     * @param {number} [options.intervalMs=1000] - Gap used for lines without timestamps.
+     * @param {boolean} [options.loop=false] - Restart from the top when the file ends.
+     */
+    constructor({ file, speed = 1, intervalMs = 1000, loop = false }) {
+        super();
+        this.name = 'replay';
+        this.file = file;
+        this.speed = speed > 0 ? speed : 1;
+        this.intervalMs = intervalMs;
+        this.loop = loop;
+        this.stopped = true;
+        this.timer = null;
+    }
+
+    start() {
+        this.stopped = false;
+        this.loadAndPlay();
+    }
+
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+    }
+
+    async loadAndPlay() {
+        const entries = [];
+        try {
+            const lines = readline.createInterface({ input: fs.createReadStream(this.file), crlfDelay: Infinity });
+            let lineNumber = 0;
+            for await (const line of lines) {
+                lineNumber++;
+                if (!line.trim()) continue;
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (err) {
+                    this.emit('error', new Error(`${this.file}:${lineNumber}: invalid JSON`));
+                }
+            }
+        } catch (err) {
+            return this.emit('error', err);
+        }
+
+        this.emit('status', `Replaying ${entries.length} transactions from ${this.file}`);
+        this.play(entries, 0);
+    }
+
+    play(entries, index) {
+        if (this.stopped) return;
+        if (index >= entries.length) {
+            this.emit('status', `Replay of ${this.file} finished`);
+            if (this.loop && entries.length > 0) this.play(entries, 0);
+            return;
+        }
+
+        const entry = entries[index];
+        // Replayed transactions are stamped with the wall-clock time they are re-emitted.
+        const normalized = normalizePendingTx(entry, Date.now());
+        if (normalized) this.emit('transaction', normalized);
+        else this.emit('error', new Error(`Replay entry ${index + 1} has no hash`));
+
+        const next = entries[index + 1];
+        let delay = this.intervalMs;
+        if (next && Number.isFinite(entry.seenAt) && Number.isFinite(next.seenAt)) {
+            delay = Math.max(0, next.seenAt - entry.seenAt);
+        }
+        this.timer = setTimeout(() => this.play(entries, index + 1), delay / this.speed);
+    }
+}
+
+module.exports = {
+    normalizePendingTx,
+    WebSocketMempoolSource,
+    JsonlReplaySource,
+};
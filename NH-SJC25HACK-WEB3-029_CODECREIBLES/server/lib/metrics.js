@@ -0,0 +1,189 @@
+// --- Prometheus Metrics ---
+//
+// A small registry of counters, gauges and histograms rendered in the
+// Prometheus text exposition format (version 0.0.4) for GET /metrics.
+// Label values are kept as given; keep them low-cardinality (route
+// patterns, not raw URLs). Gauges may take a `collect` callback that is
+// read at scrape time instead of being set.
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+const escapeHelp = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (!entries.length) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+const formatValue = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+class Metric {
+    constructor({ name, help, labelNames = [] }, type) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.type = type;
+        this.series = new Map();
+    }
+
+    // Only declared labels are kept, in declaration order, so series keys are stable.
+    labelsOf(labels = {}) {
+        const picked = {};
+        for (const name of this.labelNames) picked[name] = labels[name] === undefined || labels[name] === null ? '' : labels[name];
+        return picked;
+    }
+
+    seriesFor(labels, create) {
+        const picked = this.labelsOf(labels);
+        const key = JSON.stringify(picked);
+        if (!this.series.has(key)) this.series.set(key, { labels: picked, ...create() });
+        return this.series.get(key);
+    }
+
+    header() {
+        return [`# HELP ${this.name} ${escapeHelp(this.help)}`, `# TYPE ${this.name} ${this.type}`];
+    }
+}
+
+class Counter extends Metric {
+    constructor(options) {
+        super(options, 'counter');
+    }
+
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    render() {
+        const lines = this.header();
+        for (const { labels, value } of this.series.values()) lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        return lines;
+    }
+}
+
+class Gauge extends Metric {
+    /**
+     * @param {object} options - { name, help, labelNames?, collect? }
+     *   collect() returns a number, or [{ labels, value }] for labelled gauges.
+     */
+    constructor(options) {
+        super(options, 'gauge');
+        this.collect = options.collect || null;
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+
+    inc(labels = {}, value = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += value;
+    }
+
+    dec(labels = {}, value = 1) {
+        this.inc(labels, -value);
+    }
+
+    render() {
+        if (this.collect) {
+            const collected = this.collect();
+            this.series.clear();
+            if (Array.isArray(collected)) collected.forEach(({ labels, value }) => this.set(labels, value));
+            else this.set({}, collected);
+        }
+        const lines = this.header();
+        for (const { labels, value } of this.series.values()) lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        return lines;
+    }
+}
+
+class Histogram extends Metric {
+    constructor(options) {
+        super(options, 'histogram');
+        this.buckets = [...(options.buckets || DEFAULT_BUCKETS)].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) series.counts[index] += 1;
+        });
+        series.sum += value;
+        series.count += 1;
+    }
+
+    /**
+     * Starts a timer; calling the returned function observes the elapsed seconds.
+     * @returns {function(object=): number}
+     */
+    startTimer(labels = {}) {
+        const started = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    render() {
+        const lines = this.header();
+        for (const { labels, counts, sum, count } of this.series.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered.`);
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    /**
+     * @returns {string} - Every metric in the Prometheus text format.
+     */
+    render() {
+        const lines = [];
+        for (const metric of this.metrics.values()) lines.push(...metric.render());
+        return `${lines.join('\n')}\n`;
+    }
+}
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+module.exports = {
+    CONTENT_TYPE,
+    DEFAULT_BUCKETS,
+    MetricsRegistry,
+    Counter,
+    Gauge,
+    Histogram,
+};
@@ -0,0 +1,264 @@
+const { Wallet, id: keccakId } = require('ethers');
+
+// --- Private Relay Adapters ---
+//
+// Every adapter has the same shape:
+//   { name, type, endpoints: string[], submit(trade) -> Promise<RelayResult[]> }
+// where `trade` is `{ rawTransaction, hash }` and each RelayResult is
+//   { relay, type, endpoint, accepted, response, error, latencyMs }.
+// Adapters never throw for relay-side failures; errors are reported per
+// endpoint so every attempt can be recorded against the trade.
+//
+// Supported types:
+//   private-tx - eth_sendPrivateTransaction (Flashbots Protect style)
+//   bundle     - eth_sendBundle with a one-tx bundle for the next N blocks
+//   builders   - the same raw tx fanned out to N builder RPCs
+//
+// A config may set `chainId`; the server only sends a trade to the relays of
+// the chain it was signed for (configs without one belong to the default chain).
+// An optional `onResult` dependency sees every RelayResult (used for metrics).
+
+const RELAY_TYPES = ['private-tx', 'bundle', 'builders'];
+
+class RelayConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RelayConfigError';
+    }
+}
+
+const toHex = (value) => `0x${BigInt(value).toString(16)}`;
+
+/**
+ * Builds the Flashbots auth header value: `<signer address>:<signature>`
+ * where the signature is an EIP-191 personal_sign over keccak256(body).
+ * @param {Wallet} signer
+ * @param {string} body - Exact JSON request body being sent.
+ */
+async function flashbotsSignature(signer, body) {
+    const signature = await signer.signMessage(keccakId(body));
+    return `${signer.address}:${signature}`;
+}
+
+/**
+ * Sends one JSON-RPC request to a relay endpoint and normalizes the outcome.
+ * @returns {Promise<object>} - RelayResult (see module header).
+ */
+async function postJsonRpc({ relay, type, endpoint, method, params, signer, timeoutMs }) {
+    const body = JSON.stringify({ jsonrpc: '2.0', id: 1, method, params });
+    const headers = { 'Content-Type': 'application/json' };
+    const started = Date.now();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        if (signer) headers['X-Flashbots-Signature'] = await flashbotsSignature(signer, body);
+        const response = await fetch(endpoint, { method: 'POST', headers, body, signal: controller.signal });
+        const text = await response.text();
+        let payload;
+        try {
+            payload = JSON.parse(text);
+        } catch (err) {
+            payload = null;
+        }
+
+        const error = !response.ok
+            ? `HTTP ${response.status}: ${text.slice(0, 200)}`
+            : (payload === null ? 'Non-JSON response' : (payload.error ? payload.error.message || JSON.stringify(payload.error) : null));
+        return {
+            relay, type, endpoint,
+            accepted: error === null,
+            response: payload ? payload.result ?? null : null,
+            error,
+            latencyMs: Date.now() - started,
+        };
+    } catch (err) {
+        return {
+            relay, type, endpoint,
+            accepted: false,
+            response: null,
+            error: err.name === 'AbortError' ? `Timed out after ${timeoutMs}ms` : err.message,
+            latencyMs: Date.now() - started,
+        };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+const createSigner = (config) => (config.authSignerKey ? new Wallet(config.authSignerKey) : null);
+
+/**
+ * eth_sendPrivateTransaction adapter.
+ * @param {object} config - { name, url, authSignerKey?, maxBlocks?, fast?, timeoutMs? }
+ * @param {object} deps - { rpc } used to compute maxBlockNumber when maxBlocks is set.
+ */
+function createPrivateTxRelay(config, { rpc } = {}) {
+    const signer = createSigner(config);
+    return {
+        name: config.name,
+        type: 'private-tx',
+        endpoints: [config.url],
+        async submit(trade) {
+            const request = { tx: trade.rawTransaction };
+            if (config.maxBlocks && rpc) {
+                const current = BigInt(await rpc.call('eth_blockNumber'));
+                request.maxBlockNumber = toHex(current + BigInt(config.maxBlocks));
+            }
+            if (config.fast !== undefined) request.preferences = { fast: Boolean(config.fast) };
+            return [await postJsonRpc({
+                relay: config.name, type: 'private-tx', endpoint: config.url,
+                method: 'eth_sendPrivateTransaction', params: [request], signer, timeoutMs: config.timeoutMs || 10000,
+            })];
+        },
+    };
+}
+
+/**
+ * eth_sendBundle adapter (Flashbots-style). A single trade is wrapped in a
+ * one-transaction bundle and submitted for each of the next `blocksAhead` blocks.
+ * @param {object} config - { name, url, authSignerKey, blocksAhead?, timeoutMs? }
+ * @param {object} deps - { rpc } required to read the current block number.
+ */
+function createBundleRelay(config, { rpc } = {}) {
+    if (!config.authSignerKey) {
+        throw new RelayConfigError(`Relay "${config.name}": bundle relays require authSignerKey for X-Flashbots-Signature.`);
+    }
+    const signer = createSigner(config);
+    const blocksAhead = Number(config.blocksAhead) || 3;
+
+    const relay = {
+        name: config.name,
+        type: 'bundle',
+        endpoints: [config.url],
+        /**
+         * Simulates a bundle with eth_callBundle on top of the latest state.
+         * @param {object} bundle - { txs, blockNumber, timestamp? }
+         * @returns {Promise<object>} - RelayResult whose `response` is the relay's simulation report.
+         */
+        callBundle({ txs, blockNumber, timestamp }) {
+            const params = { txs, blockNumber: toHex(blockNumber), stateBlockNumber: 'latest' };
+            if (timestamp !== undefined && timestamp !== null) params.timestamp = Number(timestamp);
+            return postJsonRpc({
+                relay: config.name, type: 'bundle', endpoint: config.url,
+                method: 'eth_callBundle', params: [params], signer, timeoutMs: config.timeoutMs || 10000,
+            });
+        },
+        /**
+         * Submits an ordered list of signed txs for each block in [fromBlock, toBlock].
+         * @param {object} bundle - { txs, fromBlock, toBlock, minTimestamp?, maxTimestamp?, revertingTxHashes? }
+         */
+        async sendBundle({ txs, fromBlock, toBlock, minTimestamp, maxTimestamp, revertingTxHashes }) {
+            const results = [];
+            for (let block = BigInt(fromBlock); block <= BigInt(toBlock); block++) {
+                const params = { txs, blockNumber: toHex(block) };
+                if (minTimestamp !== undefined && minTimestamp !== null) params.minTimestamp = Number(minTimestamp);
+                if (maxTimestamp !== undefined && maxTimestamp !== null) params.maxTimestamp = Number(maxTimestamp);
+                if (revertingTxHashes && revertingTxHashes.length) params.revertingTxHashes = revertingTxHashes;
+                const result = await postJsonRpc({
+                    relay: config.name, type: 'bundle', endpoint: config.url,
+                    method: 'eth_sendBundle', params: [params], signer, timeoutMs: config.timeoutMs || 10000,
+                });
+                results.push({ ...result, targetBlock: Number(block) });
+            }
+            return results;
+        },
+        async submit(trade) {
+            if (!rpc) {
+                return [{ relay: config.name, type: 'bundle', endpoint: config.url, accepted: false, response: null, error: 'RPC_URL is required to target bundle blocks', latencyMs: 0 }];
+            }
+            const current = BigInt(await rpc.call('eth_blockNumber'));
+            return relay.sendBundle({ txs: [trade.rawTransaction], fromBlock: current + 1n, toBlock: current + BigInt(blocksAhead) });
+        },
+    };
+    return relay;
+}
+
+/**
+ * Fans the same signed tx out to several builder RPCs.
+ * @param {object} config - { name, urls: string[], method?, authSignerKey?, timeoutMs? }
+ */
+function createBuilderFanoutRelay(config) {
+    if (!Array.isArray(config.urls) || config.urls.length === 0) {
+        throw new RelayConfigError(`Relay "${config.name}": builders relays need a non-empty urls array.`);
+    }
+    const signer = createSigner(config);
+    const method = config.method || 'eth_sendRawTransaction';
+    return {
+        name: config.name,
+        type: 'builders',
+        endpoints: config.urls,
+        submit(trade) {
+            const params = method === 'eth_sendRawTransaction' ? [trade.rawTransaction] : [{ tx: trade.rawTransaction }];
+            return Promise.all(config.urls.map(url => postJsonRpc({
+                relay: config.name, type: 'builders', endpoint: url,
+                method, params, signer, timeoutMs: config.timeoutMs || 10000,
+            })));
+        },
+    };
+}
+
+const FACTORIES = {
+    'private-tx': createPrivateTxRelay,
+    bundle: createBundleRelay,
+    builders: createBuilderFanoutRelay,
+};
+
+// Wraps an adapter method so every RelayResult it returns is reported.
+const observeResults = (method, onResult) => async (...args) => {
+    const outcome = await method(...args);
+    (Array.isArray(outcome) ? outcome : [outcome]).forEach(onResult);
+    return outcome;
+};
+
+/**
+ * Creates relay adapters from configuration entries.
+ * @param {object[]} configs - Each `{ name, type, url | urls, ... }`.
+ * @param {object} [deps] - `{ rpc }` JSON-RPC client for block-number lookups,
+ *   `{ onResult }` called with every RelayResult.
+ * @returns {object[]} - Relay adapters.
+ * @throws {RelayConfigError}
+ */
+function createRelays(configs, deps = {}) {
+    if (!Array.isArray(configs)) throw new RelayConfigError('Relay configuration must be an array.');
+    const relays = configs.map((config, index) => {
+        const name = config.name || `relay-${index + 1}`;
+        if (!RELAY_TYPES.includes(config.type)) {
+            throw new RelayConfigError(`Relay "${name}": unknown type "${config.type}". Use one of ${RELAY_TYPES.join(', ')}.`);
+        }
+        if (config.type !== 'builders' && !config.url) {
+            throw new RelayConfigError(`Relay "${name}": url is required.`);
+        }
+        return FACTORIES[config.type]({ ...config, name }, deps);
+    });
+    if (deps.onResult) {
+        relays.forEach((relay) => {
+            // Bundle relays submit through sendBundle, so wrapping submit too would count twice.
+            const methods = relay.sendBundle ? ['sendBundle', 'callBundle'] : ['submit'];
+            methods.forEach((method) => {
+                relay[method] = observeResults(relay[method], deps.onResult);
+            });
+        });
+    }
+    return relays;
+}
+
+/**
+ * Submits a trade to every relay in parallel.
+ * @returns {Promise<object[]>} - Flattened RelayResults for all relays and endpoints.
+ */
+async function submitToRelays(relays, trade) {
+    const settled = await Promise.allSettled(relays.map(relay => relay.submit(trade)));
+    return settled.flatMap((outcome, index) => {
+        if (outcome.status === 'fulfilled') return outcome.value;
+        const relay = relays[index];
+        return [{ relay: relay.name, type: relay.type, endpoint: relay.endpoints[0], accepted: false, response: null, error: outcome.reason.message, latencyMs: 0 }];
+    });
+}
+
+module.exports = {
+    RELAY_TYPES,
+    RelayConfigError,
+    createRelays,
+    submitToRelays,
+    flashbotsSignature,
+};
@@ -0,0 +1,227 @@
+const crypto = require('crypto');
+const { createRuleBasedAnalyzer } = require('./ruleBasedAnalyzer');
+const { createGeminiAnalyzer, createOpenAICompatibleAnalyzer } = require('./llmAnalyzers');
+
+// --- Risk Analyzer Provider Interface ---
+//
+// A provider is `{ name, analyze(context) -> Promise<object|string> }`. The
+// context is a normalized trade description:
+//   { description, amountIn?, tokenIn?, tokenOut?, tradeSizeUsd?, liquidityUsd?,
+//     priceImpactPct?, slippageTolerance? (percent), router? }
+// Whatever a provider returns (an object, or JSON text from an LLM) is
+// validated against the analysis schema and normalized to
+//   { riskScore: 0-100 integer, attackType, rationale, factors?, provider }
+// Providers are tried in order; the rule-based analyzer is always last, so
+// an analysis is always produced. Results are cached by context. Every
+// provider call is reported to the optional onCall hook (used for metrics).
+
+const CONTEXT_FIELDS = {
+    description: 'string',
+    amountIn: 'number',
+    tokenIn: 'string',
+    tokenOut: 'string',
+    tradeSizeUsd: 'number',
+    liquidityUsd: 'number',
+    priceImpactPct: 'number',
+    slippageTolerance: 'number',
+    router: 'string',
+};
+
+class RiskAnalysisError extends Error {
+    constructor(message, provider = null) {
+        super(message);
+        this.name = 'RiskAnalysisError';
+        this.provider = provider;
+    }
+}
+
+/**
+ * Pulls amount, tokens and venue out of free text such as
+ * "Swap 10 ETH for DAI on Uniswap with 1% slippage".
+ * @param {string} text
+ * @returns {object} - Partial context.
+ */
+function parseTradeDescription(text) {
+    const parsed = {};
+    const swap = /(?:swap|sell|buy|trade)?\s*([\d.,]+)\s*([a-z][a-z0-9]{1,10})\s+(?:for|to|into|->)\s+([a-z][a-z0-9]{1,10})/i.exec(text);
+    if (swap) {
+        parsed.amountIn = Number(swap[1].replace(/,/g, ''));
+        parsed.tokenIn = swap[2].toUpperCase();
+        parsed.tokenOut = swap[3].toUpperCase();
+    }
+    const slippage = /([\d.]+)\s*%\s*slippage|slippage\s*(?:of|tolerance|:)?\s*([\d.]+)\s*%/i.exec(text);
+    if (slippage) parsed.slippageTolerance = Number(slippage[1] || slippage[2]);
+    const venue = /\b(?:on|via|through|using)\s+(?!(?:a|an|the)\b)([a-z0-9-]+(?:\s+v[23])?)/i.exec(text);
+    if (venue) parsed.router = venue[1].toLowerCase().replace(/\s+/, '-');
+    return parsed;
+}
+
+/**
+ * Keeps known context fields with the right types and drops the rest.
+ * @param {object} input
+ * @returns {object}
+ */
+function normalizeContext(input) {
+    const context = {};
+    for (const [field, type] of Object.entries(CONTEXT_FIELDS)) {
+        const value = input[field];
+        if (value === undefined || value === null || value === '') continue;
+        if (type === 'number') {
+            const number = Number(value);
+            if (Number.isFinite(number)) context[field] = number;
+        } else {
+            context[field] = String(value).trim().slice(0, 500);
+        }
+    }
+    if (!context.description) throw new RiskAnalysisError('A trade description is required.');
+    return context;
+}
+
+const stripCodeFence = (text) => text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+/**
+ * Validates a provider's output against the analysis schema.
+ * Accepts riskScore as a number, "72" or the legacy "72/100".
+ * @param {object|string} raw
+ * @param {string} provider
+ * @throws {RiskAnalysisError}
+ */
+function validateAnalysis(raw, provider) {
+    let value = raw;
+    if (typeof raw === 'string') {
+        try {
+            value = JSON.parse(stripCodeFence(raw));
+        } catch (err) {
+            throw new RiskAnalysisError(`Output is not valid JSON: ${raw.slice(0, 120)}`, provider);
+        }
+    }
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new RiskAnalysisError('Output must be a JSON object.', provider);
+    }
+
+    const scoreMatch = /^\s*(\d+(?:\.\d+)?)\s*(?:\/\s*100)?\s*$/.exec(String(value.riskScore));
+    const riskScore = typeof value.riskScore === 'number' ? value.riskScore : scoreMatch ? Number(scoreMatch[1]) : NaN;
+    if (!Number.isFinite(riskScore) || riskScore < 0 || riskScore > 100) {
+        throw new RiskAnalysisError(`riskScore must be a number from 0 to 100, got ${JSON.stringify(value.riskScore)}.`, provider);
+    }
+    if (typeof value.attackType !== 'string' || !value.attackType.trim() || value.attackType.length > 80) {
+        throw new RiskAnalysisError('attackType must be a non-empty string of at most 80 characters.', provider);
+    }
+    if (typeof value.rationale !== 'string' || !value.rationale.trim()) {
+        throw new RiskAnalysisError('rationale must be a non-empty string.', provider);
+    }
+
+    const analysis = {
+        riskScore: Math.round(riskScore),
+        attackType: value.attackType.trim(),
+        rationale: value.rationale.trim().slice(0, 2000),
+        provider,
+    };
+    if (Array.isArray(value.factors)) analysis.factors = value.factors;
+    return analysis;
+}
+
+const cacheKey = (context) => crypto.createHash('sha256')
+    .update(JSON.stringify(Object.keys(context).sort().map(key => [key, context[key]])))
+    .digest('hex');
+
+/**
+ * @param {object} [options]
+ * @param {object[]} [options.providers=[]] - Tried in order before the rule-based fallback.
+ * @param {number} [options.cacheTtlMs=600000]
+ * @param {number} [options.cacheSize=500]
+ * @param {function(object)} [options.onCall] - Receives { provider, success, durationMs, fallbackFrom }
+ *   after every provider call; fallbackFrom lists the providers that failed before a successful one.
+ * @returns {{providers: string[], analyze: function(object): Promise<object>}}
+ */
+function createRiskAnalyzer({ providers = [], cacheTtlMs = 10 * 60 * 1000, cacheSize = 500, onCall = () => {} } = {}) {
+    const chain = [...providers.filter(provider => provider.name !== 'rules'), createRuleBasedAnalyzer()];
+    const cache = new Map();
+
+    /**
+     * @param {object} input - Trade context; unknown fields are ignored.
+     * @returns {Promise<object>} - Normalized analysis with `cached` and, when a provider failed, `fallbackReason`.
+     * @throws {RiskAnalysisError} When the context has no description.
+     */
+    async function analyze(input) {
+        const context = normalizeContext(input);
+        const key = cacheKey(context);
+        const hit = cache.get(key);
+        if (hit && hit.expiresAt > Date.now()) return { ...hit.analysis, cached: true };
+
+        const failures = [];
+        const failed = [];
+        for (const provider of chain) {
+            const started = Date.now();
+            try {
+                const analysis = validateAnalysis(await provider.analyze(context), provider.name);
+                onCall({ provider: provider.name, success: true, durationMs: Date.now() - started, fallbackFrom: [...failed] });
+                if (failures.length) {
+                    // Don't pin a fallback result while the preferred provider is failing.
+                    return { ...analysis, cached: false, fallbackReason: failures.join('; ') };
+                }
+                cache.delete(key);
+                cache.set(key, { analysis, expiresAt: Date.now() + cacheTtlMs });
+                if (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+                return { ...analysis, cached: false };
+            } catch (err) {
+                console.warn(`Risk analyzer ${provider.name} failed: ${err.message}`);
+                onCall({ provider: provider.name, success: false, durationMs: Date.now() - started, fallbackFrom: [...failed] });
+                failures.push(`${provider.name}: ${err.message}`);
+                failed.push(provider.name);
+            }
+        }
+        throw new RiskAnalysisError(`All risk analyzers failed (${failures.join('; ')}).`);
+    }
+
+    return { providers: chain.map(provider => provider.name), analyze };
+}
+
+/**
+ * Builds the analyzer chain from environment variables:
+ *   RISK_ANALYZER   comma-separated order of gemini, openai, rules
+ *                   (default: whichever LLMs are configured, then rules)
+ *   GEMINI_API_KEY, GEMINI_MODEL
+ *   LLM_BASE_URL, LLM_MODEL, LLM_API_KEY
+ *   RISK_CACHE_TTL_MS
+ * @param {object} env - Usually process.env.
+ * @param {object} [options]
+ * @param {function(object)} [options.onCall] - See createRiskAnalyzer.
+ */
+function createRiskAnalyzerFromEnv(env, { onCall } = {}) {
+    const available = {};
+    if (env.GEMINI_API_KEY) {
+        try {
+            available.gemini = createGeminiAnalyzer({ apiKey: env.GEMINI_API_KEY, model: env.GEMINI_MODEL || undefined });
+        } catch (err) {
+            console.warn('Gemini SDK init warning:', err.message);
+        }
+    }
+    if (env.LLM_BASE_URL) {
+        available.openai = createOpenAICompatibleAnalyzer({
+            baseUrl: env.LLM_BASE_URL,
+            model: env.LLM_MODEL || 'llama3.1',
+            apiKey: env.LLM_API_KEY,
+        });
+    }
+
+    const order = env.RISK_ANALYZER
+        ? env.RISK_ANALYZER.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+        : ['gemini', 'openai'];
+    const providers = [];
+    for (const name of order) {
+        if (name === 'rules') break; // rules is always the final fallback
+        if (available[name]) providers.push(available[name]);
+        else if (env.RISK_ANALYZER) console.warn(`Risk analyzer "${name}" requested but not configured; skipping.`);
+    }
+    return createRiskAnalyzer({ providers, cacheTtlMs: Number(env.RISK_CACHE_TTL_MS) || undefined, onCall });
+}
+
+module.exports = {
+    RiskAnalysisError,
+    createRiskAnalyzer,
+    createRiskAnalyzerFromEnv,
+    normalizeContext,
+    parseTradeDescription,
+    validateAnalysis,
+};
@@ -0,0 +1,79 @@
+// --- Minimal JSON-RPC over HTTP ---
+//
+// Thin wrapper around fetch so callers can use raw methods (eth_callBundle,
+// debug/anvil extensions) that ethers providers don't expose.
+
+class RpcError extends Error {
+    constructor(message, code = null, data = null) {
+        super(message);
+        this.name = 'RpcError';
+        this.code = code;
+        this.data = data;
+    }
+}
+
+/**
+ * Creates a JSON-RPC client bound to one endpoint.
+ * @param {string} url - HTTP(S) JSON-RPC endpoint.
+ * @param {object} [options]
+ * @param {number} [options.timeoutMs=10000]
+ * @param {object} [options.headers] - Extra HTTP headers sent with every call.
+ * @returns {{url: string, call: function(string, Array=): Promise<any>}}
+ */
+function createRpcClient(url, { timeoutMs = 10000, headers = {} } = {}) {
+    let nextId = 1;
+
+    async function call(method, params = []) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeoutMs);
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...headers },
+                body: JSON.stringify({ jsonrpc: '2.0', id: nextId++, method, params }),
+                signal: controller.signal,
+            });
+        } catch (err) {
+            throw new RpcError(err.name === 'AbortError' ? `${method} timed out after ${timeoutMs}ms` : `${method} failed: ${err.message}`);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        let body;
+        try {
+            body = await response.json();
+        } catch (err) {
+            throw new RpcError(`${method} returned a non-JSON response (HTTP ${response.status})`);
+        }
+        if (body.error) {
+            throw new RpcError(body.error.message || `${method} failed`, body.error.code, body.error.data);
+        }
+        return body.result;
+    }
+
+    return { url, call };
+}
+
+// One fork simulation at a time per node: evm_snapshot, evm_setAutomine and
+// evm_revert are global to the node, so interleaved simulations would mine
+// into and revert each other's state. Queues are keyed by URL, since several
+// clients (chains, wallet health, forensics) may point at the same node.
+const forkQueues = new Map();
+
+/**
+ * Runs a task once every earlier task queued on the same fork node has settled.
+ * @param {object} rpc - Client from createRpcClient, for an anvil/hardhat node.
+ * @param {function(): Promise<*>} task
+ * @returns {Promise<*>} - The task's result.
+ */
+function withForkLock(rpc, task) {
+    const run = (forkQueues.get(rpc.url) || Promise.resolve()).then(task, task);
+    const tail = run.catch(() => {}).then(() => {
+        if (forkQueues.get(rpc.url) === tail) forkQueues.delete(rpc.url);
+    });
+    forkQueues.set(rpc.url, tail);
+    return run;
+}
+
+module.exports = { RpcError, createRpcClient, withForkLock };
@@ -0,0 +1,132 @@
+// --- Deterministic Rule-Based Risk Analyzer ---
+//
+// Scores a trade context (see riskAnalyzer.js) offline from four factors:
+//   size       (0-35) price impact, else trade size / pool liquidity, else USD size
+//   slippage   (0-30) the tolerance a sandwich can consume
+//   volatility (0-20) stable / blue-chip / long-tail class of the pair
+//   router     (0-15) public AMM router vs aggregator vs private order flow
+// The same context always gives the same score.
+
+const STABLE_TOKENS = ['USDC', 'USDT', 'DAI', 'FRAX', 'LUSD', 'TUSD', 'USDP', 'GUSD', 'PYUSD', 'USDE', 'CRVUSD'];
+const BLUECHIP_TOKENS = ['ETH', 'WETH', 'WBTC', 'BTC', 'STETH', 'WSTETH', 'RETH', 'CBETH'];
+
+// Rough reference prices, only used to bucket trade size when the caller
+// gives no USD size or liquidity. Deliberately coarse.
+const REFERENCE_USD = { ETH: 3000, WETH: 3000, STETH: 3000, WSTETH: 3000, RETH: 3000, CBETH: 3000, WBTC: 60000, BTC: 60000 };
+
+const ROUTER_CLASSES = {
+    private: { points: 0, label: 'private order flow' },
+    rfq: { points: 4, label: 'RFQ / batch auction' },
+    aggregator: { points: 8, label: 'DEX aggregator' },
+    'uniswap-v3': { points: 11, label: 'concentrated-liquidity AMM router' },
+    'uniswap-v2': { points: 15, label: 'constant-product AMM router' },
+    unknown: { points: 10, label: 'unknown router' },
+};
+
+const ROUTER_ALIASES = {
+    flashbots: 'private', mevblocker: 'private', private: 'private', protect: 'private',
+    cowswap: 'rfq', cow: 'rfq', hashflow: 'rfq', uniswapx: 'rfq',
+    '1inch': 'aggregator', '0x': 'aggregator', paraswap: 'aggregator', kyberswap: 'aggregator', odos: 'aggregator', matcha: 'aggregator',
+    'uniswap-v3': 'uniswap-v3', 'universal-router': 'uniswap-v3', pancakeswap: 'uniswap-v3', uniswap: 'uniswap-v3',
+    'uniswap-v2': 'uniswap-v2', sushiswap: 'uniswap-v2', sushi: 'uniswap-v2', shibaswap: 'uniswap-v2',
+};
+
+const step = (value, thresholds) => {
+    for (const [limit, points] of thresholds) {
+        if (value <= limit) return points;
+    }
+    return thresholds[thresholds.length - 1][1];
+};
+
+const volatilityClass = (symbol) => {
+    if (!symbol) return 'unknown';
+    const upper = symbol.toUpperCase();
+    if (STABLE_TOKENS.includes(upper)) return 'stable';
+    if (BLUECHIP_TOKENS.includes(upper)) return 'bluechip';
+    return 'long-tail';
+};
+
+const VOLATILITY_POINTS = { stable: 2, bluechip: 8, unknown: 14, 'long-tail': 20 };
+const VOLATILITY_ORDER = ['stable', 'bluechip', 'unknown', 'long-tail'];
+
+function scoreSize(context) {
+    if (context.priceImpactPct !== undefined && context.priceImpactPct !== null) {
+        const pct = Math.abs(context.priceImpactPct);
+        return { points: step(pct, [[0.05, 3], [0.3, 10], [1, 20], [3, 28], [Infinity, 35]]), detail: `${pct}% price impact` };
+    }
+    if (context.tradeSizeUsd && context.liquidityUsd) {
+        const pct = (context.tradeSizeUsd / context.liquidityUsd) * 100;
+        return { points: step(pct, [[0.1, 3], [0.5, 10], [1, 20], [5, 28], [Infinity, 35]]), detail: `trade is ${pct.toFixed(3)}% of pool liquidity` };
+    }
+    let usd = context.tradeSizeUsd;
+    let assumed = false;
+    if (!usd && context.amountIn && context.tokenIn) {
+        const symbol = context.tokenIn.toUpperCase();
+        const price = STABLE_TOKENS.includes(symbol) ? 1 : REFERENCE_USD[symbol];
+        if (price) {
+            usd = context.amountIn * price;
+            assumed = true;
+        }
+    }
+    if (usd) {
+        return {
+            points: step(usd, [[1000, 3], [10000, 10], [100000, 20], [1000000, 28], [Infinity, 35]]),
+            detail: `~$${Math.round(usd).toLocaleString('en-US')} trade${assumed ? ' (reference price)' : ''}, pool liquidity unknown`,
+        };
+    }
+    return { points: 15, detail: 'trade size unknown' };
+}
+
+function scoreSlippage(context) {
+    if (context.slippageTolerance === undefined || context.slippageTolerance === null) {
+        return { points: 8, detail: 'slippage tolerance unknown (assuming the common 0.5% default)' };
+    }
+    const pct = context.slippageTolerance;
+    return { points: step(pct, [[0.1, 0], [0.5, 8], [1, 15], [3, 23], [Infinity, 30]]), detail: `${pct}% slippage tolerance` };
+}
+
+function scoreVolatility(context) {
+    const classes = [volatilityClass(context.tokenIn), volatilityClass(context.tokenOut)];
+    const worst = classes.reduce((a, b) => (VOLATILITY_ORDER.indexOf(a) >= VOLATILITY_ORDER.indexOf(b) ? a : b));
+    return { points: VOLATILITY_POINTS[worst], detail: `${worst} pair (${context.tokenIn || '?'} / ${context.tokenOut || '?'})` };
+}
+
+function scoreRouter(context) {
+    const key = ROUTER_ALIASES[(context.router || '').toLowerCase()] || 'unknown';
+    const { points, label } = ROUTER_CLASSES[key];
+    return { points, detail: context.router ? `${context.router} (${label})` : label };
+}
+
+/**
+ * Rule-based provider. Unlike the LLM providers it returns an already
+ * normalized analysis, including the per-factor breakdown.
+ * @returns {{name: string, analyze: function(object): Promise<object>}}
+ */
+function createRuleBasedAnalyzer() {
+    return {
+        name: 'rules',
+        async analyze(context) {
+            const factors = [
+                { factor: 'size', maxPoints: 35, ...scoreSize(context) },
+                { factor: 'slippage', maxPoints: 30, ...scoreSlippage(context) },
+                { factor: 'volatility', maxPoints: 20, ...scoreVolatility(context) },
+                { factor: 'router', maxPoints: 15, ...scoreRouter(context) },
+            ];
+            const riskScore = Math.min(100, factors.reduce((sum, item) => sum + item.points, 0));
+            const drivers = [...factors].sort((a, b) => b.points / b.maxPoints - a.points / a.maxPoints).slice(0, 2);
+            return {
+                riskScore,
+                attackType: riskScore >= 40 ? 'Sandwich Attack' : 'Low MEV Exposure',
+                rationale: `Rule-based score ${riskScore}/100, driven mostly by ${drivers.map(item => item.detail).join(' and ')}.`,
+                factors,
+            };
+        },
+    };
+}
+
+module.exports = {
+    createRuleBasedAnalyzer,
+    volatilityClass,
+    STABLE_TOKENS,
+    BLUECHIP_TOKENS,
+};
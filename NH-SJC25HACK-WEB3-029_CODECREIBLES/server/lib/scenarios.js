@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { YamlError, parseYaml } = require('./yamlSubset');
+const { ScenarioError, normalizeScenario, describeScenario } = require('./attackGenerator');
+
+// --- Generator Scenario Files ---
+//
+// Scenarios live in one directory as <id>.json, <id>.yaml or <id>.yml and
+// are read on every request, so edits apply to the next run without a
+// restart. See lib/attackGenerator.js for the fields.
+
+const SCENARIO_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const SCENARIO_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Parses and validates scenario text.
+ * @param {string} text
+ * @param {string} extension - .json, .yaml or .yml.
+ * @param {string} id
+ * @returns {object} - From normalizeScenario.
+ * @throws {ScenarioError}
+ */
+function parseScenario(text, extension, id) {
+    let input;
+    try {
+        input = extension === '.json' ? JSON.parse(text) : parseYaml(text);
+    } catch (err) {
+        if (err instanceof YamlError || err instanceof SyntaxError) {
+            throw new ScenarioError(`Scenario ${id} is not valid ${extension === '.json' ? 'JSON' : 'YAML'}: ${err.message}`);
+        }
+        throw err;
+    }
+    return normalizeScenario(input, id);
+}
+
+const scenarioFiles = (dir) => {
+    let names;
+    try {
+        names = fs.readdirSync(dir);
+    } catch (err) {
+        if (err.code === 'ENOENT') return [];
+        throw err;
+    }
+    return names
+        .map(name => ({ name, extension: path.extname(name).toLowerCase(), id: path.basename(name, path.extname(name)) }))
+        .filter(file => SCENARIO_EXTENSIONS.includes(file.extension) && SCENARIO_ID_PATTERN.test(file.id))
+        .sort((a, b) => a.id.localeCompare(b.id));
+};
+
+/**
+ * @param {string} dir
+ * @param {string} id - File name without extension.
+ * @returns {object|null} - The normalized scenario, null when there is no such file.
+ * @throws {ScenarioError} - When the file is invalid.
+ */
+function loadScenario(dir, id) {
+    if (!SCENARIO_ID_PATTERN.test(String(id))) return null;
+    const file = scenarioFiles(dir).find(candidate => candidate.id === id);
+    if (!file) return null;
+    return parseScenario(fs.readFileSync(path.join(dir, file.name), 'utf8'), file.extension, file.id);
+}
+
+/**
+ * Every scenario in the directory; invalid files are listed with their error.
+ * @param {string} dir
+ * @returns {object[]}
+ */
+function listScenarios(dir) {
+    return scenarioFiles(dir).map((file) => {
+        try {
+            return describeScenario(parseScenario(fs.readFileSync(path.join(dir, file.name), 'utf8'), file.extension, file.id));
+        } catch (err) {
+            if (!(err instanceof ScenarioError)) throw err;
+            return { id: file.id, error: err.message };
+        }
+    });
+}
+
+module.exports = {
+    SCENARIO_EXTENSIONS,
+    parseScenario,
+    loadScenario,
+    listScenarios,
+};
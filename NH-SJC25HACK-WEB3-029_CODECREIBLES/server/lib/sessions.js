@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const dbHelpers = require('./db');
+
+// --- SIWE Nonces & Sessions ---
+//
+// Nonces are single-use and short-lived. A successful sign-in issues an
+// opaque bearer token; only its SHA-256 is stored, in the sessions table.
+// Clients send it as `Authorization: Bearer <token>` and, for Socket.io
+// scoping, with the `authenticate` event.
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class SessionStore {
+    /**
+     * @param {object} options
+     * @param {object} options.db - sqlite3 Database holding siwe_nonces and sessions.
+     * @param {number} [options.sessionTtlMs=86400000]
+     * @param {number} [options.nonceTtlMs=600000]
+     */
+    constructor({ db, sessionTtlMs = 24 * 60 * 60 * 1000, nonceTtlMs = 10 * 60 * 1000 }) {
+        this.db = db;
+        this.sessionTtlMs = sessionTtlMs;
+        this.nonceTtlMs = nonceTtlMs;
+    }
+
+    async issueNonce() {
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const expiresAt = new Date(Date.now() + this.nonceTtlMs).toISOString();
+        await dbHelpers.run(this.db, 'DELETE FROM siwe_nonces WHERE expires_at < ?', [new Date().toISOString()]);
+        await dbHelpers.run(this.db, 'INSERT INTO siwe_nonces (nonce, expires_at) VALUES (?, ?)', [nonce, expiresAt]);
+        return { nonce, expiresAt };
+    }
+
+    /**
+     * Marks a nonce as used.
+     * @returns {Promise<boolean>} - False if it is unknown, expired or already used.
+     */
+    async consumeNonce(nonce) {
+        const { changes } = await dbHelpers.run(this.db,
+            'UPDATE siwe_nonces SET used_at = ? WHERE nonce = ? AND used_at IS NULL AND expires_at > ?',
+            [new Date().toISOString(), nonce, new Date().toISOString()]);
+        return changes === 1;
+    }
+
+    /**
+     * @param {object} session - { address, chainId, expirationTime? } from the verified SIWE message.
+     * @returns {Promise<{token: string, address: string, chainId: number, expiresAt: string}>}
+     */
+    async create({ address, chainId, expirationTime }) {
+        const token = crypto.randomBytes(32).toString('hex');
+        // A SIWE Expiration Time shorter than our TTL caps the session.
+        const expiresMs = Math.min(Date.now() + this.sessionTtlMs, expirationTime ? Date.parse(expirationTime) : Infinity);
+        const expiresAt = new Date(expiresMs).toISOString();
+        await dbHelpers.run(this.db,
+            'INSERT INTO sessions (token_hash, address, chain_id, created_at, expires_at) VALUES (?, ?, ?, ?, ?)',
+            [hashToken(token), address, chainId, new Date().toISOString(), expiresAt]);
+        return { token, address, chainId, expiresAt };
+    }
+
+    /**
+     * @returns {Promise<{sessionId: number, address: string, chainId: number, expiresAt: string}|null>}
+     */
+    async resolve(token) {
+        if (!token) return null;
+        const row = await dbHelpers.get(this.db,
+            'SELECT id, address, chain_id, expires_at FROM sessions WHERE token_hash = ? AND expires_at > ?',
+            [hashToken(token), new Date().toISOString()]);
+        return row ? { sessionId: row.id, address: row.address, chainId: row.chain_id, expiresAt: row.expires_at } : null;
+    }
+
+    async revoke(token) {
+        await dbHelpers.run(this.db, 'DELETE FROM sessions WHERE token_hash = ?', [hashToken(token)]);
+    }
+}
+
+const bearerToken = (req) => {
+    const header = req.get('Authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+/**
+ * Express middleware that sets `req.user` ({ address, chainId, sessionId })
+ * when the request carries a valid session token. Anonymous requests pass through.
+ * @param {SessionStore} store
+ */
+const attachSession = (store) => async (req, res, next) => {
+    try {
+        req.user = await store.resolve(bearerToken(req));
+    } catch (err) {
+        console.error('Session lookup error:', err.message);
+        req.user = null;
+    }
+    next();
+};
+
+/**
+ * Rejects requests without a session; use after attachSession.
+ */
+const requireSession = (req, res, next) => {
+    if (!req.user) {
+        return res.status(401).json({ success: false, code: 'SIGN_IN_REQUIRED', message: 'Sign in with your wallet first.' });
+    }
+    next();
+};
+
+module.exports = {
+    SessionStore,
+    attachSession,
+    requireSession,
+    bearerToken,
+};
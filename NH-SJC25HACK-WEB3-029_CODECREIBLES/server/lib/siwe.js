@@ -0,0 +1,149 @@
+const { getAddress, isAddress, verifyMessage, hashMessage, Interface } = require('ethers');
+
+// --- Sign-In with Ethereum (EIP-4361) ---
+//
+// Parses and verifies SIWE messages without extra dependencies. EOA
+// signatures are recovered with ethers; when a JSON-RPC client is supplied,
+// contract wallets are verified through EIP-1271 isValidSignature.
+// Nonce bookkeeping and sessions live in lib/sessions.js.
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+const FIELD_NAMES = {
+    'URI': 'uri',
+    'Version': 'version',
+    'Chain ID': 'chainId',
+    'Nonce': 'nonce',
+    'Issued At': 'issuedAt',
+    'Expiration Time': 'expirationTime',
+    'Not Before': 'notBefore',
+    'Request ID': 'requestId',
+};
+const CLOCK_SKEW_MS = 60 * 1000;
+const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+const eip1271Interface = new Interface(['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)']);
+
+class SiweError extends Error {
+    constructor(message, code, status = 401) {
+        super(message);
+        this.name = 'SiweError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+/**
+ * Parses an EIP-4361 message.
+ * @param {string} message
+ * @returns {object} - { scheme, domain, address, statement, uri, version, chainId, nonce, issuedAt, expirationTime?, notBefore?, requestId?, resources }
+ * @throws {SiweError} code MALFORMED_MESSAGE
+ */
+function parseSiweMessage(message) {
+    const malformed = (reason) => new SiweError(`Malformed SIWE message: ${reason}.`, 'MALFORMED_MESSAGE', 400);
+    if (typeof message !== 'string') throw malformed('message must be a string');
+    const lines = message.replace(/\r\n/g, '\n').split('\n');
+
+    if (!lines[0] || !lines[0].endsWith(HEADER_SUFFIX)) throw malformed('missing header line');
+    const origin = lines[0].slice(0, -HEADER_SUFFIX.length);
+    const schemeMatch = /^([a-z][a-z0-9+.-]*):\/\/(.+)$/i.exec(origin);
+    const parsed = {
+        scheme: schemeMatch ? schemeMatch[1] : null,
+        domain: schemeMatch ? schemeMatch[2] : origin,
+        resources: [],
+    };
+    if (!parsed.domain || /\s/.test(parsed.domain)) throw malformed('invalid domain');
+    if (!isAddress(lines[1] || '')) throw malformed('invalid address');
+    parsed.address = getAddress(lines[1]);
+
+    const uriIndex = lines.findIndex(line => line.startsWith('URI: '));
+    if (uriIndex === -1) throw malformed('missing URI');
+    const statement = lines.slice(2, uriIndex).join('\n').trim();
+    parsed.statement = statement || null;
+
+    let inResources = false;
+    for (const line of lines.slice(uriIndex)) {
+        if (inResources) {
+            if (!line.startsWith('- ')) throw malformed('invalid resource line');
+            parsed.resources.push(line.slice(2));
+            continue;
+        }
+        if (line === 'Resources:') {
+            inResources = true;
+            continue;
+        }
+        const separator = line.indexOf(': ');
+        const field = separator === -1 ? null : FIELD_NAMES[line.slice(0, separator)];
+        if (!field) throw malformed(`unexpected line "${line.slice(0, 40)}"`);
+        parsed[field] = line.slice(separator + 2);
+    }
+
+    for (const field of ['uri', 'version', 'chainId', 'nonce', 'issuedAt']) {
+        if (!parsed[field]) throw malformed(`missing ${field}`);
+    }
+    if (parsed.version !== '1') throw malformed('version must be 1');
+    if (!/^\d+$/.test(parsed.chainId)) throw malformed('invalid chain ID');
+    parsed.chainId = Number(parsed.chainId);
+    if (!/^[a-zA-Z0-9]{8,}$/.test(parsed.nonce)) throw malformed('nonce must be at least 8 alphanumeric characters');
+    for (const field of ['issuedAt', 'expirationTime', 'notBefore']) {
+        if (parsed[field] !== undefined && Number.isNaN(Date.parse(parsed[field]))) throw malformed(`invalid ${field}`);
+    }
+    return parsed;
+}
+
+async function isValidContractSignature(rpc, address, message, signature) {
+    const data = eip1271Interface.encodeFunctionData('isValidSignature', [hashMessage(message), signature]);
+    try {
+        const result = await rpc.call('eth_call', [{ to: address, data }, 'latest']);
+        return typeof result === 'string' && result.slice(0, 10).toLowerCase() === EIP1271_MAGIC_VALUE;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Verifies a signed SIWE message. Nonce freshness is checked by the caller.
+ * @param {object} options
+ * @param {string} options.message
+ * @param {string} options.signature - 0x-prefixed personal_sign signature.
+ * @param {string[]} options.domains - Accepted `domain` values (host[:port]).
+ * @param {bigint|number|null} [options.expectedChainId]
+ * @param {object|null} [options.rpc] - Enables EIP-1271 verification for contract wallets.
+ * @param {number} [options.now=Date.now()]
+ * @returns {Promise<object>} - The parsed message.
+ * @throws {SiweError}
+ */
+async function verifySiweMessage({ message, signature, domains, expectedChainId = null, rpc = null, now = Date.now() }) {
+    const parsed = parseSiweMessage(message);
+
+    if (!domains.includes(parsed.domain)) {
+        throw new SiweError(`Domain ${parsed.domain} is not accepted by this server.`, 'DOMAIN_MISMATCH');
+    }
+    if (expectedChainId !== null && BigInt(parsed.chainId) !== BigInt(expectedChainId)) {
+        throw new SiweError(`Sign in on chain ${expectedChainId}, not ${parsed.chainId}.`, 'CHAIN_MISMATCH');
+    }
+    if (Date.parse(parsed.issuedAt) > now + CLOCK_SKEW_MS) {
+        throw new SiweError('Issued At is in the future.', 'NOT_YET_VALID');
+    }
+    if (parsed.notBefore && Date.parse(parsed.notBefore) > now + CLOCK_SKEW_MS) {
+        throw new SiweError('The message is not valid yet (Not Before).', 'NOT_YET_VALID');
+    }
+    if (parsed.expirationTime && Date.parse(parsed.expirationTime) <= now) {
+        throw new SiweError('The message has expired.', 'EXPIRED_MESSAGE');
+    }
+
+    let recovered = null;
+    try {
+        recovered = verifyMessage(message, signature);
+    } catch (err) {
+        recovered = null;
+    }
+    if (recovered !== parsed.address && !(rpc && await isValidContractSignature(rpc, parsed.address, message, signature))) {
+        throw new SiweError('Signature does not match the address in the message.', 'INVALID_SIGNATURE');
+    }
+    return parsed;
+}
+
+module.exports = {
+    SiweError,
+    parseSiweMessage,
+    verifySiweMessage,
+};
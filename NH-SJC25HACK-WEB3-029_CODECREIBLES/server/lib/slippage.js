@@ -0,0 +1,174 @@
+const { Interface, formatUnits } = require('ethers');
+const { createPool, SimulationInputError } = require('./ammSimulator');
+const { encodeV3Path } = require('./dexDecoder');
+
+// --- Implied Slippage Tolerance ---
+//
+// Swap calldata carries a minimum output, not a slippage setting. The
+// tolerance the user actually signed is how far that minimum sits below what
+// the trade gets at the current pool state:
+//   exact input:  (1 - amountOutMin / expectedAmountOut) * 100
+//   exact output: (amountInMax / expectedAmountIn - 1) * 100
+// The expected amount comes from the deterministic pool model when the caller
+// describes the pool (same `pool` object as /api/simulate), otherwise from an
+// eth_call to the Uniswap V2 router (getAmountsOut/In) or V3 QuoterV2.
+// Multi-leg and aggregator routes are not quoted.
+
+const DEFAULT_V2_ROUTER = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D';
+const DEFAULT_V3_QUOTER = '0x61fFE014bA17989E743c5F6cB21bF9697530B21e';
+
+const quoteInterface = new Interface([
+    'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+    'function getAmountsIn(uint256 amountOut, address[] path) view returns (uint256[] amounts)',
+    'function quoteExactInput(bytes path, uint256 amountIn) returns (uint256 amountOut, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)',
+    'function quoteExactOutput(bytes path, uint256 amountOut) returns (uint256 amountIn, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)',
+]);
+
+/**
+ * @param {number|string} [value] - Token decimals, 18 when omitted.
+ * @param {string} field - Name used in the error message.
+ * @returns {number}
+ * @throws {SimulationInputError}
+ */
+function parseTokenDecimals(value, field) {
+    if (value === undefined || value === null || value === '') return 18;
+    const decimals = Number(value);
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 36) {
+        throw new SimulationInputError(`${field} must be an integer from 0 to 36.`);
+    }
+    return decimals;
+}
+
+const round = (value, digits = 4) => Number(value.toFixed(digits));
+
+// Percentage with four decimals, computed on raw integer amounts.
+const bigintPct = (numerator, denominator) => Number((numerator * 1000000n) / denominator) / 10000;
+
+const notQuoted = (reason) => ({ impliedSlippagePct: null, source: null, reason });
+
+/**
+ * Decides how (and whether) a decoded swap can be quoted.
+ * @returns {{source: string}|{reason: string}}
+ */
+function quoteSource(swap, { pool, rpc }) {
+    if (swap.legs && swap.legs.length > 1) return { reason: 'Routes with several swaps are not quoted.' };
+    if (!swap.exactOutput && swap.amountIn === null) return { reason: 'The input amount is the router balance, unknown before execution.' };
+    if (!swap.exactOutput && swap.amountOutMin === null) return { reason: 'The swap sets no minimum output.' };
+    if (swap.exactOutput && (swap.amountOut === null || swap.amountInMax === null)) return { reason: 'The swap sets no maximum input.' };
+    if (pool) {
+        if (swap.exactOutput) return { reason: 'The pool model only quotes exact-input swaps.' };
+        return { source: 'amm-model' };
+    }
+    const protocol = swap.pool ? swap.pool.split(':')[0] : null;
+    if (protocol !== 'uniswap-v2' && protocol !== 'uniswap-v3') {
+        return { reason: `No on-chain quote for ${swap.protocol} swaps; pass a pool to use the AMM model.` };
+    }
+    if (!rpc) return { reason: 'Set an RPC node for this chain (RPC_URL or CHAIN_<KEY>_RPC_URL) or pass a pool to compute the implied slippage.' };
+    return { source: protocol === 'uniswap-v2' ? 'uniswap-v2-router' : 'uniswap-v3-quoter' };
+}
+
+// Expected output (exact input) or input (exact output) in raw units.
+async function quoteOnChain(swap, source, { rpc, v2Router, v3Quoter }) {
+    let to;
+    let method;
+    let args;
+    if (source === 'uniswap-v2-router') {
+        to = v2Router;
+        [method, args] = swap.exactOutput
+            ? ['getAmountsIn', [swap.amountOut, swap.path]]
+            : ['getAmountsOut', [swap.amountIn, swap.path]];
+    } else {
+        // QuoterV2 takes exact-output paths reversed, like the router
+        to = v3Quoter;
+        [method, args] = swap.exactOutput
+            ? ['quoteExactOutput', [encodeV3Path([...swap.path].reverse(), [...swap.fees].reverse()), swap.amountOut]]
+            : ['quoteExactInput', [encodeV3Path(swap.path, swap.fees), swap.amountIn]];
+    }
+    const result = await rpc.call('eth_call', [{ to, data: quoteInterface.encodeFunctionData(method, args) }, 'latest']);
+    const decoded = quoteInterface.decodeFunctionResult(method, result);
+    if (source === 'uniswap-v3-quoter') return decoded[0];
+    return swap.exactOutput ? decoded.amounts[0] : decoded.amounts[decoded.amounts.length - 1];
+}
+
+/**
+ * Computes the slippage tolerance implied by a decoded swap's limits.
+ * Amounts in the result are in human token units.
+ * @param {object} swap - From dexDecoder.decodeSwap.
+ * @param {object} [options]
+ * @param {object} [options.pool] - Pool model parameters (see ammSimulator.createPool), oriented tokenIn -> tokenOut.
+ * @param {number} [options.tokenInDecimals=18]
+ * @param {number} [options.tokenOutDecimals=18]
+ * @param {object|null} [options.rpc] - rpcClient for on-chain quotes.
+ * @param {string} [options.v2Router] - Router answering getAmountsOut/getAmountsIn.
+ * @param {string} [options.v3Quoter] - QuoterV2 address.
+ * @returns {Promise<object>} - impliedSlippagePct (null with a reason when not computable), the expected and limit amounts and the quote source.
+ * @throws {SimulationInputError} - Invalid decimals or pool parameters.
+ */
+async function estimateImpliedSlippage(swap, {
+    pool = null,
+    tokenInDecimals,
+    tokenOutDecimals,
+    rpc = null,
+    v2Router = DEFAULT_V2_ROUTER,
+    v3Quoter = DEFAULT_V3_QUOTER,
+} = {}) {
+    const inDecimals = parseTokenDecimals(tokenInDecimals, 'tokenInDecimals');
+    const outDecimals = parseTokenDecimals(tokenOutDecimals, 'tokenOutDecimals');
+    const plan = quoteSource(swap, { pool, rpc });
+    if (!plan.source) return notQuoted(plan.reason);
+
+    if (plan.source === 'amm-model') {
+        const model = createPool(pool);
+        const amountIn = Number(formatUnits(swap.amountIn, inDecimals));
+        const expectedAmountOut = model.swap(model.initialState, amountIn, true).amountOut;
+        if (!(expectedAmountOut > 0)) return notQuoted('Pool has no liquidity for this swap.');
+        const amountOutMin = formatUnits(swap.amountOutMin, outDecimals);
+        const impliedSlippagePct = round((1 - Number(amountOutMin) / expectedAmountOut) * 100);
+        return {
+            impliedSlippagePct,
+            expectedAmountOut: String(round(expectedAmountOut, 8)),
+            amountOutMin,
+            wouldRevert: impliedSlippagePct < 0,
+            source: plan.source,
+            reason: null,
+        };
+    }
+
+    let expected;
+    try {
+        expected = await quoteOnChain(swap, plan.source, { rpc, v2Router, v3Quoter });
+    } catch (err) {
+        return notQuoted(`Quote failed: ${err.message}`);
+    }
+    if (expected <= 0n) return notQuoted('The quote returned zero.');
+
+    if (swap.exactOutput) {
+        const amountInMax = BigInt(swap.amountInMax);
+        const impliedSlippagePct = bigintPct(amountInMax - expected, expected);
+        return {
+            impliedSlippagePct,
+            expectedAmountIn: formatUnits(expected, inDecimals),
+            amountInMax: formatUnits(amountInMax, inDecimals),
+            wouldRevert: impliedSlippagePct < 0,
+            source: plan.source,
+            reason: null,
+        };
+    }
+    const amountOutMin = BigInt(swap.amountOutMin);
+    const impliedSlippagePct = bigintPct(expected - amountOutMin, expected);
+    return {
+        impliedSlippagePct,
+        expectedAmountOut: formatUnits(expected, outDecimals),
+        amountOutMin: formatUnits(amountOutMin, outDecimals),
+        wouldRevert: impliedSlippagePct < 0,
+        source: plan.source,
+        reason: null,
+    };
+}
+
+module.exports = {
+    DEFAULT_V2_ROUTER,
+    DEFAULT_V3_QUOTER,
+    estimateImpliedSlippage,
+    parseTokenDecimals,
+};
@@ -0,0 +1,83 @@
+const { Interface, id: keccakId, getAddress } = require('ethers');
+
+// --- Uniswap V2/V3 Swap Logs ---
+//
+// Pool Swap events carry the amounts but not the tokens (those come from the
+// pool's token0()/token1()). V2-style pools (Uniswap V2, SushiSwap and forks)
+// emit Sync with the new reserves right before every Swap; V3 pools put the
+// price and in-range liquidity after the swap in the Swap event itself.
+
+const V2_SWAP_TOPIC = keccakId('Swap(address,uint256,uint256,uint256,uint256,address)');
+const V3_SWAP_TOPIC = keccakId('Swap(address,address,int256,int256,uint160,uint128,int24)');
+const V2_SYNC_TOPIC = keccakId('Sync(uint112,uint112)');
+
+const swapLogInterface = new Interface([
+    'event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)',
+    'event Swap(address indexed sender, address indexed recipient, int256 amount0, int256 amount1, uint160 sqrtPriceX96, uint128 liquidity, int24 tick)',
+    'event Sync(uint112 reserve0, uint112 reserve1)',
+]);
+
+const isSwapLog = log => log.topics[0] === V2_SWAP_TOPIC || log.topics[0] === V3_SWAP_TOPIC;
+
+/**
+ * Decodes the V2/V3 pool swaps in a receipt's logs, in log order.
+ * @param {object[]} logs - Receipt logs as returned by JSON-RPC.
+ * @returns {object[]} - { pool, version, logIndex, zeroForOne, amountIn, amountOut, sender, recipient }
+ *   plus reservesAfter { reserve0, reserve1 } (V2, when the Sync log is present)
+ *   or sqrtPriceX96, liquidity and tick (V3). Amounts are bigints.
+ */
+function decodeSwapLogs(logs = []) {
+    const swaps = [];
+    const lastSync = new Map();
+    for (const log of logs) {
+        const pool = getAddress(log.address);
+        if (log.topics[0] === V2_SYNC_TOPIC) {
+            const { args } = swapLogInterface.parseLog(log);
+            lastSync.set(pool, { reserve0: args.reserve0, reserve1: args.reserve1 });
+            continue;
+        }
+        if (!isSwapLog(log)) continue;
+
+        const { args } = swapLogInterface.parseLog(log);
+        const logIndex = Number(log.logIndex);
+        if (log.topics[0] === V2_SWAP_TOPIC) {
+            const zeroForOne = args.amount0In > 0n;
+            swaps.push({
+                pool,
+                version: 'v2',
+                logIndex,
+                zeroForOne,
+                amountIn: zeroForOne ? args.amount0In : args.amount1In,
+                amountOut: zeroForOne ? args.amount1Out : args.amount0Out,
+                sender: args.sender,
+                recipient: args.to,
+                reservesAfter: lastSync.get(pool) || null,
+            });
+        } else {
+            // Signed from the pool's side: positive amounts went into the pool.
+            const zeroForOne = args.amount0 > 0n;
+            swaps.push({
+                pool,
+                version: 'v3',
+                logIndex,
+                zeroForOne,
+                amountIn: zeroForOne ? args.amount0 : args.amount1,
+                amountOut: -(zeroForOne ? args.amount1 : args.amount0),
+                sender: args.sender,
+                recipient: args.recipient,
+                sqrtPriceX96: args.sqrtPriceX96,
+                liquidity: args.liquidity,
+                tick: Number(args.tick),
+            });
+        }
+        lastSync.delete(pool);
+    }
+    return swaps;
+}
+
+module.exports = {
+    V2_SWAP_TOPIC,
+    V3_SWAP_TOPIC,
+    V2_SYNC_TOPIC,
+    decodeSwapLogs,
+};
@@ -0,0 +1,255 @@
+const { Interface, getAddress, isAddress, parseUnits } = require('ethers');
+const { simulateSandwich, SimulationInputError } = require('./ammSimulator');
+const { encodeSwapCall } = require('./dexDecoder');
+const { DEFAULT_V2_ROUTER, parseTokenDecimals } = require('./slippage');
+
+// --- Safer-Trade Advisor ---
+//
+// Turns a pool simulation into concrete mitigations, each compared with the
+// original trade by the simulator's residual risk score:
+//   tighten-min-out   the largest slippage tolerance at which no sandwich is profitable
+//   shorter-deadline  a deadline a few blocks out instead of the usual 20 minutes
+//   split             N smaller swaps, with the expected savings for every N
+//   private-relay     skip the public mempool via /api/protect
+// When the swap's calldata (or tokenIn/tokenOut addresses and `from`) is known,
+// every option carries unsigned transaction templates the wallet can sign.
+
+const DEFAULT_MAX_CHUNKS = 5;
+const DEFAULT_DEADLINE_SECONDS = 120;
+const STRUCTURED_DEADLINE_SECONDS = 20 * 60;
+const PRIVATE_RELAY_RISK_THRESHOLD = 40;
+const TOLERANCE_SEARCH_STEPS = 30;
+// Below this, ordinary price moves between signing and inclusion revert the swap.
+const MIN_PRACTICAL_TOLERANCE = 0.1;
+
+const structuredSwapInterface = new Interface([
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+]);
+
+const round = (value, digits = 6) => Number(value.toFixed(digits));
+
+const integerParam = (value, field, min, max, fallback) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new SimulationInputError(`${field} must be an integer from ${min} to ${max}.`);
+    }
+    return number;
+};
+
+const nonNegativeParam = (value, field) => {
+    if (value === undefined || value === null || value === '') return 0;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) throw new SimulationInputError(`${field} must be a non-negative number.`);
+    return number;
+};
+
+// Human-unit float to raw token units.
+const toRaw = (amount, decimals) => parseUnits(Math.max(amount, 0).toFixed(decimals), decimals);
+
+/**
+ * Builds the swap call the templates are derived from when only structured
+ * fields were given: swapExactTokensForTokens on the V2 router.
+ * @returns {object|null}
+ */
+function structuredCall(params, original, { decimalsIn, decimalsOut, router, nowSec }) {
+    const { tokenIn, tokenOut, from } = params;
+    if (![tokenIn, tokenOut, from].every(value => typeof value === 'string' && isAddress(value))) return null;
+    const amountIn = toRaw(original.amountIn, decimalsIn);
+    const amountOutMin = toRaw(original.minAmountOut, decimalsOut);
+    const deadline = BigInt(nowSec + STRUCTURED_DEADLINE_SECONDS);
+    return {
+        to: router,
+        from: getAddress(from),
+        value: '0',
+        data: structuredSwapInterface.encodeFunctionData('swapExactTokensForTokens',
+            [amountIn, amountOutMin, [getAddress(tokenIn), getAddress(tokenOut)], getAddress(from), deadline]),
+        chainId: params.chainId ? String(params.chainId) : null,
+        amountIn: amountIn.toString(),
+        amountOutMin: amountOutMin.toString(),
+        deadline: deadline.toString(),
+        protocol: 'uniswap-v2',
+    };
+}
+
+/**
+ * Unsigned transaction for a changed copy of the call, or null when it cannot be re-encoded.
+ * @param {object} call
+ * @param {object} changes - amountIn, amountOutMin, deadline (bigint) and value (wei).
+ */
+function buildTemplate(call, { amountIn, amountOutMin, deadline, value = BigInt(call.value) }) {
+    if (!call.to) return null;
+    const data = encodeSwapCall(call.data, { amountIn, amountOutMin, deadline });
+    if (!data) return null;
+    return {
+        to: call.to,
+        from: call.from,
+        value: value.toString(),
+        data,
+        ...(call.chainId && { chainId: call.chainId }),
+    };
+}
+
+const templateReason = (call) => {
+    if (!call) return 'Send swap calldata, or tokenIn/tokenOut addresses and from, to get transaction templates.';
+    if (!call.to) return 'Send the router address as `to` to get transaction templates.';
+    return `Templates are only built for direct Uniswap V2/V3 exact-input router calls, not ${call.protocol} swaps.`;
+};
+
+/**
+ * Evaluates mitigations for a swap on a modelled pool.
+ * @param {object} params - simulateSandwich parameters (pool, amountIn, slippageTolerance, tokenInUsd,
+ *   attackerGasCost, tokenInSymbol, tokenOutSymbol) plus optional maxChunks, deadlineSeconds,
+ *   swapGasCost (tokenIn per extra swap), tokenInDecimals, tokenOutDecimals and, for
+ *   structured templates, tokenIn, tokenOut, from and chainId.
+ * @param {object} [options]
+ * @param {object|null} [options.call] - The decoded swap call: to, from, data, value, chainId, amountIn,
+ *   amountOutMin, deadline (raw strings) and protocol.
+ * @param {number} [options.relayCount=0] - Configured private relay endpoints.
+ * @param {string} [options.router] - V2 router for structured templates.
+ * @param {number} [options.now]
+ * @returns {{original: object, options: object[], recommended: string[], templatesAvailable: boolean, templateReason: string|null}}
+ * @throws {SimulationInputError}
+ */
+function adviseTrade(params, { call = null, relayCount = 0, router = DEFAULT_V2_ROUTER, now = Date.now() } = {}) {
+    const maxChunks = integerParam(params.maxChunks, 'maxChunks', 2, 20, DEFAULT_MAX_CHUNKS);
+    const deadlineSeconds = integerParam(params.deadlineSeconds, 'deadlineSeconds', 12, 3600, DEFAULT_DEADLINE_SECONDS);
+    const swapGasCost = nonNegativeParam(params.swapGasCost, 'swapGasCost');
+    const decimalsIn = parseTokenDecimals(params.tokenInDecimals, 'tokenInDecimals');
+    const decimalsOut = parseTokenDecimals(params.tokenOutDecimals, 'tokenOutDecimals');
+    const nowSec = Math.floor(now / 1000);
+
+    const simulate = (overrides = {}) => simulateSandwich({ ...params, ...overrides });
+    const original = simulate();
+    const swapCall = call || structuredCall(params, original, { decimalsIn, decimalsOut, router, nowSec });
+    const amountInRaw = swapCall ? BigInt(swapCall.amountIn) : null;
+    const originalMinRaw = swapCall && swapCall.amountOutMin !== null ? BigInt(swapCall.amountOutMin) : undefined;
+    const template = (changes) => (swapCall ? buildTemplate(swapCall, changes) : null);
+
+    // Tighter amountOutMin: bisect for the largest tolerance with no profitable sandwich
+    let safeTolerance = original.slippageTolerance;
+    if (original.attack.profitable) {
+        let low = 0;
+        let high = original.slippageTolerance;
+        for (let i = 0; i < TOLERANCE_SEARCH_STEPS; i++) {
+            const mid = (low + high) / 2;
+            if (simulate({ slippageTolerance: mid }).attack.profitable) high = mid;
+            else low = mid;
+        }
+        safeTolerance = Math.floor(low * 10000) / 10000;
+    }
+    const tightened = simulate({ slippageTolerance: safeTolerance });
+    const tightenedMinRaw = toRaw(tightened.minAmountOut, decimalsOut);
+    const tighten = {
+        id: 'tighten-min-out',
+        title: 'Tighter amountOutMin',
+        recommended: original.attack.profitable,
+        slippageTolerance: safeTolerance,
+        amountOutMin: tightened.minAmountOut,
+        residualRiskScore: tightened.riskScore,
+        expectedSavings: round(tightened.victim.amountOut - original.victim.amountOut),
+        note: original.attack.profitable
+            ? (safeTolerance < MIN_PRACTICAL_TOLERANCE
+                ? 'A tolerance this tight may revert on ordinary price moves before inclusion.'
+                : `At ${safeTolerance}% no front-run pays for itself.`)
+            : 'The current tolerance already leaves no profitable sandwich.',
+        template: template({ amountOutMin: tightenedMinRaw }),
+    };
+
+    // Shorter deadline: bounds how long a signed swap can wait for a worse price
+    const newDeadline = nowSec + deadlineSeconds;
+    const currentDeadline = swapCall && swapCall.deadline !== null ? Number(swapCall.deadline) : null;
+    const deadline = {
+        id: 'shorter-deadline',
+        title: 'Shorter deadline',
+        recommended: currentDeadline === null || currentDeadline > newDeadline,
+        deadline: newDeadline,
+        deadlineSeconds,
+        currentDeadline,
+        residualRiskScore: original.riskScore,
+        expectedSavings: 0,
+        note: 'Stops a delayed or withheld swap from executing later at a worse price; it does not prevent a sandwich in the next block.',
+        template: template({ amountOutMin: originalMinRaw, deadline: BigInt(newDeadline) }),
+    };
+
+    // Split: chunks are assumed to land in separate blocks with arbitrage restoring the price in between
+    const splits = [];
+    for (let chunks = 2; chunks <= maxChunks; chunks++) {
+        const chunk = simulate({ amountIn: original.amountIn / chunks });
+        const extraGas = (chunks - 1) * swapGasCost * original.spotPrice;
+        splits.push({
+            chunks,
+            chunkAmountIn: round(original.amountIn / chunks),
+            chunkAmountOut: chunk.victim.amountOut,
+            chunkMinAmountOut: chunk.minAmountOut,
+            residualRiskScore: chunk.riskScore,
+            expectedSavings: round(chunks * chunk.victim.amountOut - extraGas - original.victim.amountOut),
+        });
+    }
+    const best = splits.reduce((top, entry) => (entry.expectedSavings > top.expectedSavings ? entry : top), splits[0]);
+    let splitTemplates = null;
+    if (swapCall) {
+        const callValue = BigInt(swapCall.value);
+        const chunkMinRaw = toRaw(best.chunkMinAmountOut, decimalsOut);
+        splitTemplates = [];
+        for (let index = 0; index < best.chunks; index++) {
+            const last = index === best.chunks - 1;
+            const chunkAmount = last ? amountInRaw - (amountInRaw / BigInt(best.chunks)) * BigInt(best.chunks - 1) : amountInRaw / BigInt(best.chunks);
+            const chunkValue = last ? callValue - (callValue / BigInt(best.chunks)) * BigInt(best.chunks - 1) : callValue / BigInt(best.chunks);
+            splitTemplates.push(template({ amountIn: chunkAmount, amountOutMin: chunkMinRaw, value: chunkValue }));
+        }
+        if (splitTemplates.some(entry => entry === null)) splitTemplates = null;
+    }
+    const split = {
+        id: 'split',
+        title: `Split into ${best.chunks} swaps`,
+        recommended: best.expectedSavings > 0 && best.residualRiskScore < original.riskScore,
+        chunks: best.chunks,
+        residualRiskScore: best.residualRiskScore,
+        expectedSavings: best.expectedSavings,
+        splits,
+        note: 'Assumes one chunk per block with arbitrage restoring the pool price in between'
+            + (swapGasCost ? `, net of ${swapGasCost} ${original.tokenIn} gas per extra swap.` : '; gas for the extra swaps is not included.'),
+        templates: splitTemplates,
+    };
+
+    const privateRelay = {
+        id: 'private-relay',
+        title: 'Submit through the private relay',
+        recommended: original.attack.profitable || original.riskScore >= PRIVATE_RELAY_RISK_THRESHOLD,
+        residualRiskScore: 0,
+        expectedSavings: original.victim.lossTokenOut,
+        relays: relayCount,
+        submitTo: '/api/protect',
+        note: relayCount
+            ? `Sign the transaction and submit the raw hex to /api/protect; it goes to ${relayCount} private relay endpoints instead of the public mempool.`
+            : 'Sign the transaction and submit the raw hex to /api/protect (relay hand-off is simulated until RELAYS is configured).',
+        template: template({ amountOutMin: originalMinRaw }),
+    };
+
+    const options = [tighten, deadline, split, privateRelay];
+    const templatesAvailable = Boolean(tighten.template);
+    return {
+        original: {
+            riskScore: original.riskScore,
+            slippageTolerance: original.slippageTolerance,
+            amountOutMin: original.minAmountOut,
+            expectedAmountOut: original.baseline.amountOut,
+            attackerProfit: original.attack.attackerProfit,
+            victimLoss: original.victim.lossTokenOut,
+            tokenIn: original.tokenIn,
+            tokenOut: original.tokenOut,
+            call: swapCall ? { to: swapCall.to, from: swapCall.from, value: swapCall.value, data: swapCall.data } : null,
+        },
+        options,
+        recommended: options.filter(option => option.recommended).map(option => option.id),
+        templatesAvailable,
+        templateReason: templatesAvailable ? null : templateReason(swapCall),
+    };
+}
+
+module.exports = {
+    DEFAULT_MAX_CHUNKS,
+    DEFAULT_DEADLINE_SECONDS,
+    adviseTrade,
+};
@@ -0,0 +1,306 @@
+const { formatEther, isAddress } = require('ethers');
+const dbHelpers = require('./db');
+const { TRADE_STATUS } = require('./tradeTracker');
+const { decodeSignedTransaction } = require('./txDecoder');
+
+// --- Protected Trade History ---
+//
+// Read side of protected_trades: filtered, sorted and paginated listings,
+// a single trade with its decoded transaction, status history and relay
+// responses, and flat exports for compliance reporting. Every query is
+// scoped to one owner (protected_trades.user_address).
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_EXPORT_ROWS = 10000;
+const ID_CHUNK_SIZE = 500;
+
+// Sortable fields -> SQL expression. submitted_at holds either SQLite's
+// CURRENT_TIMESTAMP format or ISO, so it's compared through julianday().
+const SORT_FIELDS = {
+    submittedAt: 'julianday(t.submitted_at)',
+    statusUpdatedAt: 'julianday(t.status_updated_at)',
+    status: 't.status',
+    value: 'CAST(t.value_wei AS REAL)',
+    nonce: 't.nonce',
+    blockNumber: 't.block_number',
+    id: 't.id',
+};
+
+const CSV_COLUMNS = [
+    ['id', trade => trade.id],
+    ['tx_hash', trade => trade.txHash],
+    ['status', trade => trade.status],
+    ['from', trade => trade.from],
+    ['to', trade => trade.to],
+    ['value_wei', trade => trade.valueWei],
+    ['value_eth', trade => trade.valueEth],
+    ['nonce', trade => trade.nonce],
+    ['chain_id', trade => trade.chainId],
+    ['tx_type', trade => trade.type],
+    ['gas_limit', trade => trade.gasLimit],
+    ['gas_price', trade => trade.gasPrice],
+    ['max_fee_per_gas', trade => trade.maxFeePerGas],
+    ['max_priority_fee_per_gas', trade => trade.maxPriorityFeePerGas],
+    ['block_number', trade => trade.blockNumber],
+    ['gas_used', trade => trade.gasUsed],
+    ['relays_accepted', trade => trade.relaysAccepted],
+    ['relays_total', trade => trade.relaysTotal],
+    ['submitted_at', trade => trade.submittedAt],
+    ['status_updated_at', trade => trade.statusUpdatedAt],
+];
+
+class TradeQueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TradeQueryError';
+        this.status = 400;
+    }
+}
+
+const parseTime = (value, name) => {
+    if (value === undefined || value === '') return null;
+    const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+    if (!Number.isFinite(ms)) throw new TradeQueryError(`${name} must be an ISO date or a unix timestamp in ms.`);
+    return new Date(ms).toISOString();
+};
+
+// SQLite's CURRENT_TIMESTAMP is UTC without a zone marker.
+const toIso = (value) => {
+    if (!value) return null;
+    const ms = Date.parse(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+    return Number.isFinite(ms) ? new Date(ms).toISOString() : value;
+};
+
+/**
+ * Validates list/export query parameters.
+ * @param {object} query - status (comma-separated), from, to, sender, relay, sort, order.
+ * @returns {{where: string[], params: Array, orderBy: string, filters: object}}
+ * @throws {TradeQueryError}
+ */
+function parseTradeFilters(query = {}) {
+    const where = [];
+    const params = [];
+    const filters = {};
+
+    if (query.status) {
+        const statuses = String(query.status).split(',').map(status => status.trim()).filter(Boolean);
+        const known = Object.values(TRADE_STATUS);
+        const unknown = statuses.filter(status => !known.includes(status));
+        if (unknown.length) throw new TradeQueryError(`Unknown status ${unknown.join(', ')}; use ${known.join(', ')}.`);
+        where.push(`t.status IN (${statuses.map(() => '?').join(', ')})`);
+        params.push(...statuses);
+        filters.status = statuses;
+    }
+
+    const from = parseTime(query.from, 'from');
+    const to = parseTime(query.to, 'to');
+    if (from && to && from > to) throw new TradeQueryError('from must be before to.');
+    if (from) {
+        where.push('julianday(t.submitted_at) >= julianday(?)');
+        params.push(from);
+        filters.from = from;
+    }
+    if (to) {
+        where.push('julianday(t.submitted_at) <= julianday(?)');
+        params.push(to);
+        filters.to = to;
+    }
+
+    if (query.sender) {
+        if (!isAddress(query.sender)) throw new TradeQueryError('sender must be a valid 0x-prefixed address.');
+        where.push('lower(t.from_address) = ?');
+        params.push(query.sender.toLowerCase());
+        filters.sender = query.sender;
+    }
+
+    if (query.relay) {
+        where.push('EXISTS (SELECT 1 FROM relay_submissions r WHERE r.trade_id = t.id AND r.relay_name = ?)');
+        params.push(String(query.relay));
+        filters.relay = String(query.relay);
+    }
+
+    const sort = query.sort || 'submittedAt';
+    if (!SORT_FIELDS[sort]) throw new TradeQueryError(`sort must be one of ${Object.keys(SORT_FIELDS).join(', ')}.`);
+    const order = String(query.order || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(order)) throw new TradeQueryError('order must be asc or desc.');
+
+    return { where, params, orderBy: `${SORT_FIELDS[sort]} ${order}, t.id ${order}`, filters: { ...filters, sort, order } };
+}
+
+const SUMMARY_COLUMNS = `t.*,
+    (SELECT COUNT(*) FROM relay_submissions r WHERE r.trade_id = t.id) AS relays_total,
+    (SELECT COUNT(*) FROM relay_submissions r WHERE r.trade_id = t.id AND r.accepted = 1) AS relays_accepted`;
+
+const toTrade = (row) => ({
+    id: row.id,
+    txHash: row.tx_hash,
+    status: row.status,
+    from: row.from_address,
+    to: row.to_address,
+    valueWei: row.value_wei,
+    valueEth: row.value_wei === null ? null : formatEther(row.value_wei),
+    nonce: row.nonce,
+    chainId: row.chain_id,
+    type: row.tx_type,
+    gasLimit: row.gas_limit,
+    gasPrice: row.gas_price,
+    maxFeePerGas: row.max_fee_per_gas,
+    maxPriorityFeePerGas: row.max_priority_fee_per_gas,
+    blockNumber: row.block_number,
+    gasUsed: row.gas_used,
+    relaysAccepted: row.relays_accepted,
+    relaysTotal: row.relays_total,
+    submittedAt: toIso(row.submitted_at),
+    statusUpdatedAt: toIso(row.status_updated_at),
+});
+
+const toHistoryEntry = (row) => ({ status: row.status, changedAt: toIso(row.changed_at), detail: row.detail });
+
+const toRelaySubmission = (row) => ({
+    relay: row.relay_name,
+    type: row.relay_type,
+    endpoint: row.endpoint,
+    targetBlock: row.target_block,
+    accepted: row.accepted === 1,
+    response: row.response === null ? null : JSON.parse(row.response),
+    error: row.error,
+    latencyMs: row.latency_ms,
+    submittedAt: toIso(row.submitted_at),
+});
+
+const scopedQuery = (owner, query) => {
+    const { where, params, orderBy, filters } = parseTradeFilters(query);
+    return {
+        clause: ['t.user_address = ?', ...where].join(' AND '),
+        params: [owner, ...params],
+        orderBy,
+        filters,
+    };
+};
+
+/**
+ * One page of the owner's protected trades.
+ * @param {object} db - sqlite3 Database.
+ * @param {string} owner - Signed-in address (protected_trades.user_address).
+ * @param {object} query - Filters (see parseTradeFilters) plus page and pageSize.
+ * @returns {Promise<{trades: object[], pagination: object, filters: object}>}
+ * @throws {TradeQueryError}
+ */
+async function listProtectedTrades(db, owner, query = {}) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+    if (!Number.isInteger(page) || page < 1) throw new TradeQueryError('page must be a positive integer.');
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw new TradeQueryError(`pageSize must be an integer from 1 to ${MAX_PAGE_SIZE}.`);
+    }
+
+    const { clause, params, orderBy, filters } = scopedQuery(owner, query);
+    const { total } = await dbHelpers.get(db, `SELECT COUNT(*) AS total FROM protected_trades t WHERE ${clause}`, params);
+    const rows = await dbHelpers.all(db,
+        `SELECT ${SUMMARY_COLUMNS} FROM protected_trades t WHERE ${clause} ORDER BY ${orderBy} LIMIT ? OFFSET ?`,
+        [...params, pageSize, (page - 1) * pageSize]);
+    return {
+        trades: rows.map(toTrade),
+        pagination: { page, pageSize, total, totalPages: Math.ceil(total / pageSize) },
+        filters,
+    };
+}
+
+/**
+ * A single trade with its decoded transaction, status history and relay responses.
+ * @returns {Promise<object|null>} - Null when it doesn't exist or belongs to someone else.
+ */
+async function getProtectedTrade(db, owner, id) {
+    const row = await dbHelpers.get(db,
+        `SELECT ${SUMMARY_COLUMNS} FROM protected_trades t WHERE t.id = ? AND t.user_address = ?`, [id, owner]);
+    if (!row) return null;
+
+    let transaction = null;
+    let decodeError = null;
+    try {
+        transaction = decodeSignedTransaction(row.raw_tx);
+    } catch (err) {
+        decodeError = err.message;
+    }
+    const history = await dbHelpers.all(db,
+        'SELECT status, changed_at, detail FROM trade_status_history WHERE trade_id = ? ORDER BY changed_at, id', [row.id]);
+    const relays = await dbHelpers.all(db, 'SELECT * FROM relay_submissions WHERE trade_id = ? ORDER BY id', [row.id]);
+    return {
+        ...toTrade(row),
+        rawTransaction: row.raw_tx,
+        transaction,
+        decodeError,
+        history: history.map(toHistoryEntry),
+        relays: relays.map(toRelaySubmission),
+        simulation: row.pre_simulation ? JSON.parse(row.pre_simulation) : null,
+    };
+}
+
+const groupByTrade = async (db, sql, ids) => {
+    const grouped = new Map();
+    for (let start = 0; start < ids.length; start += ID_CHUNK_SIZE) {
+        const chunk = ids.slice(start, start + ID_CHUNK_SIZE);
+        const rows = await dbHelpers.all(db, sql.replace('(?)', `(${chunk.map(() => '?').join(', ')})`), chunk);
+        for (const row of rows) {
+            if (!grouped.has(row.trade_id)) grouped.set(row.trade_id, []);
+            grouped.get(row.trade_id).push(row);
+        }
+    }
+    return grouped;
+};
+
+/**
+ * Every matching trade (up to MAX_EXPORT_ROWS), with history and relay
+ * responses when `detailed` is set.
+ * @returns {Promise<{trades: object[], filters: object, truncated: boolean}>}
+ * @throws {TradeQueryError}
+ */
+async function exportProtectedTrades(db, owner, query = {}, { detailed = false } = {}) {
+    const { clause, params, orderBy, filters } = scopedQuery(owner, query);
+    const rows = await dbHelpers.all(db,
+        `SELECT ${SUMMARY_COLUMNS} FROM protected_trades t WHERE ${clause} ORDER BY ${orderBy} LIMIT ?`,
+        [...params, MAX_EXPORT_ROWS + 1]);
+    const truncated = rows.length > MAX_EXPORT_ROWS;
+    const trades = rows.slice(0, MAX_EXPORT_ROWS).map(toTrade);
+    if (detailed && trades.length) {
+        const ids = trades.map(trade => trade.id);
+        const history = await groupByTrade(db,
+            'SELECT * FROM trade_status_history WHERE trade_id IN (?) ORDER BY changed_at, id', ids);
+        const relays = await groupByTrade(db, 'SELECT * FROM relay_submissions WHERE trade_id IN (?) ORDER BY id', ids);
+        for (const trade of trades) {
+            trade.history = (history.get(trade.id) || []).map(toHistoryEntry);
+            trade.relays = (relays.get(trade.id) || []).map(toRelaySubmission);
+        }
+    }
+    return { trades, filters, truncated };
+}
+
+const csvCell = (value) => {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * @param {object[]} trades - As returned by listProtectedTrades/exportProtectedTrades.
+ * @returns {string} - RFC 4180 CSV with a header row.
+ */
+function tradesToCsv(trades) {
+    const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+    for (const trade of trades) {
+        lines.push(CSV_COLUMNS.map(([, pick]) => csvCell(pick(trade))).join(','));
+    }
+    return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+    SORT_FIELDS,
+    MAX_EXPORT_ROWS,
+    TradeQueryError,
+    parseTradeFilters,
+    listProtectedTrades,
+    getProtectedTrade,
+    exportProtectedTrades,
+    tradesToCsv,
+};
@@ -0,0 +1,185 @@
+const EventEmitter = require('events');
+const dbHelpers = require('./db');
+
+// --- Protected Trade Lifecycle ---
+//
+//   submitted -> forwarded -> pending -> included | failed | dropped | expired
+//
+// `submitted` is set when the trade is logged, `forwarded` once it has been
+// handed to the private relay. The tracker then polls the configured node:
+// a receipt makes the trade included (status 1) or failed (status 0); a
+// visible pending tx makes it pending; a sender nonce that moved past the
+// trade's nonce without a receipt means it was dropped or replaced; and
+// anything older than the expiry window is expired. With several chains
+// configured there is one tracker per chain, each polling its own node.
+
+const TRADE_STATUS = {
+    SUBMITTED: 'submitted',
+    FORWARDED: 'forwarded',
+    PENDING: 'pending',
+    INCLUDED: 'included',
+    FAILED: 'failed',
+    DROPPED: 'dropped',
+    EXPIRED: 'expired',
+};
+
+const TERMINAL_STATUSES = [TRADE_STATUS.INCLUDED, TRADE_STATUS.FAILED, TRADE_STATUS.DROPPED, TRADE_STATUS.EXPIRED];
+
+const ALLOWED_TRANSITIONS = {
+    [TRADE_STATUS.SUBMITTED]: [TRADE_STATUS.FORWARDED, TRADE_STATUS.PENDING, ...TERMINAL_STATUSES],
+    [TRADE_STATUS.FORWARDED]: [TRADE_STATUS.PENDING, ...TERMINAL_STATUSES],
+    [TRADE_STATUS.PENDING]: TERMINAL_STATUSES,
+};
+
+const canTransition = (from, to) => (ALLOWED_TRANSITIONS[from] || []).includes(to);
+
+class TradeTracker extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {object} options.db - sqlite3 Database holding protected_trades.
+     * @param {object|null} [options.rpc] - JSON-RPC client (see rpcClient); without one only expiry is tracked.
+     * @param {number|null} [options.chainId] - Only track trades signed for this chain; all trades when null.
+     * @param {number} [options.pollIntervalMs=4000]
+     * @param {number} [options.expiryMs=300000] - Age after which an unconfirmed trade is expired.
+     */
+    constructor({ db, rpc = null, chainId = null, pollIntervalMs = 4000, expiryMs = 5 * 60 * 1000 }) {
+        super();
+        this.db = db;
+        this.rpc = rpc;
+        this.chainId = chainId;
+        this.pollIntervalMs = pollIntervalMs;
+        this.expiryMs = expiryMs;
+        this.timer = null;
+        this.polling = false;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Moves a trade to a new status, records it in trade_status_history and
+     * emits 'status'. Invalid transitions are ignored.
+     * @param {number} tradeId
+     * @param {string} status - One of TRADE_STATUS.
+     * @param {object} [details] - blockNumber, gasUsed and/or a free-text reason.
+     * @returns {Promise<object|null>} - The emitted status event, or null if nothing changed.
+     */
+    async transition(tradeId, status, details = {}) {
+        const trade = await dbHelpers.get(this.db, 'SELECT id, tx_hash, status FROM protected_trades WHERE id = ?', [tradeId]);
+        if (!trade || !canTransition(trade.status, status)) return null;
+
+        const changedAt = new Date().toISOString();
+        const { changes } = await dbHelpers.run(this.db,
+            `UPDATE protected_trades
+             SET status = ?, status_updated_at = ?, block_number = COALESCE(?, block_number), gas_used = COALESCE(?, gas_used)
+             WHERE id = ? AND status = ?`,
+            [status, changedAt, details.blockNumber ?? null, details.gasUsed ?? null, tradeId, trade.status]);
+        // Another poll or request moved the trade first.
+        if (changes === 0) return null;
+
+        await dbHelpers.run(this.db,
+            'INSERT INTO trade_status_history (trade_id, status, changed_at, detail) VALUES (?, ?, ?, ?)',
+            [tradeId, status, changedAt, details.reason || null]);
+
+        const event = {
+            tradeId,
+            txHash: trade.tx_hash,
+            previousStatus: trade.status,
+            status,
+            changedAt,
+            blockNumber: details.blockNumber ?? null,
+            gasUsed: details.gasUsed ?? null,
+            reason: details.reason || null,
+        };
+        this.emit('status', event);
+        return event;
+    }
+
+    async poll() {
+        // Skip a tick rather than overlap slow RPC round-trips.
+        if (this.polling) return;
+        this.polling = true;
+        try {
+            const params = [TRADE_STATUS.SUBMITTED, TRADE_STATUS.FORWARDED, TRADE_STATUS.PENDING];
+            if (this.chainId !== null) params.push(String(this.chainId));
+            const trades = await dbHelpers.all(this.db,
+                `SELECT id, tx_hash, from_address, nonce, status, submitted_at FROM protected_trades
+                 WHERE tx_hash IS NOT NULL AND status IN (?, ?, ?)${this.chainId !== null ? ' AND chain_id = ?' : ''}`,
+                params);
+            for (const trade of trades) {
+                try {
+                    await this.checkTrade(trade);
+                } catch (err) {
+                    this.emit('error', new Error(`Trade ${trade.id}: ${err.message}`));
+                }
+            }
+        } catch (err) {
+            this.emit('error', err);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    /**
+     * Moves a trade to included or failed when the node has its receipt.
+     * @returns {Promise<object|null|undefined>} - undefined when there is no receipt yet.
+     */
+    async applyReceipt(trade) {
+        const receipt = await this.rpc.call('eth_getTransactionReceipt', [trade.tx_hash]);
+        if (!receipt) return undefined;
+        const included = receipt.status === '0x1' || receipt.status === 1;
+        return this.transition(trade.id, included ? TRADE_STATUS.INCLUDED : TRADE_STATUS.FAILED, {
+            blockNumber: Number(receipt.blockNumber),
+            gasUsed: BigInt(receipt.gasUsed).toString(),
+            reason: included ? null : 'Transaction reverted',
+        });
+    }
+
+    async checkTrade(trade) {
+        if (this.rpc) {
+            const result = await this.applyReceipt(trade);
+            if (result !== undefined) return result;
+
+            if (trade.from_address && trade.nonce !== null) {
+                const latestNonce = Number(await this.rpc.call('eth_getTransactionCount', [trade.from_address, 'latest']));
+                if (latestNonce > trade.nonce) {
+                    // The nonce can move in the block that includes the trade
+                    // before its receipt was visible above; look once more.
+                    const mined = await this.applyReceipt(trade);
+                    if (mined !== undefined) return mined;
+                    return this.transition(trade.id, TRADE_STATUS.DROPPED, {
+                        reason: `Sender nonce advanced to ${latestNonce} without including this transaction`,
+                    });
+                }
+            }
+
+            if (trade.status !== TRADE_STATUS.PENDING) {
+                const tx = await this.rpc.call('eth_getTransactionByHash', [trade.tx_hash]);
+                if (tx) return this.transition(trade.id, TRADE_STATUS.PENDING);
+            }
+        }
+
+        // SQLite CURRENT_TIMESTAMP is UTC without a zone suffix.
+        const submittedAt = Date.parse(`${trade.submitted_at.replace(' ', 'T')}Z`);
+        if (Date.now() - submittedAt > this.expiryMs) {
+            return this.transition(trade.id, TRADE_STATUS.EXPIRED, {
+                reason: `Not included within ${Math.round(this.expiryMs / 1000)}s`,
+            });
+        }
+        return null;
+    }
+}
+
+module.exports = {
+    TRADE_STATUS,
+    TERMINAL_STATUSES,
+    TradeTracker,
+    canTransition,
+};
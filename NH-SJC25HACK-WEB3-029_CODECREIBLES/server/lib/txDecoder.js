@@ -0,0 +1,147 @@
+const { Transaction } = require('ethers');
+
+// --- Signed Transaction Decoding & Validation ---
+
+// Envelope types we accept: legacy, EIP-2930, EIP-1559 and EIP-4844 (blob).
+const SUPPORTED_TX_TYPES = {
+    0: 'legacy',
+    1: 'eip-2930',
+    2: 'eip-1559',
+    3: 'eip-4844',
+};
+
+const MIN_GAS_LIMIT = 21000n;
+const HEX_PATTERN = /^0x[0-9a-fA-F]+$/;
+
+/**
+ * Raised when a submitted raw transaction cannot be accepted.
+ * `status` is the HTTP status the API should answer with and `code` a
+ * stable machine-readable reason the client can switch on.
+ */
+class TransactionValidationError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'TransactionValidationError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+const toStringOrNull = (value) => (value === null || value === undefined ? null : value.toString());
+
+/**
+ * Checks the fee fields that apply to the transaction's envelope type.
+ * @param {Transaction} tx - Parsed ethers transaction.
+ */
+function validateFees(tx) {
+    if (tx.gasLimit < MIN_GAS_LIMIT) {
+        throw new TransactionValidationError(`Gas limit ${tx.gasLimit} is below the intrinsic minimum of ${MIN_GAS_LIMIT}.`, 'GAS_LIMIT_TOO_LOW', 422);
+    }
+
+    if (tx.type === 0 || tx.type === 1) {
+        if (tx.gasPrice === null || tx.gasPrice <= 0n) {
+            throw new TransactionValidationError('gasPrice must be greater than zero.', 'INVALID_FEE', 422);
+        }
+        return;
+    }
+
+    if (tx.maxFeePerGas === null || tx.maxFeePerGas <= 0n) {
+        throw new TransactionValidationError('maxFeePerGas must be greater than zero.', 'INVALID_FEE', 422);
+    }
+    if (tx.maxPriorityFeePerGas === null || tx.maxPriorityFeePerGas > tx.maxFeePerGas) {
+        throw new TransactionValidationError('maxPriorityFeePerGas must not exceed maxFeePerGas.', 'INVALID_FEE', 422);
+    }
+
+    if (tx.type === 3) {
+        if (tx.maxFeePerBlobGas === null || tx.maxFeePerBlobGas <= 0n) {
+            throw new TransactionValidationError('maxFeePerBlobGas must be greater than zero for blob transactions.', 'INVALID_FEE', 422);
+        }
+        if (!tx.blobVersionedHashes || tx.blobVersionedHashes.length === 0) {
+            throw new TransactionValidationError('Blob transactions must reference at least one blob.', 'INVALID_BLOB_TX', 422);
+        }
+        if (!tx.to) {
+            throw new TransactionValidationError('Blob transactions cannot create contracts.', 'INVALID_BLOB_TX', 422);
+        }
+    }
+}
+
+/**
+ * Parses a signed raw transaction, recovers its sender and validates it for
+ * protected submission.
+ * @param {string} rawTransaction - 0x-prefixed serialized signed transaction.
+ * @param {object} [options]
+ * @param {bigint|number|null} [options.expectedChainId] - Reject transactions for any other chain.
+ * @returns {object} - Decoded fields, with all numeric values as decimal strings.
+ * @throws {TransactionValidationError}
+ */
+function decodeSignedTransaction(rawTransaction, { expectedChainId = null } = {}) {
+    if (typeof rawTransaction !== 'string' || !HEX_PATTERN.test(rawTransaction.trim())) {
+        throw new TransactionValidationError('rawTransaction must be a 0x-prefixed hex string.', 'INVALID_HEX');
+    }
+    const raw = rawTransaction.trim();
+    if (raw.length % 2 !== 0) {
+        throw new TransactionValidationError('rawTransaction has an odd number of hex digits.', 'INVALID_HEX');
+    }
+
+    let tx;
+    try {
+        tx = Transaction.from(raw);
+    } catch (err) {
+        throw new TransactionValidationError(`Could not decode transaction: ${err.shortMessage || err.message}`, 'MALFORMED_TX');
+    }
+
+    if (!(tx.type in SUPPORTED_TX_TYPES)) {
+        throw new TransactionValidationError(`Unsupported transaction type ${tx.type}.`, 'UNSUPPORTED_TX_TYPE');
+    }
+
+    if (!tx.signature) {
+        throw new TransactionValidationError('Transaction is not signed.', 'MISSING_SIGNATURE');
+    }
+
+    let from;
+    try {
+        from = tx.from;
+    } catch (err) {
+        from = null;
+    }
+    if (!from) {
+        throw new TransactionValidationError('Could not recover the sender from the transaction signature.', 'INVALID_SIGNATURE');
+    }
+
+    // Pre-EIP-155 legacy transactions carry no chain id and can be replayed on any chain.
+    if (tx.chainId === 0n) {
+        throw new TransactionValidationError('Transaction is not replay-protected (missing chainId).', 'MISSING_CHAIN_ID', 422);
+    }
+    if (expectedChainId !== null && expectedChainId !== undefined && tx.chainId !== BigInt(expectedChainId)) {
+        throw new TransactionValidationError(`Transaction chainId ${tx.chainId} does not match the expected chainId ${expectedChainId}.`, 'WRONG_CHAIN_ID', 422);
+    }
+
+    if (!Number.isSafeInteger(tx.nonce) || tx.nonce < 0) {
+        throw new TransactionValidationError(`Invalid nonce ${tx.nonce}.`, 'INVALID_NONCE', 422);
+    }
+
+    validateFees(tx);
+
+    return {
+        hash: tx.hash,
+        type: tx.type,
+        typeName: SUPPORTED_TX_TYPES[tx.type],
+        chainId: tx.chainId.toString(),
+        from,
+        to: tx.to,
+        value: tx.value.toString(),
+        nonce: tx.nonce,
+        gasLimit: tx.gasLimit.toString(),
+        gasPrice: toStringOrNull(tx.gasPrice),
+        maxFeePerGas: toStringOrNull(tx.maxFeePerGas),
+        maxPriorityFeePerGas: toStringOrNull(tx.maxPriorityFeePerGas),
+        maxFeePerBlobGas: toStringOrNull(tx.maxFeePerBlobGas),
+        data: tx.data,
+    };
+}
+
+module.exports = {
+    SUPPORTED_TX_TYPES,
+    TransactionValidationError,
+    decodeSignedTransaction,
+};
@@ -0,0 +1,389 @@
+const { Interface, id: keccakId, getAddress, isAddress, formatUnits, parseUnits, toBeHex } = require('ethers');
+const { RpcError, withForkLock } = require('./rpcClient');
+const { getTokenMetadata } = require('./walletHealth');
+
+// --- Pre-Submission Transaction Simulation ---
+//
+// Runs a signed transaction before it is handed to a relay, with one of:
+//   fork           - sent to a local anvil/hardhat fork inside an evm_snapshot,
+//                    mined alone in a block, inspected and reverted. The fork's
+//                    nonce for the sender is aligned with the transaction first.
+//   eth_simulateV1 - on the chain's node at the latest block, with ETH
+//                    transfers traced as logs.
+//   eth_call       - nodes without eth_simulateV1: success, revert reason and
+//                    a gas estimate only. No logs, so no balance changes.
+// The node strategies accept state overrides in geth's eth_call format
+// ({ address: { balance, nonce, code, state, stateDiff } }).
+//
+// Balance changes are the sender's: ERC-20 Transfer logs, plus the ETH
+// balance difference (fork) or the traced ETH transfers, both without gas,
+// which is reported separately. Guards ({ token, min } in token units,
+// negative for "spend at most") are checked against them.
+//
+// Report shape:
+//   { method, blockNumber, success, revertReason, gasUsed, gasLimit, gasCostWei,
+//     account, balanceChanges: [{ token, symbol, decimals, delta, formatted }] | null,
+//     touchedContracts, guards: [{ token, symbol, min, actual, passed }], passed, warnings }
+// with token null for the native token and amounts as decimal strings.
+
+class TxSimulationError extends Error {
+    constructor(message, status = 400, code = 'INVALID_SIMULATION_REQUEST') {
+        super(message);
+        this.name = 'TxSimulationError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+const TRANSFER_TOPIC = keccakId('Transfer(address,address,uint256)');
+// eth_simulateV1 reports traced ETH transfers as Transfer logs from this address.
+const NATIVE_TRANSFER_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+const MAX_BALANCE_GUARDS = 20;
+const AMOUNT_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const revertInterface = new Interface(['error Error(string)', 'error Panic(uint256)']);
+
+const topicAddress = (topic) => getAddress(`0x${topic.slice(-40)}`);
+const isNativeToken = (token) => token === null || token === undefined || ['eth', 'native'].includes(String(token).toLowerCase());
+
+/**
+ * Validates balance guards from a request body.
+ * @param {object[]} [input] - [{ token: 'ETH' | address, min: '-1.5' }]
+ * @returns {object[]} - [{ token: null | checksummed address, min }]
+ * @throws {TxSimulationError}
+ */
+function normalizeBalanceGuards(input) {
+    if (input === undefined || input === null) return [];
+    if (!Array.isArray(input) || input.length > MAX_BALANCE_GUARDS) {
+        throw new TxSimulationError(`minBalanceChanges must be an array of at most ${MAX_BALANCE_GUARDS} { token, min } entries.`, 400, 'INVALID_BALANCE_GUARD');
+    }
+    return input.map((guard) => {
+        const { token, min } = guard || {};
+        if (!isNativeToken(token) && !(typeof token === 'string' && isAddress(token))) {
+            throw new TxSimulationError('A balance guard token must be "ETH" or a token address.', 400, 'INVALID_BALANCE_GUARD');
+        }
+        if (!AMOUNT_PATTERN.test(String(min))) {
+            throw new TxSimulationError('A balance guard min must be a decimal amount in token units, negative to cap spending.', 400, 'INVALID_BALANCE_GUARD');
+        }
+        return { token: isNativeToken(token) ? null : getAddress(token), min: String(min) };
+    });
+}
+
+/**
+ * @param {object} [input] - eth_call state overrides keyed by address.
+ * @returns {object|null}
+ * @throws {TxSimulationError}
+ */
+function normalizeStateOverrides(input) {
+    if (input === undefined || input === null) return null;
+    const valid = typeof input === 'object' && !Array.isArray(input)
+        && Object.entries(input).every(([address, override]) => isAddress(address) && override && typeof override === 'object');
+    if (!valid) {
+        throw new TxSimulationError('stateOverrides must map addresses to { balance, nonce, code, state, stateDiff } objects.', 400, 'INVALID_STATE_OVERRIDES');
+    }
+    return input;
+}
+
+/**
+ * Human-readable reason from revert data: Error(string), Panic(uint256) or a custom error selector.
+ */
+function decodeRevertReason(data) {
+    if (!data || data === '0x') return 'Reverted without a reason';
+    try {
+        const parsed = revertInterface.parseError(data);
+        if (parsed && parsed.name === 'Error') return parsed.args[0];
+        if (parsed && parsed.name === 'Panic') return `Panic 0x${parsed.args[0].toString(16)}`;
+    } catch (err) {
+        // Not a standard error; fall through to the selector.
+    }
+    return `Custom error ${data.slice(0, 10)}`;
+}
+
+const revertDataOf = (err) => (typeof err.data === 'string' ? err.data : err.data && typeof err.data.data === 'string' ? err.data.data : null);
+
+// Nodes answer a reverting call with an RPC error carrying the revert data;
+// errors without a JSON-RPC code are transport failures and are rethrown.
+const revertReasonOf = (err) => {
+    if (!(err instanceof RpcError) || err.code === null) throw err;
+    const data = revertDataOf(err);
+    return data ? decodeRevertReason(data) : err.message;
+};
+
+const isUnsupportedMethod = err => err instanceof RpcError
+    && (err.code === -32601 || /method .*(not found|not supported|does not exist)|not available/i.test(err.message));
+
+/**
+ * The call object shared by eth_call, eth_estimateGas and eth_simulateV1.
+ */
+const toCall = tx => ({
+    from: tx.from,
+    to: tx.to,
+    data: tx.data,
+    value: toBeHex(BigInt(tx.value)),
+    gas: toBeHex(BigInt(tx.gasLimit)),
+});
+
+/**
+ * Net transfers in and out of `account`, keyed by token address ('native' for ETH).
+ */
+function transferDeltas(logs, account) {
+    const deltas = new Map();
+    const add = (key, amount) => deltas.set(key, (deltas.get(key) || 0n) + amount);
+    for (const log of logs) {
+        // ERC-721 Transfer indexes the token id as a fourth topic.
+        if (log.topics[0] !== TRANSFER_TOPIC || log.topics.length !== 3) continue;
+        const key = getAddress(log.address) === NATIVE_TRANSFER_ADDRESS ? 'native' : getAddress(log.address);
+        const value = BigInt(log.data === '0x' ? 0 : log.data);
+        if (topicAddress(log.topics[1]) === account) add(key, -value);
+        if (topicAddress(log.topics[2]) === account) add(key, value);
+    }
+    return deltas;
+}
+
+async function describeBalanceChanges(rpc, deltas, nativeToken, tokenCache) {
+    const changes = [];
+    for (const [key, delta] of deltas) {
+        if (delta === 0n) continue;
+        const metadata = key === 'native' ? nativeToken : await getTokenMetadata(rpc, key, tokenCache);
+        changes.push({
+            token: key === 'native' ? null : key,
+            symbol: metadata.symbol,
+            decimals: metadata.decimals,
+            delta: delta.toString(),
+            formatted: formatUnits(delta, metadata.decimals),
+        });
+    }
+    return changes;
+}
+
+/**
+ * Checks each guard against the balance changes. A guard on an unchanged
+ * token compares against zero; without balance changes it stays unknown (null).
+ * @throws {TxSimulationError} - A min with more decimals than its token has.
+ */
+async function applyGuards(rpc, guards, balanceChanges, nativeToken, tokenCache) {
+    const results = [];
+    for (const guard of guards) {
+        const metadata = guard.token ? await getTokenMetadata(rpc, guard.token, tokenCache) : nativeToken;
+        const [, fraction = ''] = guard.min.split('.');
+        if (fraction.length > metadata.decimals) {
+            throw new TxSimulationError(`A balance guard min for ${metadata.symbol} can have at most ${metadata.decimals} decimal places.`, 400, 'INVALID_BALANCE_GUARD');
+        }
+        const change = balanceChanges && balanceChanges.find(item => item.token === guard.token);
+        const actual = balanceChanges ? (change ? BigInt(change.delta) : 0n) : null;
+        results.push({
+            token: guard.token,
+            symbol: metadata.symbol,
+            min: guard.min,
+            actual: actual === null ? null : formatUnits(actual, metadata.decimals),
+            passed: actual === null ? null : actual >= parseUnits(guard.min, metadata.decimals),
+        });
+    }
+    return results;
+}
+
+async function setForkNonce(rpc, address, nonce) {
+    try {
+        await rpc.call('anvil_setNonce', [address, toBeHex(nonce)]);
+    } catch (err) {
+        await rpc.call('hardhat_setNonce', [address, toBeHex(nonce)]);
+    }
+}
+
+/**
+ * Contracts the transaction called into, from a callTracer trace. Null when
+ * the node has no debug_traceTransaction.
+ */
+async function traceTouchedContracts(rpc, txHash) {
+    let trace;
+    try {
+        trace = await rpc.call('debug_traceTransaction', [txHash, { tracer: 'callTracer' }]);
+    } catch (err) {
+        return null;
+    }
+    const addresses = new Set();
+    const walk = (frame) => {
+        if (frame.to) addresses.add(getAddress(frame.to));
+        (frame.calls || []).forEach(walk);
+    };
+    walk(trace);
+    const contracts = [];
+    for (const address of addresses) {
+        if (await rpc.call('eth_getCode', [address, 'latest']) !== '0x') contracts.push(address);
+    }
+    return contracts;
+}
+
+const contractsFromLogs = (tx, logs) => [...new Set([
+    ...(tx.to && tx.data !== '0x' ? [getAddress(tx.to)] : []),
+    ...logs.map(log => getAddress(log.address)).filter(address => address !== NATIVE_TRANSFER_ADDRESS),
+])];
+
+async function simulateOnFork(rpc, rawTransaction, tx) {
+    return withForkLock(rpc, async () => {
+        const snapshotId = await rpc.call('evm_snapshot');
+        try {
+            await rpc.call('evm_setAutomine', [false]);
+            const warnings = [];
+            const forkNonce = Number(await rpc.call('eth_getTransactionCount', [tx.from, 'latest']));
+            if (forkNonce !== tx.nonce) {
+                await setForkNonce(rpc, tx.from, tx.nonce);
+                warnings.push(`The fork had nonce ${forkNonce} for the sender; it was set to the transaction's ${tx.nonce}.`);
+            }
+            const parent = await rpc.call('eth_getBlockByNumber', ['latest', false]);
+            const balanceBefore = BigInt(await rpc.call('eth_getBalance', [tx.from, 'latest']));
+            const base = { method: 'fork', blockNumber: Number(parent.number) + 1, gasLimit: tx.gasLimit, warnings };
+
+            try {
+                await rpc.call('eth_sendRawTransaction', [rawTransaction]);
+            } catch (err) {
+                return { ...base, success: false, revertReason: err.message, gasUsed: null, gasCostWei: null, logs: [], touchedContracts: [] };
+            }
+            await rpc.call('evm_mine');
+            const receipt = await rpc.call('eth_getTransactionReceipt', [tx.hash]);
+            if (!receipt) {
+                return { ...base, success: false, revertReason: 'Not included in the simulated block', gasUsed: null, gasCostWei: null, logs: [], touchedContracts: [] };
+            }
+
+            const success = BigInt(receipt.status) === 1n;
+            const gasUsed = BigInt(receipt.gasUsed);
+            const gasCostWei = gasUsed * BigInt(receipt.effectiveGasPrice || 0);
+            const balanceAfter = BigInt(await rpc.call('eth_getBalance', [tx.from, 'latest']));
+            const revertReason = success
+                ? null
+                : await rpc.call('eth_call', [toCall(tx), parent.number]).then(() => 'Transaction reverted', revertReasonOf);
+            const touchedContracts = await traceTouchedContracts(rpc, tx.hash) || contractsFromLogs(tx, receipt.logs);
+            return {
+                ...base,
+                success,
+                revertReason,
+                gasUsed: gasUsed.toString(),
+                gasCostWei: gasCostWei.toString(),
+                logs: receipt.logs,
+                // Gas is reported on its own, so it is added back to the difference.
+                nativeDelta: balanceAfter - balanceBefore + gasCostWei,
+                touchedContracts,
+            };
+        } finally {
+            try {
+                await rpc.call('evm_revert', [snapshotId]);
+            } finally {
+                await rpc.call('evm_setAutomine', [true]);
+            }
+        }
+    });
+}
+
+async function simulateWithCall(rpc, tx, stateOverrides) {
+    const call = toCall(tx);
+    const params = stateOverrides ? [call, 'latest', stateOverrides] : [call, 'latest'];
+    const blockNumber = Number(await rpc.call('eth_blockNumber'));
+    const revertReason = await rpc.call('eth_call', params).then(() => null, revertReasonOf);
+    const gasUsed = revertReason ? null : await rpc.call('eth_estimateGas', params).then(gas => BigInt(gas).toString(), () => null);
+    return {
+        method: 'eth_call',
+        blockNumber,
+        success: !revertReason,
+        revertReason,
+        gasUsed,
+        gasLimit: tx.gasLimit,
+        gasCostWei: null,
+        logs: null,
+        touchedContracts: contractsFromLogs(tx, []),
+        warnings: ['The node has no eth_simulateV1, so there are no logs and balance changes are unknown.'],
+    };
+}
+
+async function simulateOnNode(rpc, tx, stateOverrides) {
+    let result;
+    try {
+        result = await rpc.call('eth_simulateV1', [{
+            blockStateCalls: [{ ...(stateOverrides && { stateOverrides }), calls: [toCall(tx)] }],
+            traceTransfers: true,
+            validation: false,
+        }, 'latest']);
+    } catch (err) {
+        if (isUnsupportedMethod(err)) return simulateWithCall(rpc, tx, stateOverrides);
+        throw err;
+    }
+    const [block] = result;
+    const [call] = block.calls;
+    const success = BigInt(call.status) === 1n;
+    const logs = call.logs || [];
+    return {
+        method: 'eth_simulateV1',
+        blockNumber: Number(block.number),
+        success,
+        revertReason: success ? null : (call.error && call.error.data ? decodeRevertReason(call.error.data) : decodeRevertReason(call.returnData)),
+        gasUsed: BigInt(call.gasUsed).toString(),
+        gasLimit: tx.gasLimit,
+        gasCostWei: null,
+        logs,
+        touchedContracts: contractsFromLogs(tx, logs),
+        warnings: [],
+    };
+}
+
+/**
+ * Simulates a signed transaction on the fork when one is given, else on the node.
+ * @param {object} nodes - { forkRpc, rpc }: JSON-RPC clients, either may be null.
+ * @param {string} rawTransaction
+ * @param {object} tx - From decodeSignedTransaction.
+ * @param {object} [options]
+ * @param {object[]} [options.balanceGuards] - From normalizeBalanceGuards.
+ * @param {object} [options.stateOverrides] - From normalizeStateOverrides (node strategies only).
+ * @param {{symbol: string, decimals: number}} [options.nativeToken]
+ * @returns {Promise<object>} - The report described above.
+ * @throws {TxSimulationError} - No node to simulate on, or a guard finer than its token.
+ */
+async function simulateTransaction({ forkRpc, rpc }, rawTransaction, tx, {
+    balanceGuards = [],
+    stateOverrides = null,
+    nativeToken = { symbol: 'ETH', decimals: 18 },
+} = {}) {
+    if (!forkRpc && !rpc) throw new TxSimulationError('No fork or node is configured to simulate on.', 503, 'SIMULATION_UNAVAILABLE');
+    const account = getAddress(tx.from);
+    const { logs, nativeDelta, ...report } = forkRpc
+        ? await simulateOnFork(forkRpc, rawTransaction, tx)
+        : await simulateOnNode(rpc, tx, stateOverrides);
+    if (forkRpc && stateOverrides) report.warnings.push('stateOverrides are ignored on a fork.');
+
+    const tokenRpc = forkRpc || rpc;
+    const tokenCache = new Map();
+    let balanceChanges = null;
+    if (logs) {
+        const deltas = transferDeltas(logs, account);
+        if (nativeDelta !== undefined) deltas.set('native', nativeDelta);
+        balanceChanges = await describeBalanceChanges(tokenRpc, deltas, nativeToken, tokenCache);
+    }
+    const guards = await applyGuards(tokenRpc, balanceGuards, balanceChanges, nativeToken, tokenCache);
+    if (guards.some(guard => guard.passed === null)) report.warnings.push('Balance guards could not be checked without balance changes.');
+
+    return {
+        ...report,
+        account,
+        balanceChanges,
+        guards,
+        passed: report.success && guards.every(guard => guard.passed !== false),
+    };
+}
+
+/**
+ * One-line summary of why a simulation did not pass.
+ */
+function describeSimulationFailure(report) {
+    if (!report.success) return `Simulation reverted: ${report.revertReason}`;
+    const failed = report.guards.filter(guard => guard.passed === false)
+        .map(guard => `${guard.symbol} changes by ${guard.actual}, below the minimum of ${guard.min}`);
+    return `Balance guard failed: ${failed.join('; ')}`;
+}
+
+module.exports = {
+    TxSimulationError,
+    normalizeBalanceGuards,
+    normalizeStateOverrides,
+    decodeRevertReason,
+    applyGuards,
+    simulateTransaction,
+    describeSimulationFailure,
+};
@@ -0,0 +1,299 @@
+const { Interface, id: keccakId, getAddress, zeroPadValue, formatUnits } = require('ethers');
+const { decodeSwapLogs } = require('./swapLogs');
+
+// --- Wallet Health From Chain Data ---
+//
+// Everything is read through plain JSON-RPC (see rpcClient):
+//   - balance and 24h activity: eth_getBalance, and the sender nonce now versus
+//     ~24h of blocks ago (needs an archive node; reported as null otherwise).
+//   - approvals: ERC-20 Approval logs owned by the wallet over the scan window,
+//     reduced to the latest (token, spender) pair and re-checked with allowance().
+//   - sandwiches: the wallet's own swaps (found through its Transfer logs) whose
+//     pool was hit by a same-direction swap just before and an opposite swap just
+//     after, both from the same sender or bot contract.
+// The exposure score sums capped points per factor and returns the breakdown.
+
+const APPROVAL_TOPIC = keccakId('Approval(address,address,uint256)');
+const TRANSFER_TOPIC = keccakId('Transfer(address,address,uint256)');
+
+const erc20Interface = new Interface([
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+]);
+
+// Mainnet routers and approval managers users are expected to approve. Other
+// chains deploy these elsewhere (or not at all), so they only apply on mainnet.
+const DEFAULT_VERIFIED_SPENDERS = [
+    '0x7a250d5630b4cf539739df2c5dacb4c659f2488d', // Uniswap V2 Router02
+    '0xe592427a0aece92de3edee1f18e0157c05861564', // Uniswap V3 SwapRouter
+    '0x68b3465833fb72a70ecdf485e0e4c7bd8665fc45', // Uniswap SwapRouter02
+    '0x3fc91a3afd70395cd496c647d5a6cc9d4b2b7fad', // Uniswap Universal Router
+    '0x000000000022d473030f116ddee9f6b43ac78ba3', // Permit2
+    '0xd9e1ce17f2641f24ae83637ab66a2cca9c378b9f', // SushiSwap Router
+    '0x1111111254eeb25477b68fb85ed929f73a960582', // 1inch v5
+    '0xdef1c0ded9bec7f1a1670819833240f027b25eff', // 0x Exchange Proxy
+];
+
+// Anything this large cannot be spent down in practice.
+const UNLIMITED_ALLOWANCE_THRESHOLD = 2n ** 128n;
+
+const SCORE_WEIGHTS = {
+    unlimitedApprovals: { perItem: 10, max: 25 },
+    unverifiedSpenders: { perItem: 15, max: 30 },
+    sandwichedSwaps: { perItem: 20, max: 40 },
+    recentActivity: { perItem: 1, max: 5 },
+};
+
+const toBlockHex = (block) => `0x${block.toString(16)}`;
+const topicAddress = (topic) => getAddress(`0x${topic.slice(-40)}`);
+const shortAddress = (address) => `${address.slice(0, 6)}…${address.slice(-4)}`;
+
+/**
+ * eth_getLogs over [fromBlock, toBlock] in chunks, since most providers cap
+ * the block range of a single query.
+ */
+async function getLogsChunked(rpc, filter, fromBlock, toBlock, chunkSize) {
+    const logs = [];
+    for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+        const end = Math.min(start + chunkSize - 1, toBlock);
+        logs.push(...await rpc.call('eth_getLogs', [{ ...filter, fromBlock: toBlockHex(start), toBlock: toBlockHex(end) }]));
+    }
+    return logs;
+}
+
+async function callView(rpc, to, method, args = []) {
+    const data = erc20Interface.encodeFunctionData(method, args);
+    const result = await rpc.call('eth_call', [{ to, data }, 'latest']);
+    return erc20Interface.decodeFunctionResult(method, result)[0];
+}
+
+/**
+ * Symbol and decimals for a token, falling back to the short address and 18
+ * for tokens that don't implement the optional metadata.
+ */
+async function getTokenMetadata(rpc, token, cache) {
+    if (!cache.has(token)) {
+        const [symbol, decimals] = await Promise.all([
+            callView(rpc, token, 'symbol').catch(() => shortAddress(token)),
+            callView(rpc, token, 'decimals').then(Number).catch(() => 18),
+        ]);
+        cache.set(token, { symbol, decimals });
+    }
+    return cache.get(token);
+}
+
+/**
+ * Lists the wallet's outstanding approvals.
+ * @returns {Promise<object[]>} - { token, symbol, spender, allowance, formattedAllowance, unlimited, verifiedSpender, lastApprovedBlock }
+ */
+async function scanApprovals(rpc, owner, { fromBlock, toBlock, chunkSize, verifiedSpenders, tokenCache }) {
+    const logs = await getLogsChunked(rpc, { topics: [APPROVAL_TOPIC, zeroPadValue(owner, 32)] }, fromBlock, toBlock, chunkSize);
+
+    // Later logs overwrite earlier ones for the same (token, spender) pair.
+    const latest = new Map();
+    for (const log of logs) {
+        if (log.topics.length !== 3) continue; // ERC-721 Approval has an indexed tokenId
+        const token = getAddress(log.address);
+        const spender = topicAddress(log.topics[2]);
+        latest.set(`${token}:${spender}`, { token, spender, value: BigInt(log.data === '0x' ? 0 : log.data), blockNumber: Number(log.blockNumber) });
+    }
+
+    const approvals = [];
+    for (const { token, spender, value, blockNumber } of latest.values()) {
+        const allowance = await callView(rpc, token, 'allowance', [owner, spender]).catch(() => value);
+        if (allowance === 0n) continue;
+        const { symbol, decimals } = await getTokenMetadata(rpc, token, tokenCache);
+        const unlimited = allowance >= UNLIMITED_ALLOWANCE_THRESHOLD;
+        approvals.push({
+            token,
+            symbol,
+            spender,
+            allowance: allowance.toString(),
+            formattedAllowance: unlimited ? 'unlimited' : formatUnits(allowance, decimals),
+            unlimited,
+            verifiedSpender: verifiedSpenders.has(spender.toLowerCase()),
+            lastApprovedBlock: blockNumber,
+        });
+    }
+    return approvals;
+}
+
+/**
+ * Pool swaps in a receipt as { pool, zeroForOne }.
+ */
+function extractSwaps(receipt) {
+    return decodeSwapLogs(receipt.logs).map(({ pool, zeroForOne }) => ({ pool, zeroForOne }));
+}
+
+async function getNeighbour(rpc, blockNumber, index) {
+    const tx = await rpc.call('eth_getTransactionByBlockNumberAndIndex', [toBlockHex(blockNumber), toBlockHex(index)]);
+    if (!tx) return null;
+    const receipt = await rpc.call('eth_getTransactionReceipt', [tx.hash]);
+    return receipt ? { hash: tx.hash, from: getAddress(tx.from), to: tx.to ? getAddress(tx.to) : null, swaps: extractSwaps(receipt) } : null;
+}
+
+/**
+ * Finds the wallet's swaps that were bracketed by a front-run and back-run on
+ * the same pool within `neighbourWindow` positions of the same block.
+ * @returns {Promise<{swapsChecked: number, sandwiches: object[]}>}
+ */
+async function scanSandwiches(rpc, wallet, { fromBlock, toBlock, chunkSize, maxSwaps, neighbourWindow }) {
+    const padded = zeroPadValue(wallet, 32);
+    const [sent, received] = await Promise.all([
+        getLogsChunked(rpc, { topics: [TRANSFER_TOPIC, padded] }, fromBlock, toBlock, chunkSize),
+        getLogsChunked(rpc, { topics: [TRANSFER_TOPIC, null, padded] }, fromBlock, toBlock, chunkSize),
+    ]);
+    const candidates = [...new Map([...sent, ...received].map(log => [log.transactionHash, Number(log.blockNumber)])).entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, maxSwaps);
+
+    let swapsChecked = 0;
+    const sandwiches = [];
+    for (const [txHash] of candidates) {
+        const receipt = await rpc.call('eth_getTransactionReceipt', [txHash]);
+        if (!receipt || getAddress(receipt.from) !== wallet) continue;
+        const victimSwaps = extractSwaps(receipt);
+        if (victimSwaps.length === 0) continue;
+        swapsChecked++;
+
+        const blockNumber = Number(receipt.blockNumber);
+        const index = Number(receipt.transactionIndex);
+        const before = [];
+        const after = [];
+        for (let offset = 1; offset <= neighbourWindow; offset++) {
+            if (index - offset >= 0) before.push(await getNeighbour(rpc, blockNumber, index - offset));
+            after.push(await getNeighbour(rpc, blockNumber, index + offset));
+        }
+
+        const match = victimSwaps.map(victim => {
+            const front = before.find(tx => tx && tx.from !== wallet
+                && tx.swaps.some(swap => swap.pool === victim.pool && swap.zeroForOne === victim.zeroForOne));
+            if (!front) return null;
+            const back = after.find(tx => tx && (tx.from === front.from || (tx.to && tx.to === front.to))
+                && tx.swaps.some(swap => swap.pool === victim.pool && swap.zeroForOne !== victim.zeroForOne));
+            return back ? { victim, front, back } : null;
+        }).find(Boolean);
+
+        if (match) {
+            sandwiches.push({
+                txHash,
+                blockNumber,
+                pool: match.victim.pool,
+                attacker: match.front.from,
+                frontRunTx: match.front.hash,
+                backRunTx: match.back.hash,
+            });
+        }
+    }
+    return { swapsChecked, sandwiches };
+}
+
+/**
+ * Turns the scan results into a 0-100 exposure score and the points each factor contributed.
+ */
+function scoreExposure({ approvals, sandwiches, transactionsLast24h }) {
+    const counts = {
+        unlimitedApprovals: approvals.filter(approval => approval.unlimited).length,
+        unverifiedSpenders: approvals.filter(approval => !approval.verifiedSpender).length,
+        sandwichedSwaps: sandwiches.length,
+        recentActivity: transactionsLast24h || 0,
+    };
+    const details = {
+        unlimitedApprovals: `${counts.unlimitedApprovals} unlimited token approval(s)`,
+        unverifiedSpenders: `${counts.unverifiedSpenders} approval(s) to spenders outside the verified router list`,
+        sandwichedSwaps: `${counts.sandwichedSwaps} past swap(s) sandwiched`,
+        recentActivity: `${counts.recentActivity} transaction(s) sent in the last 24h`,
+    };
+    const breakdown = Object.entries(SCORE_WEIGHTS).map(([factor, { perItem, max }]) => ({
+        factor,
+        count: counts[factor],
+        points: Math.min(max, counts[factor] * perItem),
+        maxPoints: max,
+        detail: details[factor],
+    }));
+    const score = Math.min(100, breakdown.reduce((sum, item) => sum + item.points, 0));
+    return { score, breakdown };
+}
+
+function buildAlerts({ approvals, sandwiches, transactionsLast24h }) {
+    const alerts = [];
+    for (const approval of approvals) {
+        if (approval.unlimited || !approval.verifiedSpender) {
+            const reasons = [approval.unlimited && 'unlimited', !approval.verifiedSpender && 'unverified spender'].filter(Boolean);
+            alerts.push(`Warning: ${approval.symbol} approval to ${shortAddress(approval.spender)} (${reasons.join(', ')}), set at block ${approval.lastApprovedBlock}.`);
+        }
+    }
+    for (const sandwich of sandwiches) {
+        alerts.push(`Warning: swap ${shortAddress(sandwich.txHash)} in block ${sandwich.blockNumber} was sandwiched by ${shortAddress(sandwich.attacker)}.`);
+    }
+    if (transactionsLast24h === null) {
+        alerts.push('24h transaction count unavailable: the RPC node does not serve historical state.');
+    }
+    return alerts;
+}
+
+/**
+ * Computes wallet health from chain data.
+ * @param {object} rpc - JSON-RPC client (see rpcClient).
+ * @param {string} address - Wallet address (any checksum casing).
+ * @param {object} [options]
+ * @param {number} [options.scanBlocks=50000] - How far back to look for approvals and swaps.
+ * @param {number} [options.logChunkSize=10000] - Block range per eth_getLogs call.
+ * @param {number} [options.blockTimeSeconds=12] - Used to find the block ~24h ago; the chain's block time.
+ * @param {number} [options.maxSwaps=25] - Most recent wallet transactions inspected for sandwiches.
+ * @param {number} [options.neighbourWindow=2] - Positions before/after a swap searched for the attacker.
+ * @param {string[]} [options.verifiedSpenders] - Trusted spender addresses; defaults to DEFAULT_VERIFIED_SPENDERS (mainnet).
+ * @param {{symbol: string, decimals: number}} [options.nativeToken] - The chain's native token, for the balance; defaults to ETH.
+ */
+async function analyzeWalletHealth(rpc, address, {
+    scanBlocks = 50000,
+    logChunkSize = 10000,
+    blockTimeSeconds = 12,
+    maxSwaps = 25,
+    neighbourWindow = 2,
+    verifiedSpenders = DEFAULT_VERIFIED_SPENDERS,
+    nativeToken = { symbol: 'ETH', decimals: 18 },
+} = {}) {
+    const wallet = getAddress(address);
+    const latestBlock = Number(await rpc.call('eth_blockNumber'));
+    const fromBlock = Math.max(0, latestBlock - scanBlocks + 1);
+    const dayAgoBlock = Math.max(0, latestBlock - Math.round(86400 / blockTimeSeconds));
+
+    const balanceWei = BigInt(await rpc.call('eth_getBalance', [wallet, 'latest']));
+    const nonceNow = Number(await rpc.call('eth_getTransactionCount', [wallet, 'latest']));
+    const transactionsLast24h = await rpc.call('eth_getTransactionCount', [wallet, toBlockHex(dayAgoBlock)])
+        .then(nonceThen => nonceNow - Number(nonceThen))
+        .catch(() => null);
+
+    const scan = { fromBlock, toBlock: latestBlock, chunkSize: logChunkSize };
+    const approvals = await scanApprovals(rpc, wallet, {
+        ...scan,
+        verifiedSpenders: new Set(verifiedSpenders.map(spender => spender.toLowerCase())),
+        tokenCache: new Map(),
+    });
+    const { swapsChecked, sandwiches } = await scanSandwiches(rpc, wallet, { ...scan, maxSwaps, neighbourWindow });
+
+    const { score, breakdown } = scoreExposure({ approvals, sandwiches, transactionsLast24h });
+    return {
+        address: wallet,
+        balance: `${Number(formatUnits(balanceWei, nativeToken.decimals)).toFixed(4)} ${nativeToken.symbol}`,
+        balanceWei: balanceWei.toString(),
+        transactionsLast24h,
+        mevExposureScore: score,
+        exposureBreakdown: breakdown,
+        approvals,
+        sandwichedSwaps: sandwiches,
+        swapsChecked,
+        scannedBlocks: { from: fromBlock, to: latestBlock },
+        alerts: buildAlerts({ approvals, sandwiches, transactionsLast24h }),
+    };
+}
+
+module.exports = {
+    DEFAULT_VERIFIED_SPENDERS,
+    UNLIMITED_ALLOWANCE_THRESHOLD,
+    analyzeWalletHealth,
+    getTokenMetadata,
+    scoreExposure,
+};
@@ -0,0 +1,254 @@
+const EventEmitter = require('events');
+const { Interface, getAddress, isAddress, parseUnits } = require('ethers');
+const dbHelpers = require('./db');
+const { findChain } = require('./chains');
+
+// --- Watchlist Rules & Matching ---
+//
+// Each watchlist entry belongs to a signed-in user (`owner`) and is an
+// address on one chain with a label and a rule set:
+//   { anyTx, valueAbove, approvals, mevVictim, mevAttacker }
+// valueAbove is an amount of the entry's chain's native token (ETH, POL...).
+// Several users may watch the same address, and one user the same address on
+// several chains. Transactions and attacks only match entries of the chain
+// they were seen on (their `chainId`). The watcher keeps the entries
+// in memory, matches ingested pending transactions (see mempoolSources) and
+// detected attacks against them, records every hit in watchlist_hits and
+// emits it as an 'alert' event carrying the owner.
+// Per transaction only the most specific rule fires: approval, then
+// value_above, then any_tx.
+
+const WATCH_RULES = ['any_tx', 'value_above', 'approval', 'mev_victim', 'mev_attacker'];
+
+const DEFAULT_RULES = {
+    anyTx: false,
+    valueAbove: null,
+    approvals: true,
+    mevVictim: true,
+    mevAttacker: true,
+};
+
+const ETH = { symbol: 'ETH', decimals: 18 };
+
+const approvalInterface = new Interface([
+    'function approve(address spender, uint256 amount)',
+    'function increaseAllowance(address spender, uint256 addedValue)',
+    'function setApprovalForAll(address operator, bool approved)',
+]);
+
+class WatchlistInputError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'WatchlistInputError';
+        this.status = status;
+    }
+}
+
+/**
+ * Validates a rule set, filling unspecified rules from DEFAULT_RULES (or the
+ * entry's current rules when updating).
+ * @param {object} [rules]
+ * @param {object} [base=DEFAULT_RULES]
+ * @param {{symbol: string, decimals: number}} [nativeToken] - Of the entry's chain; valueAbove is in this token.
+ * @throws {WatchlistInputError}
+ */
+function normalizeRules(rules = {}, base = DEFAULT_RULES, nativeToken = ETH) {
+    if (typeof rules !== 'object' || rules === null || Array.isArray(rules)) {
+        throw new WatchlistInputError('rules must be an object.');
+    }
+    const merged = { ...base };
+    for (const key of ['anyTx', 'approvals', 'mevVictim', 'mevAttacker']) {
+        if (rules[key] !== undefined) merged[key] = Boolean(rules[key]);
+    }
+    if (rules.valueAbove !== undefined) {
+        if (rules.valueAbove === null || rules.valueAbove === '') {
+            merged.valueAbove = null;
+        } else {
+            try {
+                if (parseUnits(String(rules.valueAbove), nativeToken.decimals) <= 0n) throw new Error('not positive');
+            } catch (err) {
+                throw new WatchlistInputError(`valueAbove must be a positive ${nativeToken.symbol} amount.`);
+            }
+            merged.valueAbove = String(rules.valueAbove);
+        }
+    }
+    if (!merged.anyTx && merged.valueAbove === null && !merged.approvals && !merged.mevVictim && !merged.mevAttacker) {
+        throw new WatchlistInputError('Enable at least one alert rule.');
+    }
+    return merged;
+}
+
+/**
+ * @param {string} address
+ * @returns {string} - Checksummed address.
+ * @throws {WatchlistInputError}
+ */
+function normalizeWatchAddress(address) {
+    if (typeof address !== 'string' || !isAddress(address.trim())) {
+        throw new WatchlistInputError('address must be a valid 0x-prefixed address.');
+    }
+    return getAddress(address.trim());
+}
+
+/**
+ * Decodes approve/increaseAllowance/setApprovalForAll calldata.
+ * @returns {{method: string, spender: string}|null}
+ */
+function decodeApproval(input) {
+    if (!input || input.length < 10) return null;
+    try {
+        const parsed = approvalInterface.parseTransaction({ data: input });
+        return parsed ? { method: parsed.name, spender: parsed.args[0].toLowerCase() } : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+const shortHash = (value) => (value ? `${value.slice(0, 8)}…${value.slice(-4)}` : 'unknown');
+
+class WatchlistWatcher extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {object} options.db - sqlite3 Database holding watchlist and watchlist_hits.
+     * @param {object[]} [options.chains] - Chain registry (see lib/chains), for each entry's native token.
+     */
+    constructor({ db, chains = [] }) {
+        super();
+        this.db = db;
+        this.chains = chains;
+        this.entries = new Map();
+    }
+
+    /**
+     * Re-reads every entry from the database; call after any CRUD change.
+     */
+    async reload() {
+        const rows = await dbHelpers.all(this.db, 'SELECT id, user_address, chain_id, address, label, rules FROM watchlist');
+        const entries = new Map();
+        for (const row of rows) {
+            const rules = JSON.parse(row.rules);
+            const chain = findChain(this.chains, row.chain_id);
+            const nativeToken = chain ? chain.nativeToken : ETH;
+            const key = row.address.toLowerCase();
+            if (!entries.has(key)) entries.set(key, []);
+            entries.get(key).push({
+                id: row.id,
+                owner: row.user_address,
+                chainId: row.chain_id,
+                address: row.address,
+                label: row.label,
+                rules,
+                nativeToken,
+                valueAboveWei: rules.valueAbove ? parseUnits(rules.valueAbove, nativeToken.decimals) : null,
+            });
+        }
+        this.entries = entries;
+    }
+
+    /**
+     * Matches a normalized pending transaction against the watchlist.
+     * @param {object} tx - See mempoolSources.normalizePendingTx, plus the chainId it was seen on.
+     */
+    matchTransaction(tx) {
+        if (this.entries.size === 0) return;
+        const approval = decodeApproval(tx.input);
+        const involved = new Set([tx.from, tx.to, approval && approval.spender].filter(Boolean));
+
+        for (const address of involved) {
+            for (const entry of this.entries.get(address) || []) {
+                if (entry.chainId !== tx.chainId) continue;
+                this.matchEntry(entry, address, tx, approval);
+            }
+        }
+    }
+
+    /**
+     * Applies one entry's rules to a transaction it is involved in.
+     * @param {object} entry
+     * @param {string} address - The lowercased involved address.
+     * @param {object} tx
+     * @param {{method: string, spender: string}|null} approval
+     */
+    matchEntry(entry, address, tx, approval) {
+        const { rules } = entry;
+        const direction = address === tx.from ? 'sent' : 'received';
+
+        if (approval && rules.approvals && (address === tx.from || address === approval.spender)) {
+            const detail = address === tx.from
+                ? `${entry.label} called ${approval.method} on ${shortHash(tx.to)} for spender ${shortHash(approval.spender)}`
+                : `${shortHash(tx.from)} called ${approval.method} granting ${entry.label} an allowance on ${shortHash(tx.to)}`;
+            this.record(entry, { rule: 'approval', txHash: tx.hash, detail, valueWei: tx.value });
+        } else if (entry.valueAboveWei !== null && tx.value >= entry.valueAboveWei && address !== approval?.spender) {
+            this.record(entry, { rule: 'value_above', txHash: tx.hash, valueWei: tx.value,
+                detail: `${entry.label} ${direction} a tx worth at least ${rules.valueAbove} ${entry.nativeToken.symbol} (${shortHash(tx.hash)})` });
+        } else if (rules.anyTx && address !== approval?.spender) {
+            this.record(entry, { rule: 'any_tx', txHash: tx.hash, valueWei: tx.value,
+                detail: `${entry.label} ${direction} pending tx ${shortHash(tx.hash)}` });
+        }
+    }
+
+    /**
+     * Matches a detected attack (as broadcast on new_attack) against the watchlist.
+     * @param {object} attack - Needs method, attacker, victim, txHashes, value and chainId.
+     */
+    matchAttack(attack) {
+        if (this.entries.size === 0 || !attack.txHashes) return;
+        const { txHashes } = attack;
+        const roles = [
+            ['mev_attacker', 'mevAttacker', attack.attacker, txHashes.frontRun || txHashes.backRun || txHashes.liquidation],
+            ['mev_victim', 'mevVictim', attack.victim, txHashes.victim || txHashes.liquidation],
+        ];
+        for (const [rule, ruleKey, address, txHash] of roles) {
+            const matches = (address && this.entries.get(address.toLowerCase())) || [];
+            const role = rule === 'mev_attacker' ? 'attacker' : 'victim';
+            for (const entry of matches) {
+                if (!entry.rules[ruleKey] || entry.chainId !== attack.chainId) continue;
+                this.record(entry, {
+                    rule,
+                    txHash,
+                    attackType: attack.method,
+                    attackId: attack.id,
+                    detail: `${entry.label} is the ${role} in a ${attack.method} (${attack.value})`,
+                });
+            }
+        }
+    }
+
+    async record(entry, hit) {
+        const createdAt = new Date().toISOString();
+        const valueWei = hit.valueWei === undefined || hit.valueWei === null ? null : hit.valueWei.toString();
+        try {
+            const { lastID } = await dbHelpers.run(this.db,
+                `INSERT INTO watchlist_hits (watchlist_id, rule, tx_hash, detail, value_wei, attack_type, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [entry.id, hit.rule, hit.txHash || null, hit.detail, valueWei, hit.attackType || null, createdAt]);
+            this.emit('alert', {
+                id: lastID,
+                watchlistId: entry.id,
+                owner: entry.owner,
+                chainId: entry.chainId,
+                address: entry.address,
+                label: entry.label,
+                rule: hit.rule,
+                txHash: hit.txHash || null,
+                valueWei,
+                attackType: hit.attackType || null,
+                attackId: hit.attackId ?? null,
+                detail: hit.detail,
+                createdAt,
+            });
+        } catch (err) {
+            this.emit('error', err);
+        }
+    }
+}
+
+module.exports = {
+    WATCH_RULES,
+    DEFAULT_RULES,
+    WatchlistInputError,
+    WatchlistWatcher,
+    normalizeRules,
+    normalizeWatchAddress,
+    decodeApproval,
+};
@@ -0,0 +1,478 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const EventEmitter = require('events');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const dbHelpers = require('./db');
+
+// --- Outbound Webhooks ---
+//
+// Signed-in users register HTTP(S) endpoints for some of these events:
+//   attack.high_risk - a broadcast attack at or above the subscription's
+//                      minRiskScore (optionally on one chainId)
+//   watchlist.hit    - an alert on one of the user's watchlist entries
+//   trade.status     - a status change of one of the user's protected trades
+// Every event becomes one row in webhook_deliveries per matching
+// subscription. The body is JSON { id, type, createdAt, data } and carries
+//   X-MEVShield-Event, X-MEVShield-Delivery, X-MEVShield-Timestamp (unix s)
+//   X-MEVShield-Signature: sha256=HMAC-SHA256(secret, `${timestamp}.${body}`)
+// so receivers can check both origin and freshness (see verifySignature).
+// A non-2xx answer, timeout or network error is retried with exponential
+// backoff (baseDelayMs * 2^(attempt-1), capped at maxDelayMs). After
+// maxAttempts the delivery is dead and copied to webhook_dead_letters.
+// Every attempt is logged in webhook_attempts (status code, error and timing;
+// response bodies are not kept). Pending retries live in the database, so
+// they survive a restart.
+//
+// Endpoints must be public: a URL whose host is, or resolves to, a loopback,
+// private, link-local (cloud metadata), unique-local or otherwise reserved
+// address is refused when the subscription is saved and again on every
+// delivery, against the address actually connected to. allowPrivateNetworks
+// (WEBHOOK_ALLOW_PRIVATE_NETWORKS=true) lifts this for local development.
+
+const WEBHOOK_EVENTS = {
+    HIGH_RISK_ATTACK: 'attack.high_risk',
+    WATCHLIST_HIT: 'watchlist.hit',
+    TRADE_STATUS: 'trade.status',
+    TEST: 'webhook.test',
+};
+
+// Event types a subscription can ask for; test events go to one subscription on request.
+const SUBSCRIBABLE_EVENTS = [WEBHOOK_EVENTS.HIGH_RISK_ATTACK, WEBHOOK_EVENTS.WATCHLIST_HIT, WEBHOOK_EVENTS.TRADE_STATUS];
+
+const DELIVERY_STATUS = {
+    PENDING: 'pending',
+    DELIVERED: 'delivered',
+    DEAD: 'dead',
+};
+
+const DEFAULT_MIN_RISK_SCORE = 70;
+const SIGNATURE_TOLERANCE_S = 300;
+
+// Address ranges webhooks may not reach.
+const BLOCKED_NETWORKS = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+    ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_NETWORKS.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 127], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_NETWORKS.addSubnet(address, prefix, 'ipv6'));
+
+class WebhookInputError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'WebhookInputError';
+        this.status = status;
+    }
+}
+
+/**
+ * @param {string} secret
+ * @param {number|string} timestamp - Unix seconds, as sent in X-MEVShield-Timestamp.
+ * @param {string} body - The raw request body.
+ * @returns {string} - `sha256=<hex>`, as sent in X-MEVShield-Signature.
+ */
+function signPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Receiver-side check of a delivery's signature and timestamp.
+ * @param {string} secret
+ * @param {object} headers - Lowercased header names, e.g. req.headers.
+ * @param {string} body - The raw request body.
+ * @param {number} [toleranceS=300] - Maximum age of the timestamp.
+ * @returns {boolean}
+ */
+function verifySignature(secret, headers, body, toleranceS = SIGNATURE_TOLERANCE_S) {
+    const timestamp = Number(headers['x-mevshield-timestamp']);
+    const signature = String(headers['x-mevshield-signature'] || '');
+    if (!Number.isInteger(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > toleranceS) return false;
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * @param {string} address - An IPv4 or IPv6 address.
+ * @returns {boolean} - True for loopback, private, link-local, unique-local and other
+ *   non-public addresses (IPv4-mapped IPv6 is judged by its IPv4 part).
+ */
+function isBlockedAddress(address) {
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return isBlockedAddress(mapped[1]);
+    const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+    if (mappedHex) {
+        const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+        return isBlockedAddress([high >> 8, high & 255, low >> 8, low & 255].join('.'));
+    }
+    const family = net.isIP(address);
+    if (family === 4) return BLOCKED_NETWORKS.check(address, 'ipv4');
+    if (family === 6) return BLOCKED_NETWORKS.check(address, 'ipv6');
+    return true;
+}
+
+const blockedError = (host, address) => new WebhookInputError(
+    `Webhook URLs must point to a public host; ${host} resolves to ${address}.`);
+
+// dns.lookup replacement for outgoing deliveries: the connection can only go
+// to an address that passed the check, so DNS answers cannot change between
+// the check and the request.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+        if (err) return callback(err);
+        const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+        if (blocked) return callback(blockedError(hostname, blocked.address));
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+/**
+ * Refuses URLs whose host is, or resolves to, a non-public address.
+ * @param {string} url
+ * @returns {Promise<void>}
+ * @throws {WebhookInputError}
+ */
+async function assertPublicUrl(url) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) {
+        if (isBlockedAddress(host)) throw blockedError(host, host);
+        return;
+    }
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true });
+    } catch (err) {
+        throw new WebhookInputError(`Could not resolve the webhook host ${host}.`);
+    }
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) throw blockedError(host, blocked.address);
+}
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Validates a subscription body, filling unspecified fields from `base`
+ * (the current subscription when updating).
+ * @param {object} input - { url, events, minRiskScore, chainId, description, active, secret }
+ * @param {object} [base]
+ * @param {function(*): object|null} [resolveChainId] - Maps a chainId to a chain; throws on unknown chains.
+ * @returns {{url: string, events: string[], minRiskScore: number, chainId: number|null, description: string|null, active: boolean, secret?: string}}
+ * @throws {WebhookInputError}
+ */
+function normalizeSubscription(input = {}, base = null, resolveChainId = null) {
+    if (typeof input !== 'object' || input === null || Array.isArray(input)) {
+        throw new WebhookInputError('The subscription must be a JSON object.');
+    }
+    const merged = base
+        ? { ...base }
+        : { url: null, events: null, minRiskScore: DEFAULT_MIN_RISK_SCORE, chainId: null, description: null, active: true };
+
+    if (input.url !== undefined || !base) {
+        let url;
+        try {
+            url = new URL(String(input.url || ''));
+        } catch (err) {
+            throw new WebhookInputError('url must be an absolute http(s) URL.');
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            throw new WebhookInputError('url must be an absolute http(s) URL.');
+        }
+        merged.url = url.toString();
+    }
+
+    if (input.events !== undefined || !base) {
+        const events = Array.isArray(input.events) ? [...new Set(input.events.map(String))] : [];
+        const unknown = events.filter(event => !SUBSCRIBABLE_EVENTS.includes(event));
+        if (!events.length || unknown.length) {
+            throw new WebhookInputError(`events must list one or more of: ${SUBSCRIBABLE_EVENTS.join(', ')}.`);
+        }
+        merged.events = events;
+    }
+
+    if (input.minRiskScore !== undefined) {
+        const score = Number(input.minRiskScore);
+        if (!Number.isInteger(score) || score < 0 || score > 100) {
+            throw new WebhookInputError('minRiskScore must be an integer from 0 to 100.');
+        }
+        merged.minRiskScore = score;
+    }
+
+    if (input.chainId !== undefined) {
+        merged.chainId = input.chainId === null || input.chainId === ''
+            ? null
+            : (resolveChainId ? resolveChainId(input.chainId).chainId : Number(input.chainId));
+    }
+
+    if (input.description !== undefined) {
+        merged.description = input.description === null ? null : String(input.description).trim().slice(0, 200) || null;
+    }
+    if (input.active !== undefined) merged.active = Boolean(input.active);
+
+    if (input.secret !== undefined) {
+        if (typeof input.secret !== 'string' || input.secret.length < 16) {
+            throw new WebhookInputError('secret must be a string of at least 16 characters.');
+        }
+        merged.secret = input.secret;
+    }
+    return merged;
+}
+
+class WebhookDispatcher extends EventEmitter {
+    /**
+     * @param {object} options
+     * @param {object} options.db - sqlite3 Database holding the webhook_* tables.
+     * @param {number} [options.maxAttempts=6] - Attempts before a delivery is dead-lettered.
+     * @param {number} [options.baseDelayMs=5000] - Delay before the first retry; doubles per attempt.
+     * @param {number} [options.maxDelayMs=3600000]
+     * @param {number} [options.timeoutMs=10000] - Per-attempt HTTP timeout.
+     * @param {number} [options.pollIntervalMs=1000] - How often due retries are picked up.
+     * @param {boolean} [options.allowPrivateNetworks=false] - Allow loopback and private endpoints (development only).
+     */
+    constructor({
+        db, maxAttempts = 6, baseDelayMs = 5000, maxDelayMs = 60 * 60 * 1000,
+        timeoutMs = 10000, pollIntervalMs = 1000, allowPrivateNetworks = false,
+    }) {
+        super();
+        this.db = db;
+        this.maxAttempts = maxAttempts;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        this.timeoutMs = timeoutMs;
+        this.pollIntervalMs = pollIntervalMs;
+        this.allowPrivateNetworks = allowPrivateNetworks;
+        this.timer = null;
+        this.processing = false;
+        this.inFlight = new Set();
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.processDue(), this.pollIntervalMs);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    /**
+     * Checks that a subscription URL may be delivered to.
+     * @param {string} url
+     * @returns {Promise<void>}
+     * @throws {WebhookInputError}
+     */
+    async checkUrl(url) {
+        if (!this.allowPrivateNetworks) await assertPublicUrl(url);
+    }
+
+    retryDelayMs(attempt) {
+        return Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempt - 1));
+    }
+
+    /**
+     * Queues a delivery of an event to every matching active subscription.
+     * @param {string} type - One of SUBSCRIBABLE_EVENTS.
+     * @param {object} data - The event payload.
+     * @param {object} [match]
+     * @param {string|null} [match.owner] - Only this user's subscriptions (watchlist hits, trade status).
+     * @param {number|null} [match.chainId] - Skips subscriptions bound to another chain.
+     * @param {number} [match.riskScore] - Compared with each subscription's minRiskScore.
+     * @param {number|null} [match.previousRiskScore] - Score of an earlier event this one upgrades;
+     *   subscriptions it already reached are skipped.
+     * @returns {Promise<number[]>} - The queued delivery ids.
+     */
+    async dispatch(type, data, { owner = null, chainId = null, riskScore = null, previousRiskScore = null } = {}) {
+        const rows = await dbHelpers.all(this.db, 'SELECT * FROM webhook_subscriptions WHERE active = 1');
+        const targets = rows.filter((row) => {
+            if (!JSON.parse(row.events).includes(type)) return false;
+            if (type !== WEBHOOK_EVENTS.HIGH_RISK_ATTACK && (!owner || row.user_address.toLowerCase() !== owner.toLowerCase())) return false;
+            if (row.chain_id !== null && chainId !== null && row.chain_id !== chainId) return false;
+            if (riskScore !== null && riskScore < row.min_risk_score) return false;
+            if (previousRiskScore !== null && previousRiskScore >= row.min_risk_score) return false;
+            return true;
+        });
+        const ids = [];
+        for (const subscription of targets) {
+            ids.push(await this.enqueue(subscription.id, type, data));
+        }
+        if (ids.length) setImmediate(() => this.processDue());
+        return ids;
+    }
+
+    /**
+     * Stores one delivery, due immediately.
+     * @returns {Promise<number>} - The delivery id.
+     */
+    async enqueue(subscriptionId, type, data) {
+        const createdAt = new Date().toISOString();
+        const eventId = crypto.randomUUID();
+        const payload = JSON.stringify({ id: eventId, type, createdAt, data });
+        const { lastID } = await dbHelpers.run(this.db,
+            `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, status, attempts, next_attempt_at, created_at)
+             VALUES (?, ?, ?, ?, ?, 0, ?, ?)`,
+            [subscriptionId, eventId, type, payload, DELIVERY_STATUS.PENDING, createdAt, createdAt]);
+        return lastID;
+    }
+
+    /**
+     * Sends a webhook.test event to one subscription and waits for the first attempt.
+     * Failures are retried like any other delivery.
+     * @returns {Promise<object>} - The attempt (see attempt()).
+     */
+    async sendTest(subscription) {
+        const deliveryId = await this.enqueue(subscription.id, WEBHOOK_EVENTS.TEST, {
+            subscriptionId: subscription.id,
+            message: 'Test event from MEV-Shield.',
+        });
+        return this.attempt(deliveryId);
+    }
+
+    /**
+     * Attempts every pending delivery whose retry time has come.
+     */
+    async processDue() {
+        if (this.processing) return;
+        this.processing = true;
+        try {
+            const due = await dbHelpers.all(this.db,
+                'SELECT id FROM webhook_deliveries WHERE status = ? AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT 50',
+                [DELIVERY_STATUS.PENDING, new Date().toISOString()]);
+            await Promise.all(due.filter(row => !this.inFlight.has(row.id)).map(row => this.attempt(row.id)));
+        } catch (err) {
+            this.emit('error', err);
+        } finally {
+            this.processing = false;
+        }
+    }
+
+    /**
+     * Makes one signed POST for a pending delivery, logs it in webhook_attempts
+     * and schedules a retry or dead-letters the delivery when it fails.
+     * @param {number} deliveryId
+     * @returns {Promise<{deliveryId: number, attempt: number, success: boolean, statusCode: number|null, error: string|null, durationMs: number, status: string}|null>}
+     *   - Null if the delivery is not pending or already being attempted.
+     */
+    async attempt(deliveryId) {
+        if (this.inFlight.has(deliveryId)) return null;
+        this.inFlight.add(deliveryId);
+        try {
+            const delivery = await dbHelpers.get(this.db,
+                `SELECT d.*, s.url, s.secret FROM webhook_deliveries d
+                 JOIN webhook_subscriptions s ON s.id = d.subscription_id
+                 WHERE d.id = ? AND d.status = ?`, [deliveryId, DELIVERY_STATUS.PENDING]);
+            if (!delivery) return null;
+
+            const attempt = delivery.attempts + 1;
+            const result = await this.post(delivery);
+            const requestedAt = new Date(result.startedAt).toISOString();
+            await dbHelpers.run(this.db,
+                `INSERT INTO webhook_attempts (delivery_id, attempt, requested_at, status_code, error, duration_ms)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [deliveryId, attempt, requestedAt, result.statusCode, result.error, result.durationMs]);
+
+            let status = DELIVERY_STATUS.PENDING;
+            const lastError = result.success ? null : (result.error || `HTTP ${result.statusCode}`);
+            if (result.success) {
+                status = DELIVERY_STATUS.DELIVERED;
+                await dbHelpers.run(this.db,
+                    `UPDATE webhook_deliveries SET status = ?, attempts = ?, last_status_code = ?, last_error = NULL,
+                     next_attempt_at = NULL, delivered_at = ? WHERE id = ?`,
+                    [status, attempt, result.statusCode, new Date().toISOString(), deliveryId]);
+            } else if (attempt >= this.maxAttempts) {
+                status = DELIVERY_STATUS.DEAD;
+                const failedAt = new Date().toISOString();
+                await dbHelpers.run(this.db,
+                    `UPDATE webhook_deliveries SET status = ?, attempts = ?, last_status_code = ?, last_error = ?,
+                     next_attempt_at = NULL WHERE id = ?`,
+                    [status, attempt, result.statusCode, lastError, deliveryId]);
+                await dbHelpers.run(this.db,
+                    `INSERT INTO webhook_dead_letters (delivery_id, subscription_id, event_type, payload, attempts, last_error, failed_at)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [deliveryId, delivery.subscription_id, delivery.event_type, delivery.payload, attempt, lastError, failedAt]);
+                this.emit('dead_letter', { deliveryId, subscriptionId: delivery.subscription_id, eventType: delivery.event_type, attempts: attempt, lastError });
+            } else {
+                const nextAttemptAt = new Date(Date.now() + this.retryDelayMs(attempt)).toISOString();
+                await dbHelpers.run(this.db,
+                    'UPDATE webhook_deliveries SET attempts = ?, last_status_code = ?, last_error = ?, next_attempt_at = ? WHERE id = ?',
+                    [attempt, result.statusCode, lastError, nextAttemptAt, deliveryId]);
+            }
+
+            return {
+                deliveryId,
+                attempt,
+                success: result.success,
+                statusCode: result.statusCode,
+                error: lastError,
+                durationMs: result.durationMs,
+                status,
+            };
+        } finally {
+            this.inFlight.delete(deliveryId);
+        }
+    }
+
+    async post(delivery) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        const result = { success: false, statusCode: null, error: null, startedAt };
+        try {
+            result.statusCode = await this.send(delivery.url, {
+                'Content-Type': 'application/json',
+                'User-Agent': 'MEV-Shield-Webhooks/1.0',
+                'X-MEVShield-Event': delivery.event_type,
+                'X-MEVShield-Delivery': delivery.event_id,
+                'X-MEVShield-Timestamp': String(timestamp),
+                'X-MEVShield-Signature': signPayload(delivery.secret, timestamp, delivery.payload),
+            }, delivery.payload);
+            result.success = result.statusCode >= 200 && result.statusCode < 300;
+        } catch (err) {
+            result.error = err.message;
+        }
+        return { ...result, durationMs: Date.now() - startedAt };
+    }
+
+    /**
+     * One POST without following redirects. The response body is discarded.
+     * @returns {Promise<number>} - The HTTP status code.
+     */
+    async send(url, headers, body) {
+        if (!this.allowPrivateNetworks) await assertPublicUrl(url);
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+        return new Promise((resolve, reject) => {
+            const request = client.request(target, {
+                method: 'POST',
+                headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+                timeout: this.timeoutMs,
+                ...(this.allowPrivateNetworks ? {} : { lookup: publicLookup }),
+            }, (response) => {
+                response.resume();
+                resolve(response.statusCode);
+            });
+            const timer = setTimeout(() => request.destroy(new Error(`Timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+            request.on('timeout', () => request.destroy(new Error(`Timed out after ${this.timeoutMs}ms`)));
+            request.on('error', reject);
+            request.on('close', () => clearTimeout(timer));
+            request.end(body);
+        });
+    }
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    SUBSCRIBABLE_EVENTS,
+    DELIVERY_STATUS,
+    WebhookInputError,
+    WebhookDispatcher,
+    normalizeSubscription,
+    isBlockedAddress,
+    assertPublicUrl,
+    generateSecret,
+    signPayload,
+    verifySignature,
+};
@@ -0,0 +1,226 @@
+// --- YAML Subset Parser ---
+//
+// Enough YAML for hand-written config files such as attack generator
+// scenarios, without a dependency: block mappings and sequences (nested by
+// spaces), `- key: value` sequence items, flow collections ([a, b] and
+// { a: 1 }), # comments, and plain, 'single' or "double" quoted scalars.
+// Numbers, true/false and null/~ are typed. Anchors, tags, multi-document
+// streams and block scalars (| and >) are rejected rather than misread.
+
+class YamlError extends Error {
+    constructor(message, line) {
+        super(line ? `Line ${line}: ${message}` : message);
+        this.name = 'YamlError';
+        this.line = line || null;
+    }
+}
+
+const NUMBER_PATTERN = /^[-+]?(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/;
+// `key:` followed by a space or the end of the line; keys may be quoted.
+const KEY_PATTERN = /^("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'[\]{}#-][^#]*?|-[^\s#][^#]*?)\s*:(?=\s|$)/;
+
+const isSequenceItem = text => text === '-' || text.startsWith('- ');
+
+function unquote(text, line) {
+    if (text.startsWith('"')) {
+        try {
+            return JSON.parse(text);
+        } catch (err) {
+            throw new YamlError(`Invalid double-quoted string ${text}.`, line);
+        }
+    }
+    if (text.startsWith("'")) {
+        if (!text.endsWith("'") || text.length < 2) throw new YamlError(`Unterminated string ${text}.`, line);
+        return text.slice(1, -1).replace(/''/g, "'");
+    }
+    return text;
+}
+
+function parseScalar(text, line) {
+    if (text.startsWith('"') || text.startsWith("'")) return unquote(text, line);
+    if (/^[&*!|>%@`]/.test(text)) throw new YamlError(`Unsupported YAML syntax: ${text}`, line);
+    if (text === 'null' || text === '~') return null;
+    if (text === 'true') return true;
+    if (text === 'false') return false;
+    if (NUMBER_PATTERN.test(text)) return Number(text);
+    return text;
+}
+
+// Drops a trailing comment: a # at the start or after whitespace, outside quotes.
+function stripComment(text) {
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(text[i - 1]))) {
+            return text.slice(0, i);
+        }
+    }
+    return text;
+}
+
+/**
+ * Parses a flow collection or scalar ([a, b], { k: v }, nested) starting at pos.
+ * @returns {{value: *, pos: number}}
+ */
+function parseFlow(text, pos, line) {
+    const skip = () => {
+        while (pos < text.length && /\s/.test(text[pos])) pos++;
+    };
+    const expect = (char) => {
+        skip();
+        if (text[pos] !== char) throw new YamlError(`Expected "${char}" in ${text}`, line);
+        pos++;
+    };
+    const scalar = (stops) => {
+        skip();
+        if (text[pos] === '"' || text[pos] === "'") {
+            const quote = text[pos];
+            let end = pos + 1;
+            while (end < text.length) {
+                if (quote === '"' && text[end] === '\\') end += 2;
+                else if (text[end] === quote && quote === "'" && text[end + 1] === "'") end += 2;
+                else if (text[end] === quote) break;
+                else end++;
+            }
+            if (end >= text.length) throw new YamlError(`Unterminated string in ${text}`, line);
+            const value = unquote(text.slice(pos, end + 1), line);
+            pos = end + 1;
+            return value;
+        }
+        const start = pos;
+        while (pos < text.length && !stops.includes(text[pos])) pos++;
+        return parseScalar(text.slice(start, pos).trim(), line);
+    };
+    const value = () => {
+        skip();
+        if (text[pos] === '[') {
+            pos++;
+            const list = [];
+            skip();
+            if (text[pos] === ']') {
+                pos++;
+                return list;
+            }
+            for (;;) {
+                list.push(value());
+                skip();
+                if (text[pos] === ',') pos++;
+                else break;
+            }
+            expect(']');
+            return list;
+        }
+        if (text[pos] === '{') {
+            pos++;
+            const map = {};
+            skip();
+            if (text[pos] === '}') {
+                pos++;
+                return map;
+            }
+            for (;;) {
+                const key = scalar([':', ',', '}']);
+                expect(':');
+                map[String(key)] = value();
+                skip();
+                if (text[pos] === ',') pos++;
+                else break;
+            }
+            expect('}');
+            return map;
+        }
+        return scalar([',', ']', '}']);
+    };
+    const result = value();
+    return { value: result, pos };
+}
+
+function parseInline(text, line) {
+    if (text.startsWith('[') || text.startsWith('{')) {
+        const { value, pos } = parseFlow(text, 0, line);
+        if (text.slice(pos).trim()) throw new YamlError(`Unexpected text after ${text.slice(0, pos)}`, line);
+        return value;
+    }
+    return parseScalar(text, line);
+}
+
+/**
+ * @param {string} source - YAML text.
+ * @returns {*} - The parsed document (null when empty).
+ * @throws {YamlError}
+ */
+function parseYaml(source) {
+    const lines = [];
+    String(source).split(/\r?\n/).forEach((raw, index) => {
+        const number = index + 1;
+        const text = stripComment(raw).replace(/\s+$/, '');
+        if (!text.trim()) return;
+        const indent = text.length - text.trimStart().length;
+        if (text.slice(0, indent).includes('\t')) throw new YamlError('Indent with spaces, not tabs.', number);
+        const content = text.trim();
+        if (content === '---' || content === '...') {
+            if (lines.length) throw new YamlError('Only one document per file is supported.', number);
+            return;
+        }
+        lines.push({ indent, text: content, number });
+    });
+    if (!lines.length) return null;
+
+    let i = 0;
+
+    const parseNode = indent => (isSequenceItem(lines[i].text) ? parseSequence(indent) : parseMapping(indent));
+
+    function parseSequence(indent) {
+        const list = [];
+        while (i < lines.length && lines[i].indent === indent && isSequenceItem(lines[i].text)) {
+            const { text, number } = lines[i];
+            const rest = text.slice(1).trimStart();
+            if (!rest) {
+                i++;
+                list.push(i < lines.length && lines[i].indent > indent ? parseNode(lines[i].indent) : null);
+            } else if (KEY_PATTERN.test(rest) || isSequenceItem(rest)) {
+                // `- key: value` opens a mapping (or nested list) indented to where `key` starts.
+                lines[i] = { indent: indent + text.length - rest.length, text: rest, number };
+                list.push(parseNode(lines[i].indent));
+            } else {
+                list.push(parseInline(rest, number));
+                i++;
+            }
+        }
+        return list;
+    }
+
+    function parseMapping(indent) {
+        const map = {};
+        while (i < lines.length && lines[i].indent === indent && !isSequenceItem(lines[i].text)) {
+            const { text, number } = lines[i];
+            const match = KEY_PATTERN.exec(text);
+            if (!match) throw new YamlError(`Expected "key: value", got ${text}`, number);
+            const key = unquote(match[1].trim(), number);
+            if (Object.prototype.hasOwnProperty.call(map, key)) throw new YamlError(`Duplicate key ${key}.`, number);
+            const rest = text.slice(match[0].length).trim();
+            i++;
+            if (rest) {
+                map[key] = parseInline(rest, number);
+            } else if (i < lines.length && lines[i].indent > indent) {
+                map[key] = parseNode(lines[i].indent);
+            } else if (i < lines.length && lines[i].indent === indent && isSequenceItem(lines[i].text)) {
+                map[key] = parseSequence(indent);
+            } else {
+                map[key] = null;
+            }
+        }
+        return map;
+    }
+
+    const document = parseNode(lines[0].indent);
+    if (i < lines.length) throw new YamlError('Unexpected indentation.', lines[i].number);
+    return document;
+}
+
+module.exports = { YamlError, parseYaml };
@@ -0,0 +1,135 @@
+require('dotenv').config();
+const express = require('express');
+const http = require('http');
+const { Transaction, keccak256, concat, id: keccakId, verifyMessage, toBeHex } = require('ethers');
+
+// --- Local Mock Relay ---
+// Offline stand-in for private relays and builder RPCs so the whole
+// /api/protect path can be exercised without network access. Run with
+// `npm run mock-relay` and point RELAYS at http://localhost:8547.
+//
+// Speaks eth_sendPrivateTransaction, eth_sendRawTransaction, eth_sendBundle,
+// eth_callBundle and eth_blockNumber (a synthetic chain advancing every blockTimeMs).
+// X-Flashbots-Signature headers are verified when present. GET /requests
+// lists everything received, for inspection in tests.
+
+const txHash = (raw) => {
+    try {
+        return Transaction.from(raw).hash;
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * @param {object} [options]
+ * @param {boolean} [options.reject=false] - Answer every submission with an error.
+ * @param {boolean} [options.requireAuth=false] - Reject requests without a valid X-Flashbots-Signature.
+ * @param {number} [options.blockTimeMs=12000]
+ * @returns {http.Server}
+ */
+function createMockRelayServer({ reject = false, requireAuth = false, blockTimeMs = 12000 } = {}) {
+    const app = express();
+    const startedAt = Date.now();
+    const received = [];
+    const currentBlock = () => 1000000 + Math.floor((Date.now() - startedAt) / blockTimeMs);
+
+    app.use(express.text({ type: '*/*' }));
+
+    app.get('/requests', (req, res) => res.json(received));
+
+    app.post('/', (req, res) => {
+        let request;
+        try {
+            request = JSON.parse(req.body);
+        } catch (err) {
+            return res.status(400).json({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+        }
+        const reply = (result) => res.json({ jsonrpc: '2.0', id: request.id, result });
+        const fail = (code, message, status = 200) => res.status(status).json({ jsonrpc: '2.0', id: request.id, error: { code, message } });
+
+        const authHeader = req.get('X-Flashbots-Signature');
+        let signer = null;
+        if (authHeader) {
+            const [address, signature] = authHeader.split(':');
+            try {
+                signer = verifyMessage(keccakId(req.body), signature);
+            } catch (err) {
+                signer = null;
+            }
+            if (!signer || signer.toLowerCase() !== (address || '').toLowerCase()) {
+                return fail(-32600, 'Invalid X-Flashbots-Signature', 403);
+            }
+        } else if (requireAuth && request.method !== 'eth_blockNumber') {
+            return fail(-32600, 'Missing X-Flashbots-Signature', 403);
+        }
+
+        received.push({ method: request.method, params: request.params, signer, receivedAt: new Date().toISOString() });
+        const [params] = request.params || [];
+
+        switch (request.method) {
+        case 'eth_blockNumber':
+            return reply(toBeHex(currentBlock()));
+        case 'eth_sendRawTransaction':
+        case 'eth_sendPrivateTransaction': {
+            if (reject) return fail(-32000, 'mock relay configured to reject submissions');
+            const raw = request.method === 'eth_sendRawTransaction' ? params : params && params.tx;
+            const hash = txHash(raw);
+            return hash ? reply(hash) : fail(-32602, 'invalid transaction');
+        }
+        case 'eth_sendBundle': {
+            if (reject) return fail(-32000, 'mock relay configured to reject submissions');
+            if (!params || !Array.isArray(params.txs) || params.txs.length === 0 || !params.blockNumber) {
+                return fail(-32602, 'bundle requires txs and blockNumber');
+            }
+            const hashes = params.txs.map(txHash);
+            if (hashes.includes(null)) return fail(-32602, 'bundle contains an invalid transaction');
+            return reply({ bundleHash: keccak256(concat([...hashes, toBeHex(BigInt(params.blockNumber), 32)])) });
+        }
+        case 'eth_callBundle': {
+            if (!params || !Array.isArray(params.txs) || params.txs.length === 0 || !params.blockNumber) {
+                return fail(-32602, 'bundle requires txs and blockNumber');
+            }
+            // Deterministic report: gas from calldata size, coinbase payment from
+            // the priority fee. Txs with calldata starting 0xdeadbeef revert.
+            const results = [];
+            for (const raw of params.txs) {
+                let tx;
+                try {
+                    tx = Transaction.from(raw);
+                } catch (err) {
+                    return fail(-32602, 'bundle contains an invalid transaction');
+                }
+                const gasUsed = 21000n + 16n * BigInt((tx.data.length - 2) / 2);
+                const tip = tx.maxPriorityFeePerGas ?? tx.gasPrice ?? 0n;
+                const result = { txHash: tx.hash, gasUsed: Number(gasUsed), coinbaseDiff: (gasUsed * tip).toString() };
+                if (tx.data.startsWith('0xdeadbeef')) result.revert = 'execution reverted';
+                results.push(result);
+            }
+            return reply({
+                bundleHash: keccak256(concat(results.map(result => result.txHash))),
+                results,
+                totalGasUsed: results.reduce((sum, result) => sum + result.gasUsed, 0),
+                coinbaseDiff: results.reduce((sum, result) => sum + BigInt(result.coinbaseDiff), 0n).toString(),
+                stateBlockNumber: currentBlock(),
+            });
+        }
+        default:
+            return fail(-32601, `Method ${request.method} not supported by mock relay`);
+        }
+    });
+
+    return http.createServer(app);
+}
+
+if (require.main === module) {
+    const port = Number(process.env.MOCK_RELAY_PORT) || 8547;
+    createMockRelayServer({
+        reject: process.env.MOCK_RELAY_REJECT === 'true',
+        requireAuth: process.env.MOCK_RELAY_REQUIRE_AUTH === 'true',
+    }).listen(port, () => {
+        console.log(`Mock relay listening on http://localhost:${port}`);
+    });
+}
+
+module.exports = { createMockRelayServer };
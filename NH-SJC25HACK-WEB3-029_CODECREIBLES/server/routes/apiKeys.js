@@ -0,0 +1,75 @@
+const express = require('express');
+const { API_KEY_SCOPES, ApiKeyError, requireScope } = require('../lib/apiKeys');
+
+// --- API Key Administration ---
+//
+//   GET    /api/admin/keys              every key (never the key itself)
+//   POST   /api/admin/keys              { name, scopes, rateLimitPerMinute?, burst?, expiresAt? }
+//   POST   /api/admin/keys/:id/rotate   new secret, same id, scopes and limits
+//   DELETE /api/admin/keys/:id          revoke
+//
+// Every route needs a key with the admin scope. Create and rotate return the
+// plaintext key once; only its hash is stored.
+
+/**
+ * @param {object} deps
+ * @param {ApiKeyStore} deps.store
+ * @returns {express.Router}
+ */
+function createApiKeysRouter({ store }) {
+    const router = express.Router();
+    router.use(requireScope(API_KEY_SCOPES.ADMIN));
+
+    const handleError = (res, err, action) => {
+        if (err instanceof ApiKeyError) {
+            return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+        }
+        console.error(`API key ${action} error:`, err.message);
+        return res.status(500).json({ success: false, message: `Database error while trying to ${action} the API key.` });
+    };
+
+    router.get('/', async (req, res) => {
+        try {
+            res.json({ success: true, keys: await store.list() });
+        } catch (err) {
+            handleError(res, err, 'read');
+        }
+    });
+
+    router.post('/', async (req, res) => {
+        try {
+            const { key, apiKey } = await store.create(req.body);
+            console.log(`API key ${apiKey.id} (${apiKey.name}) created by key ${req.apiKey.id}`);
+            res.status(201).json({ success: true, key, apiKey });
+        } catch (err) {
+            handleError(res, err, 'create');
+        }
+    });
+
+    router.post('/:id/rotate', async (req, res) => {
+        try {
+            const rotated = await store.rotate(req.params.id);
+            if (!rotated) return res.status(404).json({ success: false, message: 'API key not found or revoked.' });
+            console.log(`API key ${rotated.apiKey.id} rotated by key ${req.apiKey.id}`);
+            res.json({ success: true, ...rotated });
+        } catch (err) {
+            handleError(res, err, 'rotate');
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            if (!await store.revoke(req.params.id)) {
+                return res.status(404).json({ success: false, message: 'API key not found or already revoked.' });
+            }
+            console.log(`API key ${req.params.id} revoked by key ${req.apiKey.id}`);
+            res.json({ success: true, apiKey: await store.get(req.params.id) });
+        } catch (err) {
+            handleError(res, err, 'revoke');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createApiKeysRouter };
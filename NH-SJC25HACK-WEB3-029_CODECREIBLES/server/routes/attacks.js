@@ -0,0 +1,54 @@
+const express = require('express');
+const { FeedFilterError } = require('../lib/attackFeed');
+const { AttackQueryError, listAttacks, getAttack } = require('../lib/attackHistory');
+
+// --- Attack History API ---
+//
+//   GET /api/attacks       offset, limit, maxId, sort (newest, oldest, risk, value), q, and the
+//                          feed filters chainId, types, minRiskScore, minValueEth, addresses
+//   GET /api/attacks/:id   the attack with links to its forensics, stats and the attacker's other attacks
+//
+// Attacks are the `new_attack` payloads recorded in attack_events; see
+// lib/attackHistory.js for paging and search.
+
+/**
+ * @param {object} deps
+ * @param {object} deps.db - sqlite3 Database.
+ * @returns {express.Router}
+ */
+function createAttacksRouter({ db }) {
+    const router = express.Router();
+
+    const handleError = (res, err) => {
+        if (err instanceof AttackQueryError || err instanceof FeedFilterError) {
+            return res.status(err.status).json({ success: false, message: err.message });
+        }
+        console.error('Attack history error:', err.message);
+        return res.status(500).json({ success: false, message: 'Database error while reading attack history.' });
+    };
+
+    router.get('/', async (req, res) => {
+        try {
+            res.json({ success: true, ...await listAttacks(db, req.query) });
+        } catch (err) {
+            handleError(res, err);
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        if (!/^\d+$/.test(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Attack id must be a positive integer.' });
+        }
+        try {
+            const attack = await getAttack(db, Number(req.params.id));
+            if (!attack) return res.status(404).json({ success: false, message: 'Attack not found.' });
+            res.json({ success: true, attack });
+        } catch (err) {
+            handleError(res, err);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAttacksRouter };
@@ -0,0 +1,71 @@
+const express = require('express');
+const { SiweError, verifySiweMessage } = require('../lib/siwe');
+const { requireSession, bearerToken } = require('../lib/sessions');
+
+// --- Sign-In with Ethereum API ---
+//
+//   GET  /api/auth/nonce    single-use nonce for the next SIWE message
+//   POST /api/auth/verify   { message, signature } -> { token, address, chainId, expiresAt }
+//   GET  /api/auth/session  the current session
+//   POST /api/auth/logout   revokes the bearer token
+
+/**
+ * @param {object} deps
+ * @param {SessionStore} deps.sessions
+ * @param {string[]} deps.domains - Accepted SIWE domains.
+ * @param {bigint|null} deps.expectedChainId
+ * @param {object|null} deps.rpc - Enables EIP-1271 contract wallet signatures.
+ * @returns {express.Router}
+ */
+function createAuthRouter({ sessions, domains, expectedChainId, rpc }) {
+    const router = express.Router();
+
+    router.get('/nonce', async (req, res) => {
+        try {
+            res.json({ success: true, ...await sessions.issueNonce() });
+        } catch (err) {
+            console.error('DB Insert Error (siwe_nonces):', err.message);
+            res.status(500).json({ success: false, message: 'Could not issue a sign-in nonce.' });
+        }
+    });
+
+    router.post('/verify', async (req, res) => {
+        const { message, signature } = req.body;
+        try {
+            if (typeof signature !== 'string' || !/^0x[0-9a-fA-F]+$/.test(signature)) {
+                throw new SiweError('signature must be a 0x-prefixed hex string.', 'INVALID_SIGNATURE', 400);
+            }
+            const parsed = await verifySiweMessage({ message, signature, domains, expectedChainId, rpc });
+            if (!await sessions.consumeNonce(parsed.nonce)) {
+                throw new SiweError('Nonce is unknown, expired or already used. Request a new one.', 'INVALID_NONCE');
+            }
+            const session = await sessions.create(parsed);
+            console.log(`SIWE sign-in: ${session.address} (chain ${session.chainId})`);
+            res.json({ success: true, ...session });
+        } catch (err) {
+            if (err instanceof SiweError) {
+                return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+            }
+            console.error('SIWE verify error:', err.message);
+            res.status(500).json({ success: false, message: 'Unexpected error while verifying sign-in.' });
+        }
+    });
+
+    router.get('/session', requireSession, (req, res) => {
+        res.json({ success: true, address: req.user.address, chainId: req.user.chainId, expiresAt: req.user.expiresAt });
+    });
+
+    router.post('/logout', requireSession, async (req, res) => {
+        try {
+            await sessions.revoke(bearerToken(req));
+            res.json({ success: true });
+        } catch (err) {
+            console.error('DB Delete Error (sessions):', err.message);
+            res.status(500).json({ success: false, message: 'Could not end the session.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter };
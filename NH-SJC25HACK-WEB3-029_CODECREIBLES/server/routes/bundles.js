@@ -0,0 +1,247 @@
+const express = require('express');
+const { keccak256, concat } = require('ethers');
+const dbHelpers = require('../lib/db');
+const { decodeSignedTransaction, TransactionValidationError } = require('../lib/txDecoder');
+const { simulateWithCallBundle, simulateOnFork } = require('../lib/bundleSimulator');
+const { findChain } = require('../lib/chains');
+
+// --- Bundle Submission API ---
+//
+// POST /api/bundles accepts an ordered list of signed transactions and a
+// target block range, simulates the bundle (eth_callBundle on the first
+// bundle relay, else the chain's local fork), then submits it to every
+// bundle relay for each block in the range. The chain is the one the
+// transactions are signed for; they must all agree, and each chain uses its
+// own node, fork and relays. Bundles and their transactions
+// are persisted next to protected_trades, with the submitter: the signed-in
+// wallet and/or the API key. GET /api/bundles/:id only returns a bundle to
+// the same wallet or key; anonymous submissions are not readable afterwards.
+
+const MAX_BUNDLE_TXS = 20;
+const MAX_BLOCK_RANGE = 25;
+
+const BUNDLE_STATUS = {
+    SIMULATION_FAILED: 'simulation_failed',
+    SUBMITTED: 'submitted',
+    REJECTED: 'rejected',
+    NOT_SUBMITTED: 'not_submitted',
+};
+
+const badRequest = (res, message, code = 'INVALID_BUNDLE', status = 400) => res.status(status).json({ success: false, code, message });
+
+const optionalInteger = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+// WHERE clause matching the bundles the request's session or API key submitted, null for anonymous requests.
+function submitterClause(req) {
+    const where = [];
+    const params = [];
+    if (req.user) {
+        where.push('user_address = ?');
+        params.push(req.user.address.toLowerCase());
+    }
+    if (req.apiKey) {
+        where.push('api_key_id = ?');
+        params.push(req.apiKey.id);
+    }
+    return where.length ? { sql: `(${where.join(' OR ')})`, params } : null;
+}
+
+/**
+ * @param {object} deps
+ * @param {object} deps.db - sqlite3 Database.
+ * @param {object[]} deps.chains - Chain registry (see lib/chains).
+ * @param {function(object): object} deps.runtimeFor - Chain -> { relays, rpc, forkRpc }; only `bundle`
+ *   relays are used, rpc gives the current block number and forkRpc simulates when no relay can.
+ * @param {bigint|null} deps.expectedChainId - When set, only transactions signed for this chain are accepted.
+ * @returns {express.Router}
+ */
+function createBundlesRouter({ db, chains, runtimeFor, expectedChainId }) {
+    const router = express.Router();
+
+    router.post('/', async (req, res) => {
+        const { transactions, minTimestamp, maxTimestamp, revertingTxHashes = [] } = req.body;
+        const fromBlock = optionalInteger(req.body.fromBlock ?? req.body.targetBlock);
+        const toBlock = optionalInteger(req.body.toBlock ?? req.body.targetBlock);
+        const minTs = optionalInteger(minTimestamp);
+        const maxTs = optionalInteger(maxTimestamp);
+
+        if (!Array.isArray(transactions) || transactions.length === 0) {
+            return badRequest(res, 'transactions must be a non-empty array of signed raw transactions.');
+        }
+        if (transactions.length > MAX_BUNDLE_TXS) {
+            return badRequest(res, `A bundle may contain at most ${MAX_BUNDLE_TXS} transactions.`);
+        }
+        if (!Number.isSafeInteger(fromBlock) || !Number.isSafeInteger(toBlock) || fromBlock <= 0 || toBlock < fromBlock) {
+            return badRequest(res, 'Provide fromBlock/toBlock (or targetBlock) with fromBlock <= toBlock.');
+        }
+        if (toBlock - fromBlock + 1 > MAX_BLOCK_RANGE) {
+            return badRequest(res, `The target block range may span at most ${MAX_BLOCK_RANGE} blocks.`);
+        }
+        if ([minTs, maxTs].some(ts => ts !== null && !Number.isSafeInteger(ts)) || (minTs !== null && maxTs !== null && minTs > maxTs)) {
+            return badRequest(res, 'minTimestamp/maxTimestamp must be integer unix seconds with minTimestamp <= maxTimestamp.');
+        }
+
+        let decoded;
+        try {
+            decoded = transactions.map(raw => decodeSignedTransaction(raw, { expectedChainId }));
+        } catch (err) {
+            if (err instanceof TransactionValidationError) {
+                return badRequest(res, err.message, err.code, err.status);
+            }
+            console.error('Bundle decode error:', err.message);
+            return res.status(500).json({ success: false, message: 'Unexpected error while decoding bundle.' });
+        }
+        const chainIds = [...new Set(decoded.map(tx => String(tx.chainId)))];
+        if (chainIds.length > 1) {
+            return badRequest(res, `Every transaction in a bundle must be signed for the same chain (got ${chainIds.join(', ')}).`, 'MIXED_CHAINS');
+        }
+        const chain = findChain(chains, chainIds[0]);
+        if (!chain) {
+            return badRequest(res, `Transactions are signed for chain ${chainIds[0]}, which MEV-Shield does not support.`, 'UNSUPPORTED_CHAIN', 422);
+        }
+        const { relays, rpc, forkRpc } = runtimeFor(chain);
+        const bundleRelays = relays.filter(relay => relay.type === 'bundle');
+        const txs = transactions.map(raw => raw.trim());
+        const txHashes = decoded.map(tx => tx.hash);
+        if (!Array.isArray(revertingTxHashes) || revertingTxHashes.some(hash => !txHashes.includes(hash))) {
+            return badRequest(res, 'revertingTxHashes must only list hashes of transactions in the bundle.');
+        }
+
+        if (rpc) {
+            try {
+                const currentBlock = Number(await rpc.call('eth_blockNumber'));
+                if (fromBlock <= currentBlock) {
+                    return badRequest(res, `fromBlock ${fromBlock} is not in the future (current block ${currentBlock}).`, 'STALE_TARGET_BLOCK', 422);
+                }
+            } catch (err) {
+                console.warn('Could not read current block for bundle validation:', err.message);
+            }
+        }
+
+        // --- Simulation ---
+        let simulation = null;
+        try {
+            const [simulatingRelay] = bundleRelays;
+            if (simulatingRelay) {
+                simulation = await simulateWithCallBundle(simulatingRelay, { txs, blockNumber: fromBlock, timestamp: minTs });
+            } else if (forkRpc) {
+                simulation = await simulateOnFork(forkRpc, { txs, txHashes });
+            }
+        } catch (err) {
+            return res.status(502).json({ success: false, code: 'SIMULATION_ERROR', message: err.message });
+        }
+
+        const allowedReverts = new Set(revertingTxHashes);
+        const simulationOk = !simulation || simulation.results.every(result => result.success || allowedReverts.has(result.txHash));
+
+        // --- Submission ---
+        let submissions = [];
+        if (simulationOk) {
+            const sent = await Promise.all(bundleRelays.map(relay => relay.sendBundle({
+                txs, fromBlock, toBlock, minTimestamp: minTs, maxTimestamp: maxTs, revertingTxHashes,
+            })));
+            submissions = sent.flat();
+        }
+
+        let status;
+        if (!simulationOk) status = BUNDLE_STATUS.SIMULATION_FAILED;
+        else if (submissions.length === 0) status = BUNDLE_STATUS.NOT_SUBMITTED;
+        else status = submissions.some(result => result.accepted) ? BUNDLE_STATUS.SUBMITTED : BUNDLE_STATUS.REJECTED;
+
+        // --- Persistence ---
+        const bundleHash = keccak256(concat(txHashes));
+        let bundleId;
+        try {
+            // The bundle, its transactions and submissions are stored together or not at all.
+            bundleId = await dbHelpers.transaction(db, async () => {
+                const { lastID: id } = await dbHelpers.run(db,
+                    `INSERT INTO bundles (bundle_hash, from_block, to_block, min_timestamp, max_timestamp, status,
+                        simulation_method, simulation_success, total_gas_used, coinbase_diff, simulation_json, user_address, api_key_id, chain_id)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [bundleHash, fromBlock, toBlock, minTs, maxTs, status,
+                        simulation ? simulation.method : null, simulation ? (simulation.success ? 1 : 0) : null,
+                        simulation ? simulation.totalGasUsed : null, simulation ? simulation.coinbaseDiff : null,
+                        simulation ? JSON.stringify(simulation) : null,
+                        req.user ? req.user.address.toLowerCase() : null, req.apiKey ? req.apiKey.id : null, chain.chainId]);
+
+                for (let position = 0; position < decoded.length; position++) {
+                    const tx = decoded[position];
+                    const result = simulation ? simulation.results.find(r => r.txHash === tx.hash) : null;
+                    await dbHelpers.run(db,
+                        `INSERT INTO bundle_transactions (bundle_id, position, tx_hash, raw_tx, from_address, to_address, nonce,
+                            value_wei, can_revert, success, gas_used, coinbase_payment, revert_reason)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [id, position, tx.hash, txs[position], tx.from, tx.to, tx.nonce, tx.value,
+                            allowedReverts.has(tx.hash) ? 1 : 0,
+                            result ? (result.success ? 1 : 0) : null, result ? result.gasUsed : null,
+                            result ? result.coinbasePayment : null, result ? result.revertReason : null]);
+                }
+
+                for (const submission of submissions) {
+                    await dbHelpers.run(db,
+                        `INSERT INTO bundle_submissions (bundle_id, relay_name, endpoint, target_block, accepted, response, error, latency_ms)
+                         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [id, submission.relay, submission.endpoint, submission.targetBlock, submission.accepted ? 1 : 0,
+                            submission.response === null ? null : JSON.stringify(submission.response), submission.error, submission.latencyMs]);
+                }
+                return id;
+            });
+        } catch (err) {
+            console.error('DB Insert Error (bundles):', err.message);
+            return res.status(500).json({ success: false, message: 'Database error while logging bundle.' });
+        }
+
+        const body = {
+            success: status === BUNDLE_STATUS.SUBMITTED || status === BUNDLE_STATUS.NOT_SUBMITTED,
+            bundleId,
+            bundleHash,
+            chain: chain.key,
+            status,
+            targetBlocks: { from: fromBlock, to: toBlock },
+            simulation: simulation || { method: null, message: `No bundle relay or fork node configured on ${chain.name}; bundle was not simulated.` },
+            submissions,
+        };
+        if (status === BUNDLE_STATUS.SIMULATION_FAILED) {
+            return res.status(422).json({ ...body, code: 'SIMULATION_FAILED', message: 'Bundle simulation reverted; it was not submitted.' });
+        }
+        if (status === BUNDLE_STATUS.REJECTED) {
+            return res.status(502).json({ ...body, code: 'RELAY_REJECTED', message: 'Every bundle relay rejected the bundle.' });
+        }
+        if (status === BUNDLE_STATUS.NOT_SUBMITTED) {
+            body.message = `No bundle relays configured on ${chain.name}; the bundle was simulated and stored only.`;
+        }
+        res.json(body);
+    });
+
+    router.get('/:id', async (req, res) => {
+        const submitter = submitterClause(req);
+        if (!submitter) {
+            return res.status(401).json({
+                success: false,
+                code: 'SIGN_IN_REQUIRED',
+                message: 'Sign in with your wallet or use the API key that submitted the bundle.',
+            });
+        }
+        try {
+            const bundle = await dbHelpers.get(db, `SELECT * FROM bundles WHERE id = ? AND ${submitter.sql}`, [req.params.id, ...submitter.params]);
+            // Someone else's bundle is reported as missing, so ids can't be probed
+            if (!bundle) return res.status(404).json({ success: false, message: 'Bundle not found.' });
+            const transactions = await dbHelpers.all(db, 'SELECT * FROM bundle_transactions WHERE bundle_id = ? ORDER BY position', [bundle.id]);
+            const submissions = await dbHelpers.all(db, 'SELECT * FROM bundle_submissions WHERE bundle_id = ? ORDER BY id', [bundle.id]);
+            const { simulation_json: simulationJson, ...fields } = bundle;
+            res.json({
+                success: true,
+                bundle: { ...fields, simulation: simulationJson ? JSON.parse(simulationJson) : null },
+                transactions,
+                submissions,
+            });
+        } catch (err) {
+            console.error('DB Read Error (bundles):', err.message);
+            res.status(500).json({ success: false, message: 'Database error while reading bundle.' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createBundlesRouter, BUNDLE_STATUS };
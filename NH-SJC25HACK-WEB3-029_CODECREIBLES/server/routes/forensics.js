@@ -0,0 +1,66 @@
+const express = require('express');
+const { RpcError } = require('../lib/rpcClient');
+const { ChainError, resolveChain } = require('../lib/chains');
+const { ForensicsError, analyzeBlock, analyzeTransaction } = require('../lib/forensics');
+
+// --- Sandwich Forensics API ---
+//
+//   GET /api/forensics/tx/:hash        the transaction's swaps, its role and the sandwiches it was part of
+//   GET /api/forensics/block/:number   every sandwich in the block (number, 0x-hex or "latest")
+//
+// Both take ?chainId= (default chain when omitted) and read mined data from
+// that chain's node; see lib/forensics.js for how sandwiches, profit and
+// loss are derived. Each sandwich carries a timeline the client renders.
+
+/**
+ * @param {object} deps
+ * @param {object[]} deps.chains - Chain registry (see lib/chains).
+ * @param {function(object): object|null} deps.rpcFor - JSON-RPC client for a chain, null when none is configured.
+ * @param {function(object): string} deps.rpcVariables - Environment variables that configure it, for the 503 message.
+ * @param {object} [deps.options] - Extra analysis options (see lib/forensics).
+ * @returns {express.Router}
+ */
+function createForensicsRouter({ chains, rpcFor, rpcVariables, options = {} }) {
+    const router = express.Router();
+
+    const withChain = analyze => async (req, res) => {
+        let chain;
+        try {
+            chain = resolveChain(chains, req.query.chainId);
+        } catch (err) {
+            if (!(err instanceof ChainError)) throw err;
+            return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+        }
+        const rpc = rpcFor(chain);
+        if (!rpc) {
+            return res.status(503).json({ success: false, message: `Forensics on ${chain.name} needs a node: set ${rpcVariables(chain)}.` });
+        }
+
+        try {
+            const result = await analyze(rpc, req.params, {
+                ...options,
+                routers: Object.values(chain.routers),
+                wrappedNative: chain.wrappedNative,
+                nativeSymbol: chain.nativeToken.symbol,
+            });
+            res.json({ success: true, chainId: chain.chainId, ...result });
+        } catch (err) {
+            if (err instanceof ForensicsError) {
+                return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+            }
+            if (err instanceof RpcError) {
+                console.error('Forensics node error:', err.message);
+                return res.status(502).json({ success: false, message: `Could not read chain data from the node: ${err.message}` });
+            }
+            console.error('Forensics error:', err.message);
+            return res.status(500).json({ success: false, message: 'Unexpected error while analyzing the chain data.' });
+        }
+    };
+
+    router.get('/tx/:hash', withChain((rpc, { hash }, analysisOptions) => analyzeTransaction(rpc, hash, analysisOptions)));
+    router.get('/block/:number', withChain((rpc, { number }, analysisOptions) => analyzeBlock(rpc, number, analysisOptions)));
+
+    return router;
+}
+
+module.exports = { createForensicsRouter };
@@ -0,0 +1,109 @@
+const express = require('express');
+const { ChainError, resolveChain } = require('../lib/chains');
+const { ScenarioError, GeneratorError, normalizeScenario, previewScenario, randomSeed } = require('../lib/attackGenerator');
+const { loadScenario, listScenarios } = require('../lib/scenarios');
+
+// --- Synthetic Attack Generator API ---
+//
+//   GET  /api/generator                          status of the current (or last) run
+//   GET  /api/generator/scenarios                scenario files, invalid ones with their error
+//   GET  /api/generator/scenarios/:id/preview    the first events of a run (seed, count, chainId), nothing published
+//   POST /api/generator/start                    { scenario: id or inline object, seed?, speed?, chainId? }
+//   POST /api/generator/pause | resume | stop
+//   POST /api/generator/speed                    { speed }
+//
+// One run at a time; its events go to the live feed as source 'synthetic'
+// (see lib/attackGenerator.js). The status carries the seed, so any run can
+// be repeated exactly.
+
+const MAX_PREVIEW = 500;
+
+/**
+ * @param {object} deps
+ * @param {object} deps.generator - AttackGenerator.
+ * @param {string} deps.scenarioDir - Directory of scenario files.
+ * @param {object[]} deps.chains - Chain registry (see lib/chains).
+ * @returns {express.Router}
+ */
+function createGeneratorRouter({ generator, scenarioDir, chains }) {
+    const router = express.Router();
+
+    const sendError = (res, err) => {
+        if (err instanceof ScenarioError || err instanceof GeneratorError || err instanceof ChainError) {
+            return res.status(err.status).json({ success: false, code: err.code, message: err.message });
+        }
+        console.error('Attack generator error:', err.message);
+        return res.status(500).json({ success: false, message: 'Unexpected error in the attack generator.' });
+    };
+
+    const scenarioFor = (input) => {
+        if (input && typeof input === 'object') return normalizeScenario(input);
+        const scenario = typeof input === 'string' ? loadScenario(scenarioDir, input) : null;
+        if (!scenario) {
+            throw new GeneratorError(`Unknown scenario ${input}; GET /api/generator/scenarios lists them.`, 404, 'SCENARIO_NOT_FOUND');
+        }
+        return scenario;
+    };
+
+    router.get('/', (req, res) => res.json({ success: true, generator: generator.status() }));
+
+    router.get('/scenarios', (req, res) => {
+        try {
+            res.json({ success: true, scenarios: listScenarios(scenarioDir) });
+        } catch (err) {
+            sendError(res, err);
+        }
+    });
+
+    router.get('/scenarios/:id/preview', (req, res) => {
+        try {
+            const scenario = scenarioFor(req.params.id);
+            const chain = resolveChain(chains, req.query.chainId);
+            const count = req.query.count === undefined ? 20 : Number(req.query.count);
+            if (!Number.isInteger(count) || count < 1 || count > MAX_PREVIEW) {
+                throw new ScenarioError(`count must be an integer from 1 to ${MAX_PREVIEW}.`);
+            }
+            const seed = req.query.seed === undefined || req.query.seed === '' ? randomSeed() : req.query.seed;
+            res.json({ success: true, seed, events: previewScenario(scenario, { seed, chain, count }) });
+        } catch (err) {
+            sendError(res, err);
+        }
+    });
+
+    router.post('/start', (req, res) => {
+        try {
+            const { scenario, seed, speed, chainId } = req.body || {};
+            const generatorStatus = generator.start({
+                scenario: scenarioFor(scenario),
+                chain: resolveChain(chains, chainId),
+                seed,
+                speed: speed === undefined ? 1 : speed,
+            });
+            res.status(201).json({ success: true, generator: generatorStatus });
+        } catch (err) {
+            sendError(res, err);
+        }
+    });
+
+    for (const action of ['pause', 'resume', 'stop']) {
+        router.post(`/${action}`, (req, res) => {
+            try {
+                res.json({ success: true, generator: generator[action]() });
+            } catch (err) {
+                sendError(res, err);
+            }
+        });
+    }
+
+    router.post('/speed', (req, res) => {
+        try {
+            res.json({ success: true, generator: generator.setSpeed((req.body || {}).speed) });
+        } catch (err) {
+            sendError(res, err);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createGeneratorRouter };
@@ -0,0 +1,92 @@
+const express = require('express');
+const { requireSession } = require('../lib/sessions');
+const {
+    TradeQueryError,
+    listProtectedTrades,
+    getProtectedTrade,
+    exportProtectedTrades,
+    tradesToCsv,
+} = require('../lib/tradeHistory');
+
+// --- Protected Trade History API ---
+//
+//   GET /api/protected-trades              page, pageSize, status, from, to, sender, relay, sort, order
+//   GET /api/protected-trades/export.csv   same filters, every matching trade
+//   GET /api/protected-trades/export.json  same, with status history and relay responses
+//   GET /api/protected-trades/:id          decoded transaction, history, relay responses and pre-submission simulation
+//
+// Only the signed-in user's trades are visible.
+
+/**
+ * @param {object} deps
+ * @param {object} deps.db - sqlite3 Database.
+ * @returns {express.Router}
+ */
+function createProtectedTradesRouter({ db }) {
+    const router = express.Router();
+    router.use(requireSession);
+
+    const handleError = (res, err) => {
+        if (err instanceof TradeQueryError) {
+            return res.status(err.status).json({ success: false, message: err.message });
+        }
+        console.error('Protected trade history error:', err.message);
+        return res.status(500).json({ success: false, message: 'Database error while reading protected trades.' });
+    };
+
+    const exportFilename = (extension) => `protected-trades-${new Date().toISOString().slice(0, 10)}.${extension}`;
+
+    router.get('/', async (req, res) => {
+        try {
+            res.json({ success: true, ...await listProtectedTrades(db, req.user.address, req.query) });
+        } catch (err) {
+            handleError(res, err);
+        }
+    });
+
+    router.get('/export.csv', async (req, res) => {
+        try {
+            const { trades, truncated } = await exportProtectedTrades(db, req.user.address, req.query);
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${exportFilename('csv')}"`);
+            if (truncated) res.set('X-Export-Truncated', 'true');
+            res.send(tradesToCsv(trades));
+        } catch (err) {
+            handleError(res, err);
+        }
+    });
+
+    router.get('/export.json', async (req, res) => {
+        try {
+            const { trades, filters, truncated } = await exportProtectedTrades(db, req.user.address, req.query, { detailed: true });
+            res.set('Content-Disposition', `attachment; filename="${exportFilename('json')}"`);
+            res.json({
+                exportedAt: new Date().toISOString(),
+                address: req.user.address,
+                filters,
+                count: trades.length,
+                truncated,
+                trades,
+            });
+        } catch (err) {
+            handleError(res, err);
+        }
+    });
+
+    router.get('/:id', async (req, res) => {
+        if (!/^\d+$/.test(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Trade id must be a positive integer.' });
+        }
+        try {
+            const trade = await getProtectedTrade(db, req.user.address, Number(req.params.id));
+            if (!trade) return res.status(404).json({ success: false, message: 'Protected trade not found.' });
+            res.json({ success: true, trade });
+        } catch (err) {
+            handleError(res, err);
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createProtectedTradesRouter };
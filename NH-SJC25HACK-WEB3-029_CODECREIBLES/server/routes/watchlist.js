@@ -0,0 +1,151 @@
+const express = require('express');
+const dbHelpers = require('../lib/db');
+const { WatchlistInputError, normalizeRules, normalizeWatchAddress } = require('../lib/watchlist');
+const { requireSession } = require('../lib/sessions');
+const { ChainError, findChain, resolveChain } = require('../lib/chains');
+
+// --- Watchlist API ---
+//
+// CRUD over the signed-in user's watchlist entries (see lib/sessions).
+// Every change reloads the in-memory watcher so new rules apply to the next
+// ingested transaction. Entries are returned with their most recent hits.
+// Entries owned by someone else answer 404, as if they did not exist.
+// Entries are per chain: POST takes a chainId (default chain when omitted)
+// and GET / lists one chain with ?chainId=, every chain without it.
+// rules.valueAbove is in the native token of the entry's chain.
+
+const RECENT_HITS = 5;
+const MAX_HITS_PAGE = 200;
+
+const toEntry = (row, recentHits) => ({
+    id: row.id,
+    chainId: row.chain_id,
+    address: row.address,
+    label: row.label,
+    rules: JSON.parse(row.rules),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    recentHits,
+});
+
+const toHit = (row) => ({
+    id: row.id,
+    rule: row.rule,
+    txHash: row.tx_hash,
+    detail: row.detail,
+    valueWei: row.value_wei,
+    attackType: row.attack_type,
+    createdAt: row.created_at,
+});
+
+/**
+ * @param {object} deps
+ * @param {object} deps.db - sqlite3 Database.
+ * @param {WatchlistWatcher} deps.watcher
+ * @param {object[]} deps.chains - Chain registry (see lib/chains).
+ * @returns {express.Router}
+ */
+function createWatchlistRouter({ db, watcher, chains }) {
+    const router = express.Router();
+
+    router.use(requireSession);
+
+    const findOwned = (req, id) => dbHelpers.get(db,
+        'SELECT * FROM watchlist WHERE id = ? AND user_address = ?', [id, req.user.address]);
+
+    const loadEntry = async (req, id) => {
+        const row = await findOwned(req, id);
+        if (!row) return null;
+        const hits = await dbHelpers.all(db,
+            'SELECT * FROM watchlist_hits WHERE watchlist_id = ? ORDER BY id DESC LIMIT ?', [row.id, RECENT_HITS]);
+        return toEntry(row, hits.map(toHit));
+    };
+
+    const handleError = (res, err, action) => {
+        if (err instanceof WatchlistInputError || err instanceof ChainError) {
+            return res.status(err.status).json({ success: false, message: err.message });
+        }
+        if (err.code === 'SQLITE_CONSTRAINT') {
+            return res.status(409).json({ success: false, message: 'This address is already on the watchlist for that chain.' });
+        }
+        console.error(`Watchlist ${action} error:`, err.message);
+        return res.status(500).json({ success: false, message: `Database error while trying to ${action} the watchlist entry.` });
+    };
+
+    router.get('/', async (req, res) => {
+        try {
+            const chain = req.query.chainId === undefined ? null : resolveChain(chains, req.query.chainId);
+            const rows = chain
+                ? await dbHelpers.all(db, 'SELECT id FROM watchlist WHERE user_address = ? AND chain_id = ? ORDER BY id',
+                    [req.user.address, chain.chainId])
+                : await dbHelpers.all(db, 'SELECT id FROM watchlist WHERE user_address = ? ORDER BY id', [req.user.address]);
+            const entries = await Promise.all(rows.map(row => loadEntry(req, row.id)));
+            res.json({ success: true, entries });
+        } catch (err) {
+            handleError(res, err, 'read');
+        }
+    });
+
+    router.post('/', async (req, res) => {
+        try {
+            const address = normalizeWatchAddress(req.body.address);
+            const chain = resolveChain(chains, req.body.chainId);
+            const label = String(req.body.label || '').trim() || `${address.slice(0, 6)}…${address.slice(-4)}`;
+            const rules = normalizeRules(req.body.rules, undefined, chain.nativeToken);
+            const now = new Date().toISOString();
+            const { lastID } = await dbHelpers.run(db,
+                'INSERT INTO watchlist (user_address, chain_id, address, label, rules, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+                [req.user.address, chain.chainId, address, label, JSON.stringify(rules), now, now]);
+            await watcher.reload();
+            res.status(201).json({ success: true, entry: await loadEntry(req, lastID) });
+        } catch (err) {
+            handleError(res, err, 'create');
+        }
+    });
+
+    router.put('/:id', async (req, res) => {
+        try {
+            const existing = await findOwned(req, req.params.id);
+            if (!existing) return res.status(404).json({ success: false, message: 'Watchlist entry not found.' });
+            const label = req.body.label === undefined ? existing.label : String(req.body.label).trim() || existing.label;
+            const chain = findChain(chains, existing.chain_id);
+            const rules = normalizeRules(req.body.rules, JSON.parse(existing.rules), chain ? chain.nativeToken : undefined);
+            await dbHelpers.run(db, 'UPDATE watchlist SET label = ?, rules = ?, updated_at = ? WHERE id = ?',
+                [label, JSON.stringify(rules), new Date().toISOString(), existing.id]);
+            await watcher.reload();
+            res.json({ success: true, entry: await loadEntry(req, existing.id) });
+        } catch (err) {
+            handleError(res, err, 'update');
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            const existing = await findOwned(req, req.params.id);
+            if (!existing) return res.status(404).json({ success: false, message: 'Watchlist entry not found.' });
+            await dbHelpers.run(db, 'DELETE FROM watchlist_hits WHERE watchlist_id = ?', [existing.id]);
+            await dbHelpers.run(db, 'DELETE FROM watchlist WHERE id = ?', [existing.id]);
+            await watcher.reload();
+            res.json({ success: true });
+        } catch (err) {
+            handleError(res, err, 'delete');
+        }
+    });
+
+    router.get('/:id/hits', async (req, res) => {
+        const limit = Math.min(MAX_HITS_PAGE, Math.max(1, Number(req.query.limit) || 50));
+        try {
+            const existing = await findOwned(req, req.params.id);
+            if (!existing) return res.status(404).json({ success: false, message: 'Watchlist entry not found.' });
+            const hits = await dbHelpers.all(db,
+                'SELECT * FROM watchlist_hits WHERE watchlist_id = ? ORDER BY id DESC LIMIT ?', [existing.id, limit]);
+            res.json({ success: true, hits: hits.map(toHit) });
+        } catch (err) {
+            handleError(res, err, 'read');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createWatchlistRouter };
@@ -0,0 +1,205 @@
+const express = require('express');
+const dbHelpers = require('../lib/db');
+const { requireSession } = require('../lib/sessions');
+const { ChainError, resolveChain } = require('../lib/chains');
+const { DELIVERY_STATUS, WebhookInputError, normalizeSubscription, generateSecret } = require('../lib/webhooks');
+
+// --- Webhook Subscriptions API ---
+//
+//   GET    /api/webhooks                      the user's subscriptions
+//   POST   /api/webhooks                      { url, events, minRiskScore?, chainId?, description?, secret? }
+//   PUT    /api/webhooks/:id                  same fields, all optional, plus active
+//   DELETE /api/webhooks/:id                  the subscription, its deliveries and dead letters
+//   POST   /api/webhooks/:id/test             sends a signed webhook.test event now
+//   GET    /api/webhooks/:id/deliveries       delivery log with every attempt (?status=, ?limit=)
+//   GET    /api/webhooks/:id/dead-letters     deliveries that ran out of retries
+//
+// The signing secret is only returned when the subscription is created.
+// Subscriptions owned by someone else answer 404, as if they did not exist.
+
+const MAX_LOG_PAGE = 200;
+
+const toSubscription = (row) => ({
+    id: row.id,
+    url: row.url,
+    events: JSON.parse(row.events),
+    minRiskScore: row.min_risk_score,
+    chainId: row.chain_id,
+    description: row.description,
+    active: Boolean(row.active),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+});
+
+const toAttempt = (row) => ({
+    attempt: row.attempt,
+    requestedAt: row.requested_at,
+    statusCode: row.status_code,
+    error: row.error,
+    durationMs: row.duration_ms,
+});
+
+const toDelivery = (row, attempts) => ({
+    id: row.id,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    status: row.status,
+    attempts: row.attempts,
+    lastStatusCode: row.last_status_code,
+    lastError: row.last_error,
+    nextAttemptAt: row.next_attempt_at,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+    payload: JSON.parse(row.payload),
+    attemptLog: attempts.map(toAttempt),
+});
+
+/**
+ * @param {object} deps
+ * @param {object} deps.db - sqlite3 Database.
+ * @param {WebhookDispatcher} deps.dispatcher
+ * @param {object[]} deps.chains - Chain registry (see lib/chains).
+ * @returns {express.Router}
+ */
+function createWebhooksRouter({ db, dispatcher, chains }) {
+    const router = express.Router();
+    router.use(requireSession);
+
+    const findOwned = (req, id) => dbHelpers.get(db,
+        'SELECT * FROM webhook_subscriptions WHERE id = ? AND user_address = ?', [id, req.user.address]);
+
+    const notFound = res => res.status(404).json({ success: false, message: 'Webhook subscription not found.' });
+
+    const handleError = (res, err, action) => {
+        if (err instanceof WebhookInputError || err instanceof ChainError) {
+            return res.status(err.status).json({ success: false, message: err.message });
+        }
+        console.error(`Webhook ${action} error:`, err.message);
+        return res.status(500).json({ success: false, message: `Database error while trying to ${action} the webhook subscription.` });
+    };
+
+    const resolveChainId = value => resolveChain(chains, value);
+
+    router.get('/', async (req, res) => {
+        try {
+            const rows = await dbHelpers.all(db,
+                'SELECT * FROM webhook_subscriptions WHERE user_address = ? ORDER BY id', [req.user.address]);
+            res.json({ success: true, subscriptions: rows.map(toSubscription) });
+        } catch (err) {
+            handleError(res, err, 'read');
+        }
+    });
+
+    router.post('/', async (req, res) => {
+        try {
+            const subscription = normalizeSubscription(req.body, null, resolveChainId);
+            await dispatcher.checkUrl(subscription.url);
+            const secret = subscription.secret || generateSecret();
+            const now = new Date().toISOString();
+            const { lastID } = await dbHelpers.run(db,
+                `INSERT INTO webhook_subscriptions (user_address, url, secret, events, min_risk_score, chain_id, description, active, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [req.user.address, subscription.url, secret, JSON.stringify(subscription.events), subscription.minRiskScore,
+                    subscription.chainId, subscription.description, subscription.active ? 1 : 0, now, now]);
+            const row = await findOwned(req, lastID);
+            res.status(201).json({ success: true, subscription: { ...toSubscription(row), secret } });
+        } catch (err) {
+            handleError(res, err, 'create');
+        }
+    });
+
+    router.put('/:id', async (req, res) => {
+        try {
+            const existing = await findOwned(req, req.params.id);
+            if (!existing) return notFound(res);
+            const subscription = normalizeSubscription(req.body, toSubscription(existing), resolveChainId);
+            if (subscription.url !== existing.url) await dispatcher.checkUrl(subscription.url);
+            await dbHelpers.run(db,
+                `UPDATE webhook_subscriptions SET url = ?, secret = ?, events = ?, min_risk_score = ?, chain_id = ?, description = ?,
+                 active = ?, updated_at = ? WHERE id = ?`,
+                [subscription.url, subscription.secret || existing.secret, JSON.stringify(subscription.events), subscription.minRiskScore,
+                    subscription.chainId, subscription.description, subscription.active ? 1 : 0, new Date().toISOString(), existing.id]);
+            res.json({ success: true, subscription: toSubscription(await findOwned(req, existing.id)) });
+        } catch (err) {
+            handleError(res, err, 'update');
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            const existing = await findOwned(req, req.params.id);
+            if (!existing) return notFound(res);
+            await dbHelpers.run(db,
+                'DELETE FROM webhook_attempts WHERE delivery_id IN (SELECT id FROM webhook_deliveries WHERE subscription_id = ?)', [existing.id]);
+            await dbHelpers.run(db, 'DELETE FROM webhook_dead_letters WHERE subscription_id = ?', [existing.id]);
+            await dbHelpers.run(db, 'DELETE FROM webhook_deliveries WHERE subscription_id = ?', [existing.id]);
+            await dbHelpers.run(db, 'DELETE FROM webhook_subscriptions WHERE id = ?', [existing.id]);
+            res.json({ success: true });
+        } catch (err) {
+            handleError(res, err, 'delete');
+        }
+    });
+
+    router.post('/:id/test', async (req, res) => {
+        try {
+            const existing = await findOwned(req, req.params.id);
+            if (!existing) return notFound(res);
+            const result = await dispatcher.sendTest(toSubscription(existing));
+            res.json({ success: true, delivery: result });
+        } catch (err) {
+            handleError(res, err, 'test');
+        }
+    });
+
+    router.get('/:id/deliveries', async (req, res) => {
+        const limit = Math.min(MAX_LOG_PAGE, Math.max(1, Number(req.query.limit) || 50));
+        try {
+            const existing = await findOwned(req, req.params.id);
+            if (!existing) return notFound(res);
+            const status = req.query.status === undefined ? null : String(req.query.status);
+            if (status !== null && !Object.values(DELIVERY_STATUS).includes(status)) {
+                throw new WebhookInputError(`status must be one of: ${Object.values(DELIVERY_STATUS).join(', ')}.`);
+            }
+            const rows = await dbHelpers.all(db,
+                `SELECT * FROM webhook_deliveries WHERE subscription_id = ?${status ? ' AND status = ?' : ''} ORDER BY id DESC LIMIT ?`,
+                status ? [existing.id, status, limit] : [existing.id, limit]);
+            const attempts = rows.length
+                ? await dbHelpers.all(db,
+                    `SELECT * FROM webhook_attempts WHERE delivery_id IN (${rows.map(() => '?').join(', ')}) ORDER BY attempt`,
+                    rows.map(row => row.id))
+                : [];
+            const deliveries = rows.map(row => toDelivery(row, attempts.filter(attempt => attempt.delivery_id === row.id)));
+            res.json({ success: true, deliveries });
+        } catch (err) {
+            handleError(res, err, 'read');
+        }
+    });
+
+    router.get('/:id/dead-letters', async (req, res) => {
+        const limit = Math.min(MAX_LOG_PAGE, Math.max(1, Number(req.query.limit) || 50));
+        try {
+            const existing = await findOwned(req, req.params.id);
+            if (!existing) return notFound(res);
+            const rows = await dbHelpers.all(db,
+                'SELECT * FROM webhook_dead_letters WHERE subscription_id = ? ORDER BY id DESC LIMIT ?', [existing.id, limit]);
+            res.json({
+                success: true,
+                deadLetters: rows.map(row => ({
+                    id: row.id,
+                    deliveryId: row.delivery_id,
+                    eventType: row.event_type,
+                    attempts: row.attempts,
+                    lastError: row.last_error,
+                    failedAt: row.failed_at,
+                    payload: JSON.parse(row.payload),
+                })),
+            });
+        } catch (err) {
+            handleError(res, err, 'read');
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createWebhooksRouter };
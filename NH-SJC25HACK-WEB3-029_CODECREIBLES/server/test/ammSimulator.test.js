@@ -0,0 +1,103 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SimulationInputError, getAmountOutV2, createPool, simulateSandwich } = require('../lib/ammSimulator');
+
+const Q96 = 2 ** 96;
+const close = (actual, expected, tolerance = 1e-6) => assert.ok(
+    Math.abs(actual - expected) <= tolerance * Math.max(1, Math.abs(expected)),
+    `expected ${actual} to be within ${tolerance} of ${expected}`);
+
+const V2_POOL = { type: 'uniswap-v2', reserveIn: 1000, reserveOut: 2000000, feeBps: 30 };
+// Price 1 and no initialized ticks: the same curve as a V2 pool with 1000/1000 reserves.
+const V3_POOL = { type: 'uniswap-v3', sqrtPriceX96: String(Q96), liquidity: '1000000000000000000000', feeBps: 30 };
+
+// --- Uniswap V2 ---
+
+test('getAmountOutV2 matches UniswapV2Library.getAmountOut', () => {
+    close(getAmountOutV2(1, 100, 100, 30), (997 * 100) / (100 * 1000 + 997));
+    assert.equal(getAmountOutV2(0, 100, 100, 30), 0);
+});
+
+test('V2 swaps keep the constant product net of fees', () => {
+    const pool = createPool(V2_POOL);
+    const { amountOut, state } = pool.swap(pool.initialState, 10, true);
+    close(amountOut, getAmountOutV2(10, 1000, 2000000, 30));
+    assert.equal(state.reserveIn, 1010);
+    assert.ok(state.reserveIn * state.reserveOut > 1000 * 2000000);
+
+    const back = pool.swap(state, amountOut, false);
+    assert.ok(back.amountOut < 10, 'a round trip pays the fee twice');
+});
+
+test('a V2 sandwich leaves the victim exactly at its slippage limit', () => {
+    const result = simulateSandwich({ pool: V2_POOL, amountIn: 10, slippageTolerance: 1 });
+    assert.equal(result.model, 'uniswap-v2');
+    assert.equal(result.attack.profitable, true);
+    assert.ok(result.attack.frontRunAmountIn > 0);
+    close(result.attack.attackerProfit, result.attack.backRunAmountOut - result.attack.frontRunAmountIn);
+    close(result.victim.amountOut, result.minAmountOut);
+    close(result.victim.lossTokenOut, result.baseline.amountOut - result.victim.amountOut);
+    close(result.victim.priceWorsenedPct, 1, 1e-3);
+    assert.equal(result.riskScore, 63);
+});
+
+test('V2 sandwiches are deterministic', () => {
+    const params = { pool: V2_POOL, amountIn: 10, slippageTolerance: 0.5, tokenInUsd: 3000, attackerGasCost: 0.01 };
+    assert.deepEqual(simulateSandwich(params), simulateSandwich(params));
+});
+
+test('no slippage tolerance leaves no room for a sandwich', () => {
+    const result = simulateSandwich({ pool: V2_POOL, amountIn: 10, slippageTolerance: 0 });
+    assert.equal(result.attack.maxFrontRunAmountIn, 0);
+    assert.equal(result.attack.frontRunAmountIn, 0);
+    assert.equal(result.victim.amountOut, result.baseline.amountOut);
+    assert.equal(result.riskScore, 0);
+});
+
+test('gas costs above the available profit make the sandwich unprofitable', () => {
+    const result = simulateSandwich({ pool: V2_POOL, amountIn: 0.1, slippageTolerance: 0.5, attackerGasCost: 1 });
+    assert.equal(result.attack.profitable, false);
+    assert.equal(result.victim.lossTokenOut, 0);
+});
+
+// --- Uniswap V3 ---
+
+test('a V3 pool without tick crossings prices a single swap like the equivalent V2 pool', () => {
+    const v3 = simulateSandwich({ pool: V3_POOL, amountIn: 10, slippageTolerance: 1 });
+    const v2 = simulateSandwich({ pool: { type: 'uniswap-v2', reserveIn: 1000, reserveOut: 1000, feeBps: 30 }, amountIn: 10, slippageTolerance: 1 });
+    assert.equal(v3.model, 'uniswap-v3');
+    close(v3.spotPrice, 1);
+    close(v3.baseline.amountOut, v2.baseline.amountOut);
+    // V2 fees stay in the reserves and V3 fees do not, so the sandwiches differ slightly.
+    assert.equal(v3.attack.profitable, true);
+    close(v3.victim.amountOut, v3.minAmountOut);
+    close(v3.attack.attackerProfit, v2.attack.attackerProfit, 1e-2);
+});
+
+test('V3 swaps stop where the initialized ticks run out of liquidity', () => {
+    // All liquidity sits above tick -1000 (price ~0.905): a swap cannot push the price below it.
+    const pool = createPool({ ...V3_POOL, ticks: [{ tick: -1000, liquidityNet: '1000000000000000000000' }] });
+    const unbounded = createPool(V3_POOL);
+    const capped = pool.swap(pool.initialState, 500, true);
+    assert.ok(capped.amountOut < unbounded.swap(unbounded.initialState, 500, true).amountOut);
+    close(capped.state.sqrtPrice, Math.pow(1.0001, -500));
+    assert.equal(capped.state.liquidity, 0);
+    close(capped.amountOut, 1000 * (1 - Math.pow(1.0001, -500)));
+});
+
+test('V3 sandwiches respect the victim swap direction', () => {
+    const oneForZero = simulateSandwich({ pool: { ...V3_POOL, sqrtPriceX96: String(2 * Q96), zeroForOne: false }, amountIn: 10 });
+    close(oneForZero.spotPrice, 0.25);
+    assert.ok(oneForZero.baseline.amountOut < 2.5);
+    assert.ok(oneForZero.victim.amountOut >= oneForZero.minAmountOut - 1e-6);
+});
+
+// --- Input Validation ---
+
+test('invalid simulation input raises SimulationInputError', () => {
+    assert.throws(() => simulateSandwich({ pool: V2_POOL, amountIn: -1 }), SimulationInputError);
+    assert.throws(() => simulateSandwich({ pool: V2_POOL, amountIn: 1, slippageTolerance: 100 }), SimulationInputError);
+    assert.throws(() => createPool({ type: 'curve' }), /Unsupported pool type/);
+    assert.throws(() => createPool({ ...V2_POOL, feeBps: 10000 }), SimulationInputError);
+    assert.throws(() => createPool(null), /pool is required/);
+});
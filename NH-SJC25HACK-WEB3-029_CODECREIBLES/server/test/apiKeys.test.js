@@ -0,0 +1,195 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const dbHelpers = require('../lib/db');
+const {
+    API_KEY_SCOPES, ApiKeyError, ApiKeyStore, TokenBucketLimiter, attachApiKey, rateLimit, requireScope, normalizeKeySettings,
+} = require('../lib/apiKeys');
+
+const ANONYMOUS_LIMIT = { rateLimitPerMinute: 60, burst: 10 };
+let db;
+let store;
+let server;
+let api;
+
+before(async () => {
+    db = new sqlite3.Database(':memory:');
+    await dbHelpers.run(db, `CREATE TABLE api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        key_prefix TEXT NOT NULL,
+        scopes TEXT NOT NULL,
+        rate_limit_per_minute INTEGER NOT NULL,
+        burst INTEGER NOT NULL,
+        created_at DATETIME NOT NULL,
+        rotated_at DATETIME,
+        last_used_at DATETIME,
+        expires_at DATETIME,
+        revoked_at DATETIME
+    )`);
+    store = new ApiKeyStore({ db, defaultRateLimitPerMinute: 120 });
+
+    // The middleware chain index.js mounts on /api, with one route per scope.
+    const app = express();
+    app.use((req, res, next) => {
+        req.user = req.get('X-Test-User') ? { address: req.get('X-Test-User') } : null;
+        next();
+    });
+    app.use('/api', attachApiKey(store), rateLimit(new TokenBucketLimiter(), ANONYMOUS_LIMIT));
+    app.get('/api/read', requireScope(API_KEY_SCOPES.READ), (req, res) => res.json({ success: true }));
+    app.get('/api/protect', requireScope(API_KEY_SCOPES.PROTECT, { requireKey: true }), (req, res) => res.json({ success: true }));
+    app.get('/api/admin', requireScope(API_KEY_SCOPES.ADMIN), (req, res) => res.json({ success: true }));
+    server = app.listen(0);
+    api = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await new Promise(resolve => db.close(resolve));
+});
+
+const get = async (path, headers = {}) => {
+    const response = await fetch(`${api}${path}`, { headers });
+    return { status: response.status, headers: response.headers, body: await response.json() };
+};
+
+// --- TokenBucketLimiter ---
+
+test('a bucket allows its burst, then refills at the per-minute rate', (t) => {
+    let now = 1_000_000;
+    t.mock.method(Date, 'now', () => now);
+    const limiter = new TokenBucketLimiter();
+    const limit = { rateLimitPerMinute: 30, burst: 3 };
+
+    assert.deepEqual([1, 2, 3].map(() => limiter.take('key:1', limit).remaining), [2, 1, 0]);
+    const refused = limiter.take('key:1', limit);
+    assert.deepEqual(refused, { allowed: false, limit: 3, remaining: 0, resetSeconds: 6, retryAfterSeconds: 2 });
+    assert.equal(limiter.take('key:2', limit).allowed, true, 'buckets are per id');
+
+    now += 1999;
+    assert.equal(limiter.take('key:1', limit).allowed, false);
+    now += 1;
+    assert.equal(limiter.take('key:1', limit).allowed, true);
+
+    now += 60_000;
+    const refilled = limiter.take('key:1', limit);
+    assert.equal(refilled.remaining, 2, 'refill is capped at the burst');
+    assert.equal(refilled.resetSeconds, 2);
+});
+
+test('the least recently used buckets are dropped past maxBuckets', () => {
+    const limiter = new TokenBucketLimiter({ maxBuckets: 2 });
+    const limit = { rateLimitPerMinute: 1, burst: 1 };
+    limiter.take('a', limit);
+    limiter.take('b', limit);
+    limiter.take('a', limit);
+    limiter.take('c', limit);
+    assert.deepEqual([...limiter.buckets.keys()], ['a', 'c']);
+    assert.equal(limiter.take('b', limit).allowed, true, 'a dropped bucket starts full');
+});
+
+// --- Keys ---
+
+test('validates key settings', () => {
+    const defaults = { rateLimitPerMinute: 60, burst: null };
+    assert.deepEqual(normalizeKeySettings({ name: ' bot ', scopes: ['read', 'read', 'simulate'] }, defaults), {
+        name: 'bot', scopes: ['read', 'simulate'], rateLimitPerMinute: 60, burst: 60, expiresAt: null,
+    });
+    const rejects = (input, pattern) => assert.throws(() => normalizeKeySettings(input, defaults), (err) => {
+        assert.ok(err instanceof ApiKeyError);
+        assert.equal(err.status, 400);
+        assert.match(err.message, pattern);
+        return true;
+    });
+    rejects([], /JSON object/);
+    rejects({ scopes: ['read'] }, /name is required/);
+    rejects({ name: 'bot', scopes: [] }, /scopes must list/);
+    rejects({ name: 'bot', scopes: ['read', 'root'] }, /scopes must list/);
+    rejects({ name: 'bot', scopes: ['read'], burst: 1.5 }, /burst must be an integer/);
+    rejects({ name: 'bot', scopes: ['read'], expiresAt: '2001-01-01' }, /future/);
+});
+
+test('stores only the hash and prefix of a key', async () => {
+    const { key, apiKey } = await store.create({ name: 'stored', scopes: ['read'], burst: 5 });
+    assert.match(key, /^msk_[0-9a-f]{64}$/);
+    assert.equal(apiKey.prefix, key.slice(0, 12));
+    assert.equal(apiKey.rateLimitPerMinute, 120);
+    assert.equal(apiKey.burst, 5);
+    const row = await dbHelpers.get(db, 'SELECT * FROM api_keys WHERE id = ?', [apiKey.id]);
+    assert.ok(!Object.values(row).includes(key));
+});
+
+test('rotation replaces the secret and revocation ends it', async () => {
+    const { key, apiKey } = await store.create({ name: 'rotating', scopes: ['read'] });
+    assert.equal((await store.resolve(key)).id, apiKey.id);
+
+    const rotated = await store.rotate(apiKey.id);
+    assert.notEqual(rotated.key, key);
+    assert.equal(rotated.apiKey.prefix, rotated.key.slice(0, 12));
+    assert.ok(rotated.apiKey.rotatedAt);
+    assert.equal(await store.resolve(key), null);
+    assert.equal((await store.resolve(rotated.key)).id, apiKey.id);
+
+    assert.equal(await store.revoke(apiKey.id), true);
+    assert.equal(await store.revoke(apiKey.id), false);
+    assert.equal(await store.resolve(rotated.key), null);
+    assert.equal(await store.rotate(apiKey.id), null, 'a revoked key cannot be rotated back to life');
+    assert.equal(await store.rotate(9999), null);
+});
+
+test('an expired key no longer resolves', async () => {
+    const { key, apiKey } = await store.create({ name: 'expiring', scopes: ['read'], expiresAt: Date.now() + 60_000 });
+    await dbHelpers.run(db, 'UPDATE api_keys SET expires_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), apiKey.id]);
+    assert.equal(await store.resolve(key), null);
+    assert.equal(await store.resolve('not-a-key'), null);
+});
+
+// --- Middleware ---
+
+test('routes check the key scope; keyless requests pass except on admin routes', async () => {
+    const { key: reader } = await store.create({ name: 'reader', scopes: ['read'] });
+    const { key: admin } = await store.create({ name: 'admin', scopes: ['admin'] });
+
+    assert.equal((await get('/api/read', { 'X-API-Key': reader })).status, 200);
+    const denied = await get('/api/read', { 'X-API-Key': admin });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.code, 'INSUFFICIENT_SCOPE');
+    assert.equal((await get('/api/admin', { 'X-API-Key': admin })).status, 200);
+
+    assert.equal((await get('/api/read')).status, 200);
+    assert.equal((await get('/api/admin')).body.code, 'API_KEY_REQUIRED');
+});
+
+test('requireKey refuses keyless requests unless the user is signed in', async () => {
+    const { key } = await store.create({ name: 'protector', scopes: ['protect'] });
+    assert.equal((await get('/api/protect', { 'X-API-Key': key })).status, 200);
+    assert.equal((await get('/api/protect', { 'X-Test-User': '0xabc' })).status, 200);
+    const refused = await get('/api/protect');
+    assert.equal(refused.status, 401);
+    assert.equal(refused.body.code, 'API_KEY_REQUIRED');
+});
+
+test('an unknown key is refused even on routes that need none', async () => {
+    const { status, body } = await get('/api/read', { 'X-API-Key': 'msk_0000' });
+    assert.equal(status, 401);
+    assert.equal(body.code, 'INVALID_API_KEY');
+});
+
+test('each key is rate limited by its own bucket', async () => {
+    const { key } = await store.create({ name: 'limited', scopes: ['read'], rateLimitPerMinute: 1, burst: 2 });
+    const first = await get('/api/read', { 'X-API-Key': key });
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.equal(first.headers.get('ratelimit-policy'), '2;w=120');
+    assert.equal((await get('/api/read', { 'X-API-Key': key })).status, 200);
+
+    const limited = await get('/api/read', { 'X-API-Key': key });
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+    const { key: other } = await store.create({ name: 'other', scopes: ['read'], rateLimitPerMinute: 1, burst: 1 });
+    assert.equal((await get('/api/read', { 'X-API-Key': other })).status, 200);
+});
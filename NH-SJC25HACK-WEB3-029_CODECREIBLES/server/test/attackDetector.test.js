@@ -0,0 +1,113 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { AttackDetector, describeFinding } = require('../lib/attackDetector');
+const { normalizePendingTx } = require('../lib/mempoolSources');
+const { CHAIN_REGISTRY } = require('../lib/chains');
+
+// data/sample-mempool.jsonl: a WETH->USDC sandwich on V2, a V3 front-run, an
+// equal-bid back-run by the V3 front-runner and two competing Aave liquidations.
+const SAMPLE = fs.readFileSync(path.join(__dirname, '..', 'data', 'sample-mempool.jsonl'), 'utf8')
+    .trim()
+    .split('\n')
+    .map(line => JSON.parse(line));
+
+const MAINNET = CHAIN_REGISTRY.find(chain => chain.chainId === 1);
+const BOT_A = '0x000000000000000000000000000000000000b07a';
+const BOT_B = '0x000000000000000000000000000000000000b07b';
+
+// The detectors' clock follows the capture's seenAt stamps.
+let clock = 0;
+const createDetector = (options = {}) => new AttackDetector({ knownBots: [], routers: Object.values(MAINNET.routers), now: () => clock, ...options });
+const sampleTx = prefix => SAMPLE.find(tx => tx.hash.startsWith(prefix));
+const ingestAll = (detector, txs) => txs.flatMap((tx) => {
+    clock = tx.seenAt;
+    return detector.ingest(normalizePendingTx(tx, tx.seenAt));
+});
+
+test('finds every attack in the sample mempool', () => {
+    const findings = ingestAll(createDetector(), SAMPLE);
+    assert.deepEqual(findings.map(finding => finding.type),
+        ['Front-Run', 'Sandwich Attack', 'Front-Run', 'Back-Run', 'Liquidation Attack', 'Liquidation Attack']);
+
+    const [frontRun, sandwich, , backRun, firstLiquidation, secondLiquidation] = findings;
+    assert.equal(sandwich.attacker, BOT_A);
+    assert.deepEqual(sandwich.txHashes, {
+        frontRun: sampleTx('0x99f86337').hash,
+        victim: sampleTx('0x631fa673').hash,
+        backRun: sampleTx('0xdab9b446').hash,
+    });
+    assert.equal(sandwich.valueAtRiskWei, 12n * 10n ** 18n);
+    assert.equal(sandwich.riskScore, 95);
+
+    assert.equal(backRun.attacker, BOT_B);
+    assert.equal(backRun.evidence.relation, 'recent attacker');
+
+    assert.equal(firstLiquidation.evidence.competingLiquidations, 0);
+    assert.deepEqual(secondLiquidation.txHashes.outbid, [firstLiquidation.txHashes.liquidation]);
+    assert.ok(secondLiquidation.riskScore > firstLiquidation.riskScore);
+
+    // The ordinary swap at the top of the file is never implicated.
+    const implicated = findings.flatMap(finding => Object.values(finding.txHashes).flat());
+    assert.ok(!implicated.includes(SAMPLE[0].hash));
+    assert.ok(frontRun.riskScore < sandwich.riskScore);
+});
+
+test('a sandwich replaces the front-run reported for the same victim', () => {
+    const [frontRun, sandwich] = ingestAll(createDetector(), SAMPLE.slice(0, 4));
+    assert.equal(frontRun.type, 'Front-Run');
+    assert.equal(sandwich.replaces, frontRun);
+    assert.match(describeFinding(sandwich), /bracketed .* front-run 0x99f86337\.\.\. .* back-run 0xdab9b446\.\.\./);
+});
+
+test('reports one sandwich whatever order its transactions arrive in', () => {
+    const legs = [sampleTx('0x631fa673'), sampleTx('0x99f86337'), sampleTx('0xdab9b446')];
+    const orders = [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]];
+    for (const order of orders) {
+        const findings = ingestAll(createDetector(), order.map(i => legs[i]));
+        const sandwiches = findings.filter(finding => finding.type === 'Sandwich Attack');
+        assert.equal(sandwiches.length, 1, `order ${order}`);
+        assert.ok(!findings.some(finding => finding.type === 'Back-Run'), `order ${order}`);
+    }
+});
+
+test('an equal-bid back-run needs a tie to an attacker', () => {
+    const pair = [sampleTx('0x52c9f3aa'), sampleTx('0x6d5541fd')];
+    assert.deepEqual(ingestAll(createDetector(), pair), []);
+
+    const [backRun] = ingestAll(createDetector({ knownBots: [BOT_B] }), pair);
+    assert.equal(backRun.type, 'Back-Run');
+    assert.equal(backRun.evidence.relation, 'known bot');
+
+    // Sent through a contract that is not one of the chain's routers.
+    const viaContract = { ...pair[1], to: '0x00000000000000000000000000000000c0ffee00' };
+    const [privateBackRun] = ingestAll(createDetector(), [pair[0], viaContract]);
+    assert.equal(privateBackRun.evidence.relation, 'private contract');
+});
+
+test('ignores transactions it has already seen and emits findings as events', () => {
+    const detector = createDetector();
+    const emitted = [];
+    detector.on('attack', finding => emitted.push(finding));
+    const findings = ingestAll(detector, [...SAMPLE, ...SAMPLE]);
+    assert.equal(findings.length, 6);
+    assert.deepEqual(emitted, findings);
+});
+
+test('forgets swaps that fall out of the window', () => {
+    const [victim, frontRun] = [sampleTx('0x631fa673'), sampleTx('0x99f86337')];
+    const late = { ...frontRun, seenAt: victim.seenAt + 13000 };
+    assert.deepEqual(ingestAll(createDetector({ windowMs: 12000 }), [victim, late]), []);
+});
+
+test('reported findings expire on the same clock as the swaps', () => {
+    const detector = createDetector({ windowMs: 12000 });
+    const sandwich = SAMPLE.slice(0, 4);
+    assert.equal(ingestAll(detector, sandwich).filter(finding => finding.type === 'Sandwich Attack').length, 1);
+    assert.ok(detector.reported.size > 0);
+
+    detector.prune(sandwich[sandwich.length - 1].seenAt + 13000);
+    assert.equal(detector.reported.size, 0);
+    assert.equal(detector.seen.size, 0);
+});
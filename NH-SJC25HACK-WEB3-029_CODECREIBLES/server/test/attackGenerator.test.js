@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ScenarioError, createRandom, normalizeScenario, createAttackStream, previewScenario } = require('../lib/attackGenerator');
+const { loadScenario } = require('../lib/scenarios');
+const { CHAIN_REGISTRY } = require('../lib/chains');
+
+const SCENARIO_DIR = path.join(__dirname, '..', 'scenarios');
+const MAINNET = CHAIN_REGISTRY.find(chain => chain.chainId === 1);
+const POLYGON = CHAIN_REGISTRY.find(chain => chain.chainId === 137);
+
+const draws = (random, count) => Array.from({ length: count }, () => random.next());
+
+test('createRandom repeats its sequence for the same seed', () => {
+    assert.deepEqual(draws(createRandom('demo'), 50), draws(createRandom('demo'), 50));
+    assert.deepEqual(draws(createRandom(42), 10), draws(createRandom('42'), 10));
+    assert.notDeepEqual(draws(createRandom('demo'), 10), draws(createRandom('demo2'), 10));
+    for (const value of draws(createRandom('range'), 1000)) assert.ok(value >= 0 && value < 1);
+});
+
+test('the same scenario and seed preview the same events', () => {
+    for (const id of ['steady', 'liquidation-cascade', 'nft-mint-frenzy']) {
+        const scenario = loadScenario(SCENARIO_DIR, id);
+        const first = previewScenario(scenario, { seed: 'fixed-seed', chain: MAINNET, count: 100 });
+        const second = previewScenario(scenario, { seed: 'fixed-seed', chain: MAINNET, count: 100 });
+        assert.equal(first.length, 100, id);
+        assert.deepEqual(first, second, id);
+        assert.notDeepEqual(previewScenario(scenario, { seed: 'other-seed', chain: MAINNET, count: 100 }), first, id);
+    }
+});
+
+test('a longer preview starts with the shorter one', () => {
+    const scenario = loadScenario(SCENARIO_DIR, 'steady');
+    const short = previewScenario(scenario, { seed: 7, chain: MAINNET, count: 10 });
+    assert.deepEqual(previewScenario(scenario, { seed: 7, chain: MAINNET, count: 40 }).slice(0, 10), short);
+});
+
+test('events are synthetic, time-ordered and attributed to the chain', () => {
+    const scenario = loadScenario(SCENARIO_DIR, 'steady');
+    const events = previewScenario(scenario, { seed: 'chain', chain: POLYGON, count: 50 });
+    events.forEach((event, i) => {
+        assert.equal(event.source, 'synthetic');
+        assert.equal(event.chainId, 137);
+        assert.ok(scenario.mix.some(entry => entry.type === event.method), event.method);
+        assert.match(event.value, / POL$/);
+        const riskScore = parseInt(event.riskScore, 10);
+        assert.ok(riskScore >= 20 && riskScore <= 99, event.riskScore);
+        if (i > 0) assert.ok(event.offsetMs >= events[i - 1].offsetMs);
+    });
+});
+
+test('a stream ends at the scenario duration', () => {
+    const scenario = normalizeScenario({ name: 'short', rate: 5, durationSec: 10 });
+    const stream = createAttackStream(scenario, { seed: 'end', chain: MAINNET });
+    let count = 0;
+    for (let event = stream.next(); event; event = stream.next()) {
+        assert.ok(event.offsetMs < 10000);
+        count++;
+    }
+    assert.ok(count > 20 && count < 80, `${count} events`);
+});
+
+test('normalizeScenario rejects invalid scenarios', () => {
+    assert.throws(() => normalizeScenario({ name: 'x', rate: -1 }), ScenarioError);
+    assert.throws(() => normalizeScenario({ name: 'x', rate: 1, mix: { 'Sandwich Attack': 0 } }), ScenarioError);
+    assert.throws(() => normalizeScenario('steady'), ScenarioError);
+});
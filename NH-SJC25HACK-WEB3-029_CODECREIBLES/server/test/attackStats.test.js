@@ -0,0 +1,133 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const dbHelpers = require('../lib/db');
+const { StatsQueryError, recordAttackEvent, replaceAttackEvent, aggregateAttackStats } = require('../lib/attackStats');
+
+const ETH = 10n ** 18n;
+let db;
+
+const attack = (method, detectedAt, { riskScore = 50, valueWei = ETH, source = 'mempool', chainId = 1 } = {}) => ({
+    method,
+    detectedAt,
+    riskScore,
+    valueWei: valueWei === null ? null : valueWei.toString(),
+    value: 'label',
+    source,
+    chainId,
+});
+
+before(async () => {
+    db = new sqlite3.Database(':memory:');
+    // The columns initDb creates in index.js.
+    await dbHelpers.run(db, `CREATE TABLE attack_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        attack_type TEXT NOT NULL,
+        source TEXT NOT NULL,
+        risk_score INTEGER NOT NULL,
+        value_wei TEXT,
+        value_eth REAL,
+        value_label TEXT,
+        tx_hash TEXT,
+        tx_hashes TEXT,
+        attacker TEXT,
+        victim TEXT,
+        pool TEXT,
+        rationale TEXT,
+        evidence TEXT,
+        detected_at DATETIME NOT NULL,
+        chain_id INTEGER
+    )`);
+    for (const event of [
+        // Monday 2025-10-06
+        attack('Sandwich Attack', '2025-10-06T01:30:00.000Z', { riskScore: 95, valueWei: 2n * ETH }),
+        attack('Sandwich Attack', '2025-10-06T23:59:59.000Z', { riskScore: 85 }),
+        attack('Front-Run', '2025-10-06T02:00:00.000Z', { riskScore: 70, valueWei: null }),
+        // Sunday 2025-10-12, the same week
+        attack('Back-Run', '2025-10-12T12:00:00.000Z', { riskScore: 39, valueWei: ETH / 2n }),
+        // Monday 2025-10-13, the next week
+        attack('Back-Run', '2025-10-13T00:00:00.000Z', { riskScore: 40 }),
+        // Outside the range
+        attack('Sandwich Attack', '2025-10-14T00:00:00.000Z'),
+        // Left out by default, or filtered by chain
+        attack('Sandwich Attack', '2025-10-06T03:00:00.000Z', { source: 'synthetic' }),
+        attack('Sandwich Attack', '2025-10-06T04:00:00.000Z', { chainId: 137 }),
+    ]) {
+        await recordAttackEvent(db, event);
+    }
+});
+
+after(() => new Promise(resolve => db.close(resolve)));
+
+const RANGE = { from: '2025-10-06T00:00:00.000Z', to: '2025-10-13T23:59:59.999Z', chainId: 1 };
+
+test('buckets events by day with empty days as zeros', async () => {
+    const stats = await aggregateAttackStats(db, { ...RANGE, granularity: 'day' });
+    assert.equal(stats.data.labels.length, 8);
+    assert.equal(stats.data.labels[0], '2025-10-06');
+    assert.equal(stats.data.labels[7], '2025-10-13');
+    assert.deepEqual(stats.data.types['Sandwich Attack'], [2, 0, 0, 0, 0, 0, 0, 0]);
+    assert.deepEqual(stats.data.types['Back-Run'], [0, 0, 0, 0, 0, 0, 1, 1]);
+    assert.deepEqual(stats.data.totalValue, [3, 0, 0, 0, 0, 0, 0.5, 1]);
+    assert.deepEqual(stats.totals, { count: 5, value: 4.5 });
+});
+
+test('weeks start on Monday (UTC)', async () => {
+    const stats = await aggregateAttackStats(db, { ...RANGE, granularity: 'week' });
+    assert.deepEqual(stats.data.labels, ['2025-10-06', '2025-10-13']);
+    assert.deepEqual(stats.data.types['Back-Run'], [1, 1]);
+    assert.deepEqual(stats.data.types['Sandwich Attack'], [2, 0]);
+});
+
+test('hour buckets use the ISO hour', async () => {
+    const stats = await aggregateAttackStats(db, { from: '2025-10-06T00:00:00.000Z', to: '2025-10-06T03:59:59.000Z', granularity: 'hour', chainId: 1 });
+    assert.deepEqual(stats.data.labels, ['2025-10-06T00:00:00Z', '2025-10-06T01:00:00Z', '2025-10-06T02:00:00Z', '2025-10-06T03:00:00Z']);
+    assert.deepEqual(stats.data.types['Sandwich Attack'], [0, 1, 0, 0]);
+    assert.deepEqual(stats.data.types['Front-Run'], [0, 0, 1, 0]);
+});
+
+test('counts events per risk band and type', async () => {
+    const stats = await aggregateAttackStats(db, RANGE);
+    assert.deepEqual(stats.byRiskBand.map(band => [band.band, band.count]),
+        [['low', 1], ['medium', 1], ['high', 2], ['critical', 1]]);
+    const sandwiches = stats.byType.find(row => row.type === 'Sandwich Attack');
+    assert.deepEqual(sandwiches, { type: 'Sandwich Attack', count: 2, value: 3, averageRisk: 90 });
+});
+
+test('filters by type, chain and synthetic source', async () => {
+    const backRuns = await aggregateAttackStats(db, { ...RANGE, type: 'Back-Run' });
+    assert.equal(backRuns.totals.count, 2);
+    assert.deepEqual(Object.keys(backRuns.data.types), ['Back-Run']);
+    assert.equal(backRuns.title, 'MEV Attacks by day (Back-Run)');
+
+    const synthetic = await aggregateAttackStats(db, { ...RANGE, synthetic: 'only' });
+    assert.equal(synthetic.totals.count, 1);
+    assert.equal(synthetic.title, 'MEV Attacks by day (synthetic)');
+    assert.equal((await aggregateAttackStats(db, { ...RANGE, synthetic: 'include' })).totals.count, 6);
+
+    assert.equal((await aggregateAttackStats(db, { ...RANGE, chainId: 137 })).totals.count, 1);
+    assert.equal((await aggregateAttackStats(db, { ...RANGE, chainId: null })).totals.count, 6);
+});
+
+test('rejects invalid queries', async () => {
+    await assert.rejects(aggregateAttackStats(db, { granularity: 'minute' }), StatsQueryError);
+    await assert.rejects(aggregateAttackStats(db, { synthetic: 'maybe' }), StatsQueryError);
+    await assert.rejects(aggregateAttackStats(db, { from: 'yesterday' }), StatsQueryError);
+    await assert.rejects(aggregateAttackStats(db, { from: RANGE.to, to: RANGE.from }), /from must be before to/);
+    await assert.rejects(aggregateAttackStats(db, { from: '2020-01-01', to: '2025-01-01', granularity: 'hour' }), /Range too large/);
+});
+
+test('recordAttackEvent keeps the broadcast label and transaction hashes', async () => {
+    const txHashes = { frontRun: '0xaa', victim: '0xbb', backRun: '0xcc' };
+    const id = await recordAttackEvent(db, { ...attack('Sandwich Attack', '2025-11-01T00:00:00.000Z'), value: '1 ETH', txHashes });
+    const row = await dbHelpers.get(db, 'SELECT value_label, tx_hashes, detected_at FROM attack_events WHERE id = ?', [id]);
+    assert.deepEqual({ ...row, tx_hashes: JSON.parse(row.tx_hashes) }, { value_label: '1 ETH', tx_hashes: txHashes, detected_at: '2025-11-01T00:00:00.000Z' });
+});
+
+test('replaceAttackEvent overwrites a stored event in place', async () => {
+    const id = await recordAttackEvent(db, attack('Front-Run', '2025-11-01T00:00:00.000Z', { riskScore: 70 }));
+    assert.equal(await replaceAttackEvent(db, id, attack('Sandwich Attack', '2025-11-01T00:00:00.000Z', { riskScore: 95 })), true);
+    const row = await dbHelpers.get(db, 'SELECT attack_type, risk_score FROM attack_events WHERE id = ?', [id]);
+    assert.deepEqual({ ...row }, { attack_type: 'Sandwich Attack', risk_score: 95 });
+    assert.equal(await replaceAttackEvent(db, id + 1000, attack('Sandwich Attack', '2025-11-01T00:00:00.000Z')), false);
+});
@@ -0,0 +1,197 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const sqlite3 = require('sqlite3');
+const { Wallet, Transaction, parseEther } = require('ethers');
+const dbHelpers = require('../lib/db');
+const { createRelays } = require('../lib/relays');
+const { simulateOnFork } = require('../lib/bundleSimulator');
+const { createBundlesRouter, BUNDLE_STATUS } = require('../routes/bundles');
+const { CHAIN_REGISTRY } = require('../lib/chains');
+const { createMockRelayServer } = require('../mockRelay');
+
+const AUTH_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const wallet = new Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const CURRENT_BLOCK = 100;
+let db;
+let relayServer;
+let apiServer;
+let api;
+
+const listen = server => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+const close = server => new Promise(resolve => server.close(resolve));
+
+let nonce = 0;
+const signTx = (data = '0x') => wallet.signTransaction({
+    type: 2, chainId: 1, nonce: nonce++, to: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', value: parseEther('0.01'), data,
+    gasLimit: 100000, maxFeePerGas: 30000000000n, maxPriorityFeePerGas: 2000000000n,
+});
+
+const postBundle = async body => {
+    const response = await fetch(`${api}/api/bundles`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    return { status: response.status, body: await response.json() };
+};
+const relayRequests = async method => (await (await fetch(`${relayServer.url}/requests`)).json()).filter(request => request.method === method);
+
+before(async () => {
+    db = new sqlite3.Database(':memory:');
+    await dbHelpers.run(db, `CREATE TABLE bundles (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bundle_hash TEXT NOT NULL,
+        from_block INTEGER NOT NULL,
+        to_block INTEGER NOT NULL,
+        min_timestamp INTEGER,
+        max_timestamp INTEGER,
+        status TEXT NOT NULL,
+        simulation_method TEXT,
+        simulation_success INTEGER,
+        total_gas_used TEXT,
+        coinbase_diff TEXT,
+        simulation_json TEXT,
+        user_address TEXT,
+        api_key_id INTEGER,
+        chain_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await dbHelpers.run(db, `CREATE TABLE bundle_transactions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bundle_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        tx_hash TEXT NOT NULL,
+        raw_tx TEXT NOT NULL,
+        from_address TEXT,
+        to_address TEXT,
+        nonce INTEGER,
+        value_wei TEXT,
+        can_revert INTEGER NOT NULL DEFAULT 0,
+        success INTEGER,
+        gas_used TEXT,
+        coinbase_payment TEXT,
+        revert_reason TEXT
+    )`);
+    await dbHelpers.run(db, `CREATE TABLE bundle_submissions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        bundle_id INTEGER NOT NULL,
+        relay_name TEXT NOT NULL,
+        endpoint TEXT NOT NULL,
+        target_block INTEGER,
+        accepted INTEGER NOT NULL,
+        response TEXT,
+        error TEXT,
+        latency_ms INTEGER,
+        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+
+    relayServer = createMockRelayServer({ requireAuth: true });
+    relayServer.url = await listen(relayServer);
+    const rpc = { call: async () => `0x${CURRENT_BLOCK.toString(16)}` };
+    const relays = createRelays([{ name: 'mock', type: 'bundle', url: relayServer.url, authSignerKey: AUTH_KEY }], { rpc });
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+        req.user = { address: wallet.address };
+        next();
+    });
+    app.use('/api/bundles', createBundlesRouter({ db, chains: CHAIN_REGISTRY, runtimeFor: () => ({ relays, rpc, forkRpc: null }), expectedChainId: null }));
+    apiServer = app.listen(0);
+    api = `http://127.0.0.1:${apiServer.address().port}`;
+});
+
+after(async () => {
+    await Promise.all([close(relayServer), close(apiServer)]);
+    await new Promise(resolve => db.close(resolve));
+});
+
+// --- Block targeting ---
+
+test('rejects target blocks that are not in the future or span too many blocks', async () => {
+    const stale = await postBundle({ transactions: [await signTx()], targetBlock: CURRENT_BLOCK });
+    assert.equal(stale.status, 422);
+    assert.equal(stale.body.code, 'STALE_TARGET_BLOCK');
+
+    const wide = await postBundle({ transactions: [await signTx()], fromBlock: 101, toBlock: 126 });
+    assert.equal(wide.status, 400);
+    assert.match(wide.body.message, /at most 25 blocks/);
+
+    const backwards = await postBundle({ transactions: [await signTx()], fromBlock: 105, toBlock: 104 });
+    assert.equal(backwards.status, 400);
+});
+
+test('simulates at the first target block, then submits for every block in the range', async () => {
+    const transactions = [await signTx(), await signTx()];
+    const { status, body } = await postBundle({ transactions, fromBlock: 101, toBlock: 103, minTimestamp: 1760000000 });
+    assert.equal(status, 200);
+    assert.equal(body.status, BUNDLE_STATUS.SUBMITTED);
+    assert.equal(body.simulation.method, 'eth_callBundle');
+    assert.equal(body.simulation.success, true);
+    assert.deepEqual(body.submissions.map(submission => [submission.targetBlock, submission.accepted]), [[101, true], [102, true], [103, true]]);
+
+    const [call] = (await relayRequests('eth_callBundle')).slice(-1);
+    assert.deepEqual(call.params[0], { txs: transactions, blockNumber: '0x65', stateBlockNumber: 'latest', timestamp: 1760000000 });
+    const sent = (await relayRequests('eth_sendBundle')).slice(-3);
+    assert.deepEqual(sent.map(request => request.params[0].blockNumber), ['0x65', '0x66', '0x67']);
+    assert.ok(sent.every(request => request.params[0].minTimestamp === 1760000000));
+
+    const stored = await (await fetch(`${api}/api/bundles/${body.bundleId}`)).json();
+    assert.equal(stored.bundle.chain_id, 1);
+    assert.deepEqual(stored.transactions.map(tx => tx.tx_hash), transactions.map(raw => Transaction.from(raw).hash));
+    assert.deepEqual(stored.submissions.map(submission => submission.target_block), [101, 102, 103]);
+});
+
+// --- Pre-simulation ---
+
+test('a reverting transaction stops the bundle before submission', async () => {
+    const sentBefore = (await relayRequests('eth_sendBundle')).length;
+    const reverting = await signTx('0xdeadbeef');
+    const { status, body } = await postBundle({ transactions: [await signTx(), reverting], targetBlock: 110 });
+    assert.equal(status, 422);
+    assert.equal(body.code, 'SIMULATION_FAILED');
+    assert.deepEqual(body.submissions, []);
+    assert.equal(body.simulation.results[1].revertReason, 'execution reverted');
+    assert.equal((await relayRequests('eth_sendBundle')).length, sentBefore);
+
+    const stored = await (await fetch(`${api}/api/bundles/${body.bundleId}`)).json();
+    assert.equal(stored.bundle.status, BUNDLE_STATUS.SIMULATION_FAILED);
+    assert.deepEqual(stored.transactions.map(tx => tx.success), [1, 0]);
+});
+
+test('a transaction listed in revertingTxHashes may revert', async () => {
+    const reverting = await signTx('0xdeadbeef');
+    const { status, body } = await postBundle({
+        transactions: [await signTx(), reverting], targetBlock: 111, revertingTxHashes: [Transaction.from(reverting).hash],
+    });
+    assert.equal(status, 200);
+    assert.equal(body.status, BUNDLE_STATUS.SUBMITTED);
+    const [sent] = (await relayRequests('eth_sendBundle')).slice(-1);
+    assert.deepEqual(sent.params[0].revertingTxHashes, [Transaction.from(reverting).hash]);
+});
+
+test('fork simulation restores automine even when the revert fails', async () => {
+    const calls = [];
+    const rpc = {
+        url: 'http://fork.test',
+        call: async (method, params) => {
+            calls.push([method, params]);
+            if (method === 'evm_snapshot') return '0x1';
+            if (method === 'eth_coinbase') throw new Error('node went away');
+            if (method === 'evm_revert') throw new Error('snapshot not found');
+            return null;
+        },
+    };
+    await assert.rejects(simulateOnFork(rpc, { txs: [], txHashes: [] }), /snapshot not found/);
+    assert.deepEqual(calls.slice(-2), [['evm_revert', ['0x1']], ['evm_setAutomine', [true]]]);
+});
+
+// --- Persistence ---
+
+test('transaction rolls back every write when one fails', async () => {
+    await assert.rejects(dbHelpers.transaction(db, async () => {
+        await dbHelpers.run(db, 'INSERT INTO bundles (bundle_hash, from_block, to_block, status) VALUES (?, ?, ?, ?)', ['0xrollback', 1, 1, 'submitted']);
+        await dbHelpers.run(db, 'INSERT INTO bundle_submissions (bundle_id) VALUES (1)');
+    }), /NOT NULL/);
+    assert.equal(await dbHelpers.get(db, 'SELECT id FROM bundles WHERE bundle_hash = ?', ['0xrollback']), undefined);
+
+    const id = await dbHelpers.transaction(db, async () => (await dbHelpers.run(db, 'INSERT INTO bundles (bundle_hash, from_block, to_block, status) VALUES (?, ?, ?, ?)', ['0xcommit', 1, 1, 'submitted'])).lastID);
+    assert.equal((await dbHelpers.get(db, 'SELECT bundle_hash FROM bundles WHERE id = ?', [id])).bundle_hash, '0xcommit');
+});
@@ -0,0 +1,110 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('../../cli/lib/args');
+const { DEFAULT_API_URL, DEFAULT_FAIL_ON_RISK, loadConfig } = require('../../cli/lib/config');
+const { EXIT_CODES, UsageError } = require('../../cli/lib/errors');
+
+// A few feed options and global options, in the shape commands declare them.
+const SPEC = {
+    'api-url': 'string',
+    json: 'boolean',
+    help: 'boolean',
+    types: 'list',
+    'min-risk': 'number',
+    address: 'list',
+    backfill: 'number',
+};
+
+let dir;
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mevshield-cli-'));
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const usageError = (fn, pattern) => assert.throws(fn, (err) => {
+    assert.ok(err instanceof UsageError);
+    assert.equal(err.exitCode, EXIT_CODES.USAGE);
+    assert.match(err.message, pattern);
+    return true;
+});
+
+const writeConfig = (name, contents) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, contents);
+    return file;
+};
+
+// --- parseArgs ---
+
+test('takes values as --name value or --name=value and camelCases them', () => {
+    assert.deepEqual(parseArgs(['feed-extra', '--min-risk', '70', '--api-url=http://h/api', '--json', 'last'], SPEC), {
+        positionals: ['feed-extra', 'last'],
+        options: { minRisk: 70, apiUrl: 'http://h/api', json: true },
+    });
+});
+
+test('list options split on commas and accumulate across repeats', () => {
+    const { options } = parseArgs(['--types', 'Sandwich Attack, Frontrun,', '--types=Backrun', '--address', '0xabc'], SPEC);
+    assert.deepEqual(options.types, ['Sandwich Attack', 'Frontrun', 'Backrun']);
+    assert.deepEqual(options.address, ['0xabc']);
+});
+
+test('-h sets help and -- ends option parsing', () => {
+    assert.deepEqual(parseArgs(['-h'], SPEC).options, { help: true });
+    assert.deepEqual(parseArgs(['--json', '--', '--min-risk', '-'], SPEC), { positionals: ['--min-risk', '-'], options: { json: true } });
+    assert.deepEqual(parseArgs(['-'], SPEC).positionals, ['-'], 'a lone dash is stdin, not an option');
+});
+
+test('the last value of a repeated scalar option wins', () => {
+    assert.equal(parseArgs(['--backfill', '5', '--backfill=10'], SPEC).options.backfill, 10);
+});
+
+test('rejects unknown options, missing values and bad numbers', () => {
+    usageError(() => parseArgs(['--min-value', '1'], SPEC), /^Unknown option --min-value\.$/);
+    usageError(() => parseArgs(['--min-risk'], SPEC), /--min-risk needs a value/);
+    usageError(() => parseArgs(['--min-risk', 'high'], SPEC), /--min-risk must be a number/);
+    usageError(() => parseArgs(['--min-risk='], SPEC), /--min-risk must be a number/);
+    usageError(() => parseArgs(['--json=false'], SPEC), /--json does not take a value/);
+});
+
+// --- loadConfig ---
+
+test('defaults apply without flags, environment or config file', () => {
+    assert.deepEqual(loadConfig({ config: writeConfig('empty.json', '{}') }, {}), {
+        apiUrl: DEFAULT_API_URL,
+        socketUrl: 'http://localhost:3001',
+        apiKey: null,
+        chainId: null,
+        failOnRisk: DEFAULT_FAIL_ON_RISK,
+    });
+});
+
+test('flags beat environment variables, which beat the config file', () => {
+    const config = writeConfig('settings.json', JSON.stringify({ apiUrl: 'http://file/api', apiKey: 'msk_file', chainId: 10, failOnRisk: 'off' }));
+    const env = { MEVSHIELD_CONFIG: config, MEVSHIELD_API_URL: 'https://env.example/api/', MEVSHIELD_CHAIN_ID: '8453' };
+
+    assert.deepEqual(loadConfig({}, env), {
+        apiUrl: 'https://env.example/api',
+        socketUrl: 'https://env.example',
+        apiKey: 'msk_file',
+        chainId: 8453,
+        failOnRisk: null,
+    });
+    const flagged = loadConfig({ apiKey: 'msk_flag', chainId: '1', failOnRisk: '90' }, env);
+    assert.deepEqual([flagged.apiKey, flagged.chainId, flagged.failOnRisk], ['msk_flag', 1, 90]);
+});
+
+test('rejects bad settings and unreadable config files', () => {
+    const config = writeConfig('base.json', '{}');
+    usageError(() => loadConfig({ config, apiUrl: 'ftp://host/api' }, {}), /must be http\(s\)/);
+    usageError(() => loadConfig({ config, apiUrl: 'not a url' }, {}), /not a valid URL/);
+    usageError(() => loadConfig({ config, chainId: '1.5' }, {}), /chain-id must be a positive integer/);
+    usageError(() => loadConfig({ config, failOnRisk: '101' }, {}), /fail-on-risk must be a number from 0 to 100/);
+    usageError(() => loadConfig({ config: writeConfig('broken.json', '[1]') }, {}), /is not valid JSON: expected an object/);
+    usageError(() => loadConfig({ config: path.join(dir, 'missing.json') }, {}), /Could not read config file/);
+});
@@ -0,0 +1,269 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Interface, AbiCoder, ZeroAddress, concat, parseEther, parseUnits } = require('ethers');
+const { decodeSwap, decodeV3Path, encodeV3Path, encodeSwapCall, poolKey } = require('../lib/dexDecoder');
+const { DEFAULT_V2_ROUTER, DEFAULT_V3_QUOTER, estimateImpliedSlippage } = require('../lib/slippage');
+const { getAmountOutV2 } = require('../lib/ammSimulator');
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+const WPOL = '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270';
+const USER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const SENDER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+const NATIVE = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+const MSG_SENDER = '0x0000000000000000000000000000000000000001';
+const ADDRESS_THIS = '0x0000000000000000000000000000000000000002';
+const CONTRACT_BALANCE = 1n << 255n;
+const DEADLINE = 1760000000n;
+
+// Calldata fixtures are encoded from the routers' own ABIs.
+const router = new Interface([
+    'function swapExactTokensForTokens(uint256 amountIn, uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function swapTokensForExactTokens(uint256 amountOut, uint256 amountInMax, address[] path, address to, uint256 deadline)',
+    'function swapExactETHForTokens(uint256 amountOutMin, address[] path, address to, uint256 deadline)',
+    'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+    'function exactInput((bytes path, address recipient, uint256 deadline, uint256 amountIn, uint256 amountOutMinimum) params)',
+    'function exactOutput((bytes path, address recipient, uint256 deadline, uint256 amountOut, uint256 amountInMaximum) params)',
+]);
+const router02 = new Interface([
+    'function exactInputSingle((address tokenIn, address tokenOut, uint24 fee, address recipient, uint256 amountIn, uint256 amountOutMinimum, uint160 sqrtPriceLimitX96) params)',
+    'function exactInput((bytes path, address recipient, uint256 amountIn, uint256 amountOutMinimum) params)',
+    'function multicall(uint256 deadline, bytes[] data)',
+    'function unwrapWETH9(uint256 amountMinimum, address recipient)',
+]);
+const universalRouter = new Interface(['function execute(bytes commands, bytes[] inputs, uint256 deadline)']);
+const oneInch = new Interface(['function swap(address executor, (address srcToken, address dstToken, address srcReceiver, address dstReceiver, uint256 amount, uint256 minReturnAmount, uint256 flags) desc, bytes permit, bytes data)']);
+const zeroEx = new Interface(['function sellTokenForTokenToUniswapV3(bytes encodedPath, uint256 sellAmount, uint256 minBuyAmount, address recipient)']);
+const quoter = new Interface([
+    'function getAmountsOut(uint256 amountIn, address[] path) view returns (uint256[] amounts)',
+    'function quoteExactOutput(bytes path, uint256 amountOut) returns (uint256 amountIn, uint160[] sqrtPriceX96AfterList, uint32[] initializedTicksCrossedList, uint256 gasEstimate)',
+]);
+const abiCoder = AbiCoder.defaultAbiCoder();
+
+const v2SellUsdc = router.encodeFunctionData('swapExactTokensForTokens', [parseUnits('2000', 6), parseEther('0.99'), [USDC, WETH], USER, DEADLINE]);
+const v3BuyWethExactOut = router.encodeFunctionData('exactOutput', [{
+    path: encodeV3Path([WETH, USDC], [3000]), recipient: USER, deadline: DEADLINE, amountOut: parseEther('1'), amountInMaximum: parseUnits('2010', 6),
+}]);
+
+// --- Uniswap V2 Router02 ---
+
+test('decodes V2 exact-input and exact-output swaps', () => {
+    assert.deepEqual(decodeSwap(v2SellUsdc), {
+        protocol: 'uniswap-v2',
+        method: 'swapExactTokensForTokens',
+        exactOutput: false,
+        tokenIn: USDC,
+        tokenOut: WETH,
+        path: [USDC, WETH],
+        fees: [],
+        amountIn: '2000000000',
+        amountInMax: null,
+        amountOut: null,
+        amountOutMin: '990000000000000000',
+        recipient: USER,
+        deadline: '1760000000',
+        pool: poolKey('uniswap-v2', USDC, WETH),
+    });
+
+    const exactOut = decodeSwap(router.encodeFunctionData('swapTokensForExactTokens', [parseEther('1'), parseUnits('2100', 6), [USDC, DAI, WETH], USER, DEADLINE]));
+    assert.equal(exactOut.exactOutput, true);
+    assert.deepEqual([exactOut.amountOut, exactOut.amountInMax, exactOut.amountIn], ['1000000000000000000', '2100000000', null]);
+    assert.deepEqual(exactOut.path, [USDC, DAI, WETH]);
+    assert.equal(exactOut.pool, poolKey('uniswap-v2', USDC, DAI));
+});
+
+test('ETH-in V2 swaps take the input amount from the value', () => {
+    const swap = decodeSwap(router.encodeFunctionData('swapExactETHForTokens', [parseUnits('1900', 6), [WETH, USDC], USER, DEADLINE]), parseEther('1'));
+    assert.equal(swap.tokenIn, WETH);
+    assert.equal(swap.amountIn, parseEther('1').toString());
+    assert.equal(swap.amountOutMin, '1900000000');
+});
+
+// --- Uniswap V3 SwapRouter ---
+
+test('decodes single-pool V3 swaps with their fee tier', () => {
+    const swap = decodeSwap(router.encodeFunctionData('exactInputSingle', [{
+        tokenIn: WETH, tokenOut: USDC, fee: 500, recipient: USER, deadline: DEADLINE, amountIn: parseEther('2'), amountOutMinimum: parseUnits('3900', 6), sqrtPriceLimitX96: 0,
+    }]));
+    assert.equal(swap.protocol, 'uniswap-v3');
+    assert.deepEqual(swap.fees, [500]);
+    assert.equal(swap.pool, poolKey('uniswap-v3', WETH, USDC, 500));
+    assert.equal(swap.amountOutMin, '3900000000');
+});
+
+test('decodes path-encoded V3 swaps, reversing exact-output paths', () => {
+    const multiHop = decodeSwap(router.encodeFunctionData('exactInput', [{
+        path: encodeV3Path([WETH, USDC, DAI], [500, 100]), recipient: USER, deadline: DEADLINE, amountIn: parseEther('1'), amountOutMinimum: parseEther('1950'),
+    }]));
+    assert.deepEqual(multiHop.path, [WETH, USDC, DAI]);
+    assert.deepEqual(multiHop.fees, [500, 100]);
+    assert.equal(multiHop.pool, poolKey('uniswap-v3', WETH, USDC, 500));
+
+    const exactOut = decodeSwap(v3BuyWethExactOut);
+    assert.deepEqual([exactOut.tokenIn, exactOut.tokenOut], [USDC, WETH]);
+    assert.deepEqual(exactOut.fees, [3000]);
+    assert.deepEqual([exactOut.amountOut, exactOut.amountInMax], ['1000000000000000000', '2010000000']);
+});
+
+test('decodeV3Path inverts encodeV3Path', () => {
+    const path = encodeV3Path([WETH, USDC, DAI], [3000, 100]);
+    assert.equal(path.length, 2 + 2 * (20 + 3 + 20 + 3 + 20));
+    assert.deepEqual(decodeV3Path(path), { tokens: [WETH, USDC, DAI], fees: [3000, 100] });
+});
+
+// --- Multicall ---
+
+test('SwapRouter02 multicall takes the unwrap minimum and recipient', () => {
+    const swap = router02.encodeFunctionData('exactInputSingle', [{
+        tokenIn: DAI, tokenOut: WETH, fee: 500, recipient: ADDRESS_THIS, amountIn: parseEther('3000'), amountOutMinimum: parseEther('1'), sqrtPriceLimitX96: 0,
+    }]);
+    const unwrap = router02.encodeFunctionData('unwrapWETH9', [parseEther('1.01'), USER]);
+    const decoded = decodeSwap(router02.encodeFunctionData('multicall', [DEADLINE, [swap, unwrap]]), 0n, { from: SENDER });
+    assert.equal(decoded.method, 'multicall');
+    assert.equal(decoded.protocol, 'uniswap-v3');
+    assert.equal(decoded.legs.length, 1);
+    assert.equal(decoded.amountIn, parseEther('3000').toString());
+    assert.equal(decoded.amountOutMin, parseEther('1.01').toString());
+    assert.equal(decoded.recipient, USER);
+    assert.equal(decoded.deadline, '1760000000');
+    assert.deepEqual(decoded.fees, [500]);
+});
+
+test('multicall splits sum their legs and mixed protocols are reported as such', () => {
+    const leg = (tokenIn, amountIn) => router02.encodeFunctionData('exactInput', [{
+        path: encodeV3Path([tokenIn, WETH], [500]), recipient: MSG_SENDER, amountIn, amountOutMinimum: parseEther('0.5'),
+    }]);
+    const split = decodeSwap(router02.encodeFunctionData('multicall', [DEADLINE, [leg(USDC, parseUnits('1000', 6)), leg(USDC, parseUnits('1000', 6))]]), 0n, { from: SENDER });
+    assert.equal(split.legs.length, 2);
+    assert.equal(split.amountIn, '2000000000');
+    assert.equal(split.amountOutMin, parseEther('1').toString());
+    assert.equal(split.recipient, SENDER);
+
+    const mixed = decodeSwap(router02.encodeFunctionData('multicall', [DEADLINE, [v2SellUsdc, leg(USDC, parseUnits('1000', 6))]]));
+    assert.equal(mixed.protocol, 'uniswap-mixed');
+});
+
+// --- Universal Router ---
+
+test('Universal Router: WRAP_ETH then a V3 swap of the contract balance', () => {
+    const commands = '0x0b00';
+    const inputs = [
+        abiCoder.encode(['address', 'uint256'], [ADDRESS_THIS, CONTRACT_BALANCE]),
+        abiCoder.encode(['address', 'uint256', 'uint256', 'bytes', 'bool'], [MSG_SENDER, CONTRACT_BALANCE, parseUnits('1950', 6), encodeV3Path([WETH, USDC], [500]), false]),
+    ];
+    const swap = decodeSwap(universalRouter.encodeFunctionData('execute', [commands, inputs, DEADLINE]), parseEther('1'), { from: SENDER });
+    assert.equal(swap.protocol, 'uniswap-universal-router');
+    assert.deepEqual(swap.commands, ['WRAP_ETH', 'V3_SWAP_EXACT_IN']);
+    assert.equal(swap.amountIn, parseEther('1').toString());
+    assert.equal(swap.amountOutMin, '1950000000');
+    assert.equal(swap.recipient, SENDER);
+    assert.equal(swap.pool, poolKey('uniswap-v3', WETH, USDC, 500));
+});
+
+// --- Aggregators ---
+
+test('1inch swaps report the native placeholder as the wrapped native token', () => {
+    const data = oneInch.encodeFunctionData('swap', [USER, {
+        srcToken: NATIVE, dstToken: USDC, srcReceiver: USER, dstReceiver: ZeroAddress, amount: parseEther('1'), minReturnAmount: parseUnits('1980', 6), flags: 0,
+    }, '0x', '0x']);
+    const swap = decodeSwap(data, parseEther('1'), { from: SENDER });
+    assert.equal(swap.protocol, '1inch');
+    assert.deepEqual(swap.path, [WETH, USDC]);
+    assert.equal(swap.recipient, SENDER);
+    assert.equal(swap.pool, null);
+    assert.equal(decodeSwap(data, parseEther('1'), { wrappedNative: WPOL }).tokenIn, WPOL);
+});
+
+test('0x Uniswap V3 sells decode their encoded path', () => {
+    const swap = decodeSwap(zeroEx.encodeFunctionData('sellTokenForTokenToUniswapV3', [encodeV3Path([DAI, USDC], [100]), parseEther('500'), parseUnits('499', 6), ZeroAddress]), 0n, { from: SENDER });
+    assert.equal(swap.protocol, '0x');
+    assert.deepEqual(swap.path, [DAI, USDC]);
+    assert.equal(swap.pool, poolKey('uniswap-v3', DAI, USDC, 100));
+    assert.equal(swap.recipient, SENDER);
+});
+
+test('unknown or malformed calldata is not a swap', () => {
+    assert.equal(decodeSwap('0x'), null);
+    assert.equal(decodeSwap('0xa9059cbb' + '00'.repeat(64)), null);
+    assert.equal(decodeSwap(concat([v2SellUsdc.slice(0, 10), '0x1234'])), null);
+});
+
+test('encodeSwapCall rewrites limits and wraps SwapRouter02 calls for a deadline', () => {
+    const tighter = decodeSwap(encodeSwapCall(v2SellUsdc, { amountOutMin: parseEther('0.995'), deadline: 1760000600n }));
+    assert.equal(tighter.amountOutMin, parseEther('0.995').toString());
+    assert.equal(tighter.deadline, '1760000600');
+
+    const single = router02.encodeFunctionData('exactInputSingle', [{
+        tokenIn: WETH, tokenOut: USDC, fee: 500, recipient: USER, amountIn: parseEther('1'), amountOutMinimum: 0, sqrtPriceLimitX96: 0,
+    }]);
+    const wrapped = decodeSwap(encodeSwapCall(single, { amountOutMin: parseUnits('1990', 6), deadline: 1760000600n }));
+    assert.equal(wrapped.method, 'multicall');
+    assert.equal(wrapped.deadline, '1760000600');
+    assert.equal(wrapped.amountOutMin, '1990000000');
+    assert.equal(encodeSwapCall(v3BuyWethExactOut, { amountOutMin: 1n }), null);
+});
+
+// --- Implied slippage ---
+
+test('implied slippage from the pool model', async () => {
+    const swap = decodeSwap(router.encodeFunctionData('swapExactETHForTokens', [parseUnits('1900', 6), [WETH, USDC], USER, DEADLINE]), parseEther('1'));
+    const result = await estimateImpliedSlippage(swap, {
+        pool: { type: 'uniswap-v2', reserveIn: 1000, reserveOut: 2000000, feeBps: 30 },
+        tokenOutDecimals: 6,
+    });
+    const expected = getAmountOutV2(1, 1000, 2000000, 30);
+    assert.equal(result.source, 'amm-model');
+    assert.equal(result.impliedSlippagePct, Number(((1 - 1900 / expected) * 100).toFixed(4)));
+    assert.equal(result.wouldRevert, false);
+});
+
+test('implied slippage from an on-chain V2 router quote', async () => {
+    const calls = [];
+    const rpc = {
+        call: async (method, [call]) => {
+            calls.push(call);
+            return quoter.encodeFunctionResult('getAmountsOut', [[parseUnits('2000', 6), parseEther('1')]]);
+        },
+    };
+    const result = await estimateImpliedSlippage(decodeSwap(v2SellUsdc), { rpc, tokenInDecimals: 6 });
+    assert.equal(calls[0].to, DEFAULT_V2_ROUTER);
+    assert.deepEqual(quoter.decodeFunctionData('getAmountsOut', calls[0].data).toArray().map(String), ['2000000000', `${USDC},${WETH}`]);
+    assert.equal(result.source, 'uniswap-v2-router');
+    assert.equal(result.impliedSlippagePct, 1);
+    assert.equal(result.expectedAmountOut, '1.0');
+    assert.equal(result.amountOutMin, '0.99');
+});
+
+test('implied slippage of an exact-output V3 swap from QuoterV2, which takes the path reversed', async () => {
+    let request;
+    const quote = amountIn => ({
+        call: async (method, [call]) => {
+            request = call;
+            return quoter.encodeFunctionResult('quoteExactOutput', [amountIn, [], [], 100000]);
+        },
+    });
+    const swap = decodeSwap(v3BuyWethExactOut);
+    const result = await estimateImpliedSlippage(swap, { rpc: quote(parseUnits('2000', 6)), tokenInDecimals: 6 });
+    assert.equal(request.to, DEFAULT_V3_QUOTER);
+    assert.equal(quoter.decodeFunctionData('quoteExactOutput', request.data).path, encodeV3Path([WETH, USDC], [3000]));
+    assert.equal(result.impliedSlippagePct, 0.5);
+    assert.equal(result.amountInMax, '2010.0');
+
+    const tooTight = await estimateImpliedSlippage(swap, { rpc: quote(parseUnits('2020', 6)), tokenInDecimals: 6 });
+    assert.ok(tooTight.impliedSlippagePct < 0);
+    assert.equal(tooTight.wouldRevert, true);
+});
+
+test('routes that cannot be quoted say why', async () => {
+    const rpc = { call: async () => { throw new Error('not called'); } };
+    const aggregator = decodeSwap(oneInch.encodeFunctionData('swap', [USER, {
+        srcToken: USDC, dstToken: WETH, srcReceiver: USER, dstReceiver: USER, amount: 1n, minReturnAmount: 1n, flags: 0,
+    }, '0x', '0x']));
+    assert.match((await estimateImpliedSlippage(aggregator, { rpc })).reason, /No on-chain quote for 1inch/);
+    assert.match((await estimateImpliedSlippage(decodeSwap(v2SellUsdc))).reason, /Set an RPC node/);
+
+    const failing = await estimateImpliedSlippage(decodeSwap(v2SellUsdc), { rpc });
+    assert.equal(failing.impliedSlippagePct, null);
+    assert.match(failing.reason, /Quote failed: not called/);
+});
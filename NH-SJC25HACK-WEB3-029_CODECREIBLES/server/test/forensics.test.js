@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ForensicsError, parseBlockTag, stateBeforeSwap, replaySwap } = require('../lib/forensics');
+
+const Q96 = 2n ** 96n;
+const ETH = 10n ** 18n;
+
+const V2_STATE = { version: 'v2', feeBps: 30n, reserve0: 5000000n * 10n ** 6n, reserve1: 2000n * ETH };
+const V3_STATE = { version: 'v3', fee: 3000n, sqrtPriceX96: Q96, liquidity: 10000n * ETH };
+
+// The Swap (and Sync) fields swapLogs reports for a swap replayed on `state`.
+function swapOn(state, zeroForOne, amountIn) {
+    const { amountOut, state: after } = replaySwap(state, zeroForOne, amountIn);
+    const swap = { version: state.version, zeroForOne, amountIn, amountOut };
+    if (state.version === 'v2') return { ...swap, reservesAfter: { reserve0: after.reserve0, reserve1: after.reserve1 } };
+    return { ...swap, sqrtPriceX96: after.sqrtPriceX96, liquidity: after.liquidity };
+}
+
+// --- replaySwap ---
+
+test('replays V2 swaps with the pool fee, in both directions', () => {
+    const sell = replaySwap(V2_STATE, true, 10000n * 10n ** 6n);
+    const expected = (10000n * 10n ** 6n * 9970n * V2_STATE.reserve1) / (V2_STATE.reserve0 * 10000n + 10000n * 10n ** 6n * 9970n);
+    assert.equal(sell.amountOut, expected);
+    assert.equal(sell.state.reserve0, V2_STATE.reserve0 + 10000n * 10n ** 6n);
+    assert.equal(sell.state.reserve1, V2_STATE.reserve1 - expected);
+
+    const buy = replaySwap(V2_STATE, false, ETH);
+    assert.equal(buy.state.reserve1, V2_STATE.reserve1 + ETH);
+    assert.ok(buy.amountOut < 2500n * 10n ** 6n, 'fee and price impact');
+});
+
+test('replays V3 swaps within the current range', () => {
+    const { amountOut, state } = replaySwap(V3_STATE, true, ETH);
+    assert.ok(state.sqrtPriceX96 < Q96);
+    assert.ok(amountOut < (ETH * 997n) / 1000n);
+    assert.ok(amountOut > (ETH * 996n) / 1000n);
+
+    const back = replaySwap(state, false, amountOut);
+    assert.ok(back.state.sqrtPriceX96 > state.sqrtPriceX96);
+    assert.ok(back.amountOut < ETH);
+});
+
+test('a front-run worsens the price a later swap gets', () => {
+    const direct = replaySwap(V2_STATE, false, 5n * ETH);
+    const front = replaySwap(V2_STATE, false, 20n * ETH);
+    const sandwiched = replaySwap(front.state, false, 5n * ETH);
+    assert.ok(sandwiched.amountOut < direct.amountOut);
+});
+
+// --- stateBeforeSwap ---
+
+test('rebuilds the V2 reserves before a swap from its Sync', () => {
+    for (const [zeroForOne, amountIn] of [[true, 25000n * 10n ** 6n], [false, 3n * ETH]]) {
+        const before = stateBeforeSwap(swapOn(V2_STATE, zeroForOne, amountIn), {}, 30);
+        assert.deepEqual(before, V2_STATE);
+    }
+});
+
+test('rebuilds the V3 price before a swap from its Swap event', () => {
+    for (const zeroForOne of [true, false]) {
+        const before = stateBeforeSwap(swapOn(V3_STATE, zeroForOne, 5n * ETH), { fee: 3000n }, 30);
+        assert.equal(before.version, 'v3');
+        assert.equal(before.fee, 3000n);
+        assert.equal(before.liquidity, V3_STATE.liquidity);
+        // amountOut is rounded down to a whole unit, which moves the rebuilt price by up to Q96 / liquidity.
+        const drift = before.sqrtPriceX96 - Q96;
+        const tolerance = (2n * Q96) / V3_STATE.liquidity;
+        assert.ok(drift >= -tolerance && drift <= tolerance, `drift ${drift}`);
+    }
+});
+
+test('replaying the victim on the rewound pool recovers its loss', () => {
+    const front = swapOn(V2_STATE, false, 20n * ETH);
+    const afterFront = { ...V2_STATE, ...front.reservesAfter };
+    const victim = replaySwap(afterFront, false, 5n * ETH);
+
+    const rewound = stateBeforeSwap(front, {}, 30);
+    const counterfactual = replaySwap(rewound, false, 5n * ETH);
+    assert.equal(counterfactual.amountOut, replaySwap(V2_STATE, false, 5n * ETH).amountOut);
+    assert.ok(counterfactual.amountOut > victim.amountOut);
+});
+
+test('stateBeforeSwap needs the post-swap state', () => {
+    assert.equal(stateBeforeSwap({ version: 'v2', zeroForOne: true, amountIn: 1n, amountOut: 1n, reservesAfter: null }, {}, 30), null);
+    assert.equal(stateBeforeSwap({ version: 'v3', zeroForOne: true, amountIn: 1n, amountOut: 1n, sqrtPriceX96: Q96, liquidity: 0n }, { fee: 500n }, 30), null);
+});
+
+// --- parseBlockTag ---
+
+test('parses block numbers, hex numbers and latest', () => {
+    assert.equal(parseBlockTag('latest'), 'latest');
+    assert.equal(parseBlockTag(' Latest '), 'latest');
+    assert.equal(parseBlockTag(19000000), '0x121eac0');
+    assert.equal(parseBlockTag('0x00FF'), '0xff');
+    assert.throws(() => parseBlockTag('pending'), ForensicsError);
+    assert.throws(() => parseBlockTag('-1'), /Block must be a number/);
+});
@@ -0,0 +1,93 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Wallet, Transaction, parseEther } = require('ethers');
+const { RelayConfigError, createRelays, submitToRelays } = require('../lib/relays');
+const { createMockRelayServer } = require('../mockRelay');
+
+const AUTH_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const wallet = new Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+let trade;
+const servers = {};
+
+function listen(options) {
+    const server = createMockRelayServer(options);
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+const urlOf = server => `http://127.0.0.1:${server.address().port}`;
+const receivedBy = async server => (await fetch(`${urlOf(server)}/requests`)).json();
+
+before(async () => {
+    const rawTransaction = await wallet.signTransaction({
+        type: 2, chainId: 1, nonce: 0, to: '0x70997970C51812dc3A010C7d01b50e0d17dc79C8', value: parseEther('0.1'),
+        gasLimit: 21000, maxFeePerGas: 30000000000n, maxPriorityFeePerGas: 2000000000n,
+    });
+    trade = { rawTransaction, hash: Transaction.from(rawTransaction).hash };
+    servers.open = await listen();
+    servers.second = await listen();
+    servers.rejecting = await listen({ reject: true });
+    servers.authOnly = await listen({ requireAuth: true });
+});
+
+after(() => Promise.all(Object.values(servers).map(server => new Promise(resolve => server.close(resolve)))));
+
+test('private-tx submissions carry a signature the relay verifies', async () => {
+    const [relay] = createRelays([{ name: 'protect', type: 'private-tx', url: urlOf(servers.authOnly), authSignerKey: AUTH_KEY, fast: true }]);
+    const [result] = await submitToRelays([relay], trade);
+    assert.equal(result.accepted, true, result.error);
+    assert.equal(result.response, trade.hash);
+
+    const [request] = await receivedBy(servers.authOnly);
+    assert.equal(request.method, 'eth_sendPrivateTransaction');
+    assert.equal(request.signer, new Wallet(AUTH_KEY).address);
+    assert.deepEqual(request.params, [{ tx: trade.rawTransaction, preferences: { fast: true } }]);
+});
+
+test('a relay that requires a signature rejects unsigned submissions', async () => {
+    const [relay] = createRelays([{ name: 'unsigned', type: 'private-tx', url: urlOf(servers.authOnly) }]);
+    const [result] = await relay.submit(trade);
+    assert.equal(result.accepted, false);
+    assert.match(result.error, /^HTTP 403: .*Missing X-Flashbots-Signature/);
+});
+
+test('fans out to every builder and reports partial acceptance per endpoint', async () => {
+    const relays = createRelays([
+        { name: 'builders', type: 'builders', urls: [urlOf(servers.open), urlOf(servers.rejecting)] },
+        { name: 'second', type: 'private-tx', url: urlOf(servers.second) },
+        { name: 'offline', type: 'private-tx', url: 'http://127.0.0.1:1', timeoutMs: 2000 },
+    ]);
+    const results = await submitToRelays(relays, trade);
+    assert.deepEqual(results.map(result => [result.relay, result.endpoint, result.accepted]), [
+        ['builders', urlOf(servers.open), true],
+        ['builders', urlOf(servers.rejecting), false],
+        ['second', urlOf(servers.second), true],
+        ['offline', 'http://127.0.0.1:1', false],
+    ]);
+    assert.match(results[1].error, /configured to reject/);
+    assert.ok(results[3].error);
+
+    const received = await receivedBy(servers.open);
+    assert.ok(received.some(request => request.method === 'eth_sendRawTransaction' && request.params[0] === trade.rawTransaction && request.signer === null));
+});
+
+test('bundle relays target each of the next blocksAhead blocks', async () => {
+    const rpc = { call: async () => '0x64' };
+    const [relay] = createRelays([{ name: 'bundles', type: 'bundle', url: urlOf(servers.second), authSignerKey: AUTH_KEY, blocksAhead: 2 }], { rpc });
+    const results = await submitToRelays([relay], trade);
+    assert.deepEqual(results.map(result => [result.targetBlock, result.accepted]), [[101, true], [102, true]]);
+    const bundles = (await receivedBy(servers.second)).filter(request => request.method === 'eth_sendBundle');
+    assert.deepEqual(bundles.map(request => request.params[0].blockNumber), ['0x65', '0x66']);
+});
+
+test('reports each RelayResult to onResult', async () => {
+    const seen = [];
+    const relays = createRelays([{ name: 'builders', type: 'builders', urls: [urlOf(servers.open), urlOf(servers.rejecting)] }], { onResult: result => seen.push(result.accepted) });
+    await submitToRelays(relays, trade);
+    assert.deepEqual(seen, [true, false]);
+});
+
+test('rejects invalid relay configuration', () => {
+    assert.throws(() => createRelays([{ type: 'carrier-pigeon', url: 'http://x' }]), RelayConfigError);
+    assert.throws(() => createRelays([{ type: 'bundle', url: 'http://x' }]), /authSignerKey/);
+    assert.throws(() => createRelays([{ type: 'builders', urls: [] }]), /non-empty urls/);
+});
@@ -0,0 +1,150 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RiskAnalysisError, createRiskAnalyzer, normalizeContext, parseTradeDescription, validateAnalysis } = require('../lib/riskAnalyzer');
+const { createRuleBasedAnalyzer } = require('../lib/ruleBasedAnalyzer');
+
+const rules = createRuleBasedAnalyzer();
+const points = analysis => Object.fromEntries(analysis.factors.map(item => [item.factor, item.points]));
+
+// A provider that answers with `answer` (or throws it) and counts its calls.
+const countingProvider = (name, answer) => {
+    const provider = {
+        name,
+        calls: 0,
+        async analyze() {
+            provider.calls++;
+            if (answer instanceof Error) throw answer;
+            return answer;
+        },
+    };
+    return provider;
+};
+const LLM_ANSWER = '```json\n{"riskScore": "64/100", "attackType": "Sandwich Attack", "rationale": "Thin pool."}\n```';
+
+// --- Rule-based analyzer ---
+
+test('parses amount, tokens, slippage and venue from free text', () => {
+    assert.deepEqual(parseTradeDescription('Swap 1,500 USDC for WETH on Uniswap V3 with 0.5% slippage'), {
+        amountIn: 1500, tokenIn: 'USDC', tokenOut: 'WETH', slippageTolerance: 0.5, router: 'uniswap-v3',
+    });
+    assert.deepEqual(parseTradeDescription('sell 2 eth into dai, slippage tolerance 3% via the 1inch app'), {
+        amountIn: 2, tokenIn: 'ETH', tokenOut: 'DAI', slippageTolerance: 3,
+    });
+});
+
+test('scores a large long-tail trade on a public AMM as a likely sandwich', async () => {
+    const analysis = await rules.analyze({ description: 'ape', ...parseTradeDescription('Swap 10 ETH for PEPE on uniswap-v2 with 2% slippage') });
+    assert.deepEqual(points(analysis), { size: 20, slippage: 23, volatility: 20, router: 15 });
+    assert.equal(analysis.riskScore, 78);
+    assert.equal(analysis.attackType, 'Sandwich Attack');
+    assert.match(analysis.rationale, /^Rule-based score 78\/100, driven mostly by long-tail pair \(ETH \/ PEPE\) and uniswap-v2 \(constant-product AMM router\)\.$/);
+});
+
+test('scores a small stable swap through a batch auction as low exposure', async () => {
+    const analysis = await rules.analyze({ description: 'x', amountIn: 100, tokenIn: 'USDC', tokenOut: 'DAI', slippageTolerance: 0.1, router: 'cowswap' });
+    assert.deepEqual(points(analysis), { size: 3, slippage: 0, volatility: 2, router: 4 });
+    assert.equal(analysis.attackType, 'Low MEV Exposure');
+});
+
+test('prefers price impact, then pool share, over the trade size', async () => {
+    const base = { description: 'x', tradeSizeUsd: 5000000 };
+    assert.equal(points(await rules.analyze({ ...base, priceImpactPct: 0.01 })).size, 3);
+    assert.equal(points(await rules.analyze({ ...base, liquidityUsd: 500000000 })).size, 20);
+    assert.equal(points(await rules.analyze(base)).size, 35);
+});
+
+test('falls back to middling points when the context says nothing', async () => {
+    const analysis = await rules.analyze({ description: 'a trade' });
+    assert.deepEqual(points(analysis), { size: 15, slippage: 8, volatility: 14, router: 10 });
+    assert.equal(analysis.riskScore, 47);
+});
+
+// --- validateAnalysis ---
+
+test('normalizes fenced JSON and "n/100" scores', () => {
+    assert.deepEqual(validateAnalysis(LLM_ANSWER, 'openai'), {
+        riskScore: 64, attackType: 'Sandwich Attack', rationale: 'Thin pool.', provider: 'openai',
+    });
+    const analysis = validateAnalysis({ riskScore: 71.6, attackType: ' Backrun ', rationale: 'r', factors: [{ factor: 'size' }], extra: true }, 'gemini');
+    assert.deepEqual(analysis, { riskScore: 72, attackType: 'Backrun', rationale: 'r', provider: 'gemini', factors: [{ factor: 'size' }] });
+});
+
+test('rejects output outside the schema', () => {
+    const rejects = (raw, pattern) => assert.throws(() => validateAnalysis(raw, 'gemini'), (err) => {
+        assert.ok(err instanceof RiskAnalysisError);
+        assert.equal(err.provider, 'gemini');
+        assert.match(err.message, pattern);
+        return true;
+    });
+    rejects('I think it is risky', /not valid JSON/);
+    rejects('[1, 2]', /must be a JSON object/);
+    rejects({ riskScore: 101, attackType: 'x', rationale: 'y' }, /riskScore must be a number from 0 to 100, got 101/);
+    rejects({ riskScore: 'high', attackType: 'x', rationale: 'y' }, /got "high"/);
+    rejects({ riskScore: 50, attackType: '', rationale: 'y' }, /attackType/);
+    rejects({ riskScore: 50, attackType: 'x'.repeat(81), rationale: 'y' }, /at most 80 characters/);
+    rejects({ riskScore: 50, attackType: 'x', rationale: '  ' }, /rationale/);
+});
+
+test('normalizeContext keeps typed known fields and requires a description', () => {
+    assert.deepEqual(normalizeContext({ description: ' swap ', amountIn: '2.5', liquidityUsd: 'lots', slippageTolerance: '', apiKey: 'secret' }), {
+        description: 'swap', amountIn: 2.5,
+    });
+    assert.throws(() => normalizeContext({ amountIn: 1 }), RiskAnalysisError);
+});
+
+// --- createRiskAnalyzer ---
+
+test('caches an analysis by context until it expires', async () => {
+    const llm = countingProvider('openai', LLM_ANSWER);
+    const analyzer = createRiskAnalyzer({ providers: [llm] });
+    assert.deepEqual(analyzer.providers, ['openai', 'rules']);
+
+    const first = await analyzer.analyze({ description: 'Swap 1 ETH for DAI', amountIn: 1 });
+    assert.equal(first.cached, false);
+    assert.equal(first.riskScore, 64);
+    const second = await analyzer.analyze({ amountIn: '1', description: 'Swap 1 ETH for DAI ', ignored: 'field' });
+    assert.deepEqual(second, { ...first, cached: true });
+    assert.equal(llm.calls, 1);
+
+    await analyzer.analyze({ description: 'Swap 2 ETH for DAI', amountIn: 2 });
+    assert.equal(llm.calls, 2);
+
+    const expiring = createRiskAnalyzer({ providers: [llm], cacheTtlMs: -1 });
+    await expiring.analyze({ description: 'again' });
+    assert.equal((await expiring.analyze({ description: 'again' })).cached, false);
+    assert.equal(llm.calls, 4);
+});
+
+test('evicts the oldest entry past cacheSize', async () => {
+    const llm = countingProvider('openai', LLM_ANSWER);
+    const analyzer = createRiskAnalyzer({ providers: [llm], cacheSize: 1 });
+    await analyzer.analyze({ description: 'a' });
+    await analyzer.analyze({ description: 'b' });
+    assert.equal((await analyzer.analyze({ description: 'a' })).cached, false);
+    assert.equal((await analyzer.analyze({ description: 'a' })).cached, true);
+    assert.equal(llm.calls, 3);
+});
+
+test('falls back to the rules without caching the fallback', async () => {
+    const calls = [];
+    const llm = countingProvider('gemini', new Error('quota exceeded'));
+    const analyzer = createRiskAnalyzer({ providers: [llm], onCall: call => calls.push(call) });
+
+    const analysis = await analyzer.analyze({ description: 'a trade' });
+    assert.equal(analysis.provider, 'rules');
+    assert.equal(analysis.riskScore, 47);
+    assert.equal(analysis.fallbackReason, 'gemini: quota exceeded');
+    assert.deepEqual(calls.map(({ provider, success, fallbackFrom }) => [provider, success, fallbackFrom]), [
+        ['gemini', false, []], ['rules', true, ['gemini']],
+    ]);
+
+    await analyzer.analyze({ description: 'a trade' });
+    assert.equal(llm.calls, 2);
+});
+
+test('an invalid provider answer counts as a failure', async () => {
+    const analyzer = createRiskAnalyzer({ providers: [countingProvider('openai', '{"riskScore": 500}')] });
+    const analysis = await analyzer.analyze({ description: 'a trade' });
+    assert.equal(analysis.provider, 'rules');
+    assert.match(analysis.fallbackReason, /^openai: riskScore must be/);
+});
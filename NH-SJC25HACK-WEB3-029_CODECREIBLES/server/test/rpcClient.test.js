@@ -0,0 +1,92 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { RpcError, createRpcClient, withForkLock } = require('../lib/rpcClient');
+
+let server;
+let url;
+const received = [];
+
+// A node that answers by method name.
+before(async () => {
+    server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            const request = JSON.parse(body);
+            received.push({ request, headers: req.headers });
+            const reply = payload => res.end(JSON.stringify({ jsonrpc: '2.0', id: request.id, ...payload }));
+            if (request.method === 'eth_blockNumber') return reply({ result: '0x10' });
+            if (request.method === 'eth_call') return reply({ error: { code: 3, message: 'execution reverted', data: '0x08c379a0' } });
+            if (request.method === 'html') return res.end('<html>Bad Gateway</html>');
+            if (request.method === 'slow') return setTimeout(() => reply({ result: null }), 500);
+            return reply({ error: { code: -32601, message: `the method ${request.method} does not exist` } });
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// --- createRpcClient ---
+
+test('returns the result and sends incrementing ids and extra headers', async () => {
+    const rpc = createRpcClient(url, { headers: { Authorization: 'Bearer node-key' } });
+    assert.equal(rpc.url, url);
+    assert.equal(await rpc.call('eth_blockNumber'), '0x10');
+    await rpc.call('eth_blockNumber');
+    const [first, second] = received.slice(-2);
+    assert.deepEqual(first.request.params, []);
+    assert.equal(second.request.id, first.request.id + 1);
+    assert.equal(second.headers.authorization, 'Bearer node-key');
+});
+
+test('JSON-RPC errors keep their code and data', async () => {
+    const rpc = createRpcClient(url);
+    await assert.rejects(rpc.call('eth_call', [{}, 'latest']), (err) => err instanceof RpcError
+        && err.message === 'execution reverted' && err.code === 3 && err.data === '0x08c379a0');
+    await assert.rejects(rpc.call('evm_snapshot'), { code: -32601 });
+});
+
+test('transport failures are RpcErrors without a code', async () => {
+    await assert.rejects(createRpcClient(url).call('html'), (err) => err instanceof RpcError && err.code === null && /non-JSON response \(HTTP 200\)/.test(err.message));
+    await assert.rejects(createRpcClient(url, { timeoutMs: 50 }).call('slow'), (err) => err instanceof RpcError && err.code === null && /slow timed out after 50ms/.test(err.message));
+    await assert.rejects(createRpcClient('http://127.0.0.1:1').call('eth_blockNumber'), (err) => err instanceof RpcError && /eth_blockNumber failed/.test(err.message));
+});
+
+// --- withForkLock ---
+
+const tracked = (log, name, ms) => async () => {
+    log.push(`${name} start`);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    log.push(`${name} end`);
+    return name;
+};
+
+test('serializes tasks on clients of the same node', async () => {
+    const log = [];
+    const [a, b] = [createRpcClient('http://fork.test:8545'), createRpcClient('http://fork.test:8545')];
+    const results = await Promise.all([
+        withForkLock(a, tracked(log, 'a', 20)),
+        withForkLock(b, tracked(log, 'b', 1)),
+    ]);
+    assert.deepEqual(results, ['a', 'b']);
+    assert.deepEqual(log, ['a start', 'a end', 'b start', 'b end']);
+});
+
+test('a failed task releases the lock, and other nodes are not held up', async () => {
+    const log = [];
+    const fork = createRpcClient('http://fork.test:8545');
+    const failed = withForkLock(fork, async () => {
+        log.push('fail');
+        throw new Error('simulation failed');
+    });
+    const next = withForkLock(fork, tracked(log, 'next', 1));
+    const other = withForkLock(createRpcClient('http://other-fork.test:8545'), tracked(log, 'other', 1));
+    await assert.rejects(failed, /simulation failed/);
+    assert.equal(await next, 'next');
+    assert.equal(await other, 'other');
+    assert.ok(log.indexOf('next start') > log.indexOf('fail'));
+    assert.ok(log.indexOf('other start') < log.indexOf('next start'));
+});
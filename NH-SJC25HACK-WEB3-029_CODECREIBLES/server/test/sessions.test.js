@@ -0,0 +1,121 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const dbHelpers = require('../lib/db');
+const { SessionStore, attachSession, requireSession, bearerToken } = require('../lib/sessions');
+
+const ADDRESS = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+let db;
+
+before(async () => {
+    db = new sqlite3.Database(':memory:');
+    await dbHelpers.run(db, `CREATE TABLE siwe_nonces (
+        nonce TEXT PRIMARY KEY,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME
+    )`);
+    await dbHelpers.run(db, `CREATE TABLE sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        token_hash TEXT NOT NULL UNIQUE,
+        address TEXT NOT NULL,
+        chain_id INTEGER NOT NULL,
+        created_at DATETIME NOT NULL,
+        expires_at DATETIME NOT NULL
+    )`);
+});
+
+after(() => new Promise(resolve => db.close(resolve)));
+
+// A minimal Express request/response pair.
+const request = authorization => ({ get: name => (name === 'Authorization' ? authorization : undefined) });
+const response = () => {
+    const res = { statusCode: 200, body: null };
+    res.status = (code) => {
+        res.statusCode = code;
+        return res;
+    };
+    res.json = (body) => {
+        res.body = body;
+        return res;
+    };
+    return res;
+};
+
+// --- Nonces ---
+
+test('a nonce can be consumed once', async () => {
+    const store = new SessionStore({ db });
+    const { nonce, expiresAt } = await store.issueNonce();
+    assert.match(nonce, /^[0-9a-f]{32}$/);
+    assert.ok(Date.parse(expiresAt) > Date.now());
+
+    assert.equal(await store.consumeNonce(nonce), true);
+    assert.equal(await store.consumeNonce(nonce), false);
+    assert.equal(await store.consumeNonce('0123456789abcdef'), false);
+});
+
+test('an expired nonce is refused and pruned', async () => {
+    const stale = new SessionStore({ db, nonceTtlMs: -1000 });
+    const { nonce } = await stale.issueNonce();
+    assert.equal(await stale.consumeNonce(nonce), false);
+
+    await new SessionStore({ db }).issueNonce();
+    assert.equal(await dbHelpers.get(db, 'SELECT nonce FROM siwe_nonces WHERE nonce = ?', [nonce]), undefined);
+});
+
+// --- Sessions ---
+
+test('a session resolves by its token until it is revoked', async () => {
+    const store = new SessionStore({ db });
+    const session = await store.create({ address: ADDRESS, chainId: 1 });
+    assert.match(session.token, /^[0-9a-f]{64}$/);
+    assert.ok(Math.abs(Date.parse(session.expiresAt) - (Date.now() + 24 * 60 * 60 * 1000)) < 5000);
+
+    const stored = await dbHelpers.get(db, 'SELECT token_hash FROM sessions WHERE address = ?', [ADDRESS]);
+    assert.notEqual(stored.token_hash, session.token);
+
+    const resolved = await store.resolve(session.token);
+    assert.deepEqual(resolved, { sessionId: resolved.sessionId, address: ADDRESS, chainId: 1, expiresAt: session.expiresAt });
+    assert.equal(await store.resolve(null), null);
+    assert.equal(await store.resolve('not-a-token'), null);
+
+    await store.revoke(session.token);
+    assert.equal(await store.resolve(session.token), null);
+});
+
+test('sessions expire after the TTL or the SIWE Expiration Time, whichever is sooner', async () => {
+    const store = new SessionStore({ db, sessionTtlMs: 60 * 60 * 1000 });
+    const expirationTime = new Date(Date.now() + 5 * 60 * 1000).toISOString();
+    assert.equal((await store.create({ address: ADDRESS, chainId: 1, expirationTime })).expiresAt, expirationTime);
+
+    const expired = await store.create({ address: ADDRESS, chainId: 1, expirationTime: new Date(Date.now() - 1000).toISOString() });
+    assert.equal(await store.resolve(expired.token), null);
+
+    const ttlExpired = await new SessionStore({ db, sessionTtlMs: -1000 }).create({ address: ADDRESS, chainId: 1 });
+    assert.equal(await store.resolve(ttlExpired.token), null);
+});
+
+// --- Middleware ---
+
+test('attachSession sets req.user from the bearer token and requireSession gates on it', async () => {
+    const store = new SessionStore({ db });
+    const { token } = await store.create({ address: ADDRESS, chainId: 8453 });
+    assert.equal(bearerToken(request(`Bearer ${token} `)), token);
+    assert.equal(bearerToken(request(`Basic ${token}`)), null);
+
+    const signedIn = request(`Bearer ${token}`);
+    await attachSession(store)(signedIn, response(), () => {});
+    assert.equal(signedIn.user.address, ADDRESS);
+    assert.equal(signedIn.user.chainId, 8453);
+    let passed = false;
+    requireSession(signedIn, response(), () => { passed = true; });
+    assert.equal(passed, true);
+
+    const anonymous = request(undefined);
+    await attachSession(store)(anonymous, response(), () => {});
+    assert.equal(anonymous.user, null);
+    const res = response();
+    requireSession(anonymous, res, () => assert.fail('anonymous request passed'));
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.code, 'SIGN_IN_REQUIRED');
+});
@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Wallet, Interface } = require('ethers');
+const { SiweError, parseSiweMessage, verifySiweMessage } = require('../lib/siwe');
+
+// Well-known test key (anvil/hardhat account #0); never holds real funds.
+const wallet = new Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const SAFE = '0x000000000000000000000000000000000000cafe';
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+
+const siweMessage = ({ domain = 'localhost:5173', address = wallet.address, chainId = 1, fields = [], resources = [] } = {}) => [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    'Sign in to MEV Shield.',
+    '',
+    `URI: http://${domain}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    'Nonce: 3f9a1c0b7e2d4a65',
+    'Issued At: 2025-06-01T11:59:00Z',
+    ...fields,
+    ...(resources.length ? ['Resources:', ...resources.map(resource => `- ${resource}`)] : []),
+].join('\n');
+
+const verify = async (message, options = {}) => verifySiweMessage({
+    message, signature: await wallet.signMessage(message), domains: ['localhost:5173'], now: NOW, ...options,
+});
+
+const rejectsWith = (promise, code) => assert.rejects(promise, (err) => {
+    assert.ok(err instanceof SiweError);
+    assert.equal(err.code, code);
+    return true;
+});
+
+// --- parseSiweMessage ---
+
+test('parses every EIP-4361 field', () => {
+    const parsed = parseSiweMessage(siweMessage({
+        domain: 'app.example.com',
+        address: wallet.address.toLowerCase(),
+        chainId: 8453,
+        fields: ['Expiration Time: 2025-06-02T00:00:00Z', 'Request ID: req-1'],
+        resources: ['ipfs://bafy', 'https://example.com/terms'],
+    }).replace(/\n/g, '\r\n'));
+    assert.deepEqual(parsed, {
+        scheme: null,
+        domain: 'app.example.com',
+        address: wallet.address,
+        statement: 'Sign in to MEV Shield.',
+        uri: 'http://app.example.com',
+        version: '1',
+        chainId: 8453,
+        nonce: '3f9a1c0b7e2d4a65',
+        issuedAt: '2025-06-01T11:59:00Z',
+        expirationTime: '2025-06-02T00:00:00Z',
+        requestId: 'req-1',
+        resources: ['ipfs://bafy', 'https://example.com/terms'],
+    });
+    assert.equal(parseSiweMessage(siweMessage({ domain: 'https://localhost:5173' })).scheme, 'https');
+});
+
+test('rejects malformed messages with a 400', () => {
+    const malformed = (message, reason) => assert.throws(() => parseSiweMessage(message), (err) => {
+        assert.equal(err.code, 'MALFORMED_MESSAGE');
+        assert.equal(err.status, 400);
+        assert.match(err.message, reason);
+        return true;
+    });
+    malformed(42, /must be a string/);
+    malformed(siweMessage().replace('wants you to sign in', 'asks you to log in'), /missing header line/);
+    malformed(siweMessage({ address: '0x1234' }), /invalid address/);
+    malformed(siweMessage().replace('Version: 1', 'Version: 2'), /version must be 1/);
+    malformed(siweMessage().replace('Nonce: 3f9a1c0b7e2d4a65', 'Nonce: short'), /nonce/);
+    malformed(siweMessage({ fields: ['Not Before: someday'] }), /invalid notBefore/);
+    malformed(siweMessage({ fields: ['Favourite Colour: blue'] }), /unexpected line "Favourite Colour: blue"/);
+    malformed(`${siweMessage()}\nResources:\nipfs://bafy`, /invalid resource line/);
+});
+
+// --- verifySiweMessage ---
+
+test('accepts a message signed by its address', async () => {
+    const parsed = await verify(siweMessage(), { expectedChainId: 1n });
+    assert.equal(parsed.address, wallet.address);
+});
+
+test('checks domain, chain and validity window', async () => {
+    await rejectsWith(verify(siweMessage({ domain: 'evil.example' })), 'DOMAIN_MISMATCH');
+    await rejectsWith(verify(siweMessage({ chainId: 10 }), { expectedChainId: 1 }), 'CHAIN_MISMATCH');
+    await rejectsWith(verify(siweMessage({ fields: ['Expiration Time: 2025-06-01T12:00:00Z'] })), 'EXPIRED_MESSAGE');
+    await rejectsWith(verify(siweMessage({ fields: ['Not Before: 2025-06-01T12:05:00Z'] })), 'NOT_YET_VALID');
+    await rejectsWith(verify(siweMessage(), { now: Date.parse('2025-06-01T11:57:59Z') }), 'NOT_YET_VALID');
+    // Within the clock skew allowance.
+    await verify(siweMessage({ fields: ['Not Before: 2025-06-01T12:00:30Z'] }));
+});
+
+test('rejects a signature from another key unless the address is a contract wallet that accepts it', async () => {
+    const message = siweMessage({ address: SAFE });
+    const signature = await wallet.signMessage(message);
+    await rejectsWith(verifySiweMessage({ message, signature, domains: ['localhost:5173'], now: NOW }), 'INVALID_SIGNATURE');
+
+    const eip1271 = new Interface(['function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)']);
+    const contractWallet = magicValue => ({
+        call: async (method, [{ to, data }]) => {
+            assert.equal(method, 'eth_call');
+            assert.equal(to.toLowerCase(), SAFE);
+            assert.equal(eip1271.decodeFunctionData('isValidSignature', data).signature, signature);
+            return `${magicValue}${'0'.repeat(56)}`;
+        },
+    });
+    const parsed = await verifySiweMessage({ message, signature, domains: ['localhost:5173'], now: NOW, rpc: contractWallet('0x1626ba7e') });
+    assert.equal(parsed.address.toLowerCase(), SAFE);
+    await rejectsWith(verifySiweMessage({ message, signature, domains: ['localhost:5173'], now: NOW, rpc: contractWallet('0xffffffff') }), 'INVALID_SIGNATURE');
+    await rejectsWith(verifySiweMessage({ message, signature: '0x1234', domains: ['localhost:5173'], now: NOW }), 'INVALID_SIGNATURE');
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const dbHelpers = require('../lib/db');
+const { TRADE_STATUS, TradeTracker } = require('../lib/tradeTracker');
+
+const SENDER = '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266';
+let db;
+
+before(async () => {
+    db = new sqlite3.Database(':memory:');
+    await dbHelpers.run(db, `CREATE TABLE protected_trades (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tx_hash TEXT,
+        from_address TEXT,
+        nonce INTEGER,
+        chain_id TEXT,
+        status TEXT NOT NULL,
+        status_updated_at DATETIME,
+        block_number INTEGER,
+        gas_used TEXT,
+        submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`);
+    await dbHelpers.run(db, `CREATE TABLE trade_status_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trade_id INTEGER NOT NULL,
+        status TEXT NOT NULL,
+        changed_at DATETIME NOT NULL,
+        detail TEXT
+    )`);
+});
+
+after(() => new Promise(resolve => db.close(resolve)));
+
+async function insertTrade(status = TRADE_STATUS.FORWARDED) {
+    const txHash = `0x${Math.random().toString(16).slice(2).padEnd(64, '0')}`;
+    const { lastID } = await dbHelpers.run(db, 'INSERT INTO protected_trades (tx_hash, from_address, nonce, chain_id, status) VALUES (?, ?, ?, ?, ?)',
+        [txHash, SENDER, 7, '1', status]);
+    return dbHelpers.get(db, 'SELECT * FROM protected_trades WHERE id = ?', [lastID]);
+}
+
+// A node answering from fixed results, counting the calls per method.
+function stubRpc(handlers) {
+    const calls = {};
+    return {
+        calls,
+        call: async (method) => {
+            calls[method] = (calls[method] || 0) + 1;
+            return handlers[method](calls[method]);
+        },
+    };
+}
+
+const receipt = status => ({ status, blockNumber: '0x10', gasUsed: '0x5208' });
+
+test('a receipt includes or fails the trade', async () => {
+    const tracker = new TradeTracker({ db, rpc: stubRpc({ eth_getTransactionReceipt: () => receipt('0x1') }) });
+    const event = await tracker.checkTrade(await insertTrade());
+    assert.equal(event.status, TRADE_STATUS.INCLUDED);
+    assert.equal(event.blockNumber, 16);
+    assert.equal(event.gasUsed, '21000');
+
+    const reverted = new TradeTracker({ db, rpc: stubRpc({ eth_getTransactionReceipt: () => receipt('0x0') }) });
+    assert.equal((await reverted.checkTrade(await insertTrade())).status, TRADE_STATUS.FAILED);
+});
+
+test('a nonce that advanced with the receipt only visible on the second look includes the trade', async () => {
+    const rpc = stubRpc({
+        eth_getTransactionReceipt: call => (call === 1 ? null : receipt('0x1')),
+        eth_getTransactionCount: () => '0x8',
+    });
+    const event = await new TradeTracker({ db, rpc }).checkTrade(await insertTrade());
+    assert.equal(event.status, TRADE_STATUS.INCLUDED);
+    assert.equal(rpc.calls.eth_getTransactionReceipt, 2);
+});
+
+test('a nonce that advanced without a receipt drops the trade', async () => {
+    const rpc = stubRpc({ eth_getTransactionReceipt: () => null, eth_getTransactionCount: () => '0x8' });
+    const trade = await insertTrade();
+    const event = await new TradeTracker({ db, rpc }).checkTrade(trade);
+    assert.equal(event.status, TRADE_STATUS.DROPPED);
+    assert.match(event.reason, /advanced to 8/);
+    const history = await dbHelpers.all(db, 'SELECT status FROM trade_status_history WHERE trade_id = ?', [trade.id]);
+    assert.deepEqual(history.map(row => row.status), [TRADE_STATUS.DROPPED]);
+});
+
+test('a trade seen in the mempool becomes pending, and terminal trades stay put', async () => {
+    const rpc = stubRpc({
+        eth_getTransactionReceipt: () => null,
+        eth_getTransactionCount: () => '0x7',
+        eth_getTransactionByHash: () => ({ hash: '0x' }),
+    });
+    const tracker = new TradeTracker({ db, rpc });
+    const trade = await insertTrade();
+    assert.equal((await tracker.checkTrade(trade)).status, TRADE_STATUS.PENDING);
+    assert.equal(await tracker.transition(trade.id, TRADE_STATUS.FORWARDED), null);
+
+    const included = await insertTrade(TRADE_STATUS.INCLUDED);
+    assert.equal(await tracker.transition(included.id, TRADE_STATUS.DROPPED), null);
+});
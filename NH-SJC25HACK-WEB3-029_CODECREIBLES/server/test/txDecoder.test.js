@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Transaction, Wallet } = require('ethers');
+const { TransactionValidationError, decodeSignedTransaction } = require('../lib/txDecoder');
+
+// Well-known test key (anvil/hardhat account #0); never holds real funds.
+const wallet = new Wallet('0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80');
+const ROUTER = '0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D';
+
+const EIP1559_TX = {
+    type: 2,
+    chainId: 1,
+    nonce: 7,
+    to: ROUTER,
+    value: 10n ** 17n,
+    gasLimit: 210000,
+    maxFeePerGas: 30000000000n,
+    maxPriorityFeePerGas: 2000000000n,
+    data: '0x7ff36ab5',
+};
+
+const sign = overrides => wallet.signTransaction({ ...EIP1559_TX, ...overrides });
+
+const rejects = (raw, code, options) => assert.throws(() => decodeSignedTransaction(raw, options), (err) => {
+    assert.ok(err instanceof TransactionValidationError);
+    assert.equal(err.code, code);
+    return true;
+});
+
+test('decodes a signed EIP-1559 transaction and recovers its sender', async () => {
+    const raw = await sign();
+    const decoded = decodeSignedTransaction(raw, { expectedChainId: 1 });
+    assert.equal(decoded.hash, Transaction.from(raw).hash);
+    assert.equal(decoded.from, wallet.address);
+    assert.equal(decoded.to, ROUTER);
+    assert.equal(decoded.typeName, 'eip-1559');
+    assert.equal(decoded.chainId, '1');
+    assert.equal(decoded.nonce, 7);
+    assert.equal(decoded.value, '100000000000000000');
+    assert.equal(decoded.maxFeePerGas, '30000000000');
+    assert.equal(decoded.gasPrice, null);
+    assert.equal(decoded.data, '0x7ff36ab5');
+});
+
+test('decodes a legacy EIP-155 transaction', async () => {
+    const raw = await wallet.signTransaction({ type: 0, chainId: 137, nonce: 0, to: ROUTER, gasLimit: 21000, gasPrice: 50000000000n });
+    const decoded = decodeSignedTransaction(` ${raw}\n`);
+    assert.equal(decoded.typeName, 'legacy');
+    assert.equal(decoded.chainId, '137');
+    assert.equal(decoded.gasPrice, '50000000000');
+    assert.equal(decoded.maxFeePerGas, null);
+});
+
+test('rejects input that is not a signed transaction', () => {
+    rejects('not hex', 'INVALID_HEX');
+    rejects(42, 'INVALID_HEX');
+    rejects('0xabc', 'INVALID_HEX');
+    rejects('0xdeadbeef', 'MALFORMED_TX');
+    rejects(Transaction.from(EIP1559_TX).unsignedSerialized, 'MISSING_SIGNATURE');
+});
+
+test('rejects transactions for another chain', async () => {
+    const raw = await sign({ chainId: 42161 });
+    rejects(raw, 'WRONG_CHAIN_ID', { expectedChainId: 1 });
+    assert.equal(decodeSignedTransaction(raw, { expectedChainId: 42161n }).chainId, '42161');
+});
+
+test('rejects transactions that are not replay-protected', () => {
+    const tx = Transaction.from({ type: 0, nonce: 0, to: ROUTER, gasLimit: 21000, gasPrice: 1n });
+    tx.signature = wallet.signingKey.sign(tx.unsignedHash);
+    rejects(tx.serialized, 'MISSING_CHAIN_ID');
+});
+
+test('rejects unusable gas and fee fields', async () => {
+    rejects(await sign({ gasLimit: 20000 }), 'GAS_LIMIT_TOO_LOW');
+    rejects(await sign({ maxFeePerGas: 0n, maxPriorityFeePerGas: 0n }), 'INVALID_FEE');
+    rejects(await wallet.signTransaction({ type: 0, chainId: 1, nonce: 0, to: ROUTER, gasLimit: 21000, gasPrice: 0n }), 'INVALID_FEE');
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TxSimulationError, normalizeBalanceGuards, applyGuards } = require('../lib/txSimulator');
+
+const ETH = { symbol: 'ETH', decimals: 18 };
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+// Token metadata comes from the cache, so the guards never reach the node.
+const noRpc = { call: () => { throw new Error('unexpected RPC call'); } };
+const tokenCache = () => new Map([[USDC, { symbol: 'USDC', decimals: 6 }]]);
+const change = (token, delta) => ({ token, delta: String(delta) });
+
+// --- normalizeBalanceGuards ---
+
+test('normalizes native and token guards', () => {
+    assert.deepEqual(normalizeBalanceGuards(undefined), []);
+    assert.deepEqual(normalizeBalanceGuards([
+        { token: 'ETH', min: '-0.5' },
+        { token: 'native', min: 0 },
+        { token: USDC.toLowerCase(), min: '1500.25' },
+    ]), [
+        { token: null, min: '-0.5' },
+        { token: null, min: '0' },
+        { token: USDC, min: '1500.25' },
+    ]);
+});
+
+test('rejects malformed guards', () => {
+    const invalid = (err) => err instanceof TxSimulationError && err.status === 400 && err.code === 'INVALID_BALANCE_GUARD';
+    assert.throws(() => normalizeBalanceGuards({ token: 'ETH', min: '1' }), invalid);
+    assert.throws(() => normalizeBalanceGuards(Array.from({ length: 21 }, () => ({ token: 'ETH', min: '0' }))), invalid);
+    assert.throws(() => normalizeBalanceGuards([{ token: 'DAI', min: '1' }]), invalid);
+    assert.throws(() => normalizeBalanceGuards([{ token: 'ETH', min: '1e18' }]), invalid);
+    assert.throws(() => normalizeBalanceGuards([{ token: 'ETH' }]), invalid);
+});
+
+// --- applyGuards ---
+
+test('checks guards against the balance changes, an unchanged token counting as zero', async () => {
+    const guards = normalizeBalanceGuards([
+        { token: USDC, min: '1500' },
+        { token: 'ETH', min: '-1' },
+        { token: 'ETH', min: '0' },
+    ]);
+    const results = await applyGuards(noRpc, guards, [change(USDC, 1499999999n)], ETH, tokenCache());
+    assert.deepEqual(results, [
+        { token: USDC, symbol: 'USDC', min: '1500', actual: '1499.999999', passed: false },
+        { token: null, symbol: 'ETH', min: '-1', actual: '0.0', passed: true },
+        { token: null, symbol: 'ETH', min: '0', actual: '0.0', passed: true },
+    ]);
+});
+
+test('negative guards cap spending', async () => {
+    const guards = normalizeBalanceGuards([{ token: 'ETH', min: '-1.5' }]);
+    const spent = (amount) => [change(null, -amount)];
+    assert.equal((await applyGuards(noRpc, guards, spent(15n * 10n ** 17n), ETH, tokenCache()))[0].passed, true);
+    assert.equal((await applyGuards(noRpc, guards, spent(15n * 10n ** 17n + 1n), ETH, tokenCache()))[0].passed, false);
+});
+
+test('guards stay unknown without balance changes', async () => {
+    const [result] = await applyGuards(noRpc, normalizeBalanceGuards([{ token: USDC, min: '1' }]), null, ETH, tokenCache());
+    assert.equal(result.actual, null);
+    assert.equal(result.passed, null);
+});
+
+test('rejects a min with more decimals than its token', async () => {
+    const guards = normalizeBalanceGuards([{ token: USDC, min: '1.0000001' }]);
+    await assert.rejects(applyGuards(noRpc, guards, [], ETH, tokenCache()),
+        (err) => err instanceof TxSimulationError && err.status === 400 && err.code === 'INVALID_BALANCE_GUARD' && /6 decimal places/.test(err.message));
+    const pol = { symbol: 'POL', decimals: 18 };
+    await assert.rejects(applyGuards(noRpc, normalizeBalanceGuards([{ token: 'ETH', min: `0.${'1'.repeat(19)}` }]), [], pol, tokenCache()), /POL/);
+    const [result] = await applyGuards(noRpc, normalizeBalanceGuards([{ token: USDC, min: '1.000001' }]), [], ETH, tokenCache());
+    assert.equal(result.passed, false);
+});
@@ -0,0 +1,142 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Interface, AbiCoder, id: keccakId, getAddress, zeroPadValue, toBeHex, parseEther, MaxUint256 } = require('ethers');
+const { analyzeWalletHealth, scoreExposure, getTokenMetadata } = require('../lib/walletHealth');
+
+const WALLET = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const BOT = getAddress('0x000000000000000000000000000000000000b07a');
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const MYSTERY = getAddress('0x000000000000000000000000000000000000d00d');
+const UNIVERSAL_ROUTER = '0x3fC91A3afd70395Cd496C647d5a6CC9D4B2b7FAD';
+const DRAINER = getAddress('0x00000000000000000000000000000000deadbeef');
+const POOL = getAddress('0x000000000000000000000000000000000000aaaa');
+const APPROVAL_TOPIC = keccakId('Approval(address,address,uint256)');
+const TRANSFER_TOPIC = keccakId('Transfer(address,address,uint256)');
+
+const erc20 = new Interface([
+    'function allowance(address owner, address spender) view returns (uint256)',
+    'function symbol() view returns (string)',
+    'function decimals() view returns (uint8)',
+]);
+const pairEvents = new Interface(['event Swap(address indexed sender, uint256 amount0In, uint256 amount1In, uint256 amount0Out, uint256 amount1Out, address indexed to)']);
+const abiCoder = AbiCoder.defaultAbiCoder();
+const topic = address => zeroPadValue(address, 32);
+const hash = n => toBeHex(n, 32);
+
+const swapLog = zeroForOne => ({
+    address: POOL,
+    logIndex: '0x0',
+    ...pairEvents.encodeEventLog('Swap', zeroForOne ? [BOT, 100n, 0n, 0n, 90n, BOT] : [BOT, 0n, 100n, 90n, 0n, BOT]),
+});
+const approval = (token, spender, value, blockNumber) => ({
+    address: token, blockNumber: toBeHex(blockNumber), topics: [APPROVAL_TOPIC, topic(WALLET), topic(spender)], data: abiCoder.encode(['uint256'], [value]),
+});
+
+// Block 900: the bot brackets the wallet's swap at index 5. Block 950: a swap nobody touched.
+const SANDWICHED = hash(1);
+const UNTOUCHED = hash(2);
+const block900 = {
+    4: { hash: hash(11), from: BOT, to: BOT, logs: [swapLog(true)] },
+    5: { hash: SANDWICHED, from: WALLET, to: UNIVERSAL_ROUTER, logs: [swapLog(true)] },
+    6: { hash: hash(12), from: BOT, to: BOT, logs: [swapLog(false)] },
+};
+const receipts = {
+    ...Object.fromEntries(Object.values(block900).map(tx => [tx.hash, { from: tx.from, logs: tx.logs }])),
+    [SANDWICHED]: { from: WALLET, blockNumber: '0x384', transactionIndex: '0x5', logs: [swapLog(true)] },
+    [UNTOUCHED]: { from: WALLET, blockNumber: '0x3b6', transactionIndex: '0x0', logs: [swapLog(false)] },
+};
+
+const LOGS = [
+    approval(USDC, UNIVERSAL_ROUTER, 5n * 10n ** 6n, 100),
+    approval(USDC, UNIVERSAL_ROUTER, 1000n * 10n ** 6n, 500),
+    approval(MYSTERY, DRAINER, MaxUint256, 600),
+    approval(USDC, DRAINER, 7n, 700), // revoked since: allowance() now answers 0
+    { address: USDC, blockNumber: '0x384', transactionHash: SANDWICHED, topics: [TRANSFER_TOPIC, topic(WALLET), topic(POOL)], data: '0x' },
+    { address: USDC, blockNumber: '0x3b6', transactionHash: UNTOUCHED, topics: [TRANSFER_TOPIC, topic(POOL), topic(WALLET)], data: '0x' },
+];
+
+function chainRpc({ archive = true } = {}) {
+    const getLogsRanges = [];
+    const handlers = {
+        eth_blockNumber: () => toBeHex(1000),
+        eth_getBalance: () => toBeHex(parseEther('1.5')),
+        eth_getTransactionCount: ([, block]) => {
+            if (block === 'latest') return '0x5';
+            if (!archive) throw new Error('missing trie node');
+            return '0x2';
+        },
+        eth_getLogs: ([filter]) => {
+            const [from, to] = [Number(filter.fromBlock), Number(filter.toBlock)];
+            getLogsRanges.push([from, to]);
+            return LOGS.filter(log => log.topics[0] === filter.topics[0]
+                && filter.topics.every((wanted, i) => !wanted || log.topics[i] === wanted)
+                && Number(log.blockNumber) >= from && Number(log.blockNumber) <= to);
+        },
+        eth_call: ([{ to, data }]) => {
+            const call = erc20.parseTransaction({ data });
+            if (to === MYSTERY && call.name !== 'allowance') throw new Error('execution reverted');
+            if (call.name === 'symbol') return erc20.encodeFunctionResult('symbol', ['USDC']);
+            if (call.name === 'decimals') return erc20.encodeFunctionResult('decimals', [6]);
+            const current = to === MYSTERY ? MaxUint256 : call.args[1] === UNIVERSAL_ROUTER ? 1000n * 10n ** 6n : 0n;
+            return erc20.encodeFunctionResult('allowance', [current]);
+        },
+        eth_getTransactionReceipt: ([txHash]) => receipts[txHash] || null,
+        eth_getTransactionByBlockNumberAndIndex: ([block, index]) => (Number(block) === 900 && block900[Number(index)]) || null,
+    };
+    return { getLogsRanges, call: async (method, params) => handlers[method](params) };
+}
+
+test('scores approvals, sandwiches and recent activity from chain data', async () => {
+    const rpc = chainRpc();
+    const health = await analyzeWalletHealth(rpc, WALLET.toLowerCase(), {
+        logChunkSize: 400, blockTimeSeconds: 2, nativeToken: { symbol: 'POL', decimals: 18 },
+    });
+    assert.equal(health.address, WALLET);
+    assert.equal(health.balance, '1.5000 POL');
+    assert.equal(health.transactionsLast24h, 3);
+    assert.deepEqual(health.scannedBlocks, { from: 0, to: 1000 });
+
+    assert.deepEqual(health.approvals.map(item => [item.symbol, item.spender, item.formattedAllowance, item.unlimited, item.verifiedSpender, item.lastApprovedBlock]), [
+        ['USDC', UNIVERSAL_ROUTER, '1000.0', false, true, 500],
+        [`0x0000…${MYSTERY.slice(-4)}`, DRAINER, 'unlimited', true, false, 600],
+    ]);
+
+    assert.equal(health.swapsChecked, 2);
+    assert.deepEqual(health.sandwichedSwaps, [{
+        txHash: SANDWICHED, blockNumber: 900, pool: POOL, attacker: BOT, frontRunTx: hash(11), backRunTx: hash(12),
+    }]);
+
+    assert.equal(health.mevExposureScore, 10 + 15 + 20 + 3);
+    assert.equal(health.alerts.length, 2);
+    assert.match(health.alerts[1], new RegExp(`was sandwiched by 0x0000…${BOT.slice(-4)}`));
+    // Three eth_getLogs chunks per filter over blocks 0-1000.
+    assert.deepEqual(rpc.getLogsRanges.slice(0, 3), [[0, 399], [400, 799], [800, 1000]]);
+});
+
+test('without an archive node the 24h count is unknown', async () => {
+    const health = await analyzeWalletHealth(chainRpc({ archive: false }), WALLET);
+    assert.equal(health.transactionsLast24h, null);
+    assert.equal(health.balance, '1.5000 ETH');
+    assert.match(health.alerts[health.alerts.length - 1], /does not serve historical state/);
+});
+
+test('scoreExposure caps each factor', () => {
+    const approvals = Array.from({ length: 5 }, () => ({ unlimited: true, verifiedSpender: false }));
+    const { score, breakdown } = scoreExposure({ approvals, sandwiches: [{}, {}, {}], transactionsLast24h: 40 });
+    assert.deepEqual(breakdown.map(item => [item.factor, item.points]), [
+        ['unlimitedApprovals', 25], ['unverifiedSpenders', 30], ['sandwichedSwaps', 40], ['recentActivity', 5],
+    ]);
+    assert.equal(score, 100);
+});
+
+test('token metadata is cached per token', async () => {
+    let calls = 0;
+    const rpc = { call: async (method, [{ data }]) => {
+        calls++;
+        return erc20.parseTransaction({ data }).name === 'symbol' ? erc20.encodeFunctionResult('symbol', ['DAI']) : erc20.encodeFunctionResult('decimals', [18]);
+    } };
+    const cache = new Map();
+    assert.deepEqual(await getTokenMetadata(rpc, USDC, cache), { symbol: 'DAI', decimals: 18 });
+    await getTokenMetadata(rpc, USDC, cache);
+    assert.equal(calls, 2);
+});
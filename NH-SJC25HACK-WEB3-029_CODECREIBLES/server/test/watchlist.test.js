@@ -0,0 +1,61 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sqlite3 = require('sqlite3');
+const dbHelpers = require('../lib/db');
+const { WatchlistInputError, WatchlistWatcher, normalizeRules } = require('../lib/watchlist');
+const { CHAIN_REGISTRY } = require('../lib/chains');
+
+const POLYGON = CHAIN_REGISTRY.find(chain => chain.chainId === 137);
+const OWNER = '0x70997970C51812dc3A010C7d01b50e0d17dc79C8';
+const WHALE = '0x00000000000000000000000000000000000000aa';
+let db;
+
+before(async () => {
+    db = new sqlite3.Database(':memory:');
+    await dbHelpers.run(db, `CREATE TABLE watchlist (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_address TEXT NOT NULL,
+        chain_id INTEGER NOT NULL,
+        address TEXT NOT NULL,
+        label TEXT NOT NULL,
+        rules TEXT NOT NULL,
+        created_at DATETIME NOT NULL,
+        updated_at DATETIME NOT NULL
+    )`);
+    await dbHelpers.run(db, `CREATE TABLE watchlist_hits (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        watchlist_id INTEGER NOT NULL,
+        rule TEXT NOT NULL,
+        tx_hash TEXT,
+        detail TEXT NOT NULL,
+        value_wei TEXT,
+        attack_type TEXT,
+        created_at DATETIME NOT NULL
+    )`);
+    const rules = JSON.stringify(normalizeRules({ valueAbove: '500', approvals: false }, undefined, POLYGON.nativeToken));
+    const now = new Date().toISOString();
+    await dbHelpers.run(db, 'INSERT INTO watchlist (user_address, chain_id, address, label, rules, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [OWNER, POLYGON.chainId, WHALE, 'Whale', rules, now, now]);
+});
+
+after(() => new Promise(resolve => db.close(resolve)));
+
+test('value thresholds are amounts of the chain\'s native token', () => {
+    assert.equal(normalizeRules({ valueAbove: '1.5' }, undefined, POLYGON.nativeToken).valueAbove, '1.5');
+    assert.throws(() => normalizeRules({ valueAbove: '-1' }, undefined, POLYGON.nativeToken),
+        (err) => err instanceof WatchlistInputError && /positive POL amount/.test(err.message));
+    assert.throws(() => normalizeRules({ valueAbove: 'lots' }), /positive ETH amount/);
+});
+
+test('labels value alerts with the native token and sends them to the owner', async () => {
+    const watcher = new WatchlistWatcher({ db, chains: CHAIN_REGISTRY });
+    await watcher.reload();
+    assert.deepEqual(watcher.entries.get(WHALE).map(entry => entry.label), ['Whale']);
+
+    const alert = new Promise(resolve => watcher.once('alert', resolve));
+    watcher.matchTransaction({ hash: `0x${'1'.repeat(64)}`, from: WHALE, to: null, value: 600n * 10n ** 18n, input: '0x', chainId: 137 });
+    const { owner, rule, detail } = await alert;
+    assert.equal(owner, OWNER);
+    assert.equal(rule, 'value_above');
+    assert.match(detail, /worth at least 500 POL/);
+});
@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { signPayload, verifySignature, generateSecret } = require('../lib/webhooks');
+
+const SECRET = 'whsec_test';
+const BODY = JSON.stringify({ event: 'attack.detected', data: { type: 'Sandwich Attack', riskScore: 95 } });
+
+const now = () => Math.floor(Date.now() / 1000);
+const headersFor = (timestamp, body = BODY, secret = SECRET) => ({
+    'x-mevshield-timestamp': String(timestamp),
+    'x-mevshield-signature': signPayload(secret, timestamp, body),
+});
+
+test('signPayload is an HMAC-SHA256 of "<timestamp>.<body>"', () => {
+    const expected = crypto.createHmac('sha256', SECRET).update(`1760000000.${BODY}`).digest('hex');
+    assert.equal(signPayload(SECRET, 1760000000, BODY), `sha256=${expected}`);
+    assert.equal(signPayload(SECRET, '1760000000', BODY), signPayload(SECRET, 1760000000, BODY));
+    assert.notEqual(signPayload(SECRET, 1760000001, BODY), signPayload(SECRET, 1760000000, BODY));
+});
+
+test('verifySignature accepts a fresh delivery', () => {
+    assert.equal(verifySignature(SECRET, headersFor(now()), BODY), true);
+});
+
+test('verifySignature rejects a tampered body, the wrong secret or a forged header', () => {
+    const headers = headersFor(now());
+    assert.equal(verifySignature(SECRET, headers, BODY.replace('95', '5')), false);
+    assert.equal(verifySignature('whsec_other', headers, BODY), false);
+    assert.equal(verifySignature(SECRET, { ...headers, 'x-mevshield-signature': 'sha256=00' }, BODY), false);
+    assert.equal(verifySignature(SECRET, { 'x-mevshield-timestamp': headers['x-mevshield-timestamp'] }, BODY), false);
+});
+
+test('verifySignature rejects stale or missing timestamps', () => {
+    assert.equal(verifySignature(SECRET, headersFor(now() - 301), BODY), false);
+    assert.equal(verifySignature(SECRET, headersFor(now() + 301), BODY), false);
+    assert.equal(verifySignature(SECRET, headersFor(now() - 3600), BODY, 7200), true);
+    assert.equal(verifySignature(SECRET, { 'x-mevshield-signature': signPayload(SECRET, 'NaN', BODY) }, BODY), false);
+});
+
+test('generateSecret returns distinct secrets', () => {
+    const [a, b] = [generateSecret(), generateSecret()];
+    assert.notEqual(a, b);
+    assert.ok(a.length >= 32);
+});